@@ -1,6 +1,7 @@
 
 import { CONFIG } from './config.js';
 import { resolveCollisionX, resolveCollisionY } from './physicsHelper.js';
+import { getBotDifficulty } from './MatchSettings.js';
 
 export class BotController {
   constructor(botId, network, playersSnapshot, game) {
@@ -11,7 +12,9 @@ export class BotController {
     this.wanderAngle = Math.random() * Math.PI * 2;
     this.wanderTimer = 0;
     this.lastPickupTime = 0;
+    this.lastAttackTime = 0;
     this.targetLootId = null;
+    this.difficulty = getBotDifficulty(game?.state?.settings); // The host's bot difficulty setting
   }
 
   update(deltaTime) {
@@ -120,8 +123,8 @@ export class BotController {
     const dy = target.position_y - bot.position_y;
     const angle = Math.atan2(dy, dx);
 
-    const speed = CONFIG.BOT?.MOVEMENT_SPEED || CONFIG.PLAYER.BASE_MOVEMENT_SPEED;
-    
+    const speed = (CONFIG.BOT?.MOVEMENT_SPEED || CONFIG.PLAYER.BASE_MOVEMENT_SPEED) * this.difficulty.SPEED_MULTIPLIER;
+
     // Stop if very close to avoid jitter
     if (Math.hypot(dx, dy) < (CONFIG.BOT?.STOPPING_DISTANCE || 10)) return;
 
@@ -153,7 +156,7 @@ export class BotController {
       rotation: angle,
       velocity_x: Math.cos(angle), // Normalized velocity
       velocity_y: Math.sin(angle),
-    });
+    }, { delta: true });
   }
 
   wander(bot, deltaTime) {
@@ -163,7 +166,7 @@ export class BotController {
       this.wanderTimer = 2.0; // Change every 2 seconds
     }
 
-    const speed = (CONFIG.BOT?.MOVEMENT_SPEED || CONFIG.PLAYER.BASE_MOVEMENT_SPEED) * 0.5; // Walk slower when wandering
+    const speed = (CONFIG.BOT?.MOVEMENT_SPEED || CONFIG.PLAYER.BASE_MOVEMENT_SPEED) * this.difficulty.SPEED_MULTIPLIER * 0.5; // Walk slower when wandering
     const moveX = Math.cos(this.wanderAngle) * speed * deltaTime;
     const moveY = Math.sin(this.wanderAngle) * speed * deltaTime;
 
@@ -188,7 +191,7 @@ export class BotController {
       rotation: this.wanderAngle,
       velocity_x: Math.cos(this.wanderAngle) * 0.5,
       velocity_y: Math.sin(this.wanderAngle) * 0.5,
-    });
+    }, { delta: true });
   }
 
   attemptAttack(bot, target) {
@@ -200,7 +203,10 @@ export class BotController {
     const weapon = CONFIG.WEAPONS[bot.equipped_weapon?.toUpperCase()] || CONFIG.WEAPONS.FIST;
     const range = weapon.range;
 
-    if (dist <= range) {
+    // Easier bots hesitate between swings
+    const now = Date.now();
+    if (dist <= range && now - this.lastAttackTime >= this.difficulty.ATTACK_INTERVAL_MS) {
+      this.lastAttackTime = now;
       // Send attack request (simulating input)
       // We use sendFrom to ensure the attacker ID is the bot's ID, not the host's ID
       this.network.sendFrom(this.botId, 'attack_request', {
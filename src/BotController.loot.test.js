@@ -87,7 +87,7 @@ describe('BotController Loot Interaction', () => {
       player_id: botId,
       position_x: 600, // Moved 100 units from 500 towards 700
       position_y: 500,
-    }));
+    }), { delta: true });
   });
 
   test('WhenNearLootAndUnarmed_ShouldSendPickupRequest', () => {
@@ -126,7 +126,7 @@ describe('BotController Loot Interaction', () => {
       player_id: botId,
       position_x: 400, // Moved 100 units from 500 towards 300
       position_y: 500,
-    }));
+    }), { delta: true });
   });
   
   test('WhenUnarmedAndMultipleLoot_ShouldMoveTowardsNearestOne', () => {
@@ -140,7 +140,7 @@ describe('BotController Loot Interaction', () => {
       player_id: botId,
       position_x: 450, // Reached it in 1s since speed is 100 and distance is 50
       position_y: 500,
-    }));
+    }), { delta: true });
   });
 
   test('WhenTargetingLoot_ShouldStayFocusedOnItEvenIfNewLootAppearsCloser', () => {
@@ -163,7 +163,7 @@ describe('BotController Loot Interaction', () => {
       player_id: botId,
       position_x: 520, // 510 + 100 * 0.1 = 520 (moving towards 700)
       position_y: 500,
-    }));
+    }), { delta: true });
   });
 
   test('WhenTargetedLootDisappears_ShouldFindNewTarget', () => {
@@ -186,6 +186,6 @@ describe('BotController Loot Interaction', () => {
       player_id: botId,
       position_x: 500, // 510 (current) - 100 * 0.1 (move) = 500 (moving towards 400)
       position_y: 500,
-    }));
+    }), { delta: true });
   });
 });
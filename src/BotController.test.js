@@ -109,7 +109,7 @@ describe('BotController', () => {
       player_id: botId,
       position_x: 100,
       position_y: 0,
-    }));
+    }), { delta: true });
   });
 
   test('should attack when in range', () => {
@@ -121,6 +121,32 @@ describe('BotController', () => {
     expect(mockNetwork.sendFrom).toHaveBeenCalledWith(botId, 'attack_request', expect.any(Object)); 
   });
   
+  test('WhenDifficultyIsEasy_ShouldMoveSlower', () => {
+    mockGame.state.settings = { bot_difficulty: 'easy' };
+    botController = new BotController(botId, mockNetwork, mockSnapshot, mockGame);
+
+    botController.update(1.0);
+
+    expect(mockNetwork.broadcastPlayerStateUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      position_x: 100 * CONFIG.MATCH_SETTINGS.BOT_DIFFICULTY.easy.SPEED_MULTIPLIER,
+    }), { delta: true });
+  });
+
+  test('WhenDifficultyIsEasy_ShouldWaitBetweenAttacks', () => {
+    mockGame.state.settings = { bot_difficulty: 'easy' };
+    botController = new BotController(botId, mockNetwork, mockSnapshot, mockGame);
+    mockSnapshot.getPlayers().get(botId).position_x = 160;
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+    botController.update(0.1);
+    botController.update(0.1);
+    now.mockReturnValue(1_000_000 + CONFIG.MATCH_SETTINGS.BOT_DIFFICULTY.easy.ATTACK_INTERVAL_MS);
+    botController.update(0.1);
+
+    const attacks = mockNetwork.sendFrom.mock.calls.filter(call => call[1] === 'attack_request');
+    expect(attacks).toHaveLength(2);
+  });
+
   test('should wander if no target', () => {
     mockSnapshot.getPlayers().delete(targetId); // Remove target
       
@@ -0,0 +1,161 @@
+import { CONFIG } from './config.js';
+import { RateLimiter } from './RateLimiter.js';
+
+// Control characters and bidi overrides (which can flip the rest of a line around)
+const UNSAFE_CHARACTERS = /[\p{Cc}\u200E\u200F\u202A-\u202E\u2066-\u2069]/gu;
+
+/**
+ * Reduce chat input to a single line of plain text within CHAT.MAX_LENGTH.
+ * The result is still shown with textContent only, never as HTML.
+ * @param {*} text
+ * @returns {string} Empty if nothing is left to send
+ */
+export function sanitizeChatText(text) {
+  if (typeof text !== 'string') return '';
+  return text
+    .replace(UNSAFE_CHARACTERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, CONFIG.CHAT.MAX_LENGTH);
+}
+
+/**
+ * Session text chat over the `chat_message` broadcast, shown in the lobby and (compact)
+ * on the game screen. One instance per session, so the scrollback is per session.
+ *
+ * Every receiver sanitizes and rate limits each sender itself, since a broadcast reaches
+ * everyone before the host could object. The host moderates with `chat_mute`, which carries
+ * the whole list of muted players; receivers drop their messages. The host re-sends the list
+ * when someone joins, and a new host after a migration already has it.
+ */
+export class ChatManager {
+  /**
+   * @param {Network} network
+   * @param {SessionPlayersSnapshot} playersSnapshot - Sender names are looked up here, not trusted from the message
+   * @param {Object} [options]
+   * @param {Function} [options.onChange] - Called after messages or mutes change
+   */
+  constructor(network, playersSnapshot, { onChange = null } = {}) {
+    this.network = network;
+    this.playersSnapshot = playersSnapshot;
+    this.onChange = onChange;
+    this.messages = []; // { id, player_id, name, text, timestamp, system }, oldest first
+    this.mutedPlayerIds = new Set();
+    this.rateLimiter = new RateLimiter({ DEFAULT: CONFIG.CHAT.RATE_LIMIT });
+    this.nextId = 1;
+
+    this.chatMessageHandler = (message) => this.handleChatMessage(message);
+    this.chatMuteHandler = (message) => this.handleChatMute(message);
+    this.postgresChangesHandler = (payload) => this.#handlePlayerJoined(payload);
+    this.network.on('chat_message', this.chatMessageHandler);
+    this.network.on('chat_mute', this.chatMuteHandler);
+    this.network.on('postgres_changes', this.postgresChangesHandler);
+  }
+
+  /**
+   * Send a message as the local player
+   * @param {string} text - Raw input
+   * @returns {boolean} False if nothing was sent (empty, muted or too fast)
+   */
+  send(text) {
+    const clean = sanitizeChatText(text);
+    if (!clean) return false;
+
+    if (this.isMuted(this.network.playerId)) {
+      this.#addSystemMessage('You are muted by the host.');
+      return false;
+    }
+    if (!this.rateLimiter.allow(this.network.playerId)) {
+      this.#addSystemMessage('You are sending messages too quickly.');
+      return false;
+    }
+
+    this.network.send('chat_message', { text: clean }); // Also emitted locally
+    return true;
+  }
+
+  handleChatMessage(message) {
+    const senderId = message.from;
+    if (this.isMuted(senderId)) return;
+    // Our own messages were limited in send()
+    if (senderId !== this.network.playerId && !this.rateLimiter.allow(senderId)) return;
+
+    const text = sanitizeChatText(message.data?.text);
+    if (!text) return;
+
+    this.#addMessage({ player_id: senderId, name: this.#getName(senderId), text, timestamp: Date.now(), system: false });
+  }
+
+  handleChatMute(message) {
+    if (message.from !== this.network.hostId) return; // Only the host moderates
+
+    const wasMuted = this.isMuted(this.network.playerId);
+    this.mutedPlayerIds = new Set(message.data.muted_player_ids);
+    const isMuted = this.isMuted(this.network.playerId);
+    if (isMuted !== wasMuted) {
+      this.#addSystemMessage(isMuted ? 'You have been muted by the host.' : 'You are no longer muted.');
+    } else {
+      this.#notify();
+    }
+  }
+
+  isMuted(playerId) {
+    return playerId !== this.network.hostId && this.mutedPlayerIds.has(playerId);
+  }
+
+  /**
+   * Host only: mute or unmute a player for everyone in the session
+   */
+  setMuted(playerId, muted) {
+    if (!this.network.isHost || playerId === this.network.playerId) return;
+
+    if (muted) {
+      this.mutedPlayerIds.add(playerId);
+    } else {
+      this.mutedPlayerIds.delete(playerId);
+    }
+    this.#broadcastMutes(); // Emitted locally too, which notifies
+  }
+
+  getMessages() {
+    return this.messages;
+  }
+
+  destroy() {
+    this.network.off('chat_message', this.chatMessageHandler);
+    this.network.off('chat_mute', this.chatMuteHandler);
+    this.network.off('postgres_changes', this.postgresChangesHandler);
+    this.onChange = null;
+  }
+
+  #broadcastMutes() {
+    this.network.send('chat_mute', { muted_player_ids: Array.from(this.mutedPlayerIds) });
+  }
+
+  // Late joiners have not seen earlier mutes
+  #handlePlayerJoined(payload) {
+    if (!this.network.isHost || this.mutedPlayerIds.size === 0) return;
+    if (payload.table !== 'session_players' || payload.eventType !== 'INSERT') return;
+    this.#broadcastMutes();
+  }
+
+  #getName(playerId) {
+    return this.playersSnapshot?.getPlayers().get(playerId)?.player_name ?? 'Unknown';
+  }
+
+  #addSystemMessage(text) {
+    this.#addMessage({ player_id: null, name: null, text, timestamp: Date.now(), system: true });
+  }
+
+  #addMessage(entry) {
+    this.messages.push({ id: this.nextId++, ...entry });
+    if (this.messages.length > CONFIG.CHAT.SCROLLBACK) {
+      this.messages.shift();
+    }
+    this.#notify();
+  }
+
+  #notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
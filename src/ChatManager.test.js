@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import { ChatManager, sanitizeChatText } from './ChatManager.js';
+import { CONFIG } from './config.js';
+
+describe('sanitizeChatText', () => {
+  test('WhenTextHasControlAndBidiCharacters_ShouldReplaceThemWithSpaces', () => {
+    expect(sanitizeChatText('hi\u0000there\nfriend\u202Eevil')).toBe('hi there friend evil');
+  });
+
+  test('WhenTextHasMarkup_ShouldKeepItAsPlainText', () => {
+    expect(sanitizeChatText('<img src=x onerror=alert(1)>')).toBe('<img src=x onerror=alert(1)>');
+  });
+
+  test('WhenTextIsTooLong_ShouldClampIt', () => {
+    expect(sanitizeChatText('a'.repeat(CONFIG.CHAT.MAX_LENGTH + 50))).toHaveLength(CONFIG.CHAT.MAX_LENGTH);
+  });
+
+  test('WhenTextIsBlankOrNotAString_ShouldReturnEmpty', () => {
+    expect(sanitizeChatText('   \t ')).toBe('');
+    expect(sanitizeChatText(42)).toBe('');
+  });
+});
+
+describe('ChatManager', () => {
+  let network;
+  let handlers;
+  let players;
+  let onChange;
+  let chat;
+
+  const T0 = 1_000_000;
+  const lastMessage = () => chat.getMessages()[chat.getMessages().length - 1];
+  const receive = (type, from, data) => handlers[type]?.forEach(handler => handler({ type, from, data }));
+
+  const createNetwork = (playerId, isHost) => ({
+    playerId,
+    hostId: 'host',
+    isHost,
+    on: jest.fn((type, handler) => {
+      (handlers[type] ??= []).push(handler);
+    }),
+    off: jest.fn((type, handler) => {
+      handlers[type] = handlers[type].filter(h => h !== handler);
+    }),
+    // Like Network.send, our own messages are emitted locally too
+    send: jest.fn((type, data) => receive(type, playerId, data)),
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    handlers = {};
+    players = new Map([
+      ['host', { player_id: 'host', player_name: 'Host-1' }],
+      ['p1', { player_id: 'p1', player_name: 'Player-1' }],
+      ['p2', { player_id: 'p2', player_name: 'Player-2' }],
+    ]);
+    onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    chat.destroy();
+    jest.useRealTimers();
+  });
+
+  describe('as a player', () => {
+    beforeEach(() => {
+      network = createNetwork('p1', false);
+      chat = new ChatManager(network, { getPlayers: () => players }, { onChange });
+    });
+
+    test('WhenSending_ShouldBroadcastSanitizedTextAndShowIt', () => {
+      expect(chat.send('  hello\nthere  ')).toBe(true);
+
+      expect(network.send).toHaveBeenCalledWith('chat_message', { text: 'hello there' });
+      expect(chat.getMessages()).toEqual([
+        expect.objectContaining({ player_id: 'p1', name: 'Player-1', text: 'hello there', system: false }),
+      ]);
+      expect(onChange).toHaveBeenCalledWith(chat);
+    });
+
+    test('WhenSendingBlankText_ShouldNotBroadcast', () => {
+      expect(chat.send('   ')).toBe(false);
+
+      expect(network.send).not.toHaveBeenCalled();
+    });
+
+    test('WhenSendingFasterThanTheLimit_ShouldRefuseWithSystemMessage', () => {
+      for (let i = 0; i < CONFIG.CHAT.RATE_LIMIT.BURST; i++) chat.send(`message ${i}`);
+
+      expect(chat.send('one too many')).toBe(false);
+      expect(network.send).toHaveBeenCalledTimes(CONFIG.CHAT.RATE_LIMIT.BURST);
+      expect(lastMessage()).toEqual(expect.objectContaining({ system: true }));
+    });
+
+    test('WhenReceivingFromOthers_ShouldUseTheSnapshotNameAndRateLimitEachSender', () => {
+      for (let i = 0; i < CONFIG.CHAT.RATE_LIMIT.BURST + 3; i++) receive('chat_message', 'p2', { text: `spam ${i}` });
+      receive('chat_message', 'host', { text: 'calm down' });
+
+      const messages = chat.getMessages();
+      expect(messages).toHaveLength(CONFIG.CHAT.RATE_LIMIT.BURST + 1);
+      expect(messages[0].name).toBe('Player-2');
+      expect(messages[messages.length - 1]).toEqual(expect.objectContaining({ name: 'Host-1', text: 'calm down' }));
+    });
+
+    test('WhenScrollbackIsFull_ShouldDropTheOldestMessages', () => {
+      for (let i = 0; i < CONFIG.CHAT.SCROLLBACK + 5; i++) {
+        jest.setSystemTime(T0 + i * 10_000); // Stay under the rate limit
+        receive('chat_message', 'p2', { text: `line ${i}` });
+      }
+
+      const messages = chat.getMessages();
+      expect(messages).toHaveLength(CONFIG.CHAT.SCROLLBACK);
+      expect(messages[0].text).toBe('line 5');
+    });
+
+    test('WhenHostMutesUs_ShouldRefuseToSend', () => {
+      receive('chat_mute', 'host', { muted_player_ids: ['p1'] });
+
+      expect(chat.send('hello?')).toBe(false);
+      expect(network.send).not.toHaveBeenCalled();
+      expect(lastMessage()).toEqual(expect.objectContaining({ system: true, text: 'You are muted by the host.' }));
+    });
+
+    test('WhenPlayerIsMuted_ShouldDropTheirMessages', () => {
+      receive('chat_mute', 'host', { muted_player_ids: ['p2'] });
+      receive('chat_message', 'p2', { text: 'still here' });
+
+      expect(chat.getMessages()).toHaveLength(0);
+    });
+
+    test('WhenMuteListComesFromNonHost_ShouldIgnoreIt', () => {
+      receive('chat_mute', 'p2', { muted_player_ids: ['p1'] });
+
+      expect(chat.isMuted('p1')).toBe(false);
+    });
+
+    test('WhenNotHost_ShouldNotMute', () => {
+      chat.setMuted('p2', true);
+
+      expect(network.send).not.toHaveBeenCalled();
+    });
+
+    test('WhenDestroyed_ShouldStopListening', () => {
+      chat.destroy();
+      receive('chat_message', 'p2', { text: 'anyone?' });
+
+      expect(chat.getMessages()).toHaveLength(0);
+    });
+  });
+
+  describe('as the host', () => {
+    beforeEach(() => {
+      network = createNetwork('host', true);
+      chat = new ChatManager(network, { getPlayers: () => players }, { onChange });
+    });
+
+    test('WhenMutingPlayer_ShouldBroadcastTheMuteList', () => {
+      chat.setMuted('p1', true);
+      chat.setMuted('p2', true);
+      chat.setMuted('p1', false);
+
+      expect(network.send).toHaveBeenLastCalledWith('chat_mute', { muted_player_ids: ['p2'] });
+      expect(chat.isMuted('p2')).toBe(true);
+      expect(chat.isMuted('p1')).toBe(false);
+    });
+
+    test('WhenPlayerJoins_ShouldResendTheMuteList', () => {
+      chat.setMuted('p1', true);
+      network.send.mockClear();
+
+      handlers.postgres_changes.forEach(handler => handler({ table: 'session_players', eventType: 'INSERT', new: { player_id: 'p3' } }));
+
+      expect(network.send).toHaveBeenCalledWith('chat_mute', { muted_player_ids: ['p1'] });
+    });
+  });
+});
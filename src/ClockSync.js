@@ -0,0 +1,150 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Estimates the offset between this machine's clock and the host's clock
+ * with a ping/pong exchange over the session channel (NTP-style).
+ *
+ * The client sends `time_sync_ping` with its local send time; the host answers with
+ * `time_sync_pong` carrying its own clock. Assuming symmetric latency, the host clock at
+ * receipt is host_time + rtt / 2. The sample with the lowest round trip wins, since it
+ * has the least room for asymmetric delay.
+ */
+export class ClockSync {
+  constructor(network) {
+    this.network = network;
+    this.offset = 0; // hostTime - localTime, in ms
+    this.samples = []; // { rtt, offset }, most recent last
+    this.syncInterval = null;
+    this.burstTimeouts = [];
+    this.sampleWaiters = []; // Callbacks of waitForSample() calls still waiting
+
+    this.network.on('time_sync_ping', (message) => this.handlePing(message));
+    this.network.on('time_sync_pong', (message) => this.handlePong(message));
+    this.network.on('host_migrated', () => this.reset());
+    this.network.on('reconnected', () => this.restart());
+  }
+
+  /**
+   * Current time on the host's clock
+   * @returns {number} Milliseconds since epoch, host time
+   */
+  now() {
+    if (this.network.isHost) return Date.now();
+    return Date.now() + this.offset;
+  }
+
+  /**
+   * Round trip to the host from the most recent pong
+   * @returns {number|null} Milliseconds, or null before the first sample (and on the host)
+   */
+  getRtt() {
+    return this.samples[this.samples.length - 1]?.rtt ?? null;
+  }
+
+  /**
+   * Wait until there is at least one sample, so host times can be converted (e.g. a late
+   * joiner's match state). Resolves right away on the host and once already synced.
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} False if no pong arrived in time; now() then uses the local clock
+   */
+  waitForSample(timeoutMs) {
+    if (this.network.isHost || this.samples.length > 0) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const onSample = () => {
+        clearTimeout(timeout);
+        resolve(true);
+      };
+      const timeout = setTimeout(() => {
+        this.sampleWaiters = this.sampleWaiters.filter(waiter => waiter !== onSample);
+        resolve(false);
+      }, timeoutMs);
+      this.sampleWaiters.push(onSample);
+    });
+  }
+
+  /**
+   * Start syncing: a quick burst of pings to converge, then periodic pings to track drift
+   */
+  start() {
+    if (this.syncInterval) return; // Already running
+
+    const { BURST_COUNT, BURST_INTERVAL_MS, INTERVAL_MS } = CONFIG.NETWORK.CLOCK_SYNC;
+    for (let i = 0; i < BURST_COUNT; i++) {
+      this.burstTimeouts.push(setTimeout(() => this.sendPing(), i * BURST_INTERVAL_MS));
+    }
+    this.syncInterval = setInterval(() => this.sendPing(), INTERVAL_MS);
+  }
+
+  stop() {
+    this.burstTimeouts.forEach(clearTimeout);
+    this.burstTimeouts = [];
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+  }
+
+  /**
+   * Run a fresh burst (e.g. after a reconnect, when the path to the host may have changed)
+   */
+  restart() {
+    if (!this.syncInterval) return; // Not syncing
+    this.stop();
+    this.start();
+  }
+
+  /**
+   * Forget samples, e.g. after the host changed and the reference clock moved
+   */
+  reset() {
+    this.#setOffset(0);
+    this.samples = [];
+    if (this.syncInterval) {
+      this.sendPing();
+    }
+  }
+
+  sendPing() {
+    if (this.network.isHost) return; // The host is the reference clock
+    this.network.send('time_sync_ping', { client_time: Date.now() });
+  }
+
+  handlePing(message) {
+    if (!this.network.isHost || message.from === this.network.playerId) return;
+
+    this.network.send('time_sync_pong', {
+      target_player_id: message.from,
+      client_time: message.data.client_time,
+      host_time: Date.now(),
+    });
+  }
+
+  handlePong(message) {
+    const { target_player_id, client_time, host_time } = message.data;
+    if (target_player_id !== this.network.playerId) return;
+
+    const receivedAt = Date.now();
+    const rtt = receivedAt - client_time;
+    if (rtt < 0) return;
+
+    this.samples.push({ rtt, offset: host_time + rtt / 2 - receivedAt });
+    if (this.samples.length > CONFIG.NETWORK.CLOCK_SYNC.MAX_SAMPLES) {
+      this.samples.shift();
+    }
+
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.#setOffset(best.offset);
+
+    this.sampleWaiters.splice(0).forEach(onSample => onSample());
+  }
+
+  /**
+   * Anything comparing host times taken before and after (e.g. jitter estimates) must start over
+   */
+  #setOffset(offset) {
+    if (offset === this.offset) return;
+    this.offset = offset;
+    this.network.emit('clock_offset_changed', { offset });
+  }
+}
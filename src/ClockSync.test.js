@@ -0,0 +1,182 @@
+import { jest } from '@jest/globals';
+import { ClockSync } from './ClockSync.js';
+import { CONFIG } from './config.js';
+
+describe('ClockSync', () => {
+  let clockSync;
+  let mockNetwork;
+  let handlers;
+
+  const T0 = 1_000_000;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    handlers = {};
+    mockNetwork = {
+      playerId: 'client',
+      isHost: false,
+      send: jest.fn(),
+      emit: jest.fn(),
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    };
+    clockSync = new ClockSync(mockNetwork);
+  });
+
+  afterEach(() => {
+    clockSync.stop();
+    jest.useRealTimers();
+  });
+
+  const pong = (clientTime, hostTime, target = 'client') => ({
+    data: { target_player_id: target, client_time: clientTime, host_time: hostTime },
+  });
+
+  test('WhenHost_ShouldUseLocalClock', () => {
+    mockNetwork.isHost = true;
+    clockSync.offset = 5000;
+    expect(clockSync.now()).toBe(T0);
+  });
+
+  test('WhenPongReceived_ShouldEstimateOffsetAssumingSymmetricLatency', () => {
+    // Ping sent at T0, host (2s ahead) replied 50ms later, pong arrived at T0 + 100
+    jest.setSystemTime(T0 + 100);
+    handlers.time_sync_pong(pong(T0, T0 + 2000 + 50));
+
+    expect(clockSync.offset).toBe(2000);
+    expect(clockSync.now()).toBe(T0 + 100 + 2000);
+  });
+
+  test('WhenSeveralSamples_ShouldTrustTheLowestRoundTrip', () => {
+    jest.setSystemTime(T0 + 100);
+    handlers.time_sync_pong(pong(T0, T0 + 2050)); // rtt 100, offset 2000
+
+    // Slow, asymmetric sample: rtt 400 would skew the estimate
+    jest.setSystemTime(T0 + 1400);
+    handlers.time_sync_pong(pong(T0 + 1000, T0 + 3050));
+
+    expect(clockSync.offset).toBe(2000);
+  });
+
+  test('WhenSeveralSamples_ShouldReportTheLatestRoundTrip', () => {
+    expect(clockSync.getRtt()).toBeNull();
+
+    jest.setSystemTime(T0 + 100);
+    handlers.time_sync_pong(pong(T0, T0 + 2050));
+    jest.setSystemTime(T0 + 1400);
+    handlers.time_sync_pong(pong(T0 + 1000, T0 + 3050));
+
+    expect(clockSync.getRtt()).toBe(400);
+  });
+
+  test('WhenPongIsForAnotherPlayer_ShouldIgnoreIt', () => {
+    jest.setSystemTime(T0 + 100);
+    handlers.time_sync_pong(pong(T0, T0 + 9000, 'someone-else'));
+
+    expect(clockSync.offset).toBe(0);
+  });
+
+  test('WhenWaitingForSample_ShouldResolveOnTheFirstPong', async () => {
+    const synced = clockSync.waitForSample(1000);
+    jest.advanceTimersByTime(100);
+    handlers.time_sync_pong(pong(T0, T0 + 2050));
+
+    await expect(synced).resolves.toBe(true);
+    expect(clockSync.now()).toBe(T0 + 100 + 2000);
+  });
+
+  test('WhenWaitingForSampleAndNoPongArrives_ShouldResolveFalseAfterTimeout', async () => {
+    const synced = clockSync.waitForSample(1000);
+    jest.advanceTimersByTime(1000);
+
+    await expect(synced).resolves.toBe(false);
+    expect(clockSync.sampleWaiters).toHaveLength(0);
+  });
+
+  test('WhenAlreadySynced_ShouldNotWaitForSample', async () => {
+    handlers.time_sync_pong(pong(T0, T0 + 2000));
+
+    await expect(clockSync.waitForSample(1000)).resolves.toBe(true);
+  });
+
+  test('WhenHost_ShouldNotWaitForSample', async () => {
+    mockNetwork.isHost = true;
+
+    await expect(clockSync.waitForSample(1000)).resolves.toBe(true);
+  });
+
+  test('WhenHostReceivesPing_ShouldReplyWithItsClock', () => {
+    mockNetwork.isHost = true;
+    mockNetwork.playerId = 'host';
+
+    handlers.time_sync_ping({ from: 'client', data: { client_time: 123 } });
+
+    expect(mockNetwork.send).toHaveBeenCalledWith('time_sync_pong', {
+      target_player_id: 'client',
+      client_time: 123,
+      host_time: T0,
+    });
+  });
+
+  test('WhenClientReceivesPing_ShouldNotReply', () => {
+    handlers.time_sync_ping({ from: 'other', data: { client_time: 123 } });
+
+    expect(mockNetwork.send).not.toHaveBeenCalled();
+  });
+
+  test('WhenStarted_ShouldBurstThenPingPeriodically', () => {
+    const { BURST_COUNT, BURST_INTERVAL_MS, INTERVAL_MS } = CONFIG.NETWORK.CLOCK_SYNC;
+    clockSync.start();
+
+    jest.advanceTimersByTime(BURST_COUNT * BURST_INTERVAL_MS);
+    expect(mockNetwork.send).toHaveBeenCalledTimes(BURST_COUNT);
+
+    jest.advanceTimersByTime(INTERVAL_MS);
+    expect(mockNetwork.send).toHaveBeenCalledTimes(BURST_COUNT + 1);
+    expect(mockNetwork.send).toHaveBeenLastCalledWith('time_sync_ping', { client_time: expect.any(Number) });
+  });
+
+  test('WhenHostChanges_ShouldDiscardOldSamples', () => {
+    jest.setSystemTime(T0 + 100);
+    handlers.time_sync_pong(pong(T0, T0 + 2050));
+
+    handlers.host_migrated({ data: { new_host_id: 'new-host' } });
+
+    expect(clockSync.offset).toBe(0);
+    expect(clockSync.samples).toEqual([]);
+  });
+
+  test('WhenOffsetChanges_ShouldAnnounceIt', () => {
+    handlers.time_sync_pong(pong(T0, T0 + 2000));
+    expect(mockNetwork.emit).toHaveBeenCalledWith('clock_offset_changed', { offset: 2000 });
+
+    // A worse sample leaves the offset alone
+    jest.setSystemTime(T0 + 1000);
+    handlers.time_sync_pong(pong(T0 + 500, T0 + 9000));
+    expect(mockNetwork.emit).toHaveBeenCalledTimes(1);
+
+    handlers.host_migrated({ data: { new_host_id: 'new-host' } });
+    expect(mockNetwork.emit).toHaveBeenLastCalledWith('clock_offset_changed', { offset: 0 });
+  });
+
+  test('WhenReconnected_ShouldBurstAgainKeepingOldSamples', () => {
+    const { BURST_COUNT, BURST_INTERVAL_MS } = CONFIG.NETWORK.CLOCK_SYNC;
+    clockSync.start();
+    jest.advanceTimersByTime(BURST_COUNT * BURST_INTERVAL_MS);
+    clockSync.offset = 2000;
+    mockNetwork.send.mockClear();
+
+    handlers.reconnected({ attempts: 1 });
+    jest.advanceTimersByTime(BURST_COUNT * BURST_INTERVAL_MS);
+
+    expect(mockNetwork.send).toHaveBeenCalledTimes(BURST_COUNT);
+    expect(clockSync.offset).toBe(2000);
+  });
+
+  test('WhenReconnectedWithoutSyncing_ShouldNotStartPinging', () => {
+    handlers.reconnected({ attempts: 1 });
+    jest.advanceTimersByTime(CONFIG.NETWORK.CLOCK_SYNC.INTERVAL_MS);
+
+    expect(mockNetwork.send).not.toHaveBeenCalled();
+  });
+});
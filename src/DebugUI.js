@@ -1,14 +1,33 @@
 import { CONFIG } from './config.js';
 
 const UI_TEXT = {
-  TITLE: 'Weapon Config Debugger',
+  TITLE: 'Debug Tools',
+  TAB_WEAPONS: 'Weapons',
+  TAB_NETWORK: 'Network',
   MINIMIZE: '-',
   MAXIMIZE: '+',
   SELECT_WEAPON_LABEL: 'Select Weapon: ',
   EXPORT_BTN: 'Export to Clipboard',
   CONFIG_EXPORT_PREFIX: 'export const WEAPONS = ',
+  NETWORK_TITLE: 'Network Conditions',
+  NETWORK_PRESET_LABEL: 'Preset: ',
+  NETWORK_PRESET_OFF: 'off',
+  NETWORK_PRESET_CUSTOM: 'custom',
+  NETWORK_STATS_TITLE: 'Network Stats',
+  NO_DATA: '-',
+  MOVEMENT_OK: 'ok',
+  MOVEMENT_FLAGGED: 'flagged',
 };
 
+// Applied to both directions; see NetworkConditionSimulator.js
+const NETWORK_FIELDS = [
+  { key: 'latencyMs', step: 10 },
+  { key: 'jitterMs', step: 10 },
+  { key: 'dropRate', step: 0.01 },
+  { key: 'duplicateRate', step: 0.01 },
+  { key: 'reorderRate', step: 0.01 },
+];
+
 export class DebugUI {
   constructor(game = null) {
     this.game = game;
@@ -19,6 +38,12 @@ export class DebugUI {
     this.isMinimized = false;
     this.contentContainer = null;
     this.minimizeBtn = null;
+    this.networkPresetSelect = null;
+    this.networkInputs = {};
+    this.tabs = {}; // name -> { button, pane }
+    this.activeTab = null;
+    this.networkStatsContainer = null;
+    this.networkStatsInterval = null; // Redraws the stats while the network tab is on screen
     
     this.init();
   }
@@ -64,10 +89,16 @@ export class DebugUI {
       this.container.appendChild(this.pauseBtn);
     }
 
+    const tabBar = document.createElement('div');
+    tabBar.id = 'debug-tabs';
+    this.contentContainer.appendChild(tabBar);
+    const weaponsPane = this.createTab(tabBar, 'weapons', UI_TEXT.TAB_WEAPONS);
+    const networkPane = this.createTab(tabBar, 'network', UI_TEXT.TAB_NETWORK);
+
     // Create Weapon Selector
     const selectLabel = document.createElement('label');
     selectLabel.innerText = UI_TEXT.SELECT_WEAPON_LABEL;
-    this.contentContainer.appendChild(selectLabel);
+    weaponsPane.appendChild(selectLabel);
 
     this.weaponSelect = document.createElement('select');
     this.weaponSelect.id = 'debug-weapon-select';
@@ -81,18 +112,22 @@ export class DebugUI {
     });
 
     this.weaponSelect.addEventListener('change', (e) => this.handleWeaponSelect(e.target.value));
-    this.contentContainer.appendChild(this.weaponSelect);
+    weaponsPane.appendChild(this.weaponSelect);
 
     // Create Form Container
     this.formContainer = document.createElement('div');
-    this.contentContainer.appendChild(this.formContainer);
+    weaponsPane.appendChild(this.formContainer);
 
     // Create Export Button
     const exportBtn = document.createElement('button');
     exportBtn.id = 'debug-export-btn';
     exportBtn.innerText = UI_TEXT.EXPORT_BTN;
     exportBtn.addEventListener('click', () => this.exportConfig());
-    this.contentContainer.appendChild(exportBtn);
+    weaponsPane.appendChild(exportBtn);
+
+    this.renderNetworkConditions(networkPane);
+    this.renderNetworkStatsSection(networkPane);
+    this.showTab('weapons');
 
     document.body.appendChild(this.container);
     
@@ -103,6 +138,36 @@ export class DebugUI {
     }
   }
 
+  /**
+   * Add a tab button and its (initially hidden) pane
+   * @returns {HTMLElement} The pane to fill
+   */
+  createTab(tabBar, name, label) {
+    const button = document.createElement('button');
+    button.id = `debug-tab-${name}`;
+    button.className = 'debug-tab';
+    button.innerText = label;
+    button.addEventListener('click', () => this.showTab(name));
+    tabBar.appendChild(button);
+
+    const pane = document.createElement('div');
+    pane.id = `debug-pane-${name}`;
+    pane.classList.add('hidden');
+    this.contentContainer.appendChild(pane);
+
+    this.tabs[name] = { button, pane };
+    return pane;
+  }
+
+  showTab(name) {
+    this.activeTab = name;
+    Object.entries(this.tabs).forEach(([tabName, { button, pane }]) => {
+      button.classList.toggle('active', tabName === name);
+      pane.classList.toggle('hidden', tabName !== name);
+    });
+    this.updateNetworkStatsRefresh();
+  }
+
   toggleMinimize() {
     this.isMinimized = !this.isMinimized;
     if (this.isMinimized) {
@@ -112,13 +177,16 @@ export class DebugUI {
       this.contentContainer.classList.remove('hidden');
       this.minimizeBtn.innerText = UI_TEXT.MINIMIZE;
     }
+    this.updateNetworkStatsRefresh();
   }
 
   toggle() {
     this.container.classList.toggle('hidden');
     if (!this.container.classList.contains('hidden')) {
       this.updatePauseButtonText();
+      this.refreshNetworkConditions();
     }
+    this.updateNetworkStatsRefresh();
   }
 
   updatePauseButtonText() {
@@ -208,7 +276,194 @@ export class DebugUI {
     }
   }
 
+  renderNetworkConditions(parent) {
+    const title = document.createElement('h4');
+    title.innerText = UI_TEXT.NETWORK_TITLE;
+    parent.appendChild(title);
+
+    const presetLabel = document.createElement('label');
+    presetLabel.innerText = UI_TEXT.NETWORK_PRESET_LABEL;
+    parent.appendChild(presetLabel);
+
+    this.networkPresetSelect = document.createElement('select');
+    this.networkPresetSelect.id = 'debug-network-preset';
+    [UI_TEXT.NETWORK_PRESET_OFF, ...Object.keys(CONFIG.NETWORK.CONDITION_SIMULATOR.PRESETS), UI_TEXT.NETWORK_PRESET_CUSTOM]
+      .forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.innerText = name;
+        this.networkPresetSelect.appendChild(option);
+      });
+    this.networkPresetSelect.addEventListener('change', (e) => this.applyNetworkPreset(e.target.value));
+    parent.appendChild(this.networkPresetSelect);
+
+    NETWORK_FIELDS.forEach(field => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'debug-field';
+
+      const label = document.createElement('label');
+      label.innerText = field.key + ': ';
+      wrapper.appendChild(label);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `debug-network-${field.key}`;
+      input.min = 0;
+      input.step = field.step;
+      input.value = 0;
+      input.addEventListener('input', (e) => this.updateNetworkCondition(field.key, parseFloat(e.target.value) || 0));
+      this.networkInputs[field.key] = input;
+
+      wrapper.appendChild(input);
+      parent.appendChild(wrapper);
+    });
+  }
+
+  renderNetworkStatsSection(parent) {
+    const title = document.createElement('h4');
+    title.innerText = UI_TEXT.NETWORK_STATS_TITLE;
+    parent.appendChild(title);
+
+    this.networkStatsContainer = document.createElement('div');
+    this.networkStatsContainer.id = 'debug-network-stats';
+    parent.appendChild(this.networkStatsContainer);
+  }
+
+  /**
+   * Redraw the stats every STATS.PANEL_REFRESH_MS, but only while someone can see them
+   */
+  updateNetworkStatsRefresh() {
+    const visible = !this.container.classList.contains('hidden') && !this.isMinimized && this.activeTab === 'network';
+    if (visible && !this.networkStatsInterval) {
+      this.renderNetworkStats();
+      this.networkStatsInterval = setInterval(() => this.renderNetworkStats(), CONFIG.NETWORK.STATS.PANEL_REFRESH_MS);
+    } else if (!visible && this.networkStatsInterval) {
+      clearInterval(this.networkStatsInterval);
+      this.networkStatsInterval = null;
+    }
+  }
+
+  /**
+   * Gather the numbers shown in the network tab from Network, ClockSync and SessionPlayersSnapshot,
+   * plus (host only) which players HostMovementValidator has flagged for suspicious movement
+   * @returns {Object|null} Null when not in a session
+   */
+  getNetworkStats() {
+    const network = this.game?.network;
+    if (!network?.stats) return null;
+
+    const snapshot = this.game.playersSnapshot;
+    const validator = this.game.hostMovementValidator;
+    const players = snapshot ? snapshot.getNetworkDiagnostics() : [];
+    return {
+      rttMs: network.isHost ? 0 : network.clockSync.getRtt(),
+      incoming: network.stats.getRates('in'),
+      outgoing: network.stats.getRates('out'),
+      rejected: { ...network.rejectedMessages },
+      failedSends: network.stats.failedSends,
+      refresh: snapshot ? { ...snapshot.refreshStats } : null,
+      // Null on clients, which do not validate movement
+      players: players.map(player => ({ ...player, flagged: validator ? validator.isFlagged(player.player_id) : null })),
+    };
+  }
+
+  renderNetworkStats() {
+    const container = this.networkStatsContainer;
+    container.innerHTML = '';
+
+    const stats = this.getNetworkStats();
+    if (!stats) {
+      container.textContent = UI_TEXT.NO_DATA;
+      return;
+    }
+
+    const ms = (value) => (value === null || value === undefined ? UI_TEXT.NO_DATA : `${Math.round(value)} ms`);
+    const rate = (value) => value.toFixed(1);
+    const kbPerSecond = (bytes) => `${(bytes / 1024).toFixed(1)} KB/s`;
+    const { incoming, outgoing, rejected, refresh } = stats;
+
+    this.appendStatsTable(container, null, [
+      ['RTT to host', ms(stats.rttMs)],
+      ['In', `${rate(incoming.messagesPerSecond)} msg/s, ${kbPerSecond(incoming.bytesPerSecond)}`],
+      ['Out', `${rate(outgoing.messagesPerSecond)} msg/s, ${kbPerSecond(outgoing.bytesPerSecond)}`],
+      ['Rejected', `${rejected.invalid} invalid, ${rejected.rateLimited} rate limited`],
+      ['Failed sends', String(stats.failedSends)],
+      ['Snapshot refresh', refresh && refresh.lastAt !== null
+        ? `${ms(refresh.lastDurationMs)}, ${ms(performance.now() - refresh.lastAt)} ago (${refresh.count} runs, ${refresh.failures} failed)`
+        : UI_TEXT.NO_DATA],
+    ]);
+
+    const types = [...new Set([...Object.keys(incoming.byType), ...Object.keys(outgoing.byType)])].sort();
+    this.appendStatsTable(container, ['Type', 'In/s', 'Out/s'], types.map(type => [
+      type,
+      rate(incoming.byType[type] ?? 0),
+      rate(outgoing.byType[type] ?? 0),
+    ]));
+
+    this.appendStatsTable(container, ['Player', 'Buffer', 'Last update', 'Jitter', 'Movement'], stats.players.map(player => [
+      player.player_name || player.player_id,
+      String(player.bufferDepth),
+      ms(player.msSinceUpdate),
+      ms(player.jitterMs),
+      player.flagged === null ? UI_TEXT.NO_DATA : (player.flagged ? UI_TEXT.MOVEMENT_FLAGGED : UI_TEXT.MOVEMENT_OK),
+    ]));
+  }
+
+  appendStatsTable(parent, headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'debug-stats-table';
+    if (headers) rows = [headers, ...rows];
+    rows.forEach((cells, index) => {
+      const row = table.insertRow();
+      cells.forEach(text => {
+        const cell = document.createElement(headers && index === 0 ? 'th' : 'td');
+        cell.textContent = text; // Player names come from other clients
+        row.appendChild(cell);
+      });
+    });
+    parent.appendChild(table);
+  }
+
+  getConditionSimulator() {
+    return this.game?.network?.conditionSimulator ?? null;
+  }
+
+  /**
+   * Show the simulator's current (outgoing) settings, e.g. ones set from the URL
+   */
+  refreshNetworkConditions() {
+    const simulator = this.getConditionSimulator();
+    if (!simulator) return;
+
+    const { outgoing } = simulator.getConditions();
+    NETWORK_FIELDS.forEach(({ key }) => {
+      this.networkInputs[key].value = outgoing[key];
+    });
+    if (!simulator.isEnabled()) {
+      this.networkPresetSelect.value = UI_TEXT.NETWORK_PRESET_OFF;
+    }
+  }
+
+  applyNetworkPreset(name) {
+    const simulator = this.getConditionSimulator();
+    if (!simulator || name === UI_TEXT.NETWORK_PRESET_CUSTOM) return;
+
+    simulator.configure(name === UI_TEXT.NETWORK_PRESET_OFF ? null : name);
+    this.refreshNetworkConditions();
+  }
+
+  updateNetworkCondition(field, value) {
+    const simulator = this.getConditionSimulator();
+    if (!simulator) return;
+
+    const { outgoing } = simulator.getConditions();
+    simulator.configure({ ...outgoing, [field]: value });
+    this.networkPresetSelect.value = UI_TEXT.NETWORK_PRESET_CUSTOM;
+  }
+
   destroy() {
+    clearInterval(this.networkStatsInterval);
+    this.networkStatsInterval = null;
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }
@@ -164,6 +164,134 @@ describe('DebugUI', () => {
     expect(pauseBtn.innerText).toBe('Pause Simulation');
   });
 
+  describe('network conditions', () => {
+    let simulator;
+
+    beforeEach(async () => {
+      const { NetworkConditionSimulator } = await import('./NetworkConditionSimulator.js');
+      simulator = new NetworkConditionSimulator();
+      mockGame.network = { conditionSimulator: simulator };
+    });
+
+    test('selecting a preset should configure the network simulator', () => {
+      const presetSelect = container.querySelector('#debug-network-preset');
+
+      presetSelect.value = '3g';
+      presetSelect.dispatchEvent(new Event('change'));
+
+      expect(simulator.getConditions().outgoing.latencyMs).toBe(CONFIG.NETWORK.CONDITION_SIMULATOR.PRESETS['3g'].latencyMs);
+      expect(container.querySelector('#debug-network-latencyMs').value).toBe(String(CONFIG.NETWORK.CONDITION_SIMULATOR.PRESETS['3g'].latencyMs));
+
+      presetSelect.value = 'off';
+      presetSelect.dispatchEvent(new Event('change'));
+      expect(simulator.isEnabled()).toBe(false);
+    });
+
+    test('editing a field should apply it to both directions', () => {
+      const lossInput = container.querySelector('#debug-network-dropRate');
+
+      lossInput.value = '0.2';
+      lossInput.dispatchEvent(new Event('input'));
+
+      const { outgoing, incoming } = simulator.getConditions();
+      expect(outgoing.dropRate).toBe(0.2);
+      expect(incoming.dropRate).toBe(0.2);
+      expect(container.querySelector('#debug-network-preset').value).toBe('custom');
+    });
+
+    test('opening the overlay should show conditions set elsewhere', () => {
+      simulator.configure({ latencyMs: 250 });
+
+      debugUI.toggle();
+
+      expect(container.querySelector('#debug-network-latencyMs').value).toBe('250');
+    });
+  });
+
+  describe('network stats', () => {
+    beforeEach(async () => {
+      const { NetworkStats } = await import('./NetworkStats.js');
+      const stats = new NetworkStats();
+      stats.recordIncoming({ type: 'player_state_update', data: [] });
+      stats.recordOutgoing({ type: 'heartbeat' });
+      stats.recordFailedSend();
+
+      mockGame.network = {
+        isHost: false,
+        stats,
+        rejectedMessages: { invalid: 2, rateLimited: 1 },
+        clockSync: { getRtt: () => 84 },
+      };
+      mockGame.playersSnapshot = {
+        refreshStats: { count: 3, failures: 0, lastAt: performance.now() - 2000, lastDurationMs: 35 },
+        getNetworkDiagnostics: () => [
+          { player_id: 'p2', player_name: '<b>Bob</b>', bufferDepth: 4, msSinceUpdate: 120, jitterMs: 12, interpolationDelayMs: 124 },
+        ],
+      };
+    });
+
+    afterEach(() => {
+      debugUI.destroy();
+    });
+
+    test('should start on the weapons tab', () => {
+      expect(container.querySelector('#debug-pane-weapons').classList.contains('hidden')).toBe(false);
+      expect(container.querySelector('#debug-pane-network').classList.contains('hidden')).toBe(true);
+    });
+
+    test('opening the network tab should show the counters', () => {
+      debugUI.toggle();
+      container.querySelector('#debug-tab-network').click();
+
+      const text = container.querySelector('#debug-network-stats').textContent;
+      expect(text).toContain('84 ms');
+      expect(text).toContain('2 invalid, 1 rate limited');
+      expect(text).toContain('player_state_update');
+      expect(text).toContain('<b>Bob</b>'); // Names are shown as text, not markup
+      expect(text).toContain('120 ms');
+    });
+
+    test('should show players the host flagged for suspicious movement', () => {
+      mockGame.network.isHost = true;
+      mockGame.hostMovementValidator = { isFlagged: (playerId) => playerId === 'p2' };
+      debugUI.toggle();
+      container.querySelector('#debug-tab-network').click();
+
+      const cells = [...container.querySelectorAll('#debug-network-stats td')].map(cell => cell.textContent);
+      expect(cells).toContain('flagged');
+    });
+
+    test('should not claim to know about movement on clients', () => {
+      expect(debugUI.getNetworkStats().players[0].flagged).toBeNull();
+    });
+
+    test('should only redraw while the network tab is on screen', () => {
+      jest.useFakeTimers();
+      try {
+        debugUI.toggle();
+        container.querySelector('#debug-tab-network').click();
+        const render = jest.spyOn(debugUI, 'renderNetworkStats');
+
+        jest.advanceTimersByTime(CONFIG.NETWORK.STATS.PANEL_REFRESH_MS);
+        expect(render).toHaveBeenCalledTimes(1);
+
+        container.querySelector('#debug-tab-weapons').click();
+        jest.advanceTimersByTime(CONFIG.NETWORK.STATS.PANEL_REFRESH_MS * 3);
+        expect(render).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should show a placeholder outside a session', () => {
+      mockGame.network = null;
+      debugUI.toggle();
+      container.querySelector('#debug-tab-network').click();
+
+      expect(container.querySelector('#debug-network-stats').textContent).toBe('-');
+    });
+  });
+
   test('destroy() should remove the container from DOM', () => {
     expect(document.getElementById('debug-ui-overlay')).not.toBeNull();
     debugUI.destroy();
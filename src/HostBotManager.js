@@ -12,14 +12,19 @@ export class HostBotManager {
   }
 
   #setupListeners() {
-    this.network.on('postgres_changes', (payload) => {
+    this.postgresChangesHandler = (payload) => {
       if (payload.table === 'session_players' && payload.eventType === 'INSERT') {
         const newPlayer = payload.new;
         if (newPlayer.is_bot) {
           this.addBot(newPlayer.player_id);
         }
       }
-    });
+    };
+    this.network.on('postgres_changes', this.postgresChangesHandler);
+  }
+
+  destroy() {
+    this.network.off('postgres_changes', this.postgresChangesHandler);
   }
 
   initExistingBots() {
@@ -6,12 +6,15 @@ export class HostCombatManager {
     this.state = state; // Shared game state (conflict zone, etc.)
     this.healthUpdateAccumulator = 0;
     this.playerCooldowns = new Map(); // Track cooldowns independently of snapshot
+    this.positionHistory = new Map(); // player_id -> [{ time, x, y }], oldest first, for lag compensation
     this.isEnding = false;
   }
 
   update(deltaTime, playersSnapshot) {
     if (!this.network?.isHost || !playersSnapshot || this.isEnding) return;
 
+    this.recordPositions(playersSnapshot);
+
     // Accumulate time since last update
     this.healthUpdateAccumulator += deltaTime;
 
@@ -24,9 +27,9 @@ export class HostCombatManager {
     const updates = [];
     const players = playersSnapshot.getPlayers();
 
-    // Calculate damage per second based on phase
-    const damagePerSecond = CONFIG.ZONE.DAMAGE_PER_SECOND +
-      (CONFIG.ZONE.DAMAGE_INCREASE_PER_PHASE * this.state.phase);
+    // Damage per second comes from the current zone phase
+    const damagePerSecond = this.state.conflictZone.damagePerSecond ??
+      CONFIG.ZONE.PHASES[Math.min(this.state.phase, CONFIG.ZONE.PHASES.length - 1)].damagePerSecond;
     
     // Apply damage for the accumulated time
     const damageAmount = damagePerSecond * this.healthUpdateAccumulator;
@@ -118,11 +121,15 @@ export class HostCombatManager {
         effectiveRange += CONFIG.WEAPON_ABILITIES.LUNGE_RANGE_EXTENSION;
     }
 
+    // Judge the hit against where victims were on the attacker's screen
+    const perceivedTime = this.#getPerceivedTime(message, attacker, now);
+
     const updates = [];
     for (const [victimId, victim] of players) {
       if (victimId === attackerId || victim.is_alive === false || victim.health <= 0) continue;
 
-      if (this.#isTargetInAttackArc(attacker, victim, aimAngle, arc, effectiveRange)) {
+      const victimPosition = this.getPositionAt(victimId, perceivedTime, victim);
+      if (this.#isTargetInAttackArc(attacker, victimPosition, aimAngle, arc, effectiveRange)) {
         const damage = this.#calculateDamage(attacker, victim, weaponConfig, is_special);
         const newHealth = Math.max(0, victim.health - damage);
 
@@ -177,16 +184,7 @@ export class HostCombatManager {
     if (!this.state.isRunning || this.isEnding) return;
 
     const players = playersSnapshot.getPlayers();
-    
-    // Filter out inactive players:
-    // 1. Must not be explicitly disconnected
-    // 2. Must be alive (is_alive !== false)
-    // 3. Must have > 0 health (undefined defaults to 100)
-    const activePlayers = Array.from(players.values()).filter(p => {
-      if (p.is_connected === false) return false;
-      if (p.is_alive === false) return false;
-      return (p.health ?? 100) > 0;
-    });
+    const activePlayers = this.getActivePlayers(playersSnapshot);
 
     if (CONFIG.DEBUG_COMBAT) {
       console.log(`[HostCombatManager] Active players: ${activePlayers.length}`, 
@@ -217,6 +215,17 @@ export class HostCombatManager {
     }
   }
 
+  /**
+   * Players still in the fight: connected, alive and with health left (undefined health counts as 100)
+   */
+  getActivePlayers(playersSnapshot) {
+    return Array.from(playersSnapshot.getPlayers().values()).filter(p => {
+      if (p.is_connected === false) return false;
+      if (p.is_alive === false) return false;
+      return (p.health ?? 100) > 0;
+    });
+  }
+
   #calculateAttackArc(weaponConfig, isSpecial) {
     if (isSpecial && (weaponConfig.id === 'greataxe' || weaponConfig.id === 'battleaxe')) {
       return CONFIG.COMBAT.DEFAULT_SPIN_ARC;
@@ -227,9 +236,72 @@ export class HostCombatManager {
     return CONFIG.COMBAT.DEFAULT_THRUST_ARC;
   }
 
-  #isTargetInAttackArc(attacker, victim, aimAngle, arc, range) {
-    const dx = victim.position_x - attacker.position_x;
-    const dy = victim.position_y - attacker.position_y;
+  /**
+   * Remember where every player is now, so attacks can be checked against past positions
+   */
+  recordPositions(playersSnapshot) {
+    const now = Date.now();
+    const cutoff = now - CONFIG.NETWORK.MAX_REWIND_MS;
+    const players = playersSnapshot.getPlayers();
+
+    for (const [playerId, player] of players) {
+      let history = this.positionHistory.get(playerId);
+      if (!history) {
+        history = [];
+        this.positionHistory.set(playerId, history);
+      }
+      history.push({ time: now, x: player.position_x, y: player.position_y });
+
+      // Keep one sample older than the rewind window so the oldest rewind can still interpolate
+      while (history.length > 1 && history[1].time <= cutoff) {
+        history.shift();
+      }
+    }
+
+    for (const playerId of this.positionHistory.keys()) {
+      if (!players.has(playerId)) this.positionHistory.delete(playerId);
+    }
+  }
+
+  /**
+   * Position of a player at a past host time, interpolated from recorded history.
+   * Falls back to the player's current position when there is no history for that time.
+   */
+  getPositionAt(playerId, time, player) {
+    const current = { x: player.position_x, y: player.position_y };
+    const history = this.positionHistory.get(playerId);
+    if (!history || history.length === 0 || time >= history[history.length - 1].time) return current;
+    if (time <= history[0].time) return { x: history[0].x, y: history[0].y };
+
+    for (let i = history.length - 1; i > 0; i--) {
+      const p1 = history[i - 1];
+      const p2 = history[i];
+      if (p1.time <= time) {
+        const t = p2.time > p1.time ? (time - p1.time) / (p2.time - p1.time) : 0;
+        return { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Host time the attacker was looking at: when they sent the attack, minus the
+   * interpolation delay they rendered remote players with (adaptive, so reported in the
+   * request; older clients get the base delay). Clamped to MAX_REWIND_MS.
+   */
+  #getPerceivedTime(message, attacker, now) {
+    // Bots act on the live snapshot; requests without a timestamp can't be rewound
+    if (attacker.is_bot || !message.timestamp) return now;
+
+    const reportedDelay = message.data?.interpolation_delay_ms ?? CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+    const interpolationDelay = Math.min(Math.max(0, reportedDelay), CONFIG.NETWORK.MAX_REWIND_MS);
+    const perceivedTime = message.timestamp - interpolationDelay;
+    return Math.min(now, Math.max(now - CONFIG.NETWORK.MAX_REWIND_MS, perceivedTime));
+  }
+
+  #isTargetInAttackArc(attacker, victimPosition, aimAngle, arc, range) {
+    const dx = victimPosition.x - attacker.position_x;
+    const dy = victimPosition.y - attacker.position_y;
     const distance = Math.sqrt(dx * dx + dy * dy);
 
     if (distance > range + CONFIG.COMBAT.PLAYER_HITBOX_RADIUS) {
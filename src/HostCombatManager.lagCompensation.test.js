@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { HostCombatManager } from './HostCombatManager.js';
+import { CONFIG } from './config.js';
+
+describe('HostCombatManager Lag Compensation', () => {
+  let manager;
+  let mockNetwork;
+  let mockSnapshot;
+  let attacker;
+  let victim;
+
+  const T0 = 100000;
+  const INTERPOLATION_DELAY = CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+
+  // Record the victim at x at the given host time
+  const recordVictimAt = (time, x) => {
+    jest.setSystemTime(time);
+    victim.position_x = x;
+    manager.recordPositions(mockSnapshot);
+  };
+
+  const attack = (timestamp, interpolationDelay) => {
+    manager.handleAttackRequest({
+      from: attacker.player_id,
+      timestamp,
+      data: { aim_x: 50, aim_y: 0, is_special: false, interpolation_delay_ms: interpolationDelay },
+    }, mockSnapshot);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockNetwork = {
+      isHost: true,
+      broadcastPlayerStateUpdate: jest.fn(),
+      send: jest.fn(),
+    };
+    attacker = { player_id: 'attacker', position_x: 0, position_y: 0, health: 100, equipped_weapon: 'fist' };
+    victim = { player_id: 'victim', position_x: 50, position_y: 0, health: 100 };
+    mockSnapshot = {
+      getPlayers: jest.fn(() => new Map([['attacker', attacker], ['victim', victim]])),
+    };
+    manager = new HostCombatManager(mockNetwork, {
+      conflictZone: { centerX: 0, centerY: 0, radius: 1000 },
+      phase: 0,
+      isRunning: true,
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('WhenVictimMovedAwayAfterAttackerSawThem_ShouldStillHit', () => {
+    recordVictimAt(T0, 50);
+    recordVictimAt(T0 + 100, 50);
+    recordVictimAt(T0 + 200, 400); // Out of fist range now
+
+    // Sent at T0 + 150: on screen the victim was drawn as of T0 + 50
+    attack(T0 + 50 + INTERPOLATION_DELAY);
+
+    expect(victim.health).toBeLessThan(100);
+  });
+
+  test('WhenVictimWasOutOfRangeAtPerceivedTime_ShouldMiss', () => {
+    recordVictimAt(T0, 400);
+    recordVictimAt(T0 + 100, 400);
+    recordVictimAt(T0 + 200, 50); // Walked into range after the attacker saw them
+
+    attack(T0 + 50 + INTERPOLATION_DELAY);
+
+    expect(victim.health).toBe(100);
+  });
+
+  test('WhenAttackerReportsLongerInterpolationDelay_ShouldRewindByIt', () => {
+    recordVictimAt(T0, 50);
+    recordVictimAt(T0 + 100, 400);
+    recordVictimAt(T0 + 300, 400);
+
+    // Jittery connection: the attacker drew the victim 250ms behind, so at T0 they were in range
+    attack(T0 + 250, 250);
+    expect(victim.health).toBeLessThan(100);
+  });
+
+  test('WhenAttackerReportsLongerInterpolationDelay_ShouldNotUseTheDefaultDelay', () => {
+    recordVictimAt(T0, 400);
+    recordVictimAt(T0 + 100, 50);
+    recordVictimAt(T0 + 300, 50);
+
+    // With the default delay the victim would be in range at T0 + 150; the attacker saw T0
+    attack(T0 + 250, 250);
+    expect(victim.health).toBe(100);
+  });
+
+  test('WhenReportedDelayExceedsMaxRewind_ShouldClampIt', () => {
+    recordVictimAt(T0, 50);
+    recordVictimAt(T0 + 100, 400);
+    recordVictimAt(T0 + 1000, 400);
+
+    // Claims a huge delay to reach back to T0; the rewind stops at MAX_REWIND_MS before the send
+    attack(T0 + 1000, 10_000);
+    expect(victim.health).toBe(100);
+  });
+
+  test('WhenPerceivedTimeIsTooOld_ShouldClampRewind', () => {
+    recordVictimAt(T0, 50);
+    recordVictimAt(T0 + 100, 400);
+    recordVictimAt(T0 + 500, 400);
+
+    // Claims to have seen the victim at T0; rewind is capped at MAX_REWIND_MS before now
+    attack(T0 + INTERPOLATION_DELAY);
+
+    expect(CONFIG.NETWORK.MAX_REWIND_MS).toBeLessThan(400);
+    expect(victim.health).toBe(100);
+  });
+
+  test('WhenAttackerIsBot_ShouldUseCurrentPositions', () => {
+    attacker.is_bot = true;
+    recordVictimAt(T0, 50);
+    recordVictimAt(T0 + 100, 400);
+
+    attack(T0 + INTERPOLATION_DELAY);
+
+    expect(victim.health).toBe(100);
+  });
+
+  test('WhenInterpolatingHistory_ShouldBlendBetweenSamples', () => {
+    recordVictimAt(T0, 0);
+    recordVictimAt(T0 + 100, 100);
+
+    expect(manager.getPositionAt('victim', T0 + 25, victim)).toEqual({ x: 25, y: 0 });
+    expect(manager.getPositionAt('victim', T0 + 1000, victim)).toEqual({ x: 100, y: 0 });
+  });
+
+  test('WhenPlayerLeaves_ShouldDropTheirHistory', () => {
+    recordVictimAt(T0, 50);
+    mockSnapshot.getPlayers.mockReturnValue(new Map([['attacker', attacker]]));
+
+    manager.recordPositions(mockSnapshot);
+
+    expect(manager.positionHistory.has('victim')).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Tracks client heartbeats on the host and maintains `is_connected`.
+ * A player whose heartbeat goes stale is marked disconnected (avatar frozen, excluded from
+ * the win check); the next heartbeat from them marks them connected again.
+ */
+export class HostConnectionManager {
+  constructor(network, playersSnapshot, combatManager) {
+    this.network = network;
+    this.playersSnapshot = playersSnapshot;
+    this.combatManager = combatManager;
+    this.lastHeartbeats = new Map(); // player_id -> Date.now() of last heartbeat
+
+    this.#setupListeners();
+  }
+
+  #setupListeners() {
+    if (!this.network) return;
+
+    this.heartbeatHandler = (message) => this.handleHeartbeat(message);
+    this.network.on('heartbeat', this.heartbeatHandler);
+  }
+
+  destroy() {
+    this.network?.off('heartbeat', this.heartbeatHandler);
+  }
+
+  handleHeartbeat(message) {
+    if (!this.network?.isHost) return;
+
+    const playerId = message.from;
+    this.lastHeartbeats.set(playerId, Date.now());
+
+    const player = this.playersSnapshot?.getPlayers().get(playerId);
+    if (player && player.is_connected === false) {
+      this.#setConnected(playerId, player, true);
+    }
+  }
+
+  update() {
+    if (!this.network?.isHost || !this.playersSnapshot) return;
+
+    const now = Date.now();
+    for (const [playerId, player] of this.playersSnapshot.getPlayers()) {
+      if (playerId === this.network.playerId || player.is_bot || player.is_connected === false) continue;
+
+      const lastHeartbeat = this.lastHeartbeats.get(playerId);
+      if (lastHeartbeat === undefined) {
+        // First time we see this player: give them a full timeout to send one
+        this.lastHeartbeats.set(playerId, now);
+        continue;
+      }
+
+      if (now - lastHeartbeat > CONFIG.NETWORK.HEARTBEAT_TIMEOUT_MS) {
+        this.#setConnected(playerId, player, false);
+      }
+    }
+  }
+
+  #setConnected(playerId, player, isConnected) {
+    player.is_connected = isConnected;
+
+    const update = { player_id: playerId, is_connected: isConnected };
+    if (!isConnected) {
+      // Freeze the avatar where it was last seen
+      update.velocity_x = 0;
+      update.velocity_y = 0;
+    }
+
+    this.network.broadcastPlayerStateUpdate([update]);
+    this.network.writePlayerStateToDB(playerId, {
+      is_connected: isConnected,
+      last_heartbeat: new Date(this.lastHeartbeats.get(playerId)).toISOString(),
+    }).catch(err => console.error('Host: connection state DB update failed', err));
+
+    if (!isConnected) {
+      // A player who dropped out can no longer hold the match open
+      this.combatManager?.checkForWinCondition(this.playersSnapshot);
+    }
+  }
+}
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import { HostConnectionManager } from './HostConnectionManager.js';
+import { CONFIG } from './config.js';
+
+describe('HostConnectionManager', () => {
+  let manager;
+  let mockNetwork;
+  let mockSnapshot;
+  let mockCombatManager;
+  let players;
+
+  const T0 = 1_000_000;
+  const TIMEOUT = CONFIG.NETWORK.HEARTBEAT_TIMEOUT_MS;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+
+    mockNetwork = {
+      isHost: true,
+      playerId: 'host',
+      on: jest.fn(),
+      broadcastPlayerStateUpdate: jest.fn(),
+      writePlayerStateToDB: jest.fn().mockResolvedValue(),
+    };
+    players = new Map([
+      ['host', { player_id: 'host' }],
+      ['p1', { player_id: 'p1' }],
+      ['bot-1', { player_id: 'bot-1', is_bot: true }],
+    ]);
+    mockSnapshot = {
+      getPlayers: jest.fn(() => players),
+    };
+    mockCombatManager = {
+      checkForWinCondition: jest.fn(),
+    };
+    manager = new HostConnectionManager(mockNetwork, mockSnapshot, mockCombatManager);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('WhenConstructed_ShouldListenForHeartbeats', () => {
+    expect(mockNetwork.on).toHaveBeenCalledWith('heartbeat', expect.any(Function));
+  });
+
+  test('WhenHeartbeatsKeepArriving_ShouldNotMarkDisconnected', () => {
+    manager.update();
+    jest.setSystemTime(T0 + TIMEOUT);
+    manager.handleHeartbeat({ from: 'p1' });
+    jest.setSystemTime(T0 + TIMEOUT * 1.5);
+    manager.update();
+
+    expect(players.get('p1').is_connected).toBeUndefined();
+    expect(mockNetwork.broadcastPlayerStateUpdate).not.toHaveBeenCalled();
+  });
+
+  test('WhenHeartbeatGoesStale_ShouldMarkDisconnectedFreezeAndRecheckWin', () => {
+    manager.handleHeartbeat({ from: 'p1' });
+    jest.setSystemTime(T0 + TIMEOUT + 1);
+
+    manager.update();
+
+    expect(players.get('p1').is_connected).toBe(false);
+    expect(mockNetwork.broadcastPlayerStateUpdate).toHaveBeenCalledWith([
+      { player_id: 'p1', is_connected: false, velocity_x: 0, velocity_y: 0 },
+    ]);
+    expect(mockNetwork.writePlayerStateToDB).toHaveBeenCalledWith('p1', {
+      is_connected: false,
+      last_heartbeat: new Date(T0).toISOString(),
+    });
+    expect(mockCombatManager.checkForWinCondition).toHaveBeenCalledWith(mockSnapshot);
+  });
+
+  test('WhenPlayerNeverSentHeartbeat_ShouldGetFullTimeoutFromFirstSighting', () => {
+    manager.update();
+    jest.setSystemTime(T0 + TIMEOUT - 1);
+    manager.update();
+    expect(players.get('p1').is_connected).toBeUndefined();
+
+    jest.setSystemTime(T0 + TIMEOUT + 1);
+    manager.update();
+    expect(players.get('p1').is_connected).toBe(false);
+  });
+
+  test('ShouldIgnoreHostAndBots', () => {
+    manager.update();
+    jest.setSystemTime(T0 + TIMEOUT * 10);
+    manager.handleHeartbeat({ from: 'p1' });
+    manager.update();
+
+    expect(players.get('host').is_connected).toBeUndefined();
+    expect(players.get('bot-1').is_connected).toBeUndefined();
+  });
+
+  test('WhenDisconnectedPlayerSendsHeartbeat_ShouldMarkConnectedAgain', () => {
+    players.get('p1').is_connected = false;
+
+    manager.handleHeartbeat({ from: 'p1' });
+
+    expect(players.get('p1').is_connected).toBe(true);
+    expect(mockNetwork.broadcastPlayerStateUpdate).toHaveBeenCalledWith([
+      { player_id: 'p1', is_connected: true },
+    ]);
+    expect(mockNetwork.writePlayerStateToDB).toHaveBeenCalledWith('p1', expect.objectContaining({ is_connected: true }));
+    expect(mockCombatManager.checkForWinCondition).not.toHaveBeenCalled();
+  });
+
+  test('WhenNotHost_ShouldDoNothing', () => {
+    mockNetwork.isHost = false;
+    manager.update();
+    jest.setSystemTime(T0 + TIMEOUT * 10);
+    manager.update();
+
+    expect(mockNetwork.broadcastPlayerStateUpdate).not.toHaveBeenCalled();
+  });
+});
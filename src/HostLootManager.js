@@ -1,25 +1,42 @@
 import { CONFIG } from './config.js';
+import { getLootWeaponIds } from './MatchSettings.js';
 
 export class HostLootManager {
   constructor(network, state) {
     this.network = network;
     this.state = state; // Shared game state
-    this.nextLootId = 1; // Counter for unique loot IDs
+    this.nextLootId = this.#nextIdAfter(state.loot); // Counter for unique loot IDs
 
     this.#setupListeners();
   }
 
+  /**
+   * Continue numbering after loot that already exists (e.g. spawned by a previous host)
+   */
+  #nextIdAfter(loot = []) {
+    const maxId = loot.reduce((max, item) => {
+      const match = /^loot-(\d+)$/.exec(item.id);
+      return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+    return maxId + 1;
+  }
+
   #setupListeners() {
     if (!this.network) return;
 
-    this.network.on('postgres_changes', (payload) => {
+    this.postgresChangesHandler = (payload) => {
       if (payload.table === 'session_players' && payload.eventType === 'INSERT') {
         const newPlayerId = payload.new.player_id;
         if (newPlayerId !== this.network.playerId) {
           this.syncLootToPlayer(newPlayerId);
         }
       }
-    });
+    };
+    this.network.on('postgres_changes', this.postgresChangesHandler);
+  }
+
+  destroy() {
+    this.network?.off('postgres_changes', this.postgresChangesHandler);
   }
 
   spawnLoot(itemId, x, y, type = 'weapon', broadcast = true) {
@@ -44,7 +61,10 @@ export class HostLootManager {
   spawnRandomLoot(count) {
     if (!this.network?.isHost) return;
 
-    const weaponTypes = Object.values(CONFIG.WEAPONS).filter(w => w.id !== 'fist');
+    // Only the weapons the host allowed for this match
+    const allowedWeapons = this.state.settings?.allowed_weapons ?? getLootWeaponIds();
+    const weaponTypes = Object.values(CONFIG.WEAPONS).filter(w => allowedWeapons.includes(w.id));
+    if (weaponTypes.length === 0) return; // Fists only
 
     for (let i = 0; i < count; i++) {
       const randomWeapon = weaponTypes[Math.floor(Math.random() * weaponTypes.length)];
@@ -164,4 +164,34 @@ describe('HostLootManager', () => {
       expect(item.item_id).not.toBe('fist');
     });
   });
+
+  test('WhenMatchSettingsAllowSomeWeapons_ShouldOnlySpawnThose', () => {
+    state.settings = { allowed_weapons: ['spear'] };
+
+    lootManager.spawnRandomLoot(5);
+
+    expect(state.loot.map(item => item.item_id)).toEqual(Array(5).fill('spear'));
+  });
+
+  test('WhenMatchSettingsAllowNoWeapons_ShouldSpawnNothing', () => {
+    state.settings = { allowed_weapons: [] };
+
+    lootManager.spawnRandomLoot(5);
+
+    expect(state.loot).toHaveLength(0);
+    expect(mockNetwork.send).not.toHaveBeenCalled();
+  });
+
+  test('WhenCreatedWithExistingLoot_ShouldContinueIdNumbering', () => {
+    // Loot spawned by a previous host (host migration)
+    state.loot = [
+      { id: 'loot-3', type: 'weapon', item_id: 'spear', x: 0, y: 0 },
+      { id: 'loot-7', type: 'weapon', item_id: 'axe', x: 0, y: 0 },
+    ];
+    lootManager = new HostLootManager(mockNetwork, state);
+
+    const item = lootManager.spawnLoot('spear', 10, 10);
+
+    expect(item.id).toBe('loot-8');
+  });
 });
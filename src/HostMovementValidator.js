@@ -0,0 +1,150 @@
+import { CONFIG } from './config.js';
+import { resolveCollisionX, resolveCollisionY } from './physicsHelper.js';
+
+/**
+ * Host-side sanity checks for client-authoritative movement.
+ *
+ * SessionPlayersSnapshot asks the validator before applying a position a client reports for
+ * itself. A move is rejected if it leaves the world, ends inside a prop, or covers more
+ * distance than the player could have moved since their last accepted update. Rejected moves
+ * are answered with a correction back to the last accepted position; players who keep
+ * failing are flagged as suspicious.
+ */
+export class HostMovementValidator {
+  constructor(network, playersSnapshot) {
+    this.network = network;
+    this.playersSnapshot = playersSnapshot;
+    this.lastAccepted = new Map(); // player_id -> { x, y, time }
+    this.lungeUntil = new Map(); // player_id -> Date.now() until which lunge speed is allowed
+    this.violations = new Map(); // player_id -> [Date.now() of each recent violation]
+    this.flaggedPlayers = new Set();
+
+    this.#setupListeners();
+  }
+
+  #setupListeners() {
+    if (!this.network) return;
+
+    this.attackRequestHandler = (message) => this.handleAttackRequest(message);
+    this.network.on('attack_request', this.attackRequestHandler);
+  }
+
+  destroy() {
+    this.network?.off('attack_request', this.attackRequestHandler);
+  }
+
+  /**
+   * Lunges legitimately move a player faster than their walking speed for a moment
+   */
+  handleAttackRequest(message) {
+    if (!message.data?.is_special) return;
+
+    const player = this.playersSnapshot?.getPlayers().get(message.from);
+    const weaponConfig = this.#getWeaponConfig(player?.equipped_weapon);
+    if (weaponConfig.specialAbility !== 'lunge') return;
+
+    // Allow for the lunge itself plus the updates that report it arriving late
+    const windowMs = CONFIG.WEAPON_ABILITIES.LUNGE_DURATION * 1000 + CONFIG.NETWORK.MOVEMENT_VALIDATION.LUNGE_GRACE_MS;
+    this.lungeUntil.set(message.from, Date.now() + windowMs);
+  }
+
+  /**
+   * @param {Object} player - Snapshot entry of the moving player (still at its previous position)
+   * @param {Object} payload - The player's self-reported state update
+   * @param {number} [sentAt] - The message timestamp (sender's host-synced clock)
+   * @returns {boolean} True if the move may be applied
+   */
+  validateMovement(player, payload, sentAt) {
+    if (!this.network?.isHost) return true;
+
+    const playerId = player.player_id;
+    const now = Date.now();
+    const x = payload.position_x ?? player.position_x;
+    const y = payload.position_y ?? player.position_y;
+
+    const accepted = this.lastAccepted.get(playerId);
+    const movedAt = this.#getMoveTime(sentAt, now, accepted?.time);
+    // Until we have accepted a move, measure from where the snapshot has them right now
+    const last = accepted ?? { x: player.position_x, y: player.position_y, time: movedAt };
+    const reason = this.#findViolation(playerId, player, last, x, y, movedAt, now);
+
+    if (!reason) {
+      this.lastAccepted.set(playerId, { x, y, time: movedAt });
+      return true;
+    }
+
+    this.#reject(playerId, last, reason, now);
+    return false;
+  }
+
+  /**
+   * @returns {boolean} Whether the player has repeatedly sent invalid movement
+   */
+  isFlagged(playerId) {
+    return this.flaggedPlayers.has(playerId);
+  }
+
+  /**
+   * When the move happened. Jitter bunches updates up on arrival, so the sender's timestamp is
+   * used rather than the arrival time; it is clamped so a forged clock cannot buy extra distance.
+   */
+  #getMoveTime(sentAt, now, lastTime) {
+    const earliest = now - CONFIG.NETWORK.MOVEMENT_VALIDATION.MAX_TIMESTAMP_AGE_MS;
+    const time = Number.isFinite(sentAt) ? Math.min(Math.max(sentAt, earliest), now) : now;
+    return Math.max(time, lastTime ?? time); // Reordered updates get no extra time
+  }
+
+  #findViolation(playerId, player, last, x, y, movedAt, now) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return 'invalid';
+
+    if (x < 0 || x > CONFIG.WORLD.WIDTH || y < 0 || y > CONFIG.WORLD.HEIGHT) return 'out_of_bounds';
+
+    const hitboxRadius = CONFIG.PLAYER.HITBOX_RADIUS;
+    if (resolveCollisionX(x, y, hitboxRadius) !== x || resolveCollisionY(x, y, hitboxRadius) !== y) {
+      return 'collision';
+    }
+
+    const { SPEED_TOLERANCE, DISTANCE_SLACK } = CONFIG.NETWORK.MOVEMENT_VALIDATION;
+    const elapsedSeconds = (movedAt - last.time) / 1000;
+    const maxDistance = this.#getMaxSpeed(playerId, player, now) * elapsedSeconds * SPEED_TOLERANCE + DISTANCE_SLACK;
+    const distance = Math.hypot(x - last.x, y - last.y);
+
+    return distance > maxDistance ? 'too_fast' : null;
+  }
+
+  #getMaxSpeed(playerId, player, now) {
+    const weaponConfig = this.#getWeaponConfig(player.equipped_weapon);
+    const stanceModifier = weaponConfig.stance === 'double' ? CONFIG.PLAYER.DOUBLE_HANDED_SPEED_MODIFIER : 1;
+    const walkSpeed = CONFIG.PLAYER.BASE_MOVEMENT_SPEED * stanceModifier;
+
+    if (now <= (this.lungeUntil.get(playerId) ?? 0)) {
+      return Math.max(walkSpeed, CONFIG.PLAYER.BASE_MOVEMENT_SPEED * CONFIG.WEAPON_ABILITIES.LUNGE_SPEED_MULTIPLIER);
+    }
+    return walkSpeed;
+  }
+
+  #getWeaponConfig(weaponId) {
+    return Object.values(CONFIG.WEAPONS).find(w => w.id === weaponId) || CONFIG.WEAPONS.FIST;
+  }
+
+  #reject(playerId, last, reason, now) {
+    // Put everyone (including the offender) back on the last accepted position
+    this.network.broadcastPlayerStateUpdate([{
+      player_id: playerId,
+      position_x: last.x,
+      position_y: last.y,
+      velocity_x: 0,
+      velocity_y: 0,
+    }]);
+
+    const { SUSPICIOUS_VIOLATIONS, VIOLATION_WINDOW_MS } = CONFIG.NETWORK.MOVEMENT_VALIDATION;
+    const recent = (this.violations.get(playerId) || []).filter(time => now - time < VIOLATION_WINDOW_MS);
+    recent.push(now);
+    this.violations.set(playerId, recent);
+
+    if (recent.length >= SUSPICIOUS_VIOLATIONS && !this.flaggedPlayers.has(playerId)) {
+      this.flaggedPlayers.add(playerId);
+      console.warn(`Host: flagging ${playerId} for suspicious movement (last violation: ${reason})`);
+    }
+  }
+}
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { HostMovementValidator } from './HostMovementValidator.js';
+import { CONFIG } from './config.js';
+
+describe('HostMovementValidator', () => {
+  let validator;
+  let mockNetwork;
+  let mockSnapshot;
+  let player;
+
+  const T0 = 1_000_000;
+  const SPEED = CONFIG.PLAYER.BASE_MOVEMENT_SPEED;
+  const { DISTANCE_SLACK, SUSPICIOUS_VIOLATIONS } = CONFIG.NETWORK.MOVEMENT_VALIDATION;
+
+  // Report a move; applies it to the snapshot entry when accepted, like SessionPlayersSnapshot does
+  const move = (x, y, atTime, sentAt) => {
+    jest.setSystemTime(atTime);
+    const accepted = validator.validateMovement(player, { position_x: x, position_y: y }, sentAt);
+    if (accepted) {
+      player.position_x = x;
+      player.position_y = y;
+    }
+    return accepted;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    mockNetwork = {
+      isHost: true,
+      on: jest.fn(),
+      broadcastPlayerStateUpdate: jest.fn(),
+    };
+    player = { player_id: 'p1', position_x: 1200, position_y: 200, equipped_weapon: 'fist' };
+    mockSnapshot = { getPlayers: jest.fn(() => new Map([['p1', player]])) };
+    validator = new HostMovementValidator(mockNetwork, mockSnapshot);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('WhenMovingAtWalkingSpeed_ShouldAccept', () => {
+    expect(move(1210, 200, T0)).toBe(true);
+    expect(move(1210 + SPEED, 200, T0 + 1000)).toBe(true);
+    expect(mockNetwork.broadcastPlayerStateUpdate).not.toHaveBeenCalled();
+  });
+
+  test('WhenMovingTooFast_ShouldRejectAndCorrectToLastAcceptedPosition', () => {
+    move(1210, 200, T0);
+
+    expect(move(1210 + SPEED * 3, 200, T0 + 1000)).toBe(false);
+    expect(mockNetwork.broadcastPlayerStateUpdate).toHaveBeenCalledWith([{
+      player_id: 'p1',
+      position_x: 1210,
+      position_y: 200,
+      velocity_x: 0,
+      velocity_y: 0,
+    }]);
+  });
+
+  test('WhenJitterBunchesUpdatesOnArrival_ShouldMeasureFromSenderTimestamps', () => {
+    // Sent 250 ms apart at walking speed; the second is held up and arrives right before the third
+    const step = SPEED * 0.25;
+    expect(move(1210, 200, T0 + 20, T0)).toBe(true);
+    expect(move(1210 + step, 200, T0 + 480, T0 + 250)).toBe(true);
+    // By arrival time this would be 50 px in 10 ms
+    expect(move(1210 + step * 2, 200, T0 + 490, T0 + 500)).toBe(true);
+
+    expect(mockNetwork.broadcastPlayerStateUpdate).not.toHaveBeenCalled();
+  });
+
+  test('WhenSenderTimestampIsInTheFuture_ShouldClampItToArrival', () => {
+    move(1210, 200, T0, T0);
+
+    // A forged clock claiming 2 s have passed only gets the 100 ms that actually did
+    expect(move(1210 + SPEED * 2, 200, T0 + 100, T0 + 2000)).toBe(false);
+  });
+
+  test('WhenSenderTimestampIsTooOld_ShouldClampItToMaxAge', () => {
+    const { MAX_TIMESTAMP_AGE_MS } = CONFIG.NETWORK.MOVEMENT_VALIDATION;
+    move(1210, 200, T0 + 5000, 0); // Recorded as T0 + 5000 - MAX_TIMESTAMP_AGE_MS
+
+    expect(move(1210 + SPEED * 3, 200, T0 + 5000, T0 + 5000)).toBe(false);
+    expect(move(1210 + SPEED * MAX_TIMESTAMP_AGE_MS / 1000, 200, T0 + 5000, T0 + 5000)).toBe(true);
+  });
+
+  test('WhenFirstUpdateTeleports_ShouldReject', () => {
+    expect(move(1200 + DISTANCE_SLACK * 5, 200, T0)).toBe(false);
+  });
+
+  test('WhenCarryingDoubleHandedWeapon_ShouldApplyStanceModifier', () => {
+    const doubleHanded = Object.values(CONFIG.WEAPONS).find(w => w.stance === 'double');
+    player.equipped_weapon = doubleHanded.id;
+    move(1200, 200, T0);
+    const distance = SPEED * 1.2 * 2; // Slightly fast walking for 2s, within tolerance for a single-handed weapon
+
+    expect(move(1200 + distance, 200, T0 + 2000)).toBe(false);
+
+    player.equipped_weapon = 'fist';
+    expect(move(1200 + distance, 200, T0 + 2000)).toBe(true);
+  });
+
+  test('WhenLunging_ShouldAllowLungeSpeed', () => {
+    const lungeWeapon = Object.values(CONFIG.WEAPONS).find(w => w.specialAbility === 'lunge');
+    player.equipped_weapon = lungeWeapon.id;
+    move(1200, 200, T0);
+    const lungeDistance = SPEED * CONFIG.WEAPON_ABILITIES.LUNGE_SPEED_MULTIPLIER * CONFIG.WEAPON_ABILITIES.LUNGE_DURATION;
+
+    validator.handleAttackRequest({ from: 'p1', data: { is_special: true } });
+
+    expect(move(1200 + lungeDistance, 200, T0 + CONFIG.WEAPON_ABILITIES.LUNGE_DURATION * 1000)).toBe(true);
+  });
+
+  test('WhenOutsideWorld_ShouldReject', () => {
+    player.position_x = 5;
+    expect(move(-5, 200, T0)).toBe(false);
+  });
+
+  test('WhenInsideProp_ShouldReject', () => {
+    const rock = CONFIG.PROPS.MAP.find(p => p.type === 'rock');
+    player.position_x = rock.x;
+    player.position_y = rock.y - 100;
+
+    expect(move(rock.x, rock.y, T0 + 1000)).toBe(false);
+  });
+
+  test('WhenRepeatedlyInvalid_ShouldFlagPlayer', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    move(1200, 200, T0);
+
+    for (let i = 1; i < SUSPICIOUS_VIOLATIONS; i++) {
+      move(2000, 1000, T0 + i * 50);
+    }
+    expect(validator.isFlagged('p1')).toBe(false);
+
+    move(2000, 1000, T0 + SUSPICIOUS_VIOLATIONS * 50);
+    expect(validator.isFlagged('p1')).toBe(true);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('WhenNotHost_ShouldAcceptEverything', () => {
+    mockNetwork.isHost = false;
+    expect(move(-500, -500, T0)).toBe(true);
+  });
+});
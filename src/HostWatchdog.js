@@ -0,0 +1,58 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Watches the host's heartbeats on every other client, in the lobby and during a match.
+ * A host that crashed, lost its network or closed the tab never sends `host_left`, so this is
+ * the only way the others find out. When the host's heartbeat goes stale, `onHostLost` runs the
+ * host election (see App.handleHostMigration); claim_session_host accepts the claim because the
+ * host's server-side heartbeat has gone stale as well.
+ */
+export class HostWatchdog {
+  /**
+   * @param {Network} network
+   * @param {Object} [options]
+   * @param {Function} [options.onHostLost] - Called with the silent host's ID, again after every
+   *   further timeout while the same host stays silent (e.g. the claim failed)
+   */
+  constructor(network, { onHostLost = null } = {}) {
+    this.network = network;
+    this.onHostLost = onHostLost;
+    this.watchedHostId = null;
+    this.lastHostHeartbeat = 0; // Date.now() of the watched host's last heartbeat
+
+    this.heartbeatHandler = (message) => this.handleHeartbeat(message);
+    this.network.on('heartbeat', this.heartbeatHandler);
+    this.checkInterval = setInterval(() => this.check(), CONFIG.NETWORK.HEARTBEAT_INTERVAL_MS);
+  }
+
+  handleHeartbeat(message) {
+    if (message.from !== this.network.hostId) return;
+    this.watchedHostId = message.from;
+    this.lastHostHeartbeat = Date.now();
+  }
+
+  check() {
+    const hostId = this.network.hostId;
+    if (this.network.isHost || !hostId) return;
+
+    const now = Date.now();
+    if (hostId !== this.watchedHostId) {
+      // First check, or a new host after a migration: give them a full timeout
+      this.watchedHostId = hostId;
+      this.lastHostHeartbeat = now;
+      return;
+    }
+
+    if (now - this.lastHostHeartbeat > CONFIG.NETWORK.HEARTBEAT_TIMEOUT_MS) {
+      this.lastHostHeartbeat = now; // Try again after another timeout if nobody takes over
+      if (this.onHostLost) this.onHostLost(hostId);
+    }
+  }
+
+  destroy() {
+    clearInterval(this.checkInterval);
+    this.checkInterval = null;
+    this.network.off('heartbeat', this.heartbeatHandler);
+    this.onHostLost = null;
+  }
+}
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import { HostWatchdog } from './HostWatchdog.js';
+import { SessionManager } from './SessionManager.js';
+import { CONFIG } from './config.js';
+
+describe('HostWatchdog', () => {
+  let watchdog;
+  let mockNetwork;
+  let onHostLost;
+
+  const INTERVAL = CONFIG.NETWORK.HEARTBEAT_INTERVAL_MS;
+  const TIMEOUT = CONFIG.NETWORK.HEARTBEAT_TIMEOUT_MS;
+
+  // Heartbeats from the host every interval for `durationMs`, as Network.startHeartbeat sends them
+  const hostSendsHeartbeatsFor = (durationMs) => {
+    for (let elapsed = 0; elapsed < durationMs; elapsed += INTERVAL) {
+      watchdog.handleHeartbeat({ from: 'host' });
+      jest.advanceTimersByTime(INTERVAL);
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    mockNetwork = {
+      playerId: 'p1',
+      hostId: 'host',
+      isHost: false,
+      on: jest.fn(),
+      off: jest.fn(),
+    };
+    onHostLost = jest.fn();
+    watchdog = new HostWatchdog(mockNetwork, { onHostLost });
+  });
+
+  afterEach(() => {
+    watchdog.destroy();
+    jest.useRealTimers();
+  });
+
+  test('WhenConstructed_ShouldListenForHeartbeats', () => {
+    expect(mockNetwork.on).toHaveBeenCalledWith('heartbeat', expect.any(Function));
+  });
+
+  test('WhenHostKeepsSendingHeartbeats_ShouldNotReportItLost', () => {
+    hostSendsHeartbeatsFor(TIMEOUT * 3);
+
+    expect(onHostLost).not.toHaveBeenCalled();
+  });
+
+  test('WhenHostDiesWithoutHostLeft_ShouldReportItLostAfterTheTimeout', () => {
+    hostSendsHeartbeatsFor(INTERVAL * 3);
+
+    // The host's tab is gone: no host_left, no more heartbeats
+    jest.advanceTimersByTime(TIMEOUT - INTERVAL);
+    expect(onHostLost).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(INTERVAL * 2);
+    expect(onHostLost).toHaveBeenCalledTimes(1);
+    expect(onHostLost).toHaveBeenCalledWith('host');
+  });
+
+  test('WhenHostDiesWithoutHostLeft_ShouldLetTheElectedSuccessorClaimTheSession', async () => {
+    const rpc = jest.fn().mockResolvedValue({ data: [], error: null });
+    const network = { ...mockNetwork, sessionId: 'session-1', send: jest.fn() };
+    const sessionManager = new SessionManager({ rpc }, network);
+    const players = [
+      { player_id: 'host', joined_at: '2024-01-01T00:00:00Z' },
+      { player_id: 'p1', joined_at: '2024-01-01T00:01:00Z' },
+      { player_id: 'p2', joined_at: '2024-01-01T00:02:00Z' },
+    ];
+    watchdog.destroy();
+    const migrations = [];
+    watchdog = new HostWatchdog(network, {
+      onHostLost: (hostId) => migrations.push(sessionManager.migrateHost(hostId, players)),
+    });
+
+    hostSendsHeartbeatsFor(INTERVAL * 2);
+    jest.advanceTimersByTime(TIMEOUT + INTERVAL);
+    await Promise.all(migrations);
+
+    expect(rpc).toHaveBeenCalledWith('claim_session_host', { p_session_id: 'session-1' });
+    expect(network.isHost).toBe(true);
+    expect(network.send).toHaveBeenCalledWith('host_migrated', { previous_host_id: 'host', new_host_id: 'p1' });
+  });
+
+  test('WhenHostStaysSilent_ShouldReportItAgainAfterEachTimeout', () => {
+    jest.advanceTimersByTime(TIMEOUT + INTERVAL * 2);
+    expect(onHostLost).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(TIMEOUT + INTERVAL);
+    expect(onHostLost).toHaveBeenCalledTimes(2);
+  });
+
+  test('WhenHostChanges_ShouldGiveTheNewHostAFullTimeout', () => {
+    hostSendsHeartbeatsFor(INTERVAL * 2);
+    jest.advanceTimersByTime(TIMEOUT - INTERVAL);
+
+    mockNetwork.hostId = 'p2';
+    jest.advanceTimersByTime(TIMEOUT);
+
+    expect(onHostLost).not.toHaveBeenCalled();
+  });
+
+  test('WhenHeartbeatIsFromAnotherPlayer_ShouldNotCountForTheHost', () => {
+    for (let elapsed = 0; elapsed <= TIMEOUT + INTERVAL; elapsed += INTERVAL) {
+      watchdog.handleHeartbeat({ from: 'p2' });
+      jest.advanceTimersByTime(INTERVAL);
+    }
+
+    expect(onHostLost).toHaveBeenCalledWith('host');
+  });
+
+  test('WhenWeAreTheHost_ShouldNotWatch', () => {
+    mockNetwork.isHost = true;
+    mockNetwork.hostId = 'p1';
+
+    jest.advanceTimersByTime(TIMEOUT * 3);
+
+    expect(onHostLost).not.toHaveBeenCalled();
+  });
+
+  test('WhenDestroyed_ShouldStopWatchingAndRemoveTheHandler', () => {
+    watchdog.destroy();
+    jest.advanceTimersByTime(TIMEOUT * 3);
+
+    expect(onHostLost).not.toHaveBeenCalled();
+    expect(mockNetwork.off).toHaveBeenCalledWith('heartbeat', watchdog.heartbeatHandler);
+  });
+});
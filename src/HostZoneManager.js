@@ -0,0 +1,134 @@
+import { CONFIG } from './config.js';
+import { advanceZone } from './conflictZone.js';
+import { getZonePhases } from './MatchSettings.js';
+
+/**
+ * Owns the conflict zone schedule (CONFIG.ZONE.PHASES, paced by the session's zone speed) on the host.
+ * Clients render the circle from zone_update messages instead of simulating it themselves.
+ */
+export class HostZoneManager {
+  constructor(network, state) {
+    this.network = network;
+    this.state = state; // Shared game state (conflictZone, phase)
+    this.broadcastAccumulator = 0;
+    this.phases = getZonePhases(state.settings);
+
+    // Announce the starting circle, or the one we inherited after host migration
+    this.#sync();
+  }
+
+  update(deltaTime) {
+    const zone = this.state.conflictZone;
+    advanceZone(zone, deltaTime);
+
+    if (zone.stage !== 'final' && zone.stageRemaining <= 0) {
+      this.#advanceStage();
+      this.#sync();
+      return;
+    }
+
+    this.broadcastAccumulator += deltaTime;
+    if (this.broadcastAccumulator >= CONFIG.ZONE.BROADCAST_INTERVAL_SECONDS) {
+      this.#broadcast();
+    }
+  }
+
+  #advanceStage() {
+    const zone = this.state.conflictZone;
+    const phases = this.phases;
+
+    if (zone.stage === 'hold') {
+      const phase = phases[this.state.phase];
+      const target = this.#pickTarget(zone, phase);
+      zone.targetCenterX = target.centerX;
+      zone.targetCenterY = target.centerY;
+      zone.targetRadius = phase.targetRadius;
+      zone.stage = 'shrink';
+      zone.stageRemaining = phase.shrinkSeconds;
+      return;
+    }
+
+    // Shrink finished: settle exactly on the target before the next hold
+    zone.centerX = zone.targetCenterX;
+    zone.centerY = zone.targetCenterY;
+    zone.radius = zone.targetRadius;
+
+    const nextPhase = this.state.phase + 1;
+    if (nextPhase >= phases.length) {
+      zone.stage = 'final';
+      zone.stageRemaining = 0;
+      return;
+    }
+
+    this.state.phase = nextPhase;
+    zone.stage = 'hold';
+    zone.stageRemaining = phases[nextPhase].holdSeconds;
+    zone.damagePerSecond = phases[nextPhase].damagePerSecond;
+  }
+
+  /**
+   * Pick the next circle's center so the new circle stays inside the current one
+   */
+  #pickTarget(zone, phase) {
+    const maxOffset = Math.max(0, Math.min(phase.centerDrift, zone.radius - phase.targetRadius));
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.random() * maxOffset;
+
+    return {
+      centerX: zone.centerX + Math.cos(angle) * distance,
+      centerY: zone.centerY + Math.sin(angle) * distance,
+    };
+  }
+
+  #sync() {
+    this.#broadcast();
+    this.#persist();
+  }
+
+  #broadcast() {
+    this.broadcastAccumulator = 0;
+    if (!this.network?.isHost) return;
+
+    this.network.send('zone_update', this.getZoneState());
+  }
+
+  /**
+   * The circle and phase as sent in zone_update (also part of match_state)
+   */
+  getZoneState() {
+    const zone = this.state.conflictZone;
+    return {
+      phase: this.state.phase,
+      stage: zone.stage,
+      center_x: zone.centerX,
+      center_y: zone.centerY,
+      radius: zone.radius,
+      target_center_x: zone.targetCenterX,
+      target_center_y: zone.targetCenterY,
+      target_radius: zone.targetRadius,
+      stage_remaining: zone.stageRemaining,
+      damage_per_second: zone.damagePerSecond,
+    };
+  }
+
+  /**
+   * Match phase as stored in game_sessions.game_phase
+   * @returns {'deployment'|'combat'}
+   */
+  getGamePhase() {
+    // The first hold is the drop-in window; everything after it is combat
+    return this.state.phase === 0 && this.state.conflictZone.stage === 'hold' ? 'deployment' : 'combat';
+  }
+
+  #persist() {
+    if (!this.network?.isHost) return;
+
+    const zone = this.state.conflictZone;
+    this.network.writeSessionStateToDB({
+      conflict_zone_radius: zone.radius,
+      conflict_zone_center_x: zone.centerX,
+      conflict_zone_center_y: zone.centerY,
+      game_phase: this.getGamePhase(),
+    }).catch(err => console.error('Host: zone DB update failed', err));
+  }
+}
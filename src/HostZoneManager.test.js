@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import { HostZoneManager } from './HostZoneManager.js';
+import { createInitialZone } from './conflictZone.js';
+import { getZonePhases } from './MatchSettings.js';
+import { CONFIG } from './config.js';
+
+describe('HostZoneManager', () => {
+  let manager;
+  let mockNetwork;
+  let mockState;
+
+  const PHASES = CONFIG.ZONE.PHASES;
+  const lastZoneUpdate = () => mockNetwork.send.mock.calls.filter(call => call[0] === 'zone_update').pop()[1];
+
+  beforeEach(() => {
+    mockNetwork = {
+      isHost: true,
+      send: jest.fn(),
+      writeSessionStateToDB: jest.fn().mockResolvedValue(),
+    };
+    mockState = {
+      conflictZone: createInitialZone(),
+      phase: 0,
+    };
+    manager = new HostZoneManager(mockNetwork, mockState);
+  });
+
+  test('WhenCreated_ShouldBroadcastAndPersistStartingCircle', () => {
+    expect(lastZoneUpdate()).toEqual(expect.objectContaining({
+      phase: 0,
+      stage: 'hold',
+      radius: CONFIG.ZONE.INITIAL_RADIUS,
+      stage_remaining: PHASES[0].holdSeconds,
+      damage_per_second: PHASES[0].damagePerSecond,
+    }));
+    expect(mockNetwork.writeSessionStateToDB).toHaveBeenCalledWith({
+      conflict_zone_radius: CONFIG.ZONE.INITIAL_RADIUS,
+      conflict_zone_center_x: CONFIG.WORLD.WIDTH / 2,
+      conflict_zone_center_y: CONFIG.WORLD.HEIGHT / 2,
+      game_phase: 'deployment',
+    });
+  });
+
+  test('WhenHolding_ShouldNotShrink', () => {
+    manager.update(PHASES[0].holdSeconds - 1);
+
+    expect(mockState.conflictZone.radius).toBe(CONFIG.ZONE.INITIAL_RADIUS);
+    expect(mockState.conflictZone.stage).toBe('hold');
+  });
+
+  test('WhenHoldEnds_ShouldStartShrinkTowardCircleInsideCurrentOne', () => {
+    manager.update(PHASES[0].holdSeconds);
+
+    const zone = mockState.conflictZone;
+    expect(zone.stage).toBe('shrink');
+    expect(zone.stageRemaining).toBe(PHASES[0].shrinkSeconds);
+    expect(zone.targetRadius).toBe(PHASES[0].targetRadius);
+
+    const drift = Math.hypot(zone.targetCenterX - zone.centerX, zone.targetCenterY - zone.centerY);
+    expect(drift).toBeLessThanOrEqual(PHASES[0].centerDrift);
+    expect(drift + zone.targetRadius).toBeLessThanOrEqual(zone.radius);
+
+    expect(lastZoneUpdate().stage).toBe('shrink');
+    expect(mockNetwork.writeSessionStateToDB).toHaveBeenLastCalledWith(expect.objectContaining({ game_phase: 'combat' }));
+  });
+
+  test('WhenShrinkEnds_ShouldSettleOnTargetAndAdvancePhase', () => {
+    manager.update(PHASES[0].holdSeconds);
+    const { targetCenterX, targetCenterY } = mockState.conflictZone;
+
+    manager.update(PHASES[0].shrinkSeconds / 2);
+    expect(mockState.conflictZone.radius).toBeCloseTo((CONFIG.ZONE.INITIAL_RADIUS + PHASES[0].targetRadius) / 2);
+
+    manager.update(PHASES[0].shrinkSeconds / 2);
+
+    const zone = mockState.conflictZone;
+    expect(mockState.phase).toBe(1);
+    expect(zone.stage).toBe('hold');
+    expect(zone.radius).toBe(PHASES[0].targetRadius);
+    expect(zone.centerX).toBe(targetCenterX);
+    expect(zone.centerY).toBe(targetCenterY);
+    expect(zone.damagePerSecond).toBe(PHASES[1].damagePerSecond);
+    expect(lastZoneUpdate().phase).toBe(1);
+  });
+
+  test('WhenScheduleCompletes_ShouldStayOnFinalCircle', () => {
+    // Step through every hold and shrink
+    PHASES.forEach(phase => {
+      manager.update(phase.holdSeconds);
+      manager.update(phase.shrinkSeconds);
+    });
+
+    expect(mockState.conflictZone.stage).toBe('final');
+    expect(mockState.conflictZone.radius).toBe(PHASES[PHASES.length - 1].targetRadius);
+    expect(mockState.phase).toBe(PHASES.length - 1);
+
+    manager.update(100);
+    expect(mockState.conflictZone.radius).toBe(PHASES[PHASES.length - 1].targetRadius);
+  });
+
+  test('WhenBroadcastIntervalElapses_ShouldResendZone', () => {
+    mockNetwork.send.mockClear();
+
+    manager.update(CONFIG.ZONE.BROADCAST_INTERVAL_SECONDS / 2);
+    expect(mockNetwork.send).not.toHaveBeenCalled();
+
+    manager.update(CONFIG.ZONE.BROADCAST_INTERVAL_SECONDS / 2);
+    expect(mockNetwork.send).toHaveBeenCalledWith('zone_update', expect.any(Object));
+  });
+
+  test('WhenResumingInheritedZone_ShouldContinueFromItsStage', () => {
+    const inherited = {
+      conflictZone: { ...createInitialZone(), stage: 'shrink', stageRemaining: 2, radius: 400, targetRadius: 300 },
+      phase: 1,
+    };
+    const successor = new HostZoneManager(mockNetwork, inherited);
+
+    successor.update(2);
+
+    expect(inherited.conflictZone.radius).toBe(300);
+    expect(inherited.conflictZone.stage).toBe('hold');
+    expect(inherited.phase).toBe(2);
+  });
+
+  test('WhenOffline_ShouldRunScheduleWithoutNetwork', () => {
+    const offlineState = { conflictZone: createInitialZone(), phase: 0 };
+    const offline = new HostZoneManager(null, offlineState);
+
+    offline.update(PHASES[0].holdSeconds);
+
+    expect(offlineState.conflictZone.stage).toBe('shrink');
+  });
+
+  test('WhenZoneSpeedIsFast_ShouldShortenTheSchedule', () => {
+    const settings = { zone_speed: 'fast' };
+    const fastState = { conflictZone: createInitialZone(getZonePhases(settings)), phase: 0, settings };
+    const fast = new HostZoneManager(mockNetwork, fastState);
+    const holdSeconds = PHASES[0].holdSeconds * CONFIG.MATCH_SETTINGS.ZONE_SPEED.fast;
+
+    fast.update(holdSeconds);
+
+    expect(fastState.conflictZone.stage).toBe('shrink');
+    expect(fastState.conflictZone.stageRemaining).toBeCloseTo(PHASES[0].shrinkSeconds * CONFIG.MATCH_SETTINGS.ZONE_SPEED.fast);
+  });
+});
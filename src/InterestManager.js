@@ -0,0 +1,82 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Sender-side interest management for continuous `player_state_update` streams
+ * (the local player, host-driven bots).
+ *
+ * A broadcast reaches every subscriber, so the sender picks a rate per stream instead of
+ * per recipient: full rate while the player is within the view of another alive player
+ * (the reference viewport around them plus INTEREST.MARGIN), otherwise one update every
+ * INTEREST.FAR_REFRESH_MS so edge indicators (UIRenderer.renderEdgeIndicators) stay roughly right.
+ * Spectators follow an alive player, so their cameras are covered too. Bots have no screen and do not
+ * count as viewers. The margin keeps a player at full rate well before they can walk into anyone's view.
+ */
+export class InterestManager {
+  constructor(network) {
+    this.network = network;
+    this.playersSnapshot = null;
+    this.lastSent = new Map(); // player_id -> Date.now() of the last update that went on the wire
+  }
+
+  /**
+   * Start tiering against this session's players (null turns tiering off: everything is sent)
+   */
+  setPlayersSnapshot(playersSnapshot) {
+    this.playersSnapshot = playersSnapshot;
+    this.lastSent.clear();
+  }
+
+  /**
+   * @param {Object} update - Long-form update with player_id and (usually) position
+   * @param {number} [now=Date.now()]
+   * @returns {boolean} True if the update should go on the wire now
+   */
+  shouldSend(update, now = Date.now()) {
+    if (!this.playersSnapshot) return true;
+
+    const playerId = update.player_id;
+    const lastSent = this.lastSent.get(playerId);
+    const due = lastSent === undefined || now - lastSent >= CONFIG.NETWORK.INTEREST.FAR_REFRESH_MS;
+    // Streams stop sending once nothing changes, so the update that stops a player must not be skipped
+    const stopped = update.velocity_x === 0 && update.velocity_y === 0;
+    if (!due && !stopped && !this.isWatched(playerId, update.position_x, update.position_y)) return false;
+
+    this.lastSent.set(playerId, now);
+    return true;
+  }
+
+  /**
+   * Whether any other alive, connected human player could have this position on screen
+   */
+  isWatched(playerId, x, y) {
+    const players = this.playersSnapshot.getPlayers();
+    const subject = players.get(playerId);
+    x ??= subject?.position_x;
+    y ??= subject?.position_y;
+    if (x === undefined || y === undefined) return true; // Nothing to measure, stay safe
+
+    const { VIEW_WIDTH, VIEW_HEIGHT, MARGIN } = CONFIG.NETWORK.INTEREST;
+    for (const [viewerId, viewer] of players) {
+      if (viewerId === playerId || viewer.is_connected === false || viewer.is_bot) continue;
+      if (viewer.is_alive === false || (viewer.health ?? 100) <= 0) continue;
+
+      const center = this.#getCameraCenter(viewer.position_x, viewer.position_y);
+      if (Math.abs(x - center.x) <= VIEW_WIDTH / 2 + MARGIN && Math.abs(y - center.y) <= VIEW_HEIGHT / 2 + MARGIN) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Where a camera following this position ends up (Camera clamps to the world edges)
+   */
+  #getCameraCenter(x, y) {
+    const { VIEW_WIDTH, VIEW_HEIGHT } = CONFIG.NETWORK.INTEREST;
+    const clamp = (value, half, size) => (half * 2 >= size ? size / 2 : Math.max(half, Math.min(size - half, value)));
+    return {
+      x: clamp(x, VIEW_WIDTH / 2, CONFIG.WORLD.WIDTH),
+      y: clamp(y, VIEW_HEIGHT / 2, CONFIG.WORLD.HEIGHT),
+    };
+  }
+}
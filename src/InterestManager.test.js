@@ -0,0 +1,87 @@
+import { InterestManager } from './InterestManager.js';
+import { CONFIG } from './config.js';
+
+describe('InterestManager', () => {
+  const { VIEW_WIDTH, MARGIN, FAR_REFRESH_MS } = CONFIG.NETWORK.INTEREST;
+  const T0 = 1_000_000;
+  let players;
+  let interest;
+
+  const move = (playerId, x, y) => ({ player_id: playerId, position_x: x, position_y: y, velocity_x: 1, velocity_y: 0 });
+
+  beforeEach(() => {
+    // World is 2400 x 1600; the viewer sits in the left corner
+    players = new Map([
+      ['viewer', { player_id: 'viewer', position_x: 100, position_y: 100, health: 100 }],
+      ['runner', { player_id: 'runner', position_x: 2300, position_y: 1500, health: 100 }],
+    ]);
+    interest = new InterestManager({ playerId: 'runner' });
+    interest.setPlayersSnapshot({ getPlayers: () => players });
+  });
+
+  const sentBetween = (update, from, to, stepMs) => {
+    let sent = 0;
+    for (let now = from; now < to; now += stepMs) {
+      if (interest.shouldSend(update, now)) sent++;
+    }
+    return sent;
+  };
+
+  test('WhenPlayerIsInsideSomeonesView_ShouldSendEveryUpdate', () => {
+    const sent = sentBetween(move('runner', 300, 200), T0, T0 + 1000, 50);
+
+    expect(sent).toBe(20);
+  });
+
+  test('WhenNobodyCanSeePlayer_ShouldSendAtFarRefreshRate', () => {
+    const sent = sentBetween(move('runner', 2300, 1500), T0, T0 + 1000, 50);
+
+    expect(sent).toBe(1000 / FAR_REFRESH_MS);
+  });
+
+  test('WhenPlayerIsJustOutsideViewButWithinMargin_ShouldStayAtFullRate', () => {
+    // Camera clamps to half a view from the world edge, so the view ends at VIEW_WIDTH
+    const x = VIEW_WIDTH + MARGIN - 10;
+    interest.shouldSend(move('runner', x, 100), T0);
+
+    expect(interest.shouldSend(move('runner', x, 100), T0 + 50)).toBe(true);
+  });
+
+  test('WhenOnlyViewerIsDeadOrDisconnected_ShouldTreatPlayerAsUnwatched', () => {
+    players.get('viewer').is_alive = false;
+    players.set('ghost', { player_id: 'ghost', position_x: 300, position_y: 200, is_connected: false });
+    interest.shouldSend(move('runner', 300, 200), T0);
+
+    expect(interest.shouldSend(move('runner', 300, 200), T0 + 50)).toBe(false);
+  });
+
+  test('WhenOnlyBotIsNearby_ShouldTreatPlayerAsUnwatched', () => {
+    players.get('viewer').position_x = 2300;
+    players.get('viewer').position_y = 1500;
+    players.get('viewer').is_bot = true;
+    interest.shouldSend(move('runner', 2300, 1500), T0);
+
+    expect(interest.shouldSend(move('runner', 2300, 1500), T0 + 50)).toBe(false);
+  });
+
+  test('WhenFarPlayerStops_ShouldSendTheStopAtOnce', () => {
+    interest.shouldSend(move('runner', 2300, 1500), T0);
+
+    const stop = { player_id: 'runner', position_x: 2300, position_y: 1500, velocity_x: 0, velocity_y: 0 };
+    expect(interest.shouldSend(stop, T0 + 50)).toBe(true);
+  });
+
+  test('WhenUpdateHasNoPosition_ShouldMeasureFromSnapshot', () => {
+    players.get('runner').position_x = 300;
+    players.get('runner').position_y = 200;
+    interest.shouldSend({ player_id: 'runner', rotation: 1 }, T0);
+
+    expect(interest.shouldSend({ player_id: 'runner', rotation: 2 }, T0 + 50)).toBe(true);
+  });
+
+  test('WhenNoSnapshotSet_ShouldSendEverything', () => {
+    interest.setPlayersSnapshot(null);
+
+    expect(sentBetween(move('runner', 2300, 1500), T0, T0 + 1000, 50)).toBe(20);
+  });
+});
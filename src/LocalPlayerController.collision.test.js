@@ -7,7 +7,7 @@ describe('LocalPlayerController Collision', () => {
   let mockNetwork;
 
   beforeEach(() => {
-    mockNetwork = { playerId: 'player1', broadcastPlayerStateUpdate: jest.fn(), send: jest.fn() };
+    mockNetwork = { playerId: 'player1', hostNow: () => Date.now(), broadcastPlayerStateUpdate: jest.fn(), send: jest.fn() };
     // Use center of the map safe zone or just somewhere safe
     const initialData = { position_x: 100, position_y: 100 };
     controller = new LocalPlayerController(mockNetwork, initialData);
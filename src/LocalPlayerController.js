@@ -3,8 +3,16 @@ import { getDirectionFromVelocity, getDirectionFromRotation, AnimationState } fr
 import { resolveCollisionX, resolveCollisionY } from './physicsHelper.js';
 
 export class LocalPlayerController {
-  constructor(network, initialData) {
+  /**
+   * @param {Network} network
+   * @param {Object} [initialData] - Our session_players row
+   * @param {Object} [options]
+   * @param {Function} [options.getInterpolationDelay] - Current render delay of remote players in ms,
+   *   sent with attacks so the host rewinds to what we saw
+   */
+  constructor(network, initialData, { getInterpolationDelay = null } = {}) {
     this.network = network;
+    this.getInterpolationDelay = getInterpolationDelay;
     this.player = this.#initializePlayer(initialData);
     this.lastPositionSendTime = 0;
     this.lastSentState = null;
@@ -26,7 +34,6 @@ export class LocalPlayerController {
         x: this.player.x,
         y: this.player.y,
         rotation: this.player.rotation,
-        health: this.player.health,
         vx: this.player.velocity.x,
         vy: this.player.velocity.y,
       };
@@ -62,6 +69,13 @@ export class LocalPlayerController {
     return this.player;
   }
 
+  /**
+   * Host clock time, so host-issued stun deadlines mean the same thing here
+   */
+  #now() {
+    return this.network ? this.network.hostNow() : Date.now();
+  }
+
   isDead() {
     return this.player && this.player.health <= 0;
   }
@@ -70,7 +84,7 @@ export class LocalPlayerController {
     if (!this.player) return;
 
     // Handle Stunned State
-    if (Date.now() < this.player.stunnedUntil) {
+    if (this.#now() < this.player.stunnedUntil) {
       this.player.velocity = { x: 0, y: 0 };
       this.player.isAttacking = false;
       this.player.isLunging = false;
@@ -226,12 +240,11 @@ export class LocalPlayerController {
       return;
     }
 
-    // Only send if position/rotation/health/velocity changed
+    // Only send if position/rotation/velocity changed
     const currentState = {
       x: this.player.x,
       y: this.player.y,
       rotation: this.player.rotation,
-      health: this.player.health,
       vx: this.player.velocity.x,
       vy: this.player.velocity.y,
     };
@@ -240,7 +253,6 @@ export class LocalPlayerController {
         Math.abs(this.lastSentState.x - currentState.x) < Number.EPSILON &&
         Math.abs(this.lastSentState.y - currentState.y) < Number.EPSILON &&
         Math.abs(this.lastSentState.rotation - currentState.rotation) < Number.EPSILON &&
-        Math.abs(this.lastSentState.health - currentState.health) < Number.EPSILON &&
         Math.abs(this.lastSentState.vx - currentState.vx) < Number.EPSILON &&
         Math.abs(this.lastSentState.vy - currentState.vy) < Number.EPSILON) {
       return; // No change, don't send
@@ -253,14 +265,23 @@ export class LocalPlayerController {
       rotation: this.player.rotation,
       velocity_x: this.player.velocity.x,
       velocity_y: this.player.velocity.y,
-      health: this.player.health,
-    });
+    }, { delta: true });
 
     // Remember last sent state and time
     this.lastSentState = currentState;
     this.lastPositionSendTime = now;
   }
 
+  /**
+   * Snap back to the position the host last accepted (see HostMovementValidator)
+   */
+  applyPositionCorrection(x, y) {
+    if (!this.player) return;
+    this.player.x = x;
+    this.player.y = y;
+    this.player.isLunging = false;
+  }
+
   handleInput(inputState) {
     if (!this.player) return;
 
@@ -268,7 +289,7 @@ export class LocalPlayerController {
     this.inputState = { ...this.inputState, ...inputState };
     
     // Disable input if dead, stunned, or lunging
-    if (this.isDead() || Date.now() < this.player.stunnedUntil || this.player.isLunging) {
+    if (this.isDead() || this.#now() < this.player.stunnedUntil || this.player.isLunging) {
       this.inputState.attack = false;
       this.inputState.specialAbility = false;
       // If stunned or lunging, we don't update velocity from input
@@ -276,7 +297,8 @@ export class LocalPlayerController {
     }
 
     // Update player velocity based on input
-    const speedModifier = this.player.equipped_weapon?.stance === 'double'
+    const weaponConfig = Object.values(CONFIG.WEAPONS).find(w => w.id === this.player.equipped_weapon);
+    const speedModifier = weaponConfig?.stance === 'double'
       ? CONFIG.PLAYER.DOUBLE_HANDED_SPEED_MODIFIER
       : 1.0;
     const speed = CONFIG.PLAYER.BASE_MOVEMENT_SPEED * speedModifier;
@@ -306,7 +328,7 @@ export class LocalPlayerController {
     if (!this.player.equipped_weapon) return;
 
     const isSpecial = inputState.specialAbility;
-    const now = Date.now();
+    const now = this.#now();
     
     // Get weapon config
     const weaponId = this.player.equipped_weapon;
@@ -352,6 +374,7 @@ export class LocalPlayerController {
           aim_x: aimX,
           aim_y: aimY,
           is_special: isSpecial,
+          interpolation_delay_ms: this.getInterpolationDelay?.() ?? CONFIG.NETWORK.INTERPOLATION_DELAY_MS,
         });
       }
     }
@@ -368,7 +391,7 @@ export class LocalPlayerController {
   getCooldownStatus() {
     if (!this.player) return { attackPct: 0, abilityPct: 0 };
 
-    const now = Date.now();
+    const now = this.#now();
     const weaponId = this.player.equipped_weapon;
     // Default to fist if weapon is null/invalid for cooldown calculation purposes, 
     // although UI might disable buttons if weapon is null.
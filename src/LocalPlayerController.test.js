@@ -9,6 +9,7 @@ describe('LocalPlayerController', () => {
   beforeEach(() => {
     mockNetwork = {
       playerId: 'test-player',
+      hostNow: () => Date.now(),
       broadcastPlayerStateUpdate: jest.fn(),
       send: jest.fn(),
     };
@@ -65,6 +66,45 @@ describe('LocalPlayerController', () => {
     mockNow.mockRestore();
   });
 
+  test('WhenBroadcastingPosition_ShouldNotIncludeHealth', () => {
+    controller = new LocalPlayerController(mockNetwork, null);
+    controller.getPlayer().x += 10;
+
+    const mockNow = jest.spyOn(Date, 'now').mockReturnValue(10000000);
+    controller.lastPositionSendTime = 0;
+
+    controller.update(0.1, { getPlayers: () => new Map() });
+
+    expect(mockNetwork.broadcastPlayerStateUpdate).toHaveBeenCalledWith(
+      expect.not.objectContaining({ health: expect.anything() }),
+      { delta: true },
+    );
+
+    mockNow.mockRestore();
+  });
+
+  test('WhenHostCorrectsPosition_ShouldSnapBackAndEndLunge', () => {
+    controller = new LocalPlayerController(mockNetwork, null);
+    const player = controller.getPlayer();
+    player.isLunging = true;
+
+    controller.applyPositionCorrection(300, 400);
+
+    expect(player.x).toBe(300);
+    expect(player.y).toBe(400);
+    expect(player.isLunging).toBe(false);
+  });
+
+  test('WhenCarryingDoubleHandedWeapon_ShouldMoveSlower', () => {
+    controller = new LocalPlayerController(mockNetwork, null);
+    const player = controller.getPlayer();
+    player.equipped_weapon = 'greataxe';
+
+    controller.handleInput({ moveX: 1, moveY: 0 });
+
+    expect(player.velocity.x).toBeCloseTo(CONFIG.PLAYER.BASE_MOVEMENT_SPEED * CONFIG.PLAYER.DOUBLE_HANDED_SPEED_MODIFIER);
+  });
+
   test('ShouldSyncFromSnapshot', () => {
     controller = new LocalPlayerController(mockNetwork, null);
     const player = controller.getPlayer();
@@ -120,6 +160,36 @@ describe('LocalPlayerController', () => {
     });
   });
 
+  describe('Stun', () => {
+    test('WhenHostClockIsAhead_ShouldHonorHostStunDeadline', () => {
+      // Host clock runs 5s ahead of ours; a stun ending 500ms from host-now is still active
+      const hostSkewMs = 5000;
+      mockNetwork.hostNow = () => Date.now() + hostSkewMs;
+      controller = new LocalPlayerController(mockNetwork, null);
+      const player = controller.getPlayer();
+      player.velocity = { x: 100, y: 0 };
+      player.stunnedUntil = Date.now() + hostSkewMs + 500;
+
+      controller.update(0.1, null);
+
+      expect(player.velocity).toEqual({ x: 0, y: 0 });
+    });
+
+    test('WhenHostClockIsBehind_ShouldNotExtendExpiredStun', () => {
+      // Host clock runs 5s behind; a stun that ended on the host is over here too
+      const hostSkewMs = -5000;
+      mockNetwork.hostNow = () => Date.now() + hostSkewMs;
+      controller = new LocalPlayerController(mockNetwork, null);
+      const player = controller.getPlayer();
+      player.stunnedUntil = Date.now() + hostSkewMs - 100;
+      controller.handleInput({ moveX: 1, moveY: 0 });
+
+      controller.update(0.1, null);
+
+      expect(player.velocity.x).toBeGreaterThan(0);
+    });
+  });
+
   describe('Auto-Attack', () => {
     beforeEach(() => {
       controller = new LocalPlayerController(mockNetwork, null);
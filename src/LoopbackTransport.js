@@ -0,0 +1,125 @@
+/**
+ * Loopback Transport
+ * In-process realtime transport. Several Network instances sharing one LoopbackHub
+ * can talk to each other in Jest or a Node script without a running Supabase stack.
+ *
+ * Mirrors Supabase Realtime semantics that the game relies on:
+ * - Broadcasts are delivered to every other subscriber of the same channel name, never echoed to the sender
+ * - Payloads are serialized on the way through, so instances never share object references
+ * - Database-triggered broadcasts (realtime.send) are pushed by the test/script via hub.broadcastFromDatabase()
+ *
+ * Delivery is synchronous to keep tests deterministic.
+ */
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+class LoopbackChannel {
+  constructor(hub, name, options = {}) {
+    this.hub = hub;
+    this.name = name;
+    this.options = options;
+    this.broadcastListeners = []; // { event, callback }
+    this.statusCallback = null;
+    this.subscribed = false;
+  }
+
+  on(type, filter, callback) {
+    if (type === 'broadcast') {
+      this.broadcastListeners.push({ event: filter?.event, callback });
+    }
+    return this;
+  }
+
+  subscribe(statusCallback) {
+    this.statusCallback = statusCallback || null;
+    this.subscribed = true;
+    this.hub._addChannel(this);
+    if (this.statusCallback) this.statusCallback('SUBSCRIBED');
+    return this;
+  }
+
+  send(message) {
+    if (!this.subscribed) return Promise.resolve('error');
+    if (message?.type === 'broadcast') {
+      this.hub._deliverBroadcast(this, message.event, message.payload);
+    }
+    return Promise.resolve('ok');
+  }
+
+  unsubscribe() {
+    this.subscribed = false;
+    this.hub._removeChannel(this);
+    return Promise.resolve('ok');
+  }
+
+  _receiveBroadcast(event, payload) {
+    this.broadcastListeners.forEach(listener => {
+      if (!listener.event || listener.event === '*' || listener.event === event) {
+        listener.callback({ type: 'broadcast', event, payload: clone(payload) });
+      }
+    });
+  }
+}
+
+export class LoopbackTransport {
+  constructor(hub) {
+    this.hub = hub;
+    this.channels = new Set();
+  }
+
+  channel(name, options) {
+    const channel = new LoopbackChannel(this.hub, name, options);
+    this.channels.add(channel);
+    return channel;
+  }
+
+  removeChannel(channel) {
+    this.channels.delete(channel);
+    return channel.unsubscribe();
+  }
+}
+
+export class LoopbackHub {
+  constructor() {
+    this.channels = new Set();
+  }
+
+  /**
+   * Create a transport connected to this hub (one per Network instance)
+   * @returns {LoopbackTransport}
+   */
+  createTransport() {
+    return new LoopbackTransport(this);
+  }
+
+  /**
+   * Broadcast from the database side, like `realtime.send(payload, event, topic)` in a trigger:
+   * reaches every subscriber of the channel named `topic`
+   * @param {string} topic - Channel name
+   * @param {string} event - Broadcast event, e.g. SESSION_PLAYERS_CHANGE_EVENT
+   * @param {Object} payload
+   */
+  broadcastFromDatabase(topic, event, payload) {
+    Array.from(this.channels).forEach(channel => {
+      if (channel.name === topic) {
+        channel._receiveBroadcast(event, payload);
+      }
+    });
+  }
+
+  _addChannel(channel) {
+    this.channels.add(channel);
+  }
+
+  _removeChannel(channel) {
+    this.channels.delete(channel);
+  }
+
+  _deliverBroadcast(sender, event, payload) {
+    Array.from(this.channels).forEach(channel => {
+      if (channel !== sender && channel.name === sender.name) {
+        channel._receiveBroadcast(event, payload);
+      }
+    });
+  }
+}
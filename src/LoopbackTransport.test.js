@@ -0,0 +1,249 @@
+import { jest } from '@jest/globals';
+import { LoopbackHub } from './LoopbackTransport.js';
+import { Network, SESSION_PLAYERS_CHANGE_EVENT } from './network.js';
+import { SessionPlayersSnapshot } from './SessionPlayersSnapshot.js';
+import { HostCombatManager } from './HostCombatManager.js';
+import { HostLootManager } from './HostLootManager.js';
+import { NetworkConditionSimulator } from './NetworkConditionSimulator.js';
+import { Game } from './game.js';
+import { registerMessageSchema } from './MessageSchemas.js';
+
+describe('LoopbackTransport', () => {
+  const SESSION_ID = 'loopback-session';
+  const CHANNEL_NAME = 'game_session:LOOP01';
+  const HOST_ID = 'host-id';
+  const CLIENT_ID = 'client-id';
+
+  let hub;
+  let roster;
+
+  beforeAll(() => {
+    registerMessageSchema('ping_test', {}); // Test-only message type
+  });
+
+  // Minimal Supabase stand-in: only the initial snapshot fetch reads from it
+  const createSupabaseStub = () => ({
+    from: jest.fn(() => ({
+      select: jest.fn(() => ({
+        eq: jest.fn(() => Promise.resolve({ data: roster.map(p => ({ ...p })), error: null })),
+      })),
+    })),
+  });
+
+  const createNetwork = async (playerId, isHost) => {
+    const network = new Network();
+    network.initialize(createSupabaseStub(), playerId, hub.createTransport());
+    network.sessionId = SESSION_ID;
+    network.hostId = HOST_ID;
+    network.isHost = isHost;
+    await network._subscribeToChannel(CHANNEL_NAME);
+    return network;
+  };
+
+  beforeEach(() => {
+    hub = new LoopbackHub();
+    roster = [
+      { id: 'row-host', session_id: SESSION_ID, player_id: HOST_ID, player_name: 'Host', position_x: 0, position_y: 0, health: 100, equipped_weapon: 'fist' },
+      { id: 'row-client', session_id: SESSION_ID, player_id: CLIENT_ID, player_name: 'Client', position_x: 10, position_y: 0, health: 100, equipped_weapon: 'fist' },
+    ];
+  });
+
+  describe('messaging', () => {
+    test('WhenBroadcasting_ShouldDeliverToOtherSubscribersButNotEchoToSender', async () => {
+      const host = await createNetwork(HOST_ID, true);
+      const client = await createNetwork(CLIENT_ID, false);
+      const hostReceived = jest.fn();
+      const clientReceived = jest.fn();
+      host.on('ping_test', hostReceived);
+      client.on('ping_test', clientReceived);
+
+      host.send('ping_test', { value: 1 });
+
+      // Host sees its own message once (local emit), client receives it over the hub
+      expect(hostReceived).toHaveBeenCalledTimes(1);
+      expect(clientReceived).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'ping_test',
+        from: HOST_ID,
+        data: { value: 1 },
+      }));
+    });
+
+    test('WhenBroadcasting_ShouldNotShareObjectReferencesBetweenInstances', async () => {
+      const host = await createNetwork(HOST_ID, true);
+      const client = await createNetwork(CLIENT_ID, false);
+      const payload = { nested: { value: 1 } };
+      let received = null;
+      client.on('ping_test', (msg) => { received = msg.data; });
+
+      host.send('ping_test', payload);
+
+      expect(received).toEqual(payload);
+      expect(received.nested).not.toBe(payload.nested);
+    });
+
+    test('WhenChannelNamesDiffer_ShouldNotDeliver', async () => {
+      const host = await createNetwork(HOST_ID, true);
+      const other = new Network();
+      other.initialize(createSupabaseStub(), 'other-id', hub.createTransport());
+      await other._subscribeToChannel('game_session:OTHER1');
+      const received = jest.fn();
+      other.on('ping_test', received);
+
+      host.send('ping_test', {});
+
+      expect(received).not.toHaveBeenCalled();
+    });
+
+    test('WhenDisconnected_ShouldStopReceiving', async () => {
+      const host = await createNetwork(HOST_ID, true);
+      const client = await createNetwork(CLIENT_ID, false);
+      const received = jest.fn();
+      client.on('ping_test', received);
+
+      client.disconnect();
+      host.send('ping_test', {});
+
+      expect(received).not.toHaveBeenCalled();
+    });
+
+    test('WhenSessionPlayersChangeBroadcast_ShouldReachOnlyThisSessionsNetworks', async () => {
+      const client = await createNetwork(CLIENT_ID, false);
+      const received = jest.fn();
+      client.on('postgres_changes', received);
+
+      const change = (sessionId, playerId) => ({
+        eventType: 'INSERT', schema: 'public', table: 'session_players', new: { session_id: sessionId, player_id: playerId }, old: {},
+      });
+      hub.broadcastFromDatabase(CHANNEL_NAME, SESSION_PLAYERS_CHANGE_EVENT, change(SESSION_ID, 'p3'));
+      hub.broadcastFromDatabase('game_session:OTHER1', SESSION_PLAYERS_CHANGE_EVENT, change('other-session', 'p4'));
+
+      expect(received).toHaveBeenCalledTimes(1);
+      expect(received.mock.calls[0][0].new.player_id).toBe('p3');
+    });
+  });
+
+  describe('end to end', () => {
+    let host;
+    let client;
+    let hostSnapshot;
+    let clientSnapshot;
+
+    beforeEach(async () => {
+      host = await createNetwork(HOST_ID, true);
+      client = await createNetwork(CLIENT_ID, false);
+      hostSnapshot = new SessionPlayersSnapshot(host, SESSION_ID);
+      clientSnapshot = new SessionPlayersSnapshot(client, SESSION_ID);
+      await Promise.all([hostSnapshot.ready(), clientSnapshot.ready()]);
+    });
+
+    afterEach(() => {
+      hostSnapshot.destroy();
+      clientSnapshot.destroy();
+      host.disconnect();
+      client.disconnect();
+      jest.useRealTimers();
+    });
+
+    test('WhenClientMoves_ShouldUpdateHostSnapshot', () => {
+      client.broadcastPlayerStateUpdate({ position_x: 42, position_y: 24 });
+
+      const hostView = hostSnapshot.getPlayers().get(CLIENT_ID);
+      expect(hostView.position_x).toBe(42);
+      expect(hostView.position_y).toBe(24);
+    });
+
+    test('WhenClientAttacks_ShouldApplyHostCombatResultOnClientSnapshot', () => {
+      const state = { conflictZone: { centerX: 0, centerY: 0, radius: 1000 }, phase: 0, isRunning: true, loot: [] };
+      const combat = new HostCombatManager(host, state);
+      host.on('attack_request', (msg) => combat.handleAttackRequest(msg, hostSnapshot));
+
+      // Host attacks the client standing 10px to the right
+      host.send('attack_request', { aim_x: 10, aim_y: 0, is_special: false });
+
+      const clientView = clientSnapshot.getPlayers().get(CLIENT_ID);
+      expect(clientView.health).toBeLessThan(100);
+      expect(clientView.health).toBe(hostSnapshot.getPlayers().get(CLIENT_ID).health);
+    });
+
+    test('WhenClientRequestsPickup_ShouldApplyHostLootResultOnClient', () => {
+      const state = { loot: [], phase: 0 };
+      const loot = new HostLootManager(host, state);
+      const lootItem = loot.spawnLoot('spear', 12, 0);
+      host.on('pickup_request', (msg) => loot.handlePickupRequest(msg, hostSnapshot));
+      host.writePlayerStateToDB = jest.fn().mockResolvedValue();
+      const pickedUp = jest.fn();
+      client.on('loot_picked_up', pickedUp);
+
+      client.send('pickup_request', { loot_id: lootItem.id });
+
+      expect(pickedUp).toHaveBeenCalledWith(expect.objectContaining({
+        data: { loot_id: lootItem.id, player_id: CLIENT_ID },
+      }));
+      expect(clientSnapshot.getPlayers().get(CLIENT_ID).equipped_weapon).toBe('spear');
+      expect(state.loot).toHaveLength(0);
+    });
+
+    test('WhenLateJoinerRequestsMatchState_ShouldStartFromHostMatch', async () => {
+      host.writeSessionStateToDB = jest.fn().mockResolvedValue();
+      const hostGame = new Game();
+      hostGame.init(hostSnapshot, host);
+      hostGame.state.gameTime = 61;
+
+      const matchState = await client.requestMatchState('join');
+      const clientGame = new Game();
+      clientGame.init(clientSnapshot, client, null, matchState);
+
+      expect(clientGame.state.gameTime).toBeCloseTo(61, 1); // Plus the time in flight
+      expect(clientGame.state.loot).toEqual(hostGame.state.loot);
+      expect(clientGame.state.conflictZone.radius).toBe(hostGame.state.conflictZone.radius);
+      expect(clientGame.state.conflictZone.stageRemaining).toBeCloseTo(hostGame.state.conflictZone.stageRemaining, 1);
+      expect(clientGame.state.aliveCount).toBe(2);
+      hostGame.destroy();
+      clientGame.destroy();
+    });
+
+    test('WhenReliableMessageIsLost_ShouldRecoverItInOrder', () => {
+      const received = [];
+      client.on('player_death', (msg) => received.push(msg.data.victim_id));
+      client.on('game_over', () => received.push('game_over'));
+
+      host.send('player_death', { victim_id: 'a' });
+
+      // The second player_death never makes it to the server
+      const realSend = host.channel.send.bind(host.channel);
+      const hostSend = jest.spyOn(host.channel, 'send')
+        .mockImplementationOnce(() => Promise.resolve('timed out'))
+        .mockImplementation(realSend);
+
+      host.send('player_death', { victim_id: 'b' });
+      host.send('game_over', { winner_id: null, stats: [] });
+
+      // game_over is held back until the NACK brings back the lost player_death
+      expect(received).toEqual(['a', 'b', 'game_over']);
+      expect(hostSend).toHaveBeenLastCalledWith(expect.objectContaining({
+        payload: expect.objectContaining({ type: 'player_death', seq: 2 }),
+      }));
+    });
+
+    test('WhenClientNetworkIsSlowAndLossy_ShouldStillReceiveReliableEventsInOrder', () => {
+      jest.useFakeTimers();
+      // Drop the second message the client receives, pass everything else
+      const randomValues = [0.9, 0.9, 0.9, 0.9, 0.1];
+      client.conditionSimulator = new NetworkConditionSimulator({ random: () => randomValues.shift() ?? 0.9 });
+      client.conditionSimulator.configure({ incoming: { latencyMs: 80, dropRate: 0.5 } });
+      const received = [];
+      client.on('player_death', (msg) => received.push(msg.data.victim_id));
+
+      host.send('player_death', { victim_id: 'a' });
+      host.send('player_death', { victim_id: 'b' });
+      host.send('player_death', { victim_id: 'c' });
+      expect(received).toEqual([]);
+
+      jest.advanceTimersByTime(80);
+      expect(received).toEqual(['a']); // 'c' arrived but waits for the lost 'b'
+
+      jest.advanceTimersByTime(80); // NACK went out at once; the resend takes one more trip
+      expect(received).toEqual(['a', 'b', 'c']);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { CONFIG } from './config.js';
+
+const PRESET_LEVELS = {
+  bot_difficulty: Object.keys(CONFIG.MATCH_SETTINGS.BOT_DIFFICULTY),
+  loot_density: Object.keys(CONFIG.MATCH_SETTINGS.LOOT_DENSITY),
+  zone_speed: Object.keys(CONFIG.MATCH_SETTINGS.ZONE_SPEED),
+};
+
+/**
+ * Weapons that can spawn as loot (everyone always has fists)
+ * @returns {Array<string>} Weapon IDs
+ */
+export function getLootWeaponIds() {
+  return Object.values(CONFIG.WEAPONS).filter(w => w.id !== 'fist').map(w => w.id);
+}
+
+/**
+ * Settings of a session whose host never changed them: the global CONFIG rules
+ */
+export function getDefaultMatchSettings() {
+  return {
+    max_players: CONFIG.GAME.MAX_PLAYERS,
+    bot_fill: CONFIG.GAME.MIN_PLAYERS, // start_game adds bots until this many players are in
+    bot_difficulty: 'normal',
+    loot_density: 'normal',
+    zone_speed: 'normal',
+    allowed_weapons: getLootWeaponIds(),
+    is_public: false, // Listed by list_public_sessions
+  };
+}
+
+function clampInteger(value, min, max, fallback) {
+  return Number.isInteger(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+/**
+ * Complete settings from a partial or untrusted object (game_sessions.settings, a broadcast):
+ * missing or invalid fields get their defaults, numbers are clamped, unknown weapons dropped.
+ * @param {Object} [raw]
+ * @returns {Object}
+ */
+export function normalizeMatchSettings(raw = {}) {
+  const defaults = getDefaultMatchSettings();
+  const source = raw && typeof raw === 'object' ? raw : {};
+
+  const maxPlayers = clampInteger(source.max_players, CONFIG.MATCH_SETTINGS.MIN_PLAYERS, CONFIG.GAME.MAX_PLAYERS, defaults.max_players);
+  const settings = {
+    max_players: maxPlayers,
+    bot_fill: clampInteger(source.bot_fill, 0, maxPlayers, Math.min(defaults.bot_fill, maxPlayers)),
+    allowed_weapons: Array.isArray(source.allowed_weapons)
+      ? defaults.allowed_weapons.filter(id => source.allowed_weapons.includes(id)) // Empty means fists only
+      : defaults.allowed_weapons,
+    is_public: source.is_public === true,
+  };
+  for (const [field, levels] of Object.entries(PRESET_LEVELS)) {
+    settings[field] = levels.includes(source[field]) ? source[field] : defaults[field];
+  }
+  return settings;
+}
+
+/**
+ * CONFIG.ZONE.PHASES with hold and shrink times scaled by the zone speed preset
+ */
+export function getZonePhases(settings) {
+  const multiplier = CONFIG.MATCH_SETTINGS.ZONE_SPEED[settings?.zone_speed] ?? 1;
+  return CONFIG.ZONE.PHASES.map(phase => ({
+    ...phase,
+    holdSeconds: phase.holdSeconds * multiplier,
+    shrinkSeconds: phase.shrinkSeconds * multiplier,
+  }));
+}
+
+/**
+ * Number of weapons spawned at the start of a match
+ */
+export function getLootCount(settings) {
+  const multiplier = CONFIG.MATCH_SETTINGS.LOOT_DENSITY[settings?.loot_density] ?? 1;
+  return Math.round(CONFIG.GAME.INITIAL_LOOT_COUNT * multiplier);
+}
+
+/**
+ * @returns {{ SPEED_MULTIPLIER: number, ATTACK_INTERVAL_MS: number }}
+ */
+export function getBotDifficulty(settings) {
+  const { BOT_DIFFICULTY } = CONFIG.MATCH_SETTINGS;
+  return BOT_DIFFICULTY[settings?.bot_difficulty] ?? BOT_DIFFICULTY.normal;
+}
+
+/**
+ * The session's match rules, stored in game_sessions.settings (max_players and is_public also in
+ * their own columns, which enforceMaxPlayers and list_public_sessions read). The host edits them
+ * in the lobby and broadcasts the complete settings as `match_settings`; guests start from the
+ * session row they joined with. The host re-sends them when someone joins, in case the row was
+ * read before a change.
+ */
+export class MatchSettings {
+  /**
+   * @param {Network} network
+   * @param {Object} [initialSettings] - game_sessions.settings
+   * @param {Object} [options]
+   * @param {Function} [options.onChange] - Called with the new settings
+   */
+  constructor(network, initialSettings = {}, { onChange = null } = {}) {
+    this.network = network;
+    this.settings = normalizeMatchSettings(initialSettings);
+    this.onChange = onChange;
+
+    this.matchSettingsHandler = (message) => this.handleMatchSettings(message);
+    this.postgresChangesHandler = (payload) => this.#handlePlayerJoined(payload);
+    this.network.on('match_settings', this.matchSettingsHandler);
+    this.network.on('postgres_changes', this.postgresChangesHandler);
+  }
+
+  /**
+   * Host only: change some settings, persist them and tell everyone
+   * @param {Object} changes - Any subset of the settings
+   */
+  async update(changes) {
+    if (!this.network.isHost) return;
+
+    this.settings = normalizeMatchSettings({ ...this.settings, ...changes });
+    this.network.send('match_settings', { settings: this.settings }); // Also emitted locally
+    await this.network.writeSessionStateToDB({
+      settings: this.settings,
+      max_players: this.settings.max_players,
+      is_public: this.settings.is_public,
+    });
+  }
+
+  handleMatchSettings(message) {
+    if (message.from !== this.network.hostId) return;
+
+    this.settings = normalizeMatchSettings(message.data.settings);
+    if (this.onChange) this.onChange(this.settings);
+  }
+
+  destroy() {
+    this.network.off('match_settings', this.matchSettingsHandler);
+    this.network.off('postgres_changes', this.postgresChangesHandler);
+    this.onChange = null;
+  }
+
+  #handlePlayerJoined(payload) {
+    if (!this.network.isHost) return;
+    if (payload.table !== 'session_players' || payload.eventType !== 'INSERT' || payload.new?.is_bot) return;
+    this.network.send('match_settings', { settings: this.settings });
+  }
+}
@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import {
+  MatchSettings,
+  getDefaultMatchSettings,
+  normalizeMatchSettings,
+  getZonePhases,
+  getLootCount,
+  getBotDifficulty,
+} from './MatchSettings.js';
+import { CONFIG } from './config.js';
+
+describe('normalizeMatchSettings', () => {
+  test('WhenEmpty_ShouldReturnTheDefaults', () => {
+    expect(normalizeMatchSettings({})).toEqual(getDefaultMatchSettings());
+    expect(normalizeMatchSettings(null)).toEqual(getDefaultMatchSettings());
+  });
+
+  test('WhenNumbersAreOutOfRange_ShouldClampThem', () => {
+    const settings = normalizeMatchSettings({ max_players: 99, bot_fill: -3 });
+
+    expect(settings.max_players).toBe(CONFIG.GAME.MAX_PLAYERS);
+    expect(settings.bot_fill).toBe(0);
+  });
+
+  test('WhenBotFillExceedsMaxPlayers_ShouldCapItAtMaxPlayers', () => {
+    expect(normalizeMatchSettings({ max_players: 3, bot_fill: 8 }).bot_fill).toBe(3);
+  });
+
+  test('WhenValuesAreUnknown_ShouldFallBackToDefaults', () => {
+    const settings = normalizeMatchSettings({ bot_difficulty: 'nightmare', zone_speed: 7, max_players: '6' });
+
+    expect(settings.bot_difficulty).toBe('normal');
+    expect(settings.zone_speed).toBe('normal');
+    expect(settings.max_players).toBe(CONFIG.GAME.MAX_PLAYERS);
+  });
+
+  test('WhenPublicIsNotTrue_ShouldKeepTheSessionPrivate', () => {
+    expect(normalizeMatchSettings({ is_public: 'yes' }).is_public).toBe(false);
+    expect(normalizeMatchSettings({ is_public: true }).is_public).toBe(true);
+  });
+
+  test('WhenWeaponsAreListed_ShouldKeepOnlyLootWeapons', () => {
+    expect(normalizeMatchSettings({ allowed_weapons: ['fist', 'spear', 'laser'] }).allowed_weapons).toEqual(['spear']);
+    expect(normalizeMatchSettings({ allowed_weapons: [] }).allowed_weapons).toEqual([]);
+  });
+});
+
+describe('match setting presets', () => {
+  test('WhenZoneSpeedIsSlow_ShouldStretchHoldAndShrinkTimes', () => {
+    const phases = getZonePhases({ zone_speed: 'slow' });
+    const multiplier = CONFIG.MATCH_SETTINGS.ZONE_SPEED.slow;
+
+    expect(phases[0].holdSeconds).toBe(CONFIG.ZONE.PHASES[0].holdSeconds * multiplier);
+    expect(phases[0].shrinkSeconds).toBe(CONFIG.ZONE.PHASES[0].shrinkSeconds * multiplier);
+    expect(phases[0].targetRadius).toBe(CONFIG.ZONE.PHASES[0].targetRadius);
+  });
+
+  test('WhenLootDensityIsHigh_ShouldSpawnMoreLoot', () => {
+    expect(getLootCount({ loot_density: 'high' }))
+      .toBe(Math.round(CONFIG.GAME.INITIAL_LOOT_COUNT * CONFIG.MATCH_SETTINGS.LOOT_DENSITY.high));
+    expect(getLootCount(undefined)).toBe(CONFIG.GAME.INITIAL_LOOT_COUNT);
+  });
+
+  test('WhenDifficultyIsUnknown_ShouldUseNormal', () => {
+    expect(getBotDifficulty({ bot_difficulty: 'easy' })).toBe(CONFIG.MATCH_SETTINGS.BOT_DIFFICULTY.easy);
+    expect(getBotDifficulty({})).toBe(CONFIG.MATCH_SETTINGS.BOT_DIFFICULTY.normal);
+  });
+});
+
+describe('MatchSettings', () => {
+  let network;
+  let handlers;
+  let onChange;
+  let matchSettings;
+
+  const receive = (type, from, data) => handlers[type]?.forEach(handler => handler({ type, from, data }));
+
+  const createNetwork = (playerId, isHost) => ({
+    playerId,
+    hostId: 'host',
+    isHost,
+    on: jest.fn((type, handler) => {
+      (handlers[type] ??= []).push(handler);
+    }),
+    off: jest.fn((type, handler) => {
+      handlers[type] = handlers[type].filter(h => h !== handler);
+    }),
+    // Like Network.send, our own messages are emitted locally too
+    send: jest.fn((type, data) => receive(type, playerId, data)),
+    writeSessionStateToDB: jest.fn().mockResolvedValue(),
+  });
+
+  beforeEach(() => {
+    handlers = {};
+    onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    matchSettings.destroy();
+  });
+
+  describe('as the host', () => {
+    beforeEach(() => {
+      network = createNetwork('host', true);
+      matchSettings = new MatchSettings(network, { zone_speed: 'fast' }, { onChange });
+    });
+
+    test('WhenCreatedFromTheSessionRow_ShouldFillInDefaults', () => {
+      expect(matchSettings.settings).toEqual({ ...getDefaultMatchSettings(), zone_speed: 'fast' });
+    });
+
+    test('WhenUpdating_ShouldBroadcastAndPersistTheCompleteSettings', async () => {
+      await matchSettings.update({ max_players: 6, loot_density: 'low' });
+
+      const expected = { ...getDefaultMatchSettings(), zone_speed: 'fast', max_players: 6, loot_density: 'low' };
+      expect(network.send).toHaveBeenCalledWith('match_settings', { settings: expected });
+      expect(network.writeSessionStateToDB).toHaveBeenCalledWith({ settings: expected, max_players: 6, is_public: false });
+      expect(onChange).toHaveBeenCalledWith(expected);
+    });
+
+    test('WhenPlayerJoins_ShouldResendTheSettings', () => {
+      handlers.postgres_changes.forEach(handler => handler({ table: 'session_players', eventType: 'INSERT', new: { player_id: 'p3' } }));
+      handlers.postgres_changes.forEach(handler => handler({ table: 'session_players', eventType: 'INSERT', new: { player_id: 'bot', is_bot: true } }));
+
+      expect(network.send).toHaveBeenCalledTimes(1);
+      expect(network.send).toHaveBeenCalledWith('match_settings', { settings: matchSettings.settings });
+    });
+  });
+
+  describe('as a guest', () => {
+    beforeEach(() => {
+      network = createNetwork('p1', false);
+      matchSettings = new MatchSettings(network, {}, { onChange });
+    });
+
+    test('WhenUpdating_ShouldDoNothing', async () => {
+      await matchSettings.update({ max_players: 6 });
+
+      expect(network.send).not.toHaveBeenCalled();
+      expect(network.writeSessionStateToDB).not.toHaveBeenCalled();
+    });
+
+    test('WhenHostBroadcasts_ShouldApplyNormalizedSettings', () => {
+      receive('match_settings', 'host', { settings: { bot_difficulty: 'hard', bot_fill: 50 } });
+
+      expect(matchSettings.settings.bot_difficulty).toBe('hard');
+      expect(matchSettings.settings.bot_fill).toBe(CONFIG.GAME.MAX_PLAYERS);
+      expect(onChange).toHaveBeenCalledWith(matchSettings.settings);
+    });
+
+    test('WhenNonHostBroadcasts_ShouldIgnoreIt', () => {
+      receive('match_settings', 'p2', { settings: { bot_difficulty: 'hard' } });
+
+      expect(matchSettings.settings.bot_difficulty).toBe('normal');
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('WhenDestroyed_ShouldStopListening', () => {
+      matchSettings.destroy();
+      receive('match_settings', 'host', { settings: { bot_difficulty: 'hard' } });
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,285 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Declarative shapes of every broadcast message's `data`, checked by
+ * `Network._handleRealtimeMessage` before anything is emitted.
+ *
+ * A schema maps field names to specs:
+ *   type      - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *   optional  - may be missing (undefined)
+ *   nullable  - may be null
+ *   min, max  - numeric range (inclusive)
+ *   maxLength - for strings and arrays
+ *   values    - allowed values (enum)
+ *   fields    - schema for a nested object
+ *   items     - spec for each array element
+ * Fields not listed are allowed and passed through.
+ *
+ * `player_state_update` data may be a single update or a batch (`list: true`).
+ */
+
+const ID = { type: 'string', maxLength: 64 };
+const OPTIONAL_ID = { ...ID, optional: true };
+
+// Generous bounds: these catch garbage, not cheating (see HostMovementValidator)
+const COORDINATE = { type: 'number', min: -CONFIG.WORLD.WIDTH, max: CONFIG.WORLD.WIDTH * 2 };
+const ROTATION = { type: 'number', min: -4 * Math.PI, max: 4 * Math.PI };
+const VELOCITY = { type: 'number', min: -10_000, max: 10_000 };
+
+const LOOT_ITEM = {
+  id: ID,
+  type: { type: 'string', maxLength: 32 },
+  item_id: ID,
+  x: COORDINATE,
+  y: COORDINATE,
+};
+
+const ZONE_STATE = {
+  phase: { type: 'integer', min: 0 },
+  stage: { type: 'string', values: ['hold', 'shrink', 'final'] },
+  center_x: { type: 'number' },
+  center_y: { type: 'number' },
+  radius: { type: 'number', min: 0 },
+  target_center_x: { type: 'number' },
+  target_center_y: { type: 'number' },
+  target_radius: { type: 'number', min: 0 },
+  stage_remaining: { type: 'number', min: 0 },
+  damage_per_second: { type: 'number', min: 0 },
+};
+
+const PLAYER_STATE = {
+  player_id: OPTIONAL_ID,
+  position_x: { ...COORDINATE, optional: true },
+  position_y: { ...COORDINATE, optional: true },
+  rotation: { ...ROTATION, optional: true },
+  velocity_x: { ...VELOCITY, optional: true },
+  velocity_y: { ...VELOCITY, optional: true },
+  health: { type: 'number', min: 0, max: CONFIG.PLAYER.MAX_HEALTH, optional: true },
+  equipped_weapon: { ...OPTIONAL_ID, nullable: true },
+  equipped_armor: { ...OPTIONAL_ID, nullable: true },
+  is_alive: { type: 'boolean', optional: true },
+  is_connected: { type: 'boolean', optional: true },
+  kills: { type: 'integer', min: 0, optional: true },
+  damage_dealt: { type: 'number', min: 0, optional: true },
+};
+
+const MAX_BATCH = 64;
+
+const SCHEMAS = {
+  // Client -> host
+  attack_request: {
+    aim_x: { type: 'number' },
+    aim_y: { type: 'number' },
+    is_special: { type: 'boolean', optional: true },
+    weapon_id: OPTIONAL_ID,
+    interpolation_delay_ms: { type: 'number', min: 0, optional: true }, // The host clamps it to MAX_REWIND_MS
+  },
+  pickup_request: {
+    loot_id: ID,
+  },
+  request_loot_sync: {},
+  request_match_state: {
+    reason: { type: 'string', values: ['join', 'reconnect'] },
+  },
+  heartbeat: {
+    reliable_epoch: { type: 'string', maxLength: 16, optional: true },
+    reliable_seq: { type: 'integer', min: 0, optional: true },
+  },
+  time_sync_ping: {
+    client_time: { type: 'number', min: 0 },
+  },
+
+  // Anyone
+  player_state_update: { list: true, fields: PLAYER_STATE },
+  reliable_nack: {
+    target_player_id: ID,
+    epoch: { type: 'string', maxLength: 16 },
+    missing: { type: 'array', maxLength: CONFIG.NETWORK.RELIABLE.BUFFER_SIZE, items: { type: 'integer', min: 1 } },
+  },
+  chat_message: {
+    text: { type: 'string', maxLength: CONFIG.CHAT.MAX_LENGTH },
+  },
+
+  // Host -> clients
+  time_sync_pong: {
+    target_player_id: ID,
+    client_time: { type: 'number', min: 0 },
+    host_time: { type: 'number', min: 0 },
+  },
+  loot_spawned: LOOT_ITEM,
+  loot_picked_up: {
+    loot_id: ID,
+    player_id: ID,
+  },
+  loot_sync: {
+    loot: { type: 'array', maxLength: 500, items: { type: 'object', fields: LOOT_ITEM } },
+    target_player_id: OPTIONAL_ID,
+  },
+  player_death: {
+    victim_id: ID,
+    killer_id: { ...ID, nullable: true, optional: true },
+  },
+  zone_update: ZONE_STATE,
+  match_settings: {
+    settings: {
+      type: 'object',
+      fields: {
+        max_players: { type: 'integer', min: 1, max: CONFIG.GAME.MAX_PLAYERS },
+        bot_fill: { type: 'integer', min: 0, max: CONFIG.GAME.MAX_PLAYERS },
+        bot_difficulty: { type: 'string', values: Object.keys(CONFIG.MATCH_SETTINGS.BOT_DIFFICULTY) },
+        loot_density: { type: 'string', values: Object.keys(CONFIG.MATCH_SETTINGS.LOOT_DENSITY) },
+        zone_speed: { type: 'string', values: Object.keys(CONFIG.MATCH_SETTINGS.ZONE_SPEED) },
+        allowed_weapons: { type: 'array', maxLength: 32, items: { type: 'string', maxLength: 32 } },
+      },
+    },
+  },
+  chat_mute: {
+    muted_player_ids: { type: 'array', maxLength: MAX_BATCH, items: ID },
+  },
+  match_state: {
+    target_player_id: ID,
+    game_time: { type: 'number', min: 0 },
+    match_phase: { type: 'string', values: ['deployment', 'combat', 'ending'] },
+    zone: { type: 'object', fields: ZONE_STATE },
+    loot: { type: 'array', maxLength: 500, items: { type: 'object', fields: LOOT_ITEM } },
+    players: {
+      type: 'array',
+      maxLength: MAX_BATCH,
+      items: {
+        type: 'object',
+        fields: {
+          player_id: ID,
+          kills: { type: 'integer', min: 0 },
+          is_alive: { type: 'boolean' },
+        },
+      },
+    },
+    alive_count: { type: 'integer', min: 0 },
+  },
+  game_start: {
+    players: { type: 'array', maxLength: MAX_BATCH, items: { type: 'object' } },
+  },
+  game_over: {
+    winner_id: { ...ID, nullable: true },
+    stats: { type: 'array', maxLength: MAX_BATCH, items: { type: 'object' } },
+  },
+  host_left: {
+    previous_host_id: ID,
+    successor_id: ID,
+  },
+  host_migrated: {
+    previous_host_id: { ...ID, nullable: true, optional: true },
+    new_host_id: ID,
+  },
+  player_evicted: {
+    player_id: ID,
+    reason: { type: 'string', values: ['session_full', 'incompatible_version'] },
+    message: { type: 'string', maxLength: 500, optional: true },
+  },
+  kicked: {
+    target_player_id: ID,
+    banned: { type: 'boolean' },
+    message: { type: 'string', maxLength: 500, optional: true },
+  },
+  session_terminated: {
+    reason: { type: 'string', maxLength: 64 },
+    message: { type: 'string', maxLength: 500, optional: true },
+  },
+};
+
+// Envelope fields every message carries (`seq`/`epoch` only on reliable ones, see ReliableChannel)
+const ENVELOPE = {
+  type: { type: 'string', maxLength: 64 },
+  from: ID,
+  timestamp: { type: 'number', min: 0, optional: true },
+  seq: { type: 'integer', min: 1, optional: true },
+  epoch: { type: 'string', maxLength: 16, optional: true },
+};
+
+/**
+ * Add (or replace) the schema for a message type, e.g. for tools and tests
+ * @param {string} type
+ * @param {Object} schema
+ */
+export function registerMessageSchema(type, schema) {
+  SCHEMAS[type] = schema;
+}
+
+export function hasMessageSchema(type) {
+  return Object.prototype.hasOwnProperty.call(SCHEMAS, type);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * @returns {string|null} Why the value does not match the spec, or null
+ */
+function checkValue(value, spec, path) {
+  if (value === undefined) return spec.optional ? null : `${path} is required`;
+  if (value === null) return spec.nullable ? null : `${path} must not be null`;
+
+  const actual = typeOf(value);
+  if (spec.type === 'integer') {
+    if (!Number.isInteger(value)) return `${path} must be an integer`;
+  } else if (spec.type === 'number') {
+    if (actual !== 'number' || !Number.isFinite(value)) return `${path} must be a finite number`;
+  } else if (actual !== spec.type) {
+    return `${path} must be ${spec.type}, got ${actual}`;
+  }
+
+  if (spec.min !== undefined && value < spec.min) return `${path} must be >= ${spec.min}`;
+  if (spec.max !== undefined && value > spec.max) return `${path} must be <= ${spec.max}`;
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) return `${path} is longer than ${spec.maxLength}`;
+  if (spec.values && !spec.values.includes(value)) return `${path} must be one of ${spec.values.join(', ')}`;
+
+  if (spec.fields) {
+    const error = checkFields(value, spec.fields, path);
+    if (error) return error;
+  }
+  if (spec.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = checkValue(value[i], spec.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+function checkFields(object, fields, path) {
+  for (const [name, spec] of Object.entries(fields)) {
+    const error = checkValue(object[name], spec, path ? `${path}.${name}` : name);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Check a received message against its type's schema
+ * @param {Object} message - { type, from, timestamp, data, ... }, after decoding
+ * @returns {string|null} Reason the message is malformed, or null if it is valid
+ */
+export function validateMessage(message) {
+  if (typeOf(message) !== 'object') return 'message must be an object';
+
+  const envelopeError = checkFields(message, ENVELOPE, '');
+  if (envelopeError) return envelopeError;
+
+  if (!hasMessageSchema(message.type)) return `unknown message type ${message.type}`;
+  const schema = SCHEMAS[message.type];
+
+  if (schema.list) {
+    const updates = Array.isArray(message.data) ? message.data : [message.data];
+    if (updates.length > MAX_BATCH) return `data is longer than ${MAX_BATCH}`;
+    for (let i = 0; i < updates.length; i++) {
+      const error = checkValue(updates[i], { type: 'object', fields: schema.fields }, `data[${i}]`);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  return checkValue(message.data, { type: 'object', fields: schema }, 'data');
+}
@@ -0,0 +1,65 @@
+import { validateMessage, registerMessageSchema, hasMessageSchema } from './MessageSchemas.js';
+import { RELIABLE_MESSAGE_TYPES } from './ReliableChannel.js';
+
+describe('MessageSchemas', () => {
+  const message = (type, data, overrides = {}) => ({ type, from: 'p1', timestamp: 1000, data, ...overrides });
+
+  test('WhenMessageMatchesSchema_ShouldBeValid', () => {
+    expect(validateMessage(message('attack_request', { aim_x: 10, aim_y: 20, is_special: false }))).toBeNull();
+    expect(validateMessage(message('zone_update', {
+      phase: 1, stage: 'shrink', center_x: 1, center_y: 2, radius: 300,
+      target_center_x: 1, target_center_y: 2, target_radius: 200, stage_remaining: 5, damage_per_second: 3,
+    }))).toBeNull();
+  });
+
+  test('WhenRequiredFieldMissing_ShouldNameIt', () => {
+    expect(validateMessage(message('pickup_request', {}))).toBe('data.loot_id is required');
+  });
+
+  test('WhenFieldHasWrongType_ShouldReject', () => {
+    expect(validateMessage(message('attack_request', { aim_x: '10', aim_y: 20 }))).toMatch(/data.aim_x must be a finite number/);
+    expect(validateMessage(message('attack_request', { aim_x: null, aim_y: 20 }))).toMatch(/must not be null/);
+  });
+
+  test('WhenNumberOutOfRange_ShouldReject', () => {
+    expect(validateMessage(message('player_state_update', [{ player_id: 'p1', health: 1e9 }]))).toMatch(/data\[0\].health must be <=/);
+  });
+
+  test('WhenValueNotInEnum_ShouldReject', () => {
+    expect(validateMessage(message('zone_update', {
+      phase: 1, stage: 'explode', center_x: 1, center_y: 2, radius: 300,
+      target_center_x: 1, target_center_y: 2, target_radius: 200, stage_remaining: 5, damage_per_second: 3,
+    }))).toMatch(/data.stage must be one of/);
+  });
+
+  test('WhenArrayItemInvalid_ShouldReject', () => {
+    expect(validateMessage(message('reliable_nack', { target_player_id: 'h', epoch: 'e', missing: [1, 0] })))
+      .toBe('data.missing[1] must be >= 1');
+    expect(validateMessage(message('loot_sync', { loot: [{ id: 'loot-1', type: 'weapon', item_id: 'spear', x: 1 }] })))
+      .toBe('data.loot[0].y is required');
+  });
+
+  test('WhenPlayerStateIsSingleOrBatch_ShouldAcceptBoth', () => {
+    expect(validateMessage(message('player_state_update', { position_x: 5, position_y: 5 }))).toBeNull();
+    expect(validateMessage(message('player_state_update', [{ player_id: 'a', rotation: 1 }, { player_id: 'b', is_alive: false }]))).toBeNull();
+  });
+
+  test('WhenEnvelopeIsMalformed_ShouldReject', () => {
+    expect(validateMessage(null)).toBe('message must be an object');
+    expect(validateMessage(message('heartbeat', {}, { from: 42 }))).toMatch(/from must be string/);
+    expect(validateMessage(message('heartbeat', {}, { seq: 0 }))).toMatch(/seq must be >= 1/);
+  });
+
+  test('WhenTypeIsUnknown_ShouldRejectUnlessRegistered', () => {
+    expect(validateMessage(message('teleport_everyone', {}))).toBe('unknown message type teleport_everyone');
+
+    registerMessageSchema('teleport_everyone', { x: { type: 'number' } });
+    expect(validateMessage(message('teleport_everyone', { x: 1 }))).toBeNull();
+  });
+
+  test('WhenMessageIsReliable_ShouldHaveSchema', () => {
+    [...RELIABLE_MESSAGE_TYPES, 'reliable_nack', 'heartbeat'].forEach(type => {
+      expect(hasMessageSchema(type)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { CONFIG } from './config.js';
+
+const DIRECTIONS = ['outgoing', 'incoming'];
+
+const NO_CONDITIONS = {
+  latencyMs: 0, // Fixed one-way delay
+  jitterMs: 0, // Extra random delay, 0..jitterMs
+  dropRate: 0, // 0..1
+  duplicateRate: 0, // 0..1, delivered twice
+  reorderRate: 0, // 0..1, held back an extra CONDITION_SIMULATOR.REORDER_DELAY_MS
+};
+
+// Short names accepted in the ?netsim= query parameter
+const QUERY_KEYS = {
+  latency: 'latencyMs',
+  jitter: 'jitterMs',
+  loss: 'dropRate',
+  duplicate: 'duplicateRate',
+  reorder: 'reorderRate',
+};
+
+/**
+ * Parse a `?netsim=` value into conditions for NetworkConditionSimulator.configure().
+ * Either a preset name from CONFIG.NETWORK.CONDITION_SIMULATOR.PRESETS (`?netsim=3g`), or
+ * comma-separated `key:value` pairs using QUERY_KEYS (`?netsim=latency:150,jitter:40,loss:0.05`).
+ * Prefix a key with `in.` or `out.` to affect one direction only (`out.loss:0.2`).
+ * @param {string|null} value
+ * @returns {string|Object|null} Preset name, conditions object, or null when empty
+ */
+export function parseNetworkConditions(value) {
+  if (!value) return null;
+  if (CONFIG.NETWORK.CONDITION_SIMULATOR.PRESETS[value]) return value;
+
+  const conditions = {};
+  value.split(',').forEach((pair) => {
+    const [rawKey, rawValue] = pair.split(':');
+    const [prefix, name] = rawKey.includes('.') ? rawKey.trim().split('.') : [null, rawKey.trim()];
+    const field = QUERY_KEYS[name];
+    const number = parseFloat(rawValue);
+    if (!field || Number.isNaN(number)) {
+      console.warn(`Ignoring unknown network condition "${pair}"`);
+      return;
+    }
+
+    if (prefix === 'in' || prefix === 'out') {
+      const direction = prefix === 'in' ? 'incoming' : 'outgoing';
+      conditions[direction] = { ...conditions[direction], [field]: number };
+    } else {
+      conditions[field] = number;
+    }
+  });
+  return conditions;
+}
+
+/**
+ * Debug middleware that makes the realtime channel behave like a bad network.
+ *
+ * `Network` passes every broadcast it puts on the channel through `outgoing()` and every
+ * broadcast it receives through `incoming()`. Each direction has its own latency, jitter,
+ * drop, duplication and reordering settings. Latency is one-way, so a round trip between
+ * two simulated clients pays it four times (out and in on each side).
+ *
+ * With no conditions set, messages pass straight through synchronously.
+ */
+export class NetworkConditionSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.random=Math.random] - Random source, injectable for deterministic tests
+   */
+  constructor({ random = Math.random } = {}) {
+    this.random = random;
+    this.conditions = { outgoing: { ...NO_CONDITIONS }, incoming: { ...NO_CONDITIONS } };
+    this.timers = new Set();
+  }
+
+  /**
+   * @param {string|Object|null} conditions - Preset name, `null` to turn off, or an object with
+   *   any NO_CONDITIONS field (applies to both directions) plus optional `outgoing`/`incoming` overrides
+   */
+  configure(conditions) {
+    if (typeof conditions === 'string') {
+      const preset = CONFIG.NETWORK.CONDITION_SIMULATOR.PRESETS[conditions];
+      if (!preset) throw new Error(`Unknown network condition preset: ${conditions}`);
+      conditions = preset;
+    }
+
+    const { outgoing, incoming, ...shared } = conditions || {};
+    this.conditions = {
+      outgoing: { ...NO_CONDITIONS, ...shared, ...outgoing },
+      incoming: { ...NO_CONDITIONS, ...shared, ...incoming },
+    };
+  }
+
+  getConditions() {
+    return { outgoing: { ...this.conditions.outgoing }, incoming: { ...this.conditions.incoming } };
+  }
+
+  isEnabled() {
+    return DIRECTIONS.some(direction =>
+      Object.values(this.conditions[direction]).some(value => value > 0));
+  }
+
+  /**
+   * Put a message on the wire under the outgoing conditions
+   * @param {Function} send - Performs the real send, returns the channel's send result
+   * @returns {*} The send result, or a promise of it; 'timed out' if the message was dropped
+   */
+  outgoing(send) {
+    return this.#apply(this.conditions.outgoing, send, 'timed out');
+  }
+
+  /**
+   * Hand a received message to the game under the incoming conditions
+   * @param {Function} deliver - Processes the message
+   */
+  incoming(deliver) {
+    this.#apply(this.conditions.incoming, deliver);
+  }
+
+  /**
+   * Cancel messages still in flight, e.g. when leaving a session
+   */
+  clear() {
+    this.timers.forEach(clearTimeout);
+    this.timers.clear();
+  }
+
+  #apply(conditions, deliver, droppedResult) {
+    if (!Object.values(conditions).some(value => value > 0)) return deliver();
+    if (this.random() < conditions.dropRate) return droppedResult;
+
+    const result = this.#deliverLater(conditions, deliver);
+    if (this.random() < conditions.duplicateRate) {
+      this.#deliverLater(conditions, deliver);
+    }
+    return result;
+  }
+
+  #deliverLater(conditions, deliver) {
+    let delay = conditions.latencyMs + this.random() * conditions.jitterMs;
+    if (this.random() < conditions.reorderRate) {
+      delay += CONFIG.NETWORK.CONDITION_SIMULATOR.REORDER_DELAY_MS;
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve(deliver());
+      }, delay);
+      this.timers.add(timer);
+    });
+  }
+}
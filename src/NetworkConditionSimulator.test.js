@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import { NetworkConditionSimulator, parseNetworkConditions } from './NetworkConditionSimulator.js';
+import { CONFIG } from './config.js';
+
+describe('NetworkConditionSimulator', () => {
+  let simulator;
+  let randomValues;
+
+  // Feed the simulator a fixed sequence of "random" numbers, then 0.5 forever
+  const useRandom = (...values) => { randomValues = values; };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    randomValues = [];
+    simulator = new NetworkConditionSimulator({ random: () => (randomValues.length > 0 ? randomValues.shift() : 0.5) });
+  });
+
+  afterEach(() => {
+    simulator.clear();
+    jest.useRealTimers();
+  });
+
+  test('WhenNoConditionsSet_ShouldDeliverSynchronously', () => {
+    const send = jest.fn(() => 'ok');
+
+    expect(simulator.isEnabled()).toBe(false);
+    expect(simulator.outgoing(send)).toBe('ok');
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('WhenLatencyAndJitterSet_ShouldDelayDelivery', () => {
+    simulator.configure({ latencyMs: 100, jitterMs: 50 });
+    const deliver = jest.fn();
+
+    useRandom(0.9, 0.5); // no drop, jitter = 25ms
+    simulator.incoming(deliver);
+
+    jest.advanceTimersByTime(124);
+    expect(deliver).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(deliver).toHaveBeenCalledTimes(1);
+  });
+
+  test('WhenDelayedSendSettles_ShouldResolveToChannelResult', async () => {
+    simulator.configure({ latencyMs: 50 });
+
+    const result = simulator.outgoing(() => 'ok');
+    jest.advanceTimersByTime(50);
+
+    await expect(result).resolves.toBe('ok');
+  });
+
+  test('WhenOutgoingMessageDropped_ShouldReportTimeout', () => {
+    simulator.configure({ dropRate: 0.5 });
+    const send = jest.fn();
+
+    useRandom(0.1);
+    expect(simulator.outgoing(send)).toBe('timed out');
+
+    jest.runAllTimers();
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('WhenMessageDuplicated_ShouldDeliverTwice', () => {
+    simulator.configure({ latencyMs: 10, duplicateRate: 0.5 });
+    const deliver = jest.fn();
+
+    useRandom(0.9, 0, 0.9, 0.1); // no drop, no jitter, no reorder, duplicate
+    simulator.incoming(deliver);
+    jest.runAllTimers();
+
+    expect(deliver).toHaveBeenCalledTimes(2);
+  });
+
+  test('WhenMessageReordered_ShouldArriveAfterLaterMessages', () => {
+    simulator.configure({ latencyMs: 10, reorderRate: 0.5 });
+    const order = [];
+
+    useRandom(0.9, 0, 0.1, 0.9); // first: reordered
+    simulator.incoming(() => order.push('first'));
+    useRandom(0.9, 0, 0.9, 0.9);
+    simulator.incoming(() => order.push('second'));
+    jest.runAllTimers();
+
+    expect(order).toEqual(['second', 'first']);
+  });
+
+  test('WhenDirectionsConfiguredSeparately_ShouldOnlyAffectThatDirection', () => {
+    simulator.configure({ incoming: { latencyMs: 200 } });
+    const send = jest.fn(() => 'ok');
+    const deliver = jest.fn();
+
+    simulator.outgoing(send);
+    simulator.incoming(deliver);
+
+    expect(send).toHaveBeenCalled();
+    expect(deliver).not.toHaveBeenCalled();
+  });
+
+  test('WhenPresetNamed_ShouldUsePresetConditions', () => {
+    simulator.configure('3g');
+
+    expect(simulator.getConditions().incoming).toEqual(expect.objectContaining(CONFIG.NETWORK.CONDITION_SIMULATOR.PRESETS['3g']));
+    expect(() => simulator.configure('dial-up')).toThrow('Unknown network condition preset');
+  });
+
+  test('WhenConfiguredWithNull_ShouldTurnOff', () => {
+    simulator.configure('lossy');
+    simulator.configure(null);
+
+    expect(simulator.isEnabled()).toBe(false);
+  });
+
+  test('WhenCleared_ShouldCancelMessagesInFlight', () => {
+    simulator.configure({ latencyMs: 100 });
+    const deliver = jest.fn();
+
+    simulator.incoming(deliver);
+    simulator.clear();
+    jest.runAllTimers();
+
+    expect(deliver).not.toHaveBeenCalled();
+  });
+
+  describe('parseNetworkConditions', () => {
+    test('WhenGivenPresetName_ShouldReturnIt', () => {
+      expect(parseNetworkConditions('wifi')).toBe('wifi');
+    });
+
+    test('WhenGivenPairs_ShouldMapShortNames', () => {
+      expect(parseNetworkConditions('latency:150,jitter:40,loss:0.05,out.reorder:0.1,in.duplicate:0.02')).toEqual({
+        latencyMs: 150,
+        jitterMs: 40,
+        dropRate: 0.05,
+        outgoing: { reorderRate: 0.1 },
+        incoming: { duplicateRate: 0.02 },
+      });
+    });
+
+    test('WhenGivenUnknownKey_ShouldWarnAndSkipIt', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(parseNetworkConditions('latency:50,speed:9')).toEqual({ latencyMs: 50 });
+      expect(warn).toHaveBeenCalledTimes(1);
+      warn.mockRestore();
+    });
+
+    test('WhenEmpty_ShouldReturnNull', () => {
+      expect(parseNetworkConditions(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Traffic counters for the DebugUI network tab: messages and bytes per type in each
+ * direction, averaged over the last STATS.WINDOW_MS, plus totals of messages that never
+ * made it (failed sends, rejected or undecodable receives).
+ *
+ * Bytes are the JSON length of the payload, which is close to what Realtime puts on
+ * the socket and cheap enough to measure on every message.
+ */
+export class NetworkStats {
+  constructor() {
+    this.samples = { in: [], out: [] }; // { time, type, bytes }, oldest first
+    this.failedSends = 0;
+  }
+
+  recordIncoming(payload, now = Date.now()) {
+    this.#record(this.samples.in, payload, now);
+  }
+
+  recordOutgoing(payload, now = Date.now()) {
+    this.#record(this.samples.out, payload, now);
+  }
+
+  recordFailedSend() {
+    this.failedSends++;
+  }
+
+  /**
+   * Rates over the last window
+   * @returns {{ messagesPerSecond: number, bytesPerSecond: number, byType: Object<string, number> }}
+   *   byType maps message type to messages per second
+   */
+  getRates(direction, now = Date.now()) {
+    const samples = this.samples[direction];
+    this.#prune(samples, now);
+
+    const seconds = CONFIG.NETWORK.STATS.WINDOW_MS / 1000;
+    const byType = {};
+    let bytes = 0;
+    samples.forEach(sample => {
+      byType[sample.type] = (byType[sample.type] ?? 0) + 1 / seconds;
+      bytes += sample.bytes;
+    });
+
+    return { messagesPerSecond: samples.length / seconds, bytesPerSecond: bytes / seconds, byType };
+  }
+
+  #record(samples, payload, now) {
+    let bytes = 0;
+    try {
+      bytes = JSON.stringify(payload)?.length ?? 0;
+    } catch {
+      // Unserializable payloads are counted without a size
+    }
+    samples.push({ time: now, type: String(payload?.type), bytes });
+    this.#prune(samples, now);
+  }
+
+  #prune(samples, now) {
+    const cutoff = now - CONFIG.NETWORK.STATS.WINDOW_MS;
+    let expired = 0;
+    while (expired < samples.length && samples[expired].time <= cutoff) expired++;
+    if (expired > 0) samples.splice(0, expired);
+  }
+}
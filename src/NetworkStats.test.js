@@ -0,0 +1,48 @@
+import { NetworkStats } from './NetworkStats.js';
+import { CONFIG } from './config.js';
+
+describe('NetworkStats', () => {
+  const { WINDOW_MS } = CONFIG.NETWORK.STATS;
+  const T0 = 1_000_000;
+  let stats;
+
+  beforeEach(() => {
+    stats = new NetworkStats();
+  });
+
+  test('WhenMessagesRecorded_ShouldReportRatesPerTypeOverTheWindow', () => {
+    for (let i = 0; i < 10; i++) {
+      stats.recordIncoming({ type: 'player_state_update', data: [] }, T0 + i * 100);
+    }
+    stats.recordIncoming({ type: 'heartbeat' }, T0);
+
+    const rates = stats.getRates('in', T0 + 1000);
+
+    const seconds = WINDOW_MS / 1000;
+    expect(rates.messagesPerSecond).toBeCloseTo(11 / seconds);
+    expect(rates.byType.player_state_update).toBeCloseTo(10 / seconds);
+    expect(rates.byType.heartbeat).toBeCloseTo(1 / seconds);
+  });
+
+  test('WhenMessagesRecorded_ShouldCountTheirJsonSize', () => {
+    const payload = { type: 'heartbeat', from: 'p1' };
+    stats.recordOutgoing(payload, T0);
+
+    expect(stats.getRates('out', T0).bytesPerSecond).toBeCloseTo(JSON.stringify(payload).length / (WINDOW_MS / 1000));
+    expect(stats.getRates('in', T0).messagesPerSecond).toBe(0);
+  });
+
+  test('WhenMessagesAreOlderThanTheWindow_ShouldForgetThem', () => {
+    stats.recordOutgoing({ type: 'heartbeat' }, T0);
+
+    expect(stats.getRates('out', T0 + WINDOW_MS).messagesPerSecond).toBe(0);
+    expect(stats.getRates('out', T0 + WINDOW_MS).byType).toEqual({});
+  });
+
+  test('WhenSendFails_ShouldCountIt', () => {
+    stats.recordFailedSend();
+    stats.recordFailedSend();
+
+    expect(stats.failedSends).toBe(2);
+  });
+});
@@ -0,0 +1,191 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Wire format for `player_state_update` broadcasts.
+ *
+ * Frames look like `{ v: PLAYER_STATE_CODEC_VERSION, u: [entry, ...] }`. Each entry uses
+ * short keys (see FIELDS), with positions, rotation and velocity quantized to integers.
+ * Fields without a short key are passed through under their own name.
+ *
+ * Continuous streams (the local player, host-driven bots) are delta-encoded: an entry only
+ * carries the fields that changed since the last frame the Realtime server acknowledged,
+ * plus a full keyframe every STATE_CODEC.KEYFRAME_INTERVAL_MS for late joiners.
+ * Receivers need no baseline of their own because SessionPlayersSnapshot only applies
+ * the fields present in an update.
+ */
+export const PLAYER_STATE_CODEC_VERSION = 1;
+
+// long name -> [short key, quantization scale (0 = not quantized)]
+const FIELDS = {
+  player_id: ['i', 0],
+  position_x: ['x', 'POSITION_SCALE'],
+  position_y: ['y', 'POSITION_SCALE'],
+  rotation: ['r', 'ROTATION_SCALE'],
+  velocity_x: ['vx', 'VELOCITY_SCALE'],
+  velocity_y: ['vy', 'VELOCITY_SCALE'],
+  health: ['h', 0],
+  equipped_weapon: ['w', 0],
+  equipped_armor: ['a', 0],
+  is_alive: ['al', 0],
+  is_connected: ['c', 0],
+  kills: ['k', 0],
+  damage_dealt: ['d', 0],
+};
+
+const LONG_NAMES = Object.fromEntries(
+  Object.entries(FIELDS).map(([longName, [shortKey]]) => [shortKey, longName]),
+);
+
+function getScale(longName) {
+  const scaleKey = FIELDS[longName]?.[1];
+  return scaleKey ? CONFIG.NETWORK.STATE_CODEC[scaleKey] : 0;
+}
+
+/**
+ * Convert one long-form update into short keys with quantized numbers
+ */
+function encodeEntry(update) {
+  const entry = {};
+  for (const [longName, value] of Object.entries(update)) {
+    if (value === undefined) continue;
+    const scale = getScale(longName);
+    const key = FIELDS[longName]?.[0] ?? longName;
+    entry[key] = scale && typeof value === 'number' ? Math.round(value * scale) : value;
+  }
+  return entry;
+}
+
+function decodeEntry(entry) {
+  const update = {};
+  for (const [key, value] of Object.entries(entry)) {
+    const longName = LONG_NAMES[key] ?? key;
+    const scale = getScale(longName);
+    update[longName] = scale && typeof value === 'number' ? value / scale : value;
+  }
+  return update;
+}
+
+/**
+ * @param {*} data - `data` of a received player_state_update
+ * @returns {boolean} Whether data is a codec frame (as opposed to a plain update)
+ */
+export function isEncodedPlayerState(data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data) && 'v' in data && Array.isArray(data.u);
+}
+
+/**
+ * Decode a player_state_update payload back into long-form updates.
+ * Plain (unencoded) payloads are returned unchanged.
+ * @param {*} data - `data` of a received player_state_update
+ * @returns {Array|Object|null} Array of updates, the original data, or null for an unknown version
+ */
+export function decodePlayerStateUpdate(data) {
+  if (!isEncodedPlayerState(data)) return data;
+
+  if (data.v !== PLAYER_STATE_CODEC_VERSION) {
+    console.warn(`Ignoring player_state_update with unsupported codec version ${data.v}`);
+    return null;
+  }
+  return data.u.map(decodeEntry);
+}
+
+/**
+ * Stateful sender side: remembers the last acknowledged state of each delta-encoded player
+ */
+export class PlayerStateEncoder {
+  constructor() {
+    this.nextSeq = 1;
+    this.baselines = new Map(); // player_id -> { seq, state (encoded entry), keyframeAt }
+    this.pending = new Map(); // seq -> Map(player_id -> { full, isKeyframe, sentAt }), frames awaiting an ack
+  }
+
+  /**
+   * @param {Array<Object>} updates - Long-form updates, each with a player_id
+   * @param {Object} [options]
+   * @param {boolean} [options.delta=false] - Omit fields unchanged since the last acked frame
+   * @param {number} [options.now=Date.now()] - Current time, for keyframe scheduling
+   * @returns {{ seq: number, frame: Object }|null} The frame to send, or null if nothing changed
+   */
+  encode(updates, { delta = false, now = Date.now() } = {}) {
+    const seq = this.nextSeq++;
+    const entries = [];
+    const sentStates = new Map();
+
+    for (const update of updates) {
+      const full = encodeEntry(update);
+      if (!delta) {
+        entries.push(full);
+        continue;
+      }
+
+      const playerId = update.player_id;
+      const baseline = this.baselines.get(playerId);
+      const isKeyframe = !baseline || now - baseline.keyframeAt >= CONFIG.NETWORK.STATE_CODEC.KEYFRAME_INTERVAL_MS;
+      const entry = isKeyframe ? full : this.#diff(full, baseline.state);
+
+      sentStates.set(playerId, { full, isKeyframe, sentAt: now });
+      if (Object.keys(entry).length > 1) {
+        entries.push(entry);
+      }
+    }
+
+    if (sentStates.size > 0) {
+      this.#addPending(seq, sentStates);
+    }
+
+    if (entries.length === 0) return null;
+    return { seq, frame: { v: PLAYER_STATE_CODEC_VERSION, u: entries } };
+  }
+
+  /**
+   * The frame reached the Realtime server: later deltas may be taken against it
+   */
+  ack(seq) {
+    const sent = this.pending.get(seq);
+    if (!sent) return;
+    this.pending.delete(seq);
+
+    for (const [playerId, { full, isKeyframe, sentAt }] of sent) {
+      const baseline = this.baselines.get(playerId);
+      if (baseline && baseline.seq > seq) continue; // A newer frame was already acked
+
+      this.baselines.set(playerId, {
+        seq,
+        state: { ...baseline?.state, ...full },
+        keyframeAt: isKeyframe ? sentAt : baseline?.keyframeAt ?? sentAt,
+      });
+    }
+  }
+
+  /**
+   * The frame was not delivered: keep diffing against the older baseline
+   */
+  drop(seq) {
+    this.pending.delete(seq);
+  }
+
+  /**
+   * Forget all baselines, so every player is sent in full next time
+   */
+  reset() {
+    this.baselines.clear();
+    this.pending.clear();
+  }
+
+  #diff(full, baselineState) {
+    const entry = { i: full.i };
+    for (const [key, value] of Object.entries(full)) {
+      if (baselineState[key] !== value) entry[key] = value;
+    }
+    return entry;
+  }
+
+  #addPending(seq, sentStates) {
+    this.pending.set(seq, sentStates);
+
+    // Frames that never get an answer must not pile up
+    if (this.pending.size > CONFIG.NETWORK.STATE_CODEC.MAX_PENDING_FRAMES) {
+      this.pending.delete(this.pending.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import { PlayerStateEncoder, decodePlayerStateUpdate, PLAYER_STATE_CODEC_VERSION } from './PlayerStateCodec.js';
+import { CONFIG } from './config.js';
+
+describe('PlayerStateCodec', () => {
+  let encoder;
+
+  const movement = (overrides = {}) => ({
+    player_id: 'p1',
+    position_x: 100.26,
+    position_y: 200,
+    rotation: 1.5708,
+    velocity_x: 141.42,
+    velocity_y: 0,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    encoder = new PlayerStateEncoder();
+  });
+
+  describe('Encoding', () => {
+    test('WhenEncoding_ShouldUseShortKeysAndQuantize', () => {
+      const { frame } = encoder.encode([movement()]);
+
+      expect(frame).toEqual({
+        v: PLAYER_STATE_CODEC_VERSION,
+        u: [{ i: 'p1', x: 1003, y: 2000, r: 1571, vx: 14142, vy: 0 }],
+      });
+    });
+
+    test('WhenRoundTripping_ShouldStayWithinQuantizationStep', () => {
+      const { frame } = encoder.encode([movement({ health: 75, equipped_weapon: 'spear', is_alive: true })]);
+      const [decoded] = decodePlayerStateUpdate(JSON.parse(JSON.stringify(frame)));
+
+      expect(decoded.position_x).toBeCloseTo(100.26, 1);
+      expect(decoded.rotation).toBeCloseTo(1.5708, 3);
+      expect(decoded).toEqual(expect.objectContaining({ player_id: 'p1', health: 75, equipped_weapon: 'spear', is_alive: true }));
+    });
+
+    test('WhenFieldHasNoShortKey_ShouldPassItThrough', () => {
+      const { frame } = encoder.encode([{ player_id: 'p1', player_name: 'Bot 1' }]);
+
+      expect(decodePlayerStateUpdate(frame)).toEqual([{ player_id: 'p1', player_name: 'Bot 1' }]);
+    });
+
+    test('WhenEncoding_ShouldBeMuchSmallerThanPlainJson', () => {
+      // Typical frame-by-frame floats from the movement code
+      const update = movement({
+        player_id: '8c6f3e34-1d2b-4b6e-9a57-3f1c2d4e5f60',
+        position_x: 1234.5678901234,
+        position_y: 987.6543210987,
+        rotation: 2.356194490192345,
+        velocity_x: -141.4213562373095,
+        velocity_y: 141.4213562373095,
+      });
+      const { frame } = encoder.encode([update]);
+
+      expect(JSON.stringify(frame).length).toBeLessThan(JSON.stringify(update).length * 0.6);
+    });
+  });
+
+  describe('Delta Streams', () => {
+    const T0 = 1_000_000;
+
+    test('WhenBaselineAcked_ShouldOnlySendChangedFields', () => {
+      const first = encoder.encode([movement()], { delta: true, now: T0 });
+      encoder.ack(first.seq);
+
+      const second = encoder.encode([movement({ position_x: 110 })], { delta: true, now: T0 + 50 });
+
+      expect(second.frame.u).toEqual([{ i: 'p1', x: 1100 }]);
+    });
+
+    test('WhenNothingChanged_ShouldReturnNull', () => {
+      const first = encoder.encode([movement()], { delta: true, now: T0 });
+      encoder.ack(first.seq);
+
+      expect(encoder.encode([movement()], { delta: true, now: T0 + 50 })).toBeNull();
+    });
+
+    test('WhenBatchHasUnchangedPlayers_ShouldOmitThem', () => {
+      const first = encoder.encode([movement(), movement({ player_id: 'bot' })], { delta: true, now: T0 });
+      encoder.ack(first.seq);
+
+      const second = encoder.encode([movement(), movement({ player_id: 'bot', rotation: 0 })], { delta: true, now: T0 + 50 });
+
+      expect(second.frame.u).toEqual([{ i: 'bot', r: 0 }]);
+    });
+
+    test('WhenFrameDropped_ShouldDiffAgainstOlderBaseline', () => {
+      const first = encoder.encode([movement()], { delta: true, now: T0 });
+      encoder.ack(first.seq);
+      const lost = encoder.encode([movement({ position_x: 110 })], { delta: true, now: T0 + 50 });
+      encoder.drop(lost.seq);
+
+      const next = encoder.encode([movement({ position_x: 110, position_y: 210 })], { delta: true, now: T0 + 100 });
+
+      expect(next.frame.u).toEqual([{ i: 'p1', x: 1100, y: 2100 }]);
+    });
+
+    test('WhenAcksArriveOutOfOrder_ShouldKeepNewestBaseline', () => {
+      const first = encoder.encode([movement()], { delta: true, now: T0 });
+      const second = encoder.encode([movement({ position_x: 110 })], { delta: true, now: T0 + 50 });
+      encoder.ack(second.seq);
+      encoder.ack(first.seq);
+
+      const third = encoder.encode([movement({ position_x: 110 })], { delta: true, now: T0 + 100 });
+
+      expect(third).toBeNull();
+    });
+
+    test('WhenKeyframeIsDue_ShouldSendEveryField', () => {
+      const first = encoder.encode([movement()], { delta: true, now: T0 });
+      encoder.ack(first.seq);
+
+      const keyframe = encoder.encode([movement()], { delta: true, now: T0 + CONFIG.NETWORK.STATE_CODEC.KEYFRAME_INTERVAL_MS });
+
+      expect(keyframe.frame.u[0]).toEqual(expect.objectContaining({ x: 1003, y: 2000, r: 1571 }));
+    });
+
+    test('WhenNotDelta_ShouldAlwaysSendInFull', () => {
+      const first = encoder.encode([movement()], { delta: true, now: T0 });
+      encoder.ack(first.seq);
+
+      // e.g. a host correction that happens to match the stream's baseline
+      const correction = encoder.encode([movement()], { now: T0 + 50 });
+
+      expect(correction.frame.u[0]).toEqual(expect.objectContaining({ x: 1003, y: 2000 }));
+    });
+
+    test('WhenAcksNeverArrive_ShouldBoundPendingFrames', () => {
+      for (let i = 0; i < CONFIG.NETWORK.STATE_CODEC.MAX_PENDING_FRAMES * 2; i++) {
+        encoder.encode([movement({ position_x: i })], { delta: true, now: T0 + i });
+      }
+
+      expect(encoder.pending.size).toBe(CONFIG.NETWORK.STATE_CODEC.MAX_PENDING_FRAMES);
+    });
+  });
+
+  describe('Decoding', () => {
+    test('WhenDataIsNotEncoded_ShouldReturnItUnchanged', () => {
+      const plain = { position_x: 1 };
+      expect(decodePlayerStateUpdate(plain)).toBe(plain);
+      expect(decodePlayerStateUpdate([plain])).toEqual([plain]);
+    });
+
+    test('WhenVersionIsUnknown_ShouldReturnNull', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(decodePlayerStateUpdate({ v: PLAYER_STATE_CODEC_VERSION + 1, u: [] })).toBeNull();
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
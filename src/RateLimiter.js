@@ -0,0 +1,48 @@
+/**
+ * Token-bucket rate limiter keyed by an arbitrary string (e.g. `${senderId}:${messageType}`).
+ *
+ * Each key gets a bucket of BURST tokens that refills at PER_SECOND tokens per second;
+ * every allowed call spends one. Steady traffic below the rate is never limited, and short
+ * bursts (a reliable resend, a frame hitch) are absorbed by the bucket.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} limits - { DEFAULT: { PER_SECOND, BURST }, [category]: { PER_SECOND, BURST } }
+   */
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map(); // key -> { tokens, updatedAt }
+  }
+
+  /**
+   * @param {string} key - Bucket to spend from
+   * @param {string} [category] - Which limit applies (falls back to DEFAULT)
+   * @param {number} [now=Date.now()]
+   * @returns {boolean} True if the call is within the limit
+   */
+  allow(key, category, now = Date.now()) {
+    const { PER_SECOND: perSecond, BURST: burst } = this.limits[category] || this.limits.DEFAULT;
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Forget every bucket whose key starts with the prefix (e.g. a player who left)
+   */
+  clear(prefix = '') {
+    for (const key of this.buckets.keys()) {
+      if (key.startsWith(prefix)) this.buckets.delete(key);
+    }
+  }
+}
@@ -0,0 +1,51 @@
+import { RateLimiter } from './RateLimiter.js';
+
+describe('RateLimiter', () => {
+  const LIMITS = {
+    DEFAULT: { PER_SECOND: 2, BURST: 3 },
+    fast: { PER_SECOND: 20, BURST: 5 },
+  };
+  const T0 = 1_000_000;
+  let limiter;
+
+  const allowTimes = (key, category, count, now) =>
+    Array.from({ length: count }, () => limiter.allow(key, category, now)).filter(Boolean).length;
+
+  beforeEach(() => {
+    limiter = new RateLimiter(LIMITS);
+  });
+
+  test('WhenBurstIsSpent_ShouldRejectUntilRefilled', () => {
+    expect(allowTimes('p1', 'other', 5, T0)).toBe(3);
+
+    expect(limiter.allow('p1', 'other', T0 + 400)).toBe(false); // 0.8 tokens
+    expect(limiter.allow('p1', 'other', T0 + 500)).toBe(true);
+  });
+
+  test('WhenIdleForLong_ShouldNotExceedBurst', () => {
+    limiter.allow('p1', 'other', T0);
+
+    expect(allowTimes('p1', 'other', 10, T0 + 60_000)).toBe(3);
+  });
+
+  test('WhenCategoryHasOwnLimit_ShouldUseIt', () => {
+    expect(allowTimes('p1', 'fast', 10, T0)).toBe(5);
+    expect(allowTimes('p1', 'fast', 10, T0 + 100)).toBe(2);
+  });
+
+  test('WhenKeysDiffer_ShouldTrackThemSeparately', () => {
+    allowTimes('p1', 'other', 5, T0);
+
+    expect(limiter.allow('p2', 'other', T0)).toBe(true);
+  });
+
+  test('WhenCleared_ShouldForgetMatchingBuckets', () => {
+    allowTimes('p1:a', 'other', 5, T0);
+    allowTimes('p2:a', 'other', 5, T0);
+
+    limiter.clear('p1:');
+
+    expect(limiter.allow('p1:a', 'other', T0)).toBe(true);
+    expect(limiter.allow('p2:a', 'other', T0)).toBe(false);
+  });
+});
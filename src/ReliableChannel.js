@@ -0,0 +1,174 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Message types that must not be lost. `Network.send` routes them through ReliableChannel.
+ */
+export const RELIABLE_MESSAGE_TYPES = new Set([
+  'loot_spawned',
+  'loot_picked_up',
+  'loot_sync',
+  'request_loot_sync',
+  'player_death',
+  'game_over',
+  'request_match_state',
+  'chat_mute',
+  'kicked',
+  'match_settings',
+  'match_state', // Ordered after the events it supersedes, so resends of those can't undo it
+]);
+
+/**
+ * Reliable, ordered delivery on top of the (lossy) broadcast channel.
+ *
+ * Every reliable message carries the sender's `epoch` (one per Network instance, so a
+ * reloaded page starts a fresh sequence) and a per-sender `seq`. Senders keep the last
+ * RELIABLE.BUFFER_SIZE messages. Receivers deliver each sender's messages in order and
+ * drop duplicates; on a gap they hold back later messages and broadcast `reliable_nack`
+ * listing the missing seqs, and the sender rebroadcasts them from its buffer. Heartbeats
+ * carry the sender's latest seq so a lost final message is noticed too. If a gap cannot be
+ * filled within RELIABLE.GAP_TIMEOUT_MS (e.g. the sender left), it is skipped.
+ */
+export class ReliableChannel {
+  constructor(network) {
+    this.network = network;
+    this.epoch = Math.random().toString(36).slice(2, 10);
+    this.lastSeq = 0;
+    this.sent = new Map(); // seq -> message, oldest first
+    this.peers = new Map(); // sender id -> { epoch, nextSeq, held: Map(seq -> message), highestSeen, gapSince, nackTimer }
+
+    this.network.on('reliable_nack', (message) => this.handleNack(message));
+    this.network.on('heartbeat', (message) => this.handleHeartbeat(message));
+  }
+
+  /**
+   * Broadcast a message with a sequence number and remember it for resends
+   */
+  send(fromId, type, data) {
+    const message = {
+      type,
+      from: fromId,
+      timestamp: this.network.hostNow(),
+      epoch: this.epoch,
+      seq: ++this.lastSeq,
+      data,
+    };
+
+    this.sent.set(message.seq, message);
+    if (this.sent.size > CONFIG.NETWORK.RELIABLE.BUFFER_SIZE) {
+      this.sent.delete(this.sent.keys().next().value);
+    }
+
+    this.network._broadcastMessage(message);
+  }
+
+  /**
+   * Handle an incoming reliable message: emit it (and anything it unblocks) in order
+   */
+  receive(message) {
+    const peer = this.#getPeer(message.from, message.epoch, message.seq);
+
+    if (message.seq < peer.nextSeq || peer.held.has(message.seq)) return; // Duplicate or resend we already have
+
+    peer.held.set(message.seq, message);
+    this.#deliverReady(peer);
+    this.#checkForGap(message.from, peer);
+  }
+
+  /**
+   * Sequence info for our heartbeats, so receivers can spot a lost final message
+   */
+  getHeartbeatInfo() {
+    return { reliable_epoch: this.epoch, reliable_seq: this.lastSeq };
+  }
+
+  handleHeartbeat(message) {
+    const { reliable_epoch: epoch, reliable_seq: lastSeq } = message.data || {};
+    if (message.from === this.network.playerId || !epoch || !lastSeq) return;
+
+    const peer = this.#getPeer(message.from, epoch, lastSeq + 1);
+    this.#checkForGap(message.from, peer, lastSeq);
+  }
+
+  handleNack(message) {
+    const { target_player_id, epoch, missing } = message.data;
+    if (target_player_id !== this.network.playerId || epoch !== this.epoch) return;
+
+    missing.forEach((seq) => {
+      const original = this.sent.get(seq);
+      // Resends only go over the wire; we already handled our own copy
+      if (original) this.network._broadcastMessage(original, { emitLocally: false });
+    });
+  }
+
+  stop() {
+    this.peers.forEach(peer => clearTimeout(peer.nackTimer));
+    this.peers.clear();
+  }
+
+  #getPeer(senderId, epoch, firstSeq) {
+    let peer = this.peers.get(senderId);
+    if (!peer || peer.epoch !== epoch) {
+      // First contact (or the sender restarted): start from here, earlier history is not ours to ask for
+      if (peer) clearTimeout(peer.nackTimer);
+      peer = { epoch, nextSeq: firstSeq, held: new Map(), highestSeen: firstSeq - 1, gapSince: null, nackTimer: null };
+      this.peers.set(senderId, peer);
+    }
+    return peer;
+  }
+
+  #deliverReady(peer) {
+    while (peer.held.has(peer.nextSeq)) {
+      const message = peer.held.get(peer.nextSeq);
+      peer.held.delete(peer.nextSeq);
+      peer.nextSeq++;
+      this.network._deliverMessage(message);
+    }
+  }
+
+  /**
+   * @param {number} [knownLastSeq] - Highest seq the sender says it has sent
+   */
+  #checkForGap(senderId, peer, knownLastSeq = 0) {
+    peer.highestSeen = Math.max(peer.highestSeen, knownLastSeq, ...peer.held.keys());
+    if (peer.highestSeen < peer.nextSeq) {
+      peer.gapSince = null;
+      clearTimeout(peer.nackTimer);
+      peer.nackTimer = null;
+      return;
+    }
+
+    peer.gapSince ??= Date.now();
+    if (!peer.nackTimer) this.#sendNack(senderId, peer);
+  }
+
+  #sendNack(senderId, peer) {
+    peer.nackTimer = null;
+    const { GAP_TIMEOUT_MS, NACK_INTERVAL_MS } = CONFIG.NETWORK.RELIABLE;
+
+    if (Date.now() - peer.gapSince >= GAP_TIMEOUT_MS) {
+      this.#skipGap(senderId, peer);
+      return;
+    }
+
+    const missing = [];
+    for (let seq = peer.nextSeq; seq <= peer.highestSeen; seq++) {
+      if (!peer.held.has(seq)) missing.push(seq);
+    }
+    if (missing.length === 0) return;
+
+    this.network.send('reliable_nack', { target_player_id: senderId, epoch: peer.epoch, missing });
+    peer.nackTimer = setTimeout(() => this.#sendNack(senderId, peer), NACK_INTERVAL_MS);
+  }
+
+  /**
+   * Give up on messages that never came and deliver what we have
+   */
+  #skipGap(senderId, peer) {
+    console.warn(`Reliable: gave up waiting for messages ${peer.nextSeq}-${peer.highestSeen} from ${senderId}`);
+    const held = [...peer.held.keys()].sort((a, b) => a - b);
+    peer.nextSeq = held.length > 0 ? held[0] : peer.highestSeen + 1;
+    this.#deliverReady(peer);
+    peer.gapSince = null;
+    this.#checkForGap(senderId, peer);
+  }
+}
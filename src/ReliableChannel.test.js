@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import { ReliableChannel } from './ReliableChannel.js';
+import { CONFIG } from './config.js';
+
+describe('ReliableChannel', () => {
+  let channel;
+  let mockNetwork;
+  let handlers;
+  let emitted;
+
+  const { NACK_INTERVAL_MS, GAP_TIMEOUT_MS } = CONFIG.NETWORK.RELIABLE;
+
+  const message = (seq, { from = 'host', epoch = 'e1', type = 'loot_spawned' } = {}) => ({
+    type,
+    from,
+    timestamp: 0,
+    epoch,
+    seq,
+    data: { n: seq },
+  });
+
+  const deliveredSeqs = () => emitted.map(([, msg]) => msg.seq);
+  const nacksSent = () => mockNetwork.send.mock.calls.filter(([type]) => type === 'reliable_nack');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    handlers = {};
+    emitted = [];
+    mockNetwork = {
+      playerId: 'client',
+      hostNow: () => 1000,
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+      _deliverMessage: jest.fn((msg) => emitted.push([msg.type, msg])),
+      send: jest.fn(),
+      _broadcastMessage: jest.fn(),
+    };
+    channel = new ReliableChannel(mockNetwork);
+  });
+
+  afterEach(() => {
+    channel.stop();
+    jest.useRealTimers();
+  });
+
+  describe('Sending', () => {
+    test('WhenSending_ShouldNumberMessagesPerEpoch', () => {
+      channel.send('client', 'player_death', { victim_id: 'a' });
+      channel.send('client', 'game_over', {});
+
+      const sent = mockNetwork._broadcastMessage.mock.calls.map(([msg]) => msg);
+      expect(sent.map(msg => msg.seq)).toEqual([1, 2]);
+      expect(sent[0]).toEqual(expect.objectContaining({
+        type: 'player_death',
+        from: 'client',
+        epoch: channel.epoch,
+        data: { victim_id: 'a' },
+      }));
+    });
+
+    test('WhenNackedForOurEpoch_ShouldResendWithoutLocalEmit', () => {
+      channel.send('client', 'player_death', { victim_id: 'a' });
+      channel.send('client', 'game_over', {});
+      mockNetwork._broadcastMessage.mockClear();
+
+      handlers.reliable_nack({ data: { target_player_id: 'client', epoch: channel.epoch, missing: [2] } });
+
+      expect(mockNetwork._broadcastMessage).toHaveBeenCalledTimes(1);
+      expect(mockNetwork._broadcastMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ seq: 2, type: 'game_over' }),
+        { emitLocally: false },
+      );
+    });
+
+    test('WhenNackIsForSomeoneElse_ShouldIgnore', () => {
+      channel.send('client', 'player_death', {});
+      mockNetwork._broadcastMessage.mockClear();
+
+      handlers.reliable_nack({ data: { target_player_id: 'other', epoch: channel.epoch, missing: [1] } });
+      handlers.reliable_nack({ data: { target_player_id: 'client', epoch: 'old-epoch', missing: [1] } });
+
+      expect(mockNetwork._broadcastMessage).not.toHaveBeenCalled();
+    });
+
+    test('WhenBufferIsFull_ShouldForgetOldestMessages', () => {
+      for (let i = 0; i < CONFIG.NETWORK.RELIABLE.BUFFER_SIZE + 5; i++) {
+        channel.send('client', 'loot_spawned', {});
+      }
+
+      expect(channel.sent.size).toBe(CONFIG.NETWORK.RELIABLE.BUFFER_SIZE);
+      expect(channel.sent.has(1)).toBe(false);
+    });
+  });
+
+  describe('Receiving', () => {
+    test('WhenMessagesArriveInOrder_ShouldEmitEach', () => {
+      channel.receive(message(1));
+      channel.receive(message(2));
+
+      expect(deliveredSeqs()).toEqual([1, 2]);
+      expect(nacksSent()).toHaveLength(0);
+    });
+
+    test('WhenMessageIsDuplicated_ShouldEmitOnce', () => {
+      channel.receive(message(1));
+      channel.receive(message(1));
+
+      expect(deliveredSeqs()).toEqual([1]);
+    });
+
+    test('WhenGapDetected_ShouldHoldBackAndNackMissing', () => {
+      channel.receive(message(1));
+      channel.receive(message(4));
+
+      expect(deliveredSeqs()).toEqual([1]);
+      expect(mockNetwork.send).toHaveBeenCalledWith('reliable_nack', {
+        target_player_id: 'host',
+        epoch: 'e1',
+        missing: [2, 3],
+      });
+    });
+
+    test('WhenGapIsFilled_ShouldEmitInOrderAndStopNacking', () => {
+      channel.receive(message(1));
+      channel.receive(message(3));
+      channel.receive(message(2));
+
+      expect(deliveredSeqs()).toEqual([1, 2, 3]);
+
+      mockNetwork.send.mockClear();
+      jest.advanceTimersByTime(NACK_INTERVAL_MS * 3);
+      expect(nacksSent()).toHaveLength(0);
+    });
+
+    test('WhenGapPersists_ShouldRepeatNack', () => {
+      channel.receive(message(1));
+      channel.receive(message(3));
+
+      jest.advanceTimersByTime(NACK_INTERVAL_MS * 2);
+
+      expect(nacksSent()).toHaveLength(3);
+    });
+
+    test('WhenGapNeverFills_ShouldSkipItAfterTimeout', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      channel.receive(message(1));
+      channel.receive(message(3));
+
+      jest.advanceTimersByTime(GAP_TIMEOUT_MS + NACK_INTERVAL_MS);
+
+      expect(deliveredSeqs()).toEqual([1, 3]);
+      expect(warn).toHaveBeenCalled();
+
+      // A late resend of the skipped message is now a duplicate
+      channel.receive(message(2));
+      expect(deliveredSeqs()).toEqual([1, 3]);
+      warn.mockRestore();
+    });
+
+    test('WhenSenderRestarts_ShouldStartNewSequence', () => {
+      channel.receive(message(5));
+      channel.receive(message(1, { epoch: 'e2' }));
+
+      expect(deliveredSeqs()).toEqual([5, 1]);
+    });
+
+    test('WhenSendersDiffer_ShouldTrackThemSeparately', () => {
+      channel.receive(message(7, { from: 'host' }));
+      channel.receive(message(1, { from: 'client-2' }));
+
+      expect(deliveredSeqs()).toEqual([7, 1]);
+      expect(nacksSent()).toHaveLength(0);
+    });
+  });
+
+  describe('Heartbeats', () => {
+    test('WhenHeartbeatReportsUnseenSeq_ShouldNackTheTail', () => {
+      channel.receive(message(1));
+
+      handlers.heartbeat({ from: 'host', data: { reliable_epoch: 'e1', reliable_seq: 2 } });
+
+      expect(mockNetwork.send).toHaveBeenCalledWith('reliable_nack', {
+        target_player_id: 'host',
+        epoch: 'e1',
+        missing: [2],
+      });
+    });
+
+    test('WhenFirstContactIsHeartbeat_ShouldNotAskForHistory', () => {
+      handlers.heartbeat({ from: 'host', data: { reliable_epoch: 'e1', reliable_seq: 40 } });
+      channel.receive(message(41));
+
+      expect(nacksSent()).toHaveLength(0);
+      expect(deliveredSeqs()).toEqual([41]);
+    });
+
+    test('WhenHeartbeatCarriesOurSequence_ShouldExposeIt', () => {
+      channel.send('client', 'player_death', {});
+
+      expect(channel.getHeartbeatInfo()).toEqual({ reliable_epoch: channel.epoch, reliable_seq: 1 });
+    });
+  });
+});
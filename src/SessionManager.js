@@ -3,6 +3,22 @@
  * Handles game session lifecycle (hosting, joining, max players enforcement)
  */
 import { CONFIG } from './config.js';
+import { getLocalCompatibility, getIncompatibilityReason, INCOMPATIBLE_VERSION_MESSAGE } from './protocol.js';
+import { getDefaultMatchSettings } from './MatchSettings.js';
+
+// Shown to a player the host removed from the session (see evictPlayers)
+const EVICTION_MESSAGES = {
+  session_full: 'The session is full.',
+  incompatible_version: INCOMPATIBLE_VERSION_MESSAGE,
+};
+
+// Shown to a player the host kicked from the lobby (see kickPlayer)
+const KICK_MESSAGES = {
+  kicked: 'You were kicked from the session by the host.',
+  banned: 'You were banned from the session by the host.',
+};
+
+export const BANNED_MESSAGE = 'You are banned from this session.';
 
 export class SessionManager {
   constructor(supabase, network) {
@@ -23,6 +39,7 @@ export class SessionManager {
         join_code: newJoinCode,
         host_id: this.network.playerId,
         realtime_channel_name: channelName,
+        ...getLocalCompatibility(),
       })
       .select()
       .single();
@@ -47,6 +64,7 @@ export class SessionManager {
         position_x: CONFIG.WORLD.WIDTH / 2,
         position_y: CONFIG.WORLD.HEIGHT / 2,
         equipped_weapon: 'fist',
+        ...getLocalCompatibility(),
       })
       .select()
       .single();
@@ -71,6 +89,15 @@ export class SessionManager {
     const isLateJoin = session.status === 'active';
     if (session.status !== 'lobby' && !isLateJoin) throw new Error('Session is not joinable.');
 
+    // Refuse before touching the session: an old build would misread the host's messages
+    const incompatibility = getIncompatibilityReason(session);
+    if (incompatibility) {
+      console.warn(`Cannot join session ${session.id}: host has ${incompatibility}`);
+      const error = new Error(INCOMPATIBLE_VERSION_MESSAGE);
+      error.code = 'INCOMPATIBLE_VERSION';
+      throw error;
+    }
+
     this.network.sessionId = session.id;
     this.network.isHost = false;
     this.network.joinCode = joinCode;
@@ -91,11 +118,17 @@ export class SessionManager {
         equipped_weapon: 'fist',
         health: isLateJoin ? 0 : 100,
         is_alive: !isLateJoin,
+        ...getLocalCompatibility(), // Checked by the host in handlePlayerJoined
       })
       .select()
       .single();
 
     if (insertError) {
+      if (insertError.code === '42501') { // Row-level security: the insert policy refuses banned players
+        const error = new Error(BANNED_MESSAGE);
+        error.code = 'BANNED';
+        throw error;
+      }
       if (insertError.code === '23505') { // Unique constraint violation
         console.log('Player already in session. Reconnecting...');
         const { data: existingPlayer, error: fetchError } = await this.supabase
@@ -126,6 +159,19 @@ export class SessionManager {
     };
   }
 
+  /**
+   * Open public sessions this build can join, fullest first (see list_public_sessions)
+   * @returns {Promise<Array<Object>>} { id, join_code, host_name, status, player_count, max_players, ... }
+   */
+  async listPublicSessions() {
+    if (!this.supabase) throw new Error('Supabase client not initialized.');
+
+    const { data, error } = await this.supabase.rpc('list_public_sessions');
+    if (error) throw error;
+
+    return (data ?? []).filter(session => !getIncompatibilityReason(session));
+  }
+
   async leaveGame() {
     if (!this.supabase || !this.network.sessionId) {
       this.network.disconnect();
@@ -134,17 +180,41 @@ export class SessionManager {
 
     try {
       if (this.network.isHost) {
-        // Broadcast session termination to all clients before deleting
-        this.network.send('session_terminated', {
-          reason: 'host_left',
-          message: 'The host has left the game. The session has ended.',
-        });
-
-        const { error } = await this.supabase
-          .from('game_sessions')
-          .delete()
-          .eq('id', this.network.sessionId);
-        if (error) throw error;
+        const { data: players, error: playersError } = await this.supabase
+          .from('session_players')
+          .select('player_id, is_bot, is_connected, joined_at')
+          .eq('session_id', this.network.sessionId);
+        if (playersError) throw playersError;
+
+        const successorId = SessionManager.electHost(players, this.network.playerId);
+
+        if (successorId) {
+          // Hand the session over instead of ending it.
+          // Remove our row first so the successor's claim sees the host as gone.
+          const { error } = await this.supabase
+            .from('session_players')
+            .delete()
+            .eq('session_id', this.network.sessionId)
+            .eq('player_id', this.network.playerId);
+          if (error) throw error;
+
+          this.network.send('host_left', {
+            previous_host_id: this.network.playerId,
+            successor_id: successorId,
+          });
+        } else {
+          // No humans left to take over: end the session
+          this.network.send('session_terminated', {
+            reason: 'host_left',
+            message: 'The host has left the game. The session has ended.',
+          });
+
+          const { error } = await this.supabase
+            .from('game_sessions')
+            .delete()
+            .eq('id', this.network.sessionId);
+          if (error) throw error;
+        }
       } else {
         const { error } = await this.supabase
           .from('session_players')
@@ -160,6 +230,56 @@ export class SessionManager {
     }
   }
 
+  /**
+   * Take over the session if this client is the elected successor of a departed host.
+   * Every client runs the same election; only the winner claims the session and announces it.
+   * @param {string} previousHostId - The host that left
+   * @param {Array} players - Current session players (e.g. from SessionPlayersSnapshot)
+   * @returns {Promise<string|null>} The elected host ID, or null if nobody can take over
+   */
+  async migrateHost(previousHostId, players) {
+    const successorId = SessionManager.electHost(players, previousHostId);
+    if (!successorId || successorId !== this.network.playerId) return successorId;
+
+    const { error } = await this.supabase
+      .rpc('claim_session_host', { p_session_id: this.network.sessionId });
+    if (error) throw error;
+
+    this.network.isHost = true;
+    this.network.hostId = this.network.playerId;
+
+    this.network.send('host_migrated', {
+      previous_host_id: previousHostId,
+      new_host_id: this.network.playerId,
+    });
+
+    return successorId;
+  }
+
+  /**
+   * Host election rule: the earliest-joined connected human, excluding the departing host.
+   * Must match the check in the claim_session_host RPC.
+   * @param {Array} players - Session player records
+   * @param {string} excludeId - Player ID that cannot be elected (the departing host)
+   * @returns {string|null} Elected player ID
+   */
+  static electHost(players, excludeId) {
+    const candidates = (players || []).filter(p =>
+      p.player_id !== excludeId &&
+      !p.is_bot &&
+      p.is_connected !== false,
+    );
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => {
+      const joinedDiff = new Date(a.joined_at || 0) - new Date(b.joined_at || 0);
+      if (joinedDiff !== 0) return joinedDiff;
+      return a.player_id < b.player_id ? -1 : 1;
+    });
+
+    return candidates[0].player_id;
+  }
+
   async enforceMaxPlayers() {
     if (!this.network.isHost || !this.network.sessionId) return;
 
@@ -188,145 +308,164 @@ export class SessionManager {
 
     if (players.length > session.max_players) {
       console.log(`Host: Session full (${players.length}/${session.max_players}). Evicting latest joiners.`);
-      const excessPlayers = players.slice(session.max_players);
-      for (const p of excessPlayers) {
-        await this.supabase
-          .from('session_players')
-          .delete()
-          .eq('id', p.id);
-      }
+      await this.evictPlayers(players.slice(session.max_players), 'session_full');
     }
   }
 
-  async startGame() {
-    if (!this.supabase || !this.network.sessionId) return;
-
-    // 1. Get current players to see how many bots we need
-    const { data: players, error: playersError } = await this.supabase
-      .from('session_players')
-      .select('id')
-      .eq('session_id', this.network.sessionId);
-
-    if (playersError) throw playersError;
-
-    const playerCount = players.length;
-    const minPlayers = CONFIG.GAME.MIN_PLAYERS || 4;
-
-    if (playerCount < minPlayers) {
-      const botsNeeded = minPlayers - playerCount;
-      const botRecords = [];
-      const weaponIds = Object.keys(CONFIG.WEAPONS);
-            
-      // Fallback for crypto.randomUUID in insecure contexts (HTTP)
-      const generateUUID = () => {
-        if (typeof crypto.randomUUID === 'function') {
-          return crypto.randomUUID();
-        }
-        // Basic fallback using getRandomValues
-        return ([1e7] + -1e3 + -4e3 + -8e3 + -1e11).replace(/[018]/g, c =>
-          (c ^ crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> c / 4).toString(16),
-        );
-      };
-
-      for (let i = 1; i <= botsNeeded; i++) {
-        const botId = generateUUID();
-        const botName = `Bot-${i}`;
-                
-        // Random weapon selection with safety fallback
-        const randomWeapon = weaponIds.length > 0
-          ? CONFIG.WEAPONS[weaponIds[Math.floor(Math.random() * weaponIds.length)]].id
-          : 'fist';
-
-        // Spawn bots around the center with some offset
-        const offsetX = (Math.random() - 0.5) * 400;
-        const offsetY = (Math.random() - 0.5) * 400;
-
-        botRecords.push({
-          session_id: this.network.sessionId,
-          player_id: botId,
-          player_name: botName,
-          is_host: false,
-          is_bot: true,
-          position_x: CONFIG.WORLD.WIDTH / 2 + offsetX,
-          position_y: CONFIG.WORLD.HEIGHT / 2 + offsetY,
-          equipped_weapon: randomWeapon,
-          health: 100,
-        });
-      }
+  /**
+   * Host check for every new session_players row: evict humans running an incompatible build.
+   * Their own joinGame already refuses incompatible sessions; this catches older builds that don't.
+   * @param {Object} record - The inserted session_players row
+   */
+  async handlePlayerJoined(record) {
+    if (!this.network.isHost || !record || record.is_bot || record.player_id === this.network.playerId) return;
+
+    const incompatibility = getIncompatibilityReason(record);
+    if (incompatibility) {
+      console.log(`Host: Evicting ${record.player_id}, client has ${incompatibility}.`);
+      await this.evictPlayers([record], 'incompatible_version');
+    }
+  }
 
-      const { error: insertError } = await this.supabase
+  /**
+   * Remove players from the session and tell them why
+   * @param {Array<Object>} players - session_players rows
+   * @param {'session_full'|'incompatible_version'} reason
+   */
+  async evictPlayers(players, reason) {
+    for (const p of players) {
+      this.network.send('player_evicted', {
+        player_id: p.player_id,
+        reason,
+        message: EVICTION_MESSAGES[reason],
+      });
+      await this.supabase
         .from('session_players')
-        .insert(botRecords);
+        .delete()
+        .eq('id', p.id);
+    }
+  }
 
-      if (insertError) {
-        console.error('Failed to add bots:', insertError.message);
-        throw insertError; // Throw so we don't start a broken game
-      }
+  /**
+   * Host only: remove a player from the lobby and tell them (`kicked`, targeted).
+   * A banned player also gets a session_bans row, so they can't join this session again.
+   * @param {string} playerId
+   * @param {Object} [options]
+   * @param {boolean} [options.ban=false]
+   */
+  async kickPlayer(playerId, { ban = false } = {}) {
+    if (!this.network.isHost || playerId === this.network.playerId) return;
+
+    // Ban first, so the player can't slip back in between the delete and the ban
+    if (ban) {
+      const { error } = await this.supabase
+        .from('session_bans')
+        .insert({ session_id: this.network.sessionId, player_id: playerId, banned_by: this.network.playerId });
+      if (error && error.code !== '23505') throw error; // Already banned is fine
     }
 
-    // 2. Get all players (including bots) to calculate distributed spawn positions
-    const { data: playersToReset, error: playersToResetError } = await this.supabase
-      .from('session_players')
-      .select('player_id')
-      .eq('session_id', this.network.sessionId);
+    this.network.send('kicked', {
+      target_player_id: playerId,
+      banned: ban,
+      message: ban ? KICK_MESSAGES.banned : KICK_MESSAGES.kicked,
+    });
 
-    if (playersToResetError) throw playersToResetError;
+    const { error } = await this.supabase
+      .from('session_players')
+      .delete()
+      .eq('session_id', this.network.sessionId)
+      .eq('player_id', playerId);
+    if (error) throw error;
+  }
 
-    // 3. Reset all players' state with distributed spawn positions
-    const centerX = CONFIG.WORLD.WIDTH / 2;
-    const centerY = CONFIG.WORLD.HEIGHT / 2;
-    const spawnRadius = CONFIG.PLAYER.SPAWN_RADIUS;
-    const totalPlayers = playersToReset.length;
-    const angleStep = totalPlayers > 0 ? (Math.PI * 2) / totalPlayers : 0;
+  /**
+   * The session's host as the database has it, e.g. to check a host_migrated announcement
+   * @returns {Promise<string|null>}
+   */
+  async getHostId() {
+    const { data, error } = await this.supabase
+      .from('game_sessions')
+      .select('host_id')
+      .eq('id', this.network.sessionId)
+      .single();
+    if (error) throw error;
 
-    const updatePromises = playersToReset.map((player, i) => {
-      const angle = i * angleStep;
-      const x = centerX + Math.cos(angle) * spawnRadius;
-      const y = centerY + Math.sin(angle) * spawnRadius;
+    return data?.host_id ?? null;
+  }
 
-      return this.supabase
-        .from('session_players')
-        .update({
-          health: 100,
-          is_alive: true,
-          kills: 0,
-          damage_dealt: 0,
-          position_x: x,
-          position_y: y,
-          equipped_weapon: 'fist',
-        })
-        .eq('session_id', this.network.sessionId)
-        .eq('player_id', player.player_id);
+  /**
+   * Host only: hand the host role to another connected human while in the lobby.
+   * Announced with host_migrated like a migration; emitting it locally drops our own host role.
+   * @param {string} newHostId
+   */
+  async transferHost(newHostId) {
+    if (!this.network.isHost || newHostId === this.network.playerId) return;
+
+    const { error } = await this.supabase
+      .rpc('transfer_session_host', { p_session_id: this.network.sessionId, p_new_host_id: newHostId });
+    if (error) throw error;
+
+    this.network.send('host_migrated', {
+      previous_host_id: this.network.playerId,
+      new_host_id: newHostId,
     });
+  }
 
-    const results = await Promise.all(updatePromises);
-    const updateError = results.map(r => r.error).find(e => e);
-    if (updateError) throw updateError;
+  /**
+   * Start the match: the start_game RPC fills the session with bots up to the bot_fill setting,
+   * spawns everyone, resets stats and marks the session active in one transaction,
+   * then the final roster goes out with game_start
+   * @param {Object} [settings] - The session's match settings (see MatchSettings.js)
+   */
+  async startGame(settings = getDefaultMatchSettings()) {
+    if (!this.supabase || !this.network.sessionId) return;
 
-    // 4. Update session status to active
-    const { error: updateErrorStatus } = await this.supabase
-      .from('game_sessions')
-      .update({ status: 'active' })
-      .eq('id', this.network.sessionId);
+    const { data: players, error } = await this.supabase
+      .rpc('start_game', {
+        p_session_id: this.network.sessionId,
+        p_min_players: settings.bot_fill,
+        p_center_x: CONFIG.WORLD.WIDTH / 2,
+        p_center_y: CONFIG.WORLD.HEIGHT / 2,
+        p_spawn_radius: CONFIG.PLAYER.SPAWN_RADIUS,
+      });
 
-    if (updateErrorStatus) throw updateErrorStatus;
+    if (error) throw error; // Nothing was changed, the session is still in the lobby
 
-    // 5. Fetch final list of players (including bots) for atomic broadcast
-    const { data: finalPlayers, error: finalPlayersError } = await this.supabase
-      .from('session_players')
-      .select('*')
-      .eq('session_id', this.network.sessionId);
-
-    if (finalPlayersError) throw finalPlayersError;
-        
     // Broadcast start event so clients transition UI
     // Include full player list for immediate client-side sync
     this.network.send('game_start', {
       timestamp: Date.now(),
-      players: finalPlayers,
+      players,
     });
   }
 
+  /**
+   * Return a finished match to the lobby: the end_game RPC deletes the bots and resets the
+   * session's status, phase and start time, so start_game accepts a rematch. Does nothing if
+   * the session is already in the lobby.
+   */
+  async endGame() {
+    if (!this.supabase || !this.network.sessionId) return;
+
+    const { error } = await this.supabase
+      .rpc('end_game', { p_session_id: this.network.sessionId });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Host only: refresh our last_heartbeat on the server clock. claim_session_host treats a host
+   * whose heartbeat is older than HEARTBEAT_TIMEOUT_MS as gone, so successors can take over.
+   */
+  async recordHeartbeat() {
+    if (!this.supabase || !this.network.sessionId) return;
+
+    const { error } = await this.supabase
+      .rpc('record_heartbeat', { p_session_id: this.network.sessionId });
+
+    if (error) throw error;
+  }
+
   generateJoinCode() {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
     let code = '';
@@ -1,6 +1,8 @@
 import { jest } from '@jest/globals';
-import { SessionManager } from './SessionManager.js';
+import { SessionManager, BANNED_MESSAGE } from './SessionManager.js';
 import { CONFIG } from './config.js';
+import { getDefaultMatchSettings } from './MatchSettings.js';
+import { getLocalCompatibility, PROTOCOL_VERSION, INCOMPATIBLE_VERSION_MESSAGE } from './protocol.js';
 
 describe('SessionManager', () => {
   let sessionManager;
@@ -31,90 +33,347 @@ describe('SessionManager', () => {
     sessionManager = new SessionManager(mockSupabase, mockNetwork);
   });
 
-  describe('startGame', () => {
-    it('should add bots if below minimum and broadcast game_start with player states', async () => {
-      const updateSpy = jest.fn().mockReturnThis();
-      const resetEqSpy = jest.fn().mockResolvedValue({ error: null });
-            
-      const mockPlayers = [
-        { id: 1, player_id: TEST_PLAYER_ID, player_name: 'Host' },
-      ];
+  describe('listPublicSessions', () => {
+    it('should list public sessions and hide those of incompatible builds', async () => {
+      const compatible = { join_code: 'ABC123', player_count: 3, ...getLocalCompatibility() };
+      const outdated = { join_code: 'OLD123', player_count: 5, protocol_version: PROTOCOL_VERSION - 1 };
+      mockSupabase.rpc.mockResolvedValue({ data: [outdated, compatible], error: null });
+
+      const sessions = await sessionManager.listPublicSessions();
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('list_public_sessions');
+      expect(sessions).toEqual([compatible]);
+    });
+
+    it('should throw if the RPC fails', async () => {
+      const rpcError = { message: 'permission denied' };
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: rpcError });
+
+      await expect(sessionManager.listPublicSessions()).rejects.toBe(rpcError);
+    });
+  });
 
-      const mockPlayersWithBots = [
-        ...mockPlayers,
+  describe('startGame', () => {
+    it('should start the game in one RPC and broadcast game_start with the roster', async () => {
+      const roster = [
+        { player_id: TEST_PLAYER_ID, player_name: 'Host' },
         { player_id: 'bot-1', player_name: 'Bot-1', health: 100, is_bot: true },
         { player_id: 'bot-2', player_name: 'Bot-2', health: 100, is_bot: true },
         { player_id: 'bot-3', player_name: 'Bot-3', health: 100, is_bot: true },
       ];
-
-      mockSupabase.from.mockImplementation((table) => {
-        if (table === 'session_players') {
-          return {
-            select: jest.fn().mockImplementation((cols) => {
-              return {
-                eq: jest.fn().mockImplementation((field, value) => {
-                  if (cols === 'id' || cols === 'player_id') {
-                    return Promise.resolve({ data: mockPlayers, error: null });
-                  }
-                  if (cols === '*') {
-                    return Promise.resolve({ data: mockPlayersWithBots, error: null });
-                  }
-                  return Promise.resolve({ data: [], error: null });
-                }),
-              };
-            }),
-            insert: jest.fn().mockResolvedValue({ error: null }),
-            update: jest.fn().mockImplementation((data) => {
-              updateSpy(data);
-              return {
-                eq: jest.fn().mockImplementation(() => {
-                  return {
-                    eq: resetEqSpy,
-                  };
-                }),
-              };
-            }),
-          };
-        }
-        if (table === 'game_sessions') {
-          return {
-            update: jest.fn().mockImplementation((data) => {
-              updateSpy(data);
-              return {
-                eq: jest.fn().mockResolvedValue({ error: null }),
-              };
-            }),
-          };
-        }
-        return mockSupabase;
-      });
+      mockSupabase.rpc.mockResolvedValue({ data: roster, error: null });
 
       await sessionManager.startGame();
 
-      // Verify bots were inserted (called once with 3 bots)
-      expect(mockSupabase.from).toHaveBeenCalledWith('session_players');
-            
-      // Verify session status updated
-      expect(updateSpy).toHaveBeenCalledWith({ status: 'active' });
-
-      // Verify player states were reset
-      // One call for each player in mockPlayers (which is 1)
-      const centerX = CONFIG.WORLD.WIDTH / 2;
-      const centerY = CONFIG.WORLD.HEIGHT / 2;
-      const spawnRadius = CONFIG.PLAYER.SPAWN_RADIUS;
-            
-      expect(updateSpy).toHaveBeenCalledWith(expect.objectContaining({
-        health: 100,
-        is_alive: true,
-        position_x: centerX + spawnRadius,
-        position_y: centerY,
-      }));
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('start_game', {
+        p_session_id: TEST_SESSION_ID,
+        p_min_players: CONFIG.GAME.MIN_PLAYERS,
+        p_center_x: CONFIG.WORLD.WIDTH / 2,
+        p_center_y: CONFIG.WORLD.HEIGHT / 2,
+        p_spawn_radius: CONFIG.PLAYER.SPAWN_RADIUS,
+      });
+      // Bots, spawns and the status change all happen server-side
+      expect(mockSupabase.from).not.toHaveBeenCalled();
 
-      // Verify game_start broadcast includes player states
       expect(mockNetwork.send).toHaveBeenCalledWith('game_start', expect.objectContaining({
         timestamp: expect.any(Number),
-        players: mockPlayersWithBots,
+        players: roster,
       }));
     });
+
+    it('should fill with bots up to the bot_fill match setting', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: [], error: null });
+
+      await sessionManager.startGame({ ...getDefaultMatchSettings(), bot_fill: 0 });
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('start_game', expect.objectContaining({
+        p_min_players: 0,
+      }));
+    });
+
+    it('should throw without broadcasting if the RPC fails', async () => {
+      const rpcError = { message: 'Only the host can start the game' };
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: rpcError });
+
+      await expect(sessionManager.startGame()).rejects.toBe(rpcError);
+      expect(mockNetwork.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endGame', () => {
+    it('should return the session to the lobby through the end_game RPC', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: [], error: null });
+
+      await sessionManager.endGame();
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('end_game', { p_session_id: TEST_SESSION_ID });
+      expect(mockSupabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should throw if the RPC fails', async () => {
+      const rpcError = { message: 'Only the host can end the game' };
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: rpcError });
+
+      await expect(sessionManager.endGame()).rejects.toBe(rpcError);
+    });
+  });
+
+  describe('getHostId', () => {
+    it('should read the host from game_sessions', async () => {
+      mockSupabase.single.mockResolvedValue({ data: { host_id: 'host-2' }, error: null });
+
+      await expect(sessionManager.getHostId()).resolves.toBe('host-2');
+      expect(mockSupabase.from).toHaveBeenCalledWith('game_sessions');
+      expect(mockSupabase.eq).toHaveBeenCalledWith('id', TEST_SESSION_ID);
+    });
+
+    it('should throw if the query fails', async () => {
+      const queryError = { message: 'not found' };
+      mockSupabase.single.mockResolvedValue({ data: null, error: queryError });
+
+      await expect(sessionManager.getHostId()).rejects.toBe(queryError);
+    });
+  });
+
+  describe('recordHeartbeat', () => {
+    it('should refresh our heartbeat through the record_heartbeat RPC', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: null });
+
+      await sessionManager.recordHeartbeat();
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('record_heartbeat', { p_session_id: TEST_SESSION_ID });
+    });
+
+    it('should throw if the RPC fails', async () => {
+      const rpcError = { message: 'permission denied' };
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: rpcError });
+
+      await expect(sessionManager.recordHeartbeat()).rejects.toBe(rpcError);
+    });
+  });
+
+  describe('electHost', () => {
+    it('should elect the earliest-joined connected human other than the departing host', () => {
+      const players = [
+        { player_id: 'host', is_bot: false, joined_at: '2024-01-01T00:00:00Z' },
+        { player_id: 'bot-1', is_bot: true, joined_at: '2024-01-01T00:00:01Z' },
+        { player_id: 'gone', is_bot: false, is_connected: false, joined_at: '2024-01-01T00:00:02Z' },
+        { player_id: 'late', is_bot: false, joined_at: '2024-01-01T00:00:04Z' },
+        { player_id: 'early', is_bot: false, joined_at: '2024-01-01T00:00:03Z' },
+      ];
+
+      expect(SessionManager.electHost(players, 'host')).toBe('early');
+    });
+
+    it('should break join time ties by player id', () => {
+      const players = [
+        { player_id: 'b', is_bot: false, joined_at: '2024-01-01T00:00:00Z' },
+        { player_id: 'a', is_bot: false, joined_at: '2024-01-01T00:00:00Z' },
+      ];
+
+      expect(SessionManager.electHost(players, 'host')).toBe('a');
+    });
+
+    it('should return null when only bots remain', () => {
+      const players = [
+        { player_id: 'host', is_bot: false },
+        { player_id: 'bot-1', is_bot: true },
+      ];
+
+      expect(SessionManager.electHost(players, 'host')).toBeNull();
+    });
+  });
+
+  describe('migrateHost', () => {
+    const players = [
+      { player_id: 'old-host', is_bot: false, joined_at: '2024-01-01T00:00:00Z' },
+      { player_id: TEST_PLAYER_ID, is_bot: false, joined_at: '2024-01-01T00:00:01Z' },
+      { player_id: 'other', is_bot: false, joined_at: '2024-01-01T00:00:02Z' },
+    ];
+
+    beforeEach(() => {
+      mockNetwork.isHost = false;
+      mockNetwork.hostId = 'old-host';
+    });
+
+    it('should claim the session and announce itself when elected', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: [{ id: TEST_SESSION_ID }], error: null });
+
+      const newHostId = await sessionManager.migrateHost('old-host', players);
+
+      expect(newHostId).toBe(TEST_PLAYER_ID);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('claim_session_host', { p_session_id: TEST_SESSION_ID });
+      expect(mockNetwork.isHost).toBe(true);
+      expect(mockNetwork.hostId).toBe(TEST_PLAYER_ID);
+      expect(mockNetwork.send).toHaveBeenCalledWith('host_migrated', {
+        previous_host_id: 'old-host',
+        new_host_id: TEST_PLAYER_ID,
+      });
+    });
+
+    it('should not claim when another player is elected', async () => {
+      const others = players.map(p => p.player_id === TEST_PLAYER_ID ? { ...p, joined_at: '2024-01-01T00:00:09Z' } : p);
+
+      const newHostId = await sessionManager.migrateHost('old-host', others);
+
+      expect(newHostId).toBe('other');
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+      expect(mockNetwork.isHost).toBe(false);
+      expect(mockNetwork.send).not.toHaveBeenCalled();
+    });
+
+    it('should throw and stay a client when the claim is rejected', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: new Error('Host is still connected') });
+
+      await expect(sessionManager.migrateHost('old-host', players)).rejects.toThrow('Host is still connected');
+      expect(mockNetwork.isHost).toBe(false);
+      expect(mockNetwork.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lobby management', () => {
+    let deleteEqPlayer;
+
+    beforeEach(() => {
+      deleteEqPlayer = jest.fn().mockResolvedValue({ error: null });
+      mockSupabase.delete = jest.fn(() => ({ eq: jest.fn(() => ({ eq: deleteEqPlayer })) }));
+    });
+
+    it('should delete a kicked player\'s row and tell them', async () => {
+      await sessionManager.kickPlayer('guest');
+
+      expect(mockNetwork.send).toHaveBeenCalledWith('kicked', {
+        target_player_id: 'guest',
+        banned: false,
+        message: expect.any(String),
+      });
+      expect(mockSupabase.from).toHaveBeenCalledWith('session_players');
+      expect(deleteEqPlayer).toHaveBeenCalledWith('player_id', 'guest');
+      expect(mockSupabase.from).not.toHaveBeenCalledWith('session_bans');
+    });
+
+    it('should record a ban before removing the player', async () => {
+      mockSupabase.insert = jest.fn().mockImplementation(() => {
+        expect(mockSupabase.delete).not.toHaveBeenCalled();
+        return Promise.resolve({ error: null });
+      });
+
+      await sessionManager.kickPlayer('guest', { ban: true });
+
+      expect(mockSupabase.from).toHaveBeenCalledWith('session_bans');
+      expect(mockSupabase.insert).toHaveBeenCalledWith({ session_id: TEST_SESSION_ID, player_id: 'guest', banned_by: TEST_PLAYER_ID });
+      expect(mockNetwork.send).toHaveBeenCalledWith('kicked', expect.objectContaining({ target_player_id: 'guest', banned: true }));
+      expect(deleteEqPlayer).toHaveBeenCalledWith('player_id', 'guest');
+    });
+
+    it('should not kick when not the host', async () => {
+      mockNetwork.isHost = false;
+
+      await sessionManager.kickPlayer('guest');
+
+      expect(mockNetwork.send).not.toHaveBeenCalled();
+      expect(mockSupabase.delete).not.toHaveBeenCalled();
+    });
+
+    it('should hand over the host role and announce it', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: [{ id: TEST_SESSION_ID }], error: null });
+
+      await sessionManager.transferHost('guest');
+
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('transfer_session_host', { p_session_id: TEST_SESSION_ID, p_new_host_id: 'guest' });
+      expect(mockNetwork.send).toHaveBeenCalledWith('host_migrated', {
+        previous_host_id: TEST_PLAYER_ID,
+        new_host_id: 'guest',
+      });
+    });
+
+    it('should not announce a transfer the server rejected', async () => {
+      mockSupabase.rpc.mockResolvedValue({ data: null, error: new Error('The host can only be transferred in the lobby') });
+
+      await expect(sessionManager.transferHost('guest')).rejects.toThrow('The host can only be transferred in the lobby');
+      expect(mockNetwork.send).not.toHaveBeenCalled();
+    });
+
+    it('should report a ban when the join insert is refused', async () => {
+      mockNetwork.isHost = false;
+      mockSupabase.rpc.mockResolvedValue({
+        data: [{ id: TEST_SESSION_ID, status: 'lobby', host_id: 'host', ...getLocalCompatibility() }],
+        error: null,
+      });
+      mockSupabase.single.mockResolvedValueOnce({ data: null, error: { code: '42501', message: 'new row violates row-level security policy' } });
+
+      const join = sessionManager.joinGame('ABC123', 'Player');
+
+      await expect(join).rejects.toThrow(BANNED_MESSAGE);
+      await expect(join).rejects.toMatchObject({ code: 'BANNED' });
+      expect(mockNetwork._subscribeToChannel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('protocol compatibility', () => {
+    let deleteEq;
+
+    beforeEach(() => {
+      deleteEq = jest.fn().mockResolvedValue({ error: null });
+      mockSupabase.delete = jest.fn(() => ({ eq: deleteEq }));
+    });
+
+    it('should refuse to join a session created by another build', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockNetwork.isHost = false;
+      mockSupabase.rpc.mockResolvedValue({
+        data: [{ id: TEST_SESSION_ID, status: 'lobby', host_id: 'host', ...getLocalCompatibility(), protocol_version: PROTOCOL_VERSION + 1 }],
+        error: null,
+      });
+
+      const join = sessionManager.joinGame('ABC123', 'Player');
+
+      await expect(join).rejects.toThrow(INCOMPATIBLE_VERSION_MESSAGE);
+      await expect(join).rejects.toMatchObject({ code: 'INCOMPATIBLE_VERSION' });
+      expect(mockSupabase.insert).not.toHaveBeenCalled();
+      expect(mockNetwork._subscribeToChannel).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should evict a joining client whose content hash differs', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await sessionManager.handlePlayerJoined({ id: 'row-2', player_id: 'old-client', ...getLocalCompatibility(), content_hash: 'deadbeef' });
+
+      expect(mockNetwork.send).toHaveBeenCalledWith('player_evicted', {
+        player_id: 'old-client',
+        reason: 'incompatible_version',
+        message: INCOMPATIBLE_VERSION_MESSAGE,
+      });
+      expect(mockSupabase.from).toHaveBeenCalledWith('session_players');
+      expect(deleteEq).toHaveBeenCalledWith('id', 'row-2');
+      log.mockRestore();
+    });
+
+    it('should evict clients from builds that predate the check', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await sessionManager.handlePlayerJoined({ id: 'row-2', player_id: 'ancient-client' });
+
+      expect(deleteEq).toHaveBeenCalledWith('id', 'row-2');
+      log.mockRestore();
+    });
+
+    it('should keep compatible clients, bots and itself', async () => {
+      await sessionManager.handlePlayerJoined({ id: 'row-2', player_id: 'client', ...getLocalCompatibility() });
+      await sessionManager.handlePlayerJoined({ id: 'row-3', player_id: 'bot', is_bot: true });
+      await sessionManager.handlePlayerJoined({ id: 'row-1', player_id: TEST_PLAYER_ID });
+
+      expect(mockSupabase.delete).not.toHaveBeenCalled();
+      expect(mockNetwork.send).not.toHaveBeenCalled();
+    });
+
+    it('should leave the check to the host', async () => {
+      mockNetwork.isHost = false;
+
+      await sessionManager.handlePlayerJoined({ id: 'row-2', player_id: 'old-client' });
+
+      expect(mockSupabase.delete).not.toHaveBeenCalled();
+    });
   });
 });
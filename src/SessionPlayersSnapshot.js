@@ -19,10 +19,18 @@ export class SessionPlayersSnapshot {
     this.refreshInterval = null;
     this.subscriptionReady = null; // Promise that resolves when subscriptions are ready and initial fetch is complete
     this.refreshIntervalMs = options.refreshIntervalMs || 60000; // Default to 60 seconds
+    this.movementValidator = null; // Host only: vets self-reported positions (see HostMovementValidator)
+    this.senderJitter = new Map(); // sender id -> { transit, jitter } in ms, for the adaptive interpolation delay
+    this.playerSenders = new Map(); // player_id -> sender id of their latest state update
+    this.lastUpdateAt = new Map(); // player_id -> performance.now() of their latest accepted state update
+    this.refreshStats = { count: 0, failures: 0, lastAt: null, lastDurationMs: null }; // For the DebugUI network tab
 
     // Bound event handlers for cleanup
     this.postgresChangesHandler = this.#handlePostgresChanges.bind(this);
     this.broadcastHandler = this.#handleBroadcast.bind(this);
+    this.reconnectedHandler = () => this.#refreshSnapshot(); // Row changes were missed while the channel was down
+    // Transit times measured before a clock change are not comparable with those after it
+    this.clockChangedHandler = () => this.senderJitter.clear();
 
     // Initialize: fetch snapshot and setup subscriptions
     this.subscriptionReady = this.#initialize();
@@ -86,6 +94,12 @@ export class SessionPlayersSnapshot {
 
     // Subscribe to Network's player_state_update events (generic)
     this.network.on('player_state_update', this.broadcastHandler);
+
+    this.network.on('reconnected', this.reconnectedHandler);
+
+    // Our offset moved, or the host (everyone's reference clock) changed
+    this.network.on('clock_offset_changed', this.clockChangedHandler);
+    this.network.on('host_migrated', this.clockChangedHandler);
   }
 
   /**
@@ -118,21 +132,63 @@ export class SessionPlayersSnapshot {
     if (message.type === 'player_state_update') {
       const data = message.data;
       const senderId = message.from;
+      this.#recordArrival(senderId, message.timestamp);
+
       // Handle batched updates
       if (Array.isArray(data)) {
         data.forEach(update => {
-          this.#handlePlayerStateUpdate(update, senderId);
+          this.#handlePlayerStateUpdate(update, senderId, message.timestamp);
         });
       } else {
         // Handle single update
         this.#handlePlayerStateUpdate({
           ...data,
           player_id: data.player_id || senderId,
-        }, senderId);
+        }, senderId, message.timestamp);
       }
     }
   }
 
+  /**
+   * Update the running jitter estimate for a sender (RFC 3550 style)
+   * Jitter is the smoothed change in transit time between consecutive messages;
+   * a constant clock offset between sender and receiver cancels out. A change in either
+   * offset does not, which is why the estimates start over on clock_offset_changed.
+   * @param {string} senderId - The player ID of the sender
+   * @param {number} sentAt - The message timestamp (sender's host-synced clock)
+   */
+  #recordArrival(senderId, sentAt) {
+    // Our own echoes arrive instantly and say nothing about the network
+    if (typeof sentAt !== 'number' || senderId === this.network.playerId) return;
+
+    // Both sides are on the host clock (see ClockSync), so only the latency remains
+    const transit = this.network.hostNow() - sentAt;
+    const stats = this.senderJitter.get(senderId);
+    if (!stats) {
+      this.senderJitter.set(senderId, { transit, jitter: 0 });
+      return;
+    }
+
+    const smoothing = CONFIG.NETWORK.ADAPTIVE_INTERPOLATION.JITTER_SMOOTHING;
+    stats.jitter += (Math.abs(transit - stats.transit) - stats.jitter) * smoothing;
+    stats.transit = transit;
+  }
+
+  /**
+   * Render delay for a remote player: the base delay plus headroom for the measured
+   * jitter of whoever sends their updates, so late packets still land inside the buffer
+   * @param {string} playerId - The ID of the player being rendered
+   * @returns {number} Delay in ms
+   */
+  getInterpolationDelay(playerId) {
+    const baseDelay = CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+    const stats = this.senderJitter.get(this.playerSenders.get(playerId));
+    if (!stats) return baseDelay;
+
+    const { MAX_DELAY_MS, JITTER_MULTIPLIER } = CONFIG.NETWORK.ADAPTIVE_INTERPOLATION;
+    return Math.min(MAX_DELAY_MS, baseDelay + stats.jitter * JITTER_MULTIPLIER);
+  }
+
   /**
    * Handle database change events
    */
@@ -148,9 +204,8 @@ export class SessionPlayersSnapshot {
 
       case 'DELETE':
         if (oldRecord) {
-          // Supabase Realtime only sends the primary key (id) in DELETE events,
-          // not the full record, even with REPLICA IDENTITY FULL.
-          // We need to find the player by id and then delete by player_id.
+          // Find the player by row id and then delete by player_id (the table-wide
+          // postgres_changes feed only carried the id; the session broadcast sends the full row)
           const playerToDelete = Array.from(this.players.values()).find(p => p.id === oldRecord.id);
           if (playerToDelete) {
             this.players.delete(playerToDelete.player_id);
@@ -181,8 +236,9 @@ export class SessionPlayersSnapshot {
    *
    * @param {Object} payload - The state update payload
    * @param {string} senderId - The player ID of the sender
+   * @param {number} [sentAt] - The message timestamp, for the movement validator
    */
-  #handlePlayerStateUpdate(payload, senderId) {
+  #handlePlayerStateUpdate(payload, senderId, sentAt) {
     const player_id = payload.player_id || senderId;
     const player = this.players.get(player_id);
 
@@ -192,20 +248,18 @@ export class SessionPlayersSnapshot {
     }
 
     const isFromHost = senderId === this.network.hostId;
-    const isFromSelf = senderId === this.network.playerId;
+    if (senderId === player_id || isFromHost) {
+      this.lastUpdateAt.set(player_id, performance.now());
+    }
 
     // Client-authoritative fields: only accept from the player themselves OR the host
-    if (senderId === player_id || isFromHost) {
+    // (health is never taken from the player, see host-authoritative fields below)
+    if ((senderId === player_id || isFromHost) && this.#isMovementAllowed(player, payload, isFromHost, sentAt)) {
       if (payload.position_x !== undefined) player.position_x = payload.position_x;
       if (payload.position_y !== undefined) player.position_y = payload.position_y;
       if (payload.rotation !== undefined) player.rotation = payload.rotation;
       if (payload.velocity_x !== undefined) player.velocity_x = payload.velocity_x;
       if (payload.velocity_y !== undefined) player.velocity_y = payload.velocity_y;
-
-      // Allow self-broadcast of health
-      if (isFromSelf && payload.health !== undefined) {
-        player.health = payload.health;
-      }
     }
 
     // Host-authoritative fields: ONLY accept from the host
@@ -220,6 +274,7 @@ export class SessionPlayersSnapshot {
     }
 
     // Update position history for interpolation
+    this.playerSenders.set(player_id, senderId);
     this.#updatePositionHistory(player, {
       position_x: payload.position_x !== undefined ? payload.position_x : player.position_x,
       position_y: payload.position_y !== undefined ? payload.position_y : player.position_y,
@@ -229,6 +284,23 @@ export class SessionPlayersSnapshot {
     });
   }
 
+  /**
+   * Let the movement validator (if any) veto a self-reported position
+   */
+  #isMovementAllowed(player, payload, isFromHost, sentAt) {
+    if (isFromHost || !this.movementValidator) return true;
+    if (payload.position_x === undefined && payload.position_y === undefined) return true;
+    return this.movementValidator.validateMovement(player, payload, sentAt);
+  }
+
+  /**
+   * Install a validator for self-reported movement (host only)
+   * @param {Object|null} validator - Object with validateMovement(player, payload, sentAt) returning a boolean
+   */
+  setMovementValidator(validator) {
+    this.movementValidator = validator;
+  }
+
   /**
    * Update the position history buffer for a player
    * Used for client-side interpolation
@@ -271,6 +343,8 @@ export class SessionPlayersSnapshot {
    * Refresh the entire snapshot from the database
    */
   async #refreshSnapshot() {
+    const startedAt = performance.now();
+    let failed = true;
     try {
       const { data, error } = await this.network.supabase
         .from('session_players')
@@ -281,6 +355,7 @@ export class SessionPlayersSnapshot {
         console.error(`Failed to refresh snapshot: ${error.message}`);
         return;
       }
+      failed = false;
 
       // Smart Merge: Update existing players, add new ones, remove missing ones
       if (data) {
@@ -321,9 +396,38 @@ export class SessionPlayersSnapshot {
       }
     } catch (err) {
       console.error(`Failed to refresh snapshot: ${err.message}`);
+    } finally {
+      this.refreshStats.count++;
+      if (failed) this.refreshStats.failures++;
+      this.refreshStats.lastAt = startedAt;
+      this.refreshStats.lastDurationMs = performance.now() - startedAt;
     }
   }
 
+  /**
+   * Per remote player numbers for the DebugUI network tab
+   * @param {number} [now=performance.now()]
+   * @returns {Array<Object>} { player_id, player_name, bufferDepth, msSinceUpdate, jitterMs, interpolationDelayMs };
+   *   msSinceUpdate is null until the first update arrives
+   */
+  getNetworkDiagnostics(now = performance.now()) {
+    const diagnostics = [];
+    for (const [playerId, player] of this.players) {
+      if (playerId === this.network.playerId) continue;
+
+      const lastUpdateAt = this.lastUpdateAt.get(playerId);
+      diagnostics.push({
+        player_id: playerId,
+        player_name: player.player_name,
+        bufferDepth: player.positionHistory?.length ?? 0,
+        msSinceUpdate: lastUpdateAt === undefined ? null : now - lastUpdateAt,
+        jitterMs: this.senderJitter.get(this.playerSenders.get(playerId))?.jitter ?? 0,
+        interpolationDelayMs: this.getInterpolationDelay(playerId),
+      });
+    }
+    return diagnostics;
+  }
+
   /**
    * Get interpolated state for a player at a specific render time
    * @param {string} playerId - The ID of the player to interpolate
@@ -345,19 +449,24 @@ export class SessionPlayersSnapshot {
       };
     }
 
-    const targetTime = renderTime - CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+    const targetTime = renderTime - this.getInterpolationDelay(playerId);
     const history = player.positionHistory;
-
-    // If target time is after newest snapshot, use newest (no extrapolation yet)
-    if (targetTime >= history[history.length - 1].timestamp) {
-      const newest = history[history.length - 1];
-      return { x: newest.x, y: newest.y, rotation: newest.rotation, vx: newest.velocity_x, vy: newest.velocity_y };
+    const newest = history[history.length - 1];
+
+    // If target time is after newest snapshot, dead-reckon from it
+    if (targetTime >= newest.timestamp) {
+      const aheadSeconds = Math.min(targetTime - newest.timestamp, CONFIG.NETWORK.EXTRAPOLATION.MAX_MS) / 1000;
+      const vx = newest.velocity_x || 0;
+      const vy = newest.velocity_y || 0;
+      const state = { x: newest.x + vx * aheadSeconds, y: newest.y + vy * aheadSeconds, rotation: newest.rotation, vx, vy };
+      return this.#applyErrorCorrection(player, state, renderTime, aheadSeconds > 0);
     }
 
     // If target time is before oldest snapshot, use oldest
     if (targetTime <= history[0].timestamp) {
       const oldest = history[0];
-      return { x: oldest.x, y: oldest.y, rotation: oldest.rotation, vx: oldest.velocity_x, vy: oldest.velocity_y };
+      const state = { x: oldest.x, y: oldest.y, rotation: oldest.rotation, vx: oldest.velocity_x, vy: oldest.velocity_y };
+      return this.#applyErrorCorrection(player, state, renderTime, false);
     }
 
     // Find bracketing snapshots
@@ -387,7 +496,49 @@ export class SessionPlayersSnapshot {
     // Shortest path interpolation for rotation
     const rotation = this.#interpolateRotation(p1.rotation, p2.rotation, t);
 
-    return { x, y, rotation, vx, vy };
+    return this.#applyErrorCorrection(player, { x, y, rotation, vx, vy }, renderTime, false);
+  }
+
+  /**
+   * Smooth out the jump when real data replaces an extrapolated guess.
+   * The difference between where we drew the player and where they turned out to be
+   * is kept as an offset that decays over EXTRAPOLATION.CORRECTION_MS.
+   * @param {Object} player - The player being rendered (holds the correction state)
+   * @param {Object} state - The raw interpolated/extrapolated state
+   * @param {number} renderTime - The current render time
+   * @param {boolean} extrapolated - Whether state is a prediction past the newest snapshot
+   * @returns {Object} state with the correction offset applied
+   */
+  #applyErrorCorrection(player, state, renderTime, extrapolated) {
+    const { CORRECTION_MS, SNAP_DISTANCE } = CONFIG.NETWORK.EXTRAPOLATION;
+    const newestTimestamp = player.positionHistory[player.positionHistory.length - 1].timestamp;
+    const previous = player.renderCorrection;
+
+    let errorX = 0;
+    let errorY = 0;
+    if (previous) {
+      if (previous.extrapolated && previous.newestTimestamp !== newestTimestamp) {
+        // New data arrived while we were predicting: start from where we drew them
+        errorX = previous.x - state.x;
+        errorY = previous.y - state.y;
+      } else {
+        const decay = Math.exp(-Math.max(0, renderTime - previous.renderTime) / CORRECTION_MS);
+        errorX = previous.errorX * decay;
+        errorY = previous.errorY * decay;
+      }
+
+      // Teleports and respawns should not glide across the map
+      if (Math.hypot(errorX, errorY) > SNAP_DISTANCE) {
+        errorX = 0;
+        errorY = 0;
+      }
+    }
+
+    const x = state.x + errorX;
+    const y = state.y + errorY;
+    player.renderCorrection = { x, y, errorX, errorY, renderTime, extrapolated, newestTimestamp };
+
+    return { ...state, x, y };
   }
 
   /**
@@ -478,6 +629,9 @@ export class SessionPlayersSnapshot {
     if (this.network) {
       this.network.off('postgres_changes', this.postgresChangesHandler);
       this.network.off('player_state_update', this.broadcastHandler);
+      this.network.off('reconnected', this.reconnectedHandler);
+      this.network.off('clock_offset_changed', this.clockChangedHandler);
+      this.network.off('host_migrated', this.clockChangedHandler);
     }
   }
 }
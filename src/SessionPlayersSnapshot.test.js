@@ -1,5 +1,6 @@
 import { jest } from '@jest/globals';
 import { SessionPlayersSnapshot } from './SessionPlayersSnapshot.js';
+import { CONFIG } from './config.js';
 
 describe('SessionPlayersSnapshot (Built on Network)', () => {
   let snapshot;
@@ -77,6 +78,7 @@ describe('SessionPlayersSnapshot (Built on Network)', () => {
       off: jest.fn(),
       emit: jest.fn(),
       send: jest.fn(),
+      hostNow: jest.fn(() => Date.now()),
     };
   });
 
@@ -1008,6 +1010,100 @@ describe('SessionPlayersSnapshot (Built on Network)', () => {
       expect(player.position_x).toBe(500);
       expect(player.position_y).toBe(600);
     });
+
+    test('WhenLocalPlayerBroadcastsOwnHealth_ShouldIgnoreIt', async () => {
+      mockNetwork.playerId = TEST_PLAYER_ID;
+      const mockPlayers = [createMockPlayer({ player_id: TEST_PLAYER_ID, health: 40 })];
+
+      mockSupabaseClient.from().select().eq.mockResolvedValue({
+        data: mockPlayers,
+        error: null,
+      });
+
+      let playerStateUpdateHandler;
+      mockNetwork.on.mockImplementation((event, handler) => {
+        if (event === 'player_state_update') {
+          playerStateUpdateHandler = handler;
+        }
+      });
+
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+
+      // Even our own echo may not raise health; only the host decides it
+      playerStateUpdateHandler({
+        type: 'player_state_update',
+        from: TEST_PLAYER_ID,
+        data: {
+          player_id: TEST_PLAYER_ID,
+          health: 100,
+        },
+      });
+
+      expect(snapshot.getPlayers().get(TEST_PLAYER_ID).health).toBe(40);
+    });
+  });
+
+  describe('Movement Validation', () => {
+    const HOST_ID = 'host-player-id';
+    let playerStateUpdateHandler;
+    let validator;
+
+    beforeEach(async () => {
+      mockNetwork.hostId = HOST_ID;
+      mockSupabaseClient.from().select().eq.mockResolvedValue({
+        data: [createMockPlayer({ player_id: TEST_PLAYER_ID, position_x: 100, position_y: 200 })],
+        error: null,
+      });
+      mockNetwork.on.mockImplementation((event, handler) => {
+        if (event === 'player_state_update') {
+          playerStateUpdateHandler = handler;
+        }
+      });
+
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+
+      validator = { validateMovement: jest.fn(() => false) };
+      snapshot.setMovementValidator(validator);
+    });
+
+    test('WhenValidatorRejectsMove_ShouldKeepPreviousPosition', () => {
+      playerStateUpdateHandler({
+        type: 'player_state_update',
+        from: TEST_PLAYER_ID,
+        timestamp: 123456,
+        data: { player_id: TEST_PLAYER_ID, position_x: 900, position_y: 900, rotation: 1 },
+      });
+
+      const player = snapshot.getPlayers().get(TEST_PLAYER_ID);
+      expect(validator.validateMovement).toHaveBeenCalledWith(player, expect.objectContaining({ position_x: 900 }), 123456);
+      expect(player.position_x).toBe(100);
+      expect(player.position_y).toBe(200);
+      expect(player.rotation).toBe(0);
+    });
+
+    test('WhenUpdateHasNoPosition_ShouldSkipValidator', () => {
+      playerStateUpdateHandler({
+        type: 'player_state_update',
+        from: TEST_PLAYER_ID,
+        data: { player_id: TEST_PLAYER_ID, rotation: 1 },
+      });
+
+      expect(validator.validateMovement).not.toHaveBeenCalled();
+      expect(snapshot.getPlayers().get(TEST_PLAYER_ID).rotation).toBe(1);
+    });
+
+    test('WhenHostMovesPlayer_ShouldSkipValidator', () => {
+      playerStateUpdateHandler({
+        type: 'player_state_update',
+        from: HOST_ID,
+        data: { player_id: TEST_PLAYER_ID, position_x: 900, position_y: 900 },
+      });
+
+      expect(validator.validateMovement).not.toHaveBeenCalled();
+      expect(snapshot.getPlayers().get(TEST_PLAYER_ID).position_x).toBe(900);
+    });
   });
 
   describe('Position Interpolation History', () => {
@@ -1275,6 +1371,244 @@ describe('SessionPlayersSnapshot (Built on Network)', () => {
     });
   });
 
+  describe('Extrapolation', () => {
+    const { MAX_MS, SNAP_DISTANCE } = CONFIG.NETWORK.EXTRAPOLATION;
+    const DELAY = CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+    let player;
+
+    beforeEach(async () => {
+      mockSupabaseClient.from().select().eq.mockResolvedValue({ data: [createMockPlayer()], error: null });
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+      player = snapshot.getPlayers().get(TEST_PLAYER_ID);
+      player.positionHistory = [{ x: 0, y: 0, velocity_x: 100, velocity_y: 0, rotation: 0, timestamp: 1000 }];
+    });
+
+    test('WhenTargetTimeAfterNewest_ShouldDeadReckonAlongVelocity', () => {
+      // Target time 1050 is 50ms past the newest snapshot
+      const result = snapshot.getInterpolatedPlayerState(TEST_PLAYER_ID, 1050 + DELAY);
+
+      expect(result.x).toBeCloseTo(5);
+      expect(result.vx).toBe(100);
+    });
+
+    test('WhenUpdatesStopArriving_ShouldStopAfterHorizon', () => {
+      const result = snapshot.getInterpolatedPlayerState(TEST_PLAYER_ID, 1000 + MAX_MS * 10 + DELAY);
+
+      expect(result.x).toBeCloseTo(100 * MAX_MS / 1000);
+    });
+
+    test('WhenRealDataDisagreesWithPrediction_ShouldBlendInsteadOfJumping', () => {
+      const predicted = snapshot.getInterpolatedPlayerState(TEST_PLAYER_ID, 1100 + DELAY); // x = 10
+
+      // They actually stopped at x = 2
+      player.positionHistory.push({ x: 2, y: 0, velocity_x: 0, velocity_y: 0, rotation: 0, timestamp: 1100 });
+      const corrected = snapshot.getInterpolatedPlayerState(TEST_PLAYER_ID, 1100 + DELAY);
+      expect(corrected.x).toBeCloseTo(predicted.x);
+
+      const later = snapshot.getInterpolatedPlayerState(TEST_PLAYER_ID, 2000 + DELAY);
+      expect(later.x).toBeCloseTo(2, 1);
+    });
+
+    test('WhenCorrectionIsLarge_ShouldSnap', () => {
+      snapshot.getInterpolatedPlayerState(TEST_PLAYER_ID, 1100 + DELAY);
+
+      // Respawned across the map
+      player.positionHistory.push({ x: SNAP_DISTANCE * 10, y: 0, velocity_x: 0, velocity_y: 0, rotation: 0, timestamp: 1100 });
+      const result = snapshot.getInterpolatedPlayerState(TEST_PLAYER_ID, 1100 + DELAY);
+
+      expect(result.x).toBe(SNAP_DISTANCE * 10);
+    });
+  });
+
+  describe('Adaptive Interpolation Delay', () => {
+    const OTHER_PLAYER_ID = 'other-player-id';
+    const { MAX_DELAY_MS } = CONFIG.NETWORK.ADAPTIVE_INTERPOLATION;
+    let playerStateUpdateHandler;
+    let handlers;
+
+    // Deliver an update from the other player that was sent at sentAt and arrives at arrivedAt (host time)
+    const deliver = (sentAt, arrivedAt, from = OTHER_PLAYER_ID) => {
+      mockNetwork.hostNow.mockReturnValue(arrivedAt);
+      playerStateUpdateHandler({
+        type: 'player_state_update',
+        from,
+        timestamp: sentAt,
+        data: { player_id: OTHER_PLAYER_ID, position_x: 0, position_y: 0 },
+      });
+    };
+
+    beforeEach(async () => {
+      handlers = {};
+      mockNetwork.playerId = TEST_PLAYER_ID;
+      mockNetwork.hostId = OTHER_PLAYER_ID;
+      mockSupabaseClient.from().select().eq.mockResolvedValue({
+        data: [createMockPlayer({ player_id: OTHER_PLAYER_ID })],
+        error: null,
+      });
+      mockNetwork.on.mockImplementation((event, handler) => {
+        handlers[event] = handler;
+        if (event === 'player_state_update') {
+          playerStateUpdateHandler = handler;
+        }
+      });
+
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+    });
+
+    test('WhenNoUpdatesYet_ShouldUseBaseDelay', () => {
+      expect(snapshot.getInterpolationDelay(OTHER_PLAYER_ID)).toBe(CONFIG.NETWORK.INTERPOLATION_DELAY_MS);
+    });
+
+    test('WhenTransitTimeIsSteady_ShouldKeepBaseDelay', () => {
+      // Constant 80ms latency, no matter how large, is not jitter
+      for (let i = 0; i < 20; i++) {
+        deliver(50_000 + i * 50, 1000 + i * 50 + 80);
+      }
+
+      expect(snapshot.getInterpolationDelay(OTHER_PLAYER_ID)).toBe(CONFIG.NETWORK.INTERPOLATION_DELAY_MS);
+    });
+
+    test('WhenTransitTimeVaries_ShouldGrowDelayUpToMax', () => {
+      for (let i = 0; i < 20; i++) {
+        deliver(50_000 + i * 50, 1000 + i * 50 + (i % 2 ? 120 : 0));
+      }
+      const jittery = snapshot.getInterpolationDelay(OTHER_PLAYER_ID);
+      expect(jittery).toBeGreaterThan(CONFIG.NETWORK.INTERPOLATION_DELAY_MS);
+      expect(jittery).toBeLessThanOrEqual(MAX_DELAY_MS);
+
+      for (let i = 20; i < 200; i++) {
+        deliver(50_000 + i * 50, 1000 + i * 50 + (i % 2 ? 1000 : 0));
+      }
+      expect(snapshot.getInterpolationDelay(OTHER_PLAYER_ID)).toBe(MAX_DELAY_MS);
+    });
+
+    test('WhenMessageIsOwnEcho_ShouldNotCountTowardJitter', () => {
+      for (let i = 0; i < 20; i++) {
+        deliver(50_000 + i * 50, 1000 + i * 50 + (i % 2 ? 120 : 0), TEST_PLAYER_ID);
+      }
+
+      expect(snapshot.senderJitter.size).toBe(0);
+    });
+
+    test('WhenOurClockOffsetJumps_ShouldStartTheEstimateOver', () => {
+      for (let i = 0; i < 20; i++) {
+        deliver(50_000 + i * 50, 50_000 + i * 50 + 80);
+      }
+
+      // First sync sample: host time jumps 5 s, which is not jitter
+      handlers.clock_offset_changed({ offset: 5000 });
+      for (let i = 20; i < 40; i++) {
+        deliver(50_000 + i * 50, 55_000 + i * 50 + 80);
+      }
+
+      expect(snapshot.getInterpolationDelay(OTHER_PLAYER_ID)).toBe(CONFIG.NETWORK.INTERPOLATION_DELAY_MS);
+    });
+
+    test('WhenHostMigrates_ShouldStartTheEstimateOver', () => {
+      for (let i = 0; i < 20; i++) {
+        deliver(50_000 + i * 50, 50_000 + i * 50 + (i % 2 ? 120 : 0));
+      }
+      expect(snapshot.getInterpolationDelay(OTHER_PLAYER_ID)).toBeGreaterThan(CONFIG.NETWORK.INTERPOLATION_DELAY_MS);
+
+      handlers.host_migrated({ data: { new_host_id: 'new-host' } });
+
+      expect(snapshot.senderJitter.size).toBe(0);
+      expect(snapshot.getInterpolationDelay(OTHER_PLAYER_ID)).toBe(CONFIG.NETWORK.INTERPOLATION_DELAY_MS);
+    });
+  });
+
+  describe('Network Diagnostics', () => {
+    const OTHER_PLAYER_ID = 'other-player-id';
+    let mockNow;
+
+    beforeEach(() => {
+      mockNow = jest.spyOn(performance, 'now');
+      mockNetwork.playerId = TEST_PLAYER_ID;
+      mockNetwork.hostId = TEST_PLAYER_ID;
+      mockSupabaseClient.from().select().eq.mockResolvedValue({
+        data: [createMockPlayer(), createMockPlayer({ player_id: OTHER_PLAYER_ID, player_name: 'Other' })],
+        error: null,
+      });
+    });
+
+    afterEach(() => {
+      mockNow.mockRestore();
+      snapshot.destroy();
+    });
+
+    test('WhenRemotePlayerSendsUpdates_ShouldReportBufferDepthAndTimeSinceLastUpdate', async () => {
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+      const broadcastHandler = mockNetwork.on.mock.calls.find(call => call[0] === 'player_state_update')[1];
+
+      [1000, 1050, 1100].forEach(now => {
+        mockNow.mockReturnValue(now);
+        broadcastHandler({ type: 'player_state_update', from: OTHER_PLAYER_ID, timestamp: now, data: { position_x: 1, position_y: 2 } });
+      });
+
+      const diagnostics = snapshot.getNetworkDiagnostics(1300);
+
+      // Our own player is not a remote stream
+      expect(diagnostics).toEqual([expect.objectContaining({
+        player_id: OTHER_PLAYER_ID,
+        player_name: 'Other',
+        bufferDepth: 3,
+        msSinceUpdate: 200,
+      })]);
+    });
+
+    test('WhenNoUpdateArrivedYet_ShouldReportNoTimeSinceUpdate', async () => {
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+
+      expect(snapshot.getNetworkDiagnostics(1000)[0]).toMatchObject({ bufferDepth: 0, msSinceUpdate: null });
+    });
+
+    test('WhenSnapshotRefreshes_ShouldRecordTimingAndFailures', async () => {
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+      const reconnectedHandler = mockNetwork.on.mock.calls.find(call => call[0] === 'reconnected')[1];
+
+      mockNow.mockReturnValueOnce(5000).mockReturnValueOnce(5040);
+      await reconnectedHandler();
+      expect(snapshot.refreshStats).toEqual({ count: 1, failures: 0, lastAt: 5000, lastDurationMs: 40 });
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockSupabaseClient.from().select().eq.mockResolvedValue({ data: null, error: { message: 'offline' } });
+      await reconnectedHandler();
+      expect(snapshot.refreshStats).toMatchObject({ count: 2, failures: 1 });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Reconnect', () => {
+    test('WhenNetworkReconnects_ShouldRefetchPlayersMissedWhileDisconnected', async () => {
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+
+      mockSupabaseClient.from().select().eq.mockResolvedValue({
+        data: [createMockPlayer({ player_id: 'late-joiner' })],
+        error: null,
+      });
+      const reconnectedHandler = mockNetwork.on.mock.calls.find(call => call[0] === 'reconnected')[1];
+      await reconnectedHandler({ attempts: 1 });
+
+      expect(snapshot.getPlayers().has('late-joiner')).toBe(true);
+      snapshot.destroy();
+    });
+
+    test('WhenDestroyCalled_ShouldStopListeningForReconnects', async () => {
+      snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
+      await snapshot.ready();
+
+      snapshot.destroy();
+
+      expect(mockNetwork.off).toHaveBeenCalledWith('reconnected', snapshot.reconnectedHandler);
+    });
+  });
+
   describe('Destroy', () => {
     test('WhenDestroyCalled_ShouldUnsubscribeFromNetworkEvents', async () => {
       snapshot = new SessionPlayersSnapshot(mockNetwork, TEST_SESSION_ID);
@@ -0,0 +1,29 @@
+/**
+ * Supabase Transport
+ * Realtime transport backed by Supabase Realtime channels.
+ *
+ * A transport is the only thing Network talks to for realtime traffic. It must expose:
+ * - channel(name, options): returns a channel object supporting
+ *     .on('broadcast', { event }, callback)        - broadcast feed
+ *     .on('postgres_changes', filter, callback)    - database change feed
+ *     .subscribe(statusCallback)                   - status: SUBSCRIBED | CHANNEL_ERROR | TIMED_OUT | CLOSED
+ *     .send({ type: 'broadcast', event, payload }) - broadcast to other subscribers (no echo to sender)
+ * - removeChannel(channel): unsubscribes and releases the channel
+ *
+ * The Supabase client already implements this shape, so this class is a thin adapter.
+ * See LoopbackTransport.js for the in-process implementation used in tests and scripts.
+ */
+
+export class SupabaseTransport {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  channel(name, options) {
+    return this.supabase.channel(name, options);
+  }
+
+  removeChannel(channel) {
+    return this.supabase.removeChannel(channel);
+  }
+}
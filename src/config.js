@@ -16,7 +16,6 @@ export const CONFIG = {
     MAX_PLAYERS: 12,
     MIN_PLAYERS: 4,
     MATCH_DURATION_SECONDS: 300, // 5 minutes
-    INITIAL_ZONE_SHRINK_DELAY_SECONDS: 60, // 1 minute before shrinking starts
     INITIAL_LOOT_COUNT: 20,
     VICTORY_DELAY_MS: 3000,
   },
@@ -53,12 +52,18 @@ export const CONFIG = {
   // Conflict Zone Settings
   ZONE: {
     INITIAL_RADIUS: 600,
-    MIN_RADIUS: 50, // Minimum zone size
-    BASE_SHRINK_RATE: 10, // Base shrink rate in pixels per second
-    SHRINK_RATE_MULTIPLIER: 1.5, // Increases each phase
-    DAMAGE_PER_SECOND: 10, // Effective DPS (applied in intervals)
-    DAMAGE_INCREASE_PER_PHASE: 1,
     DAMAGE_INTERVAL_SECONDS: 2.5, // Apply damage every 2.5 seconds
+    BROADCAST_INTERVAL_SECONDS: 2, // Host re-sends zone_update this often (plus on every stage change)
+    // Host-driven schedule. Each phase holds the current circle, then shrinks to
+    // targetRadius while the center drifts up to centerDrift pixels.
+    // damagePerSecond applies outside the circle for the whole phase.
+    PHASES: [
+      { holdSeconds: 60, shrinkSeconds: 45, targetRadius: 450, centerDrift: 100, damagePerSecond: 10 },
+      { holdSeconds: 30, shrinkSeconds: 30, targetRadius: 300, centerDrift: 100, damagePerSecond: 11 },
+      { holdSeconds: 25, shrinkSeconds: 25, targetRadius: 175, centerDrift: 80, damagePerSecond: 13 },
+      { holdSeconds: 20, shrinkSeconds: 20, targetRadius: 90, centerDrift: 60, damagePerSecond: 16 },
+      { holdSeconds: 15, shrinkSeconds: 15, targetRadius: 50, centerDrift: 30, damagePerSecond: 20 },
+    ],
   },
 
   // Rendering Settings
@@ -133,9 +138,86 @@ export const CONFIG = {
   // Network Settings
   NETWORK: {
     GAME_SIMULATION_INTERVAL_MS: 50, // interval between position updates (20 Hz = 50ms)
-    INTERPOLATION_DELAY_MS: 100,
+    INTERPOLATION_DELAY_MS: 100, // Minimum render delay for remote players; grows with measured jitter
     INTERPOLATION_BUFFER_SIZE: 3,
+    ADAPTIVE_INTERPOLATION: {
+      MAX_DELAY_MS: 300, // Upper bound on the jitter-adjusted delay
+      JITTER_MULTIPLIER: 2, // Delay = INTERPOLATION_DELAY_MS + jitter * multiplier
+      JITTER_SMOOTHING: 1 / 16, // Weight of each new sample in the running jitter estimate (RFC 3550)
+    },
+    EXTRAPOLATION: {
+      MAX_MS: 200, // Furthest a remote player is predicted past their newest update
+      CORRECTION_MS: 150, // Time constant for blending away the error once real data arrives
+      SNAP_DISTANCE: 150, // Errors larger than this (teleports, respawns) snap instead of blending
+    },
     CLIENT_AUTHORITATIVE_FIELDS: ['position_x', 'position_y', 'rotation', 'velocity_x', 'velocity_y', 'is_connected'],
+    HEARTBEAT_INTERVAL_MS: 2000, // How often clients send a heartbeat while in a session
+    HEARTBEAT_TIMEOUT_MS: 10000, // Host marks a player disconnected after this long without one (also hardcoded in claim_session_host, migration 20)
+    HOST_HEARTBEAT_WRITE_INTERVAL_MS: 5000, // How often the host refreshes its own last_heartbeat row
+    MOVEMENT_VALIDATION: {
+      SPEED_TOLERANCE: 1.25, // Allowed overshoot of max speed (frame timing, jitter)
+      DISTANCE_SLACK: 40, // Extra pixels allowed per update on top of the speed budget
+      LUNGE_GRACE_MS: 300, // Lunge speed stays allowed this long after the lunge should have ended
+      MAX_TIMESTAMP_AGE_MS: 1000, // Movement is timed by the sender's timestamp, but never from further back than this
+      SUSPICIOUS_VIOLATIONS: 10, // Rejected moves within the window before a player is flagged
+      VIOLATION_WINDOW_MS: 10000,
+    },
+    STATE_CODEC: {
+      POSITION_SCALE: 10, // Positions are sent in tenths of a pixel
+      ROTATION_SCALE: 1000, // Rotation in milliradians
+      VELOCITY_SCALE: 100,
+      KEYFRAME_INTERVAL_MS: 1000, // Delta streams resend every field this often (late joiners)
+      MAX_PENDING_FRAMES: 32, // Unacknowledged frames remembered per sender
+    },
+    RELIABLE: {
+      BUFFER_SIZE: 256, // Sent reliable messages kept for resends
+      NACK_INTERVAL_MS: 300, // How often a receiver repeats a NACK while a gap is open
+      GAP_TIMEOUT_MS: 3000, // Give up on missing messages after this long (e.g. sender left)
+    },
+    RECONNECT: { // Backoff when the realtime channel drops mid-session
+      INITIAL_DELAY_MS: 500,
+      MAX_DELAY_MS: 8000,
+      MULTIPLIER: 2,
+      MAX_ATTEMPTS: 8, // About 40 seconds in total before giving up
+    },
+    MATCH_STATE_TIMEOUT_MS: 5000, // How long a late joiner waits for the host's match_state before starting anyway
+    RATE_LIMITS: { // Host-side token buckets per sender and message type
+      DEFAULT: { PER_SECOND: 10, BURST: 20 },
+      player_state_update: { PER_SECOND: 40, BURST: 60 }, // 20 Hz movement stream plus headroom
+      attack_request: { PER_SECOND: 8, BURST: 8 },
+      pickup_request: { PER_SECOND: 8, BURST: 8 },
+      request_loot_sync: { PER_SECOND: 1, BURST: 3 },
+      request_match_state: { PER_SECOND: 1, BURST: 3 },
+      chat_message: { PER_SECOND: 1, BURST: 5 }, // Looser than CHAT.RATE_LIMIT, which does the real limiting
+    },
+    CONDITION_SIMULATOR: {
+      QUERY_PARAM: 'netsim', // e.g. ?netsim=3g or ?netsim=latency:150,jitter:40,loss:0.05
+      REORDER_DELAY_MS: 150, // Extra hold for messages picked for reordering
+      PRESETS: {
+        wifi: { latencyMs: 15, jitterMs: 10, dropRate: 0.005 },
+        '4g': { latencyMs: 40, jitterMs: 30, dropRate: 0.01, reorderRate: 0.01 },
+        '3g': { latencyMs: 120, jitterMs: 80, dropRate: 0.03, duplicateRate: 0.01, reorderRate: 0.03 },
+        lossy: { latencyMs: 60, jitterMs: 40, dropRate: 0.15, duplicateRate: 0.03, reorderRate: 0.05 },
+      },
+    },
+    INTEREST: { // Sender-side rate tiers for movement streams (see InterestManager)
+      VIEW_WIDTH: 1920, // Reference viewport (CONFIG.CANVAS); real ones are the window size, usually smaller
+      VIEW_HEIGHT: 1080,
+      MARGIN: 300, // Beyond the view, still at full rate so nobody pops in at the edge
+      FAR_REFRESH_MS: 500, // Players nobody can see send at most this often (edge indicators)
+    },
+    STATS: { // Diagnostics for the DebugUI network tab (see NetworkStats)
+      WINDOW_MS: 5000, // Rates are averaged over this much recent traffic
+      PANEL_REFRESH_MS: 1000, // How often the open panel redraws
+    },
+    MAX_REWIND_MS: 300, // Lag compensation: furthest back the host rewinds victims for a hit check
+    CLOCK_SYNC: {
+      BURST_COUNT: 5, // Pings sent right after joining a match
+      BURST_INTERVAL_MS: 200,
+      INTERVAL_MS: 10000, // Ongoing pings to track clock drift
+      MAX_SAMPLES: 8, // Best (lowest round trip) of the most recent samples is used
+      FIRST_SAMPLE_TIMEOUT_MS: 2000, // Late joiners wait this long for a sample before applying the match state
+    },
   },
 
   // Asset Settings
@@ -210,6 +292,27 @@ export const CONFIG = {
     PICKUP_RADIUS: 80,
   },
 
+  // Lobby and in-game text chat (see ChatManager)
+  CHAT: {
+    MAX_LENGTH: 200, // Characters per message, after sanitizing
+    SCROLLBACK: 100, // Messages kept per session
+    COMPACT_LINES: 4, // Recent messages shown on the game screen
+    RATE_LIMIT: { PER_SECOND: 0.5, BURST: 4 }, // Per sender, checked by every receiver
+  },
+
+  // Per-session match rules the host picks in the lobby (see MatchSettings.js).
+  // Defaults: GAME.MAX_PLAYERS, bot fill up to GAME.MIN_PLAYERS, 'normal' presets, every weapon.
+  MATCH_SETTINGS: {
+    MIN_PLAYERS: 2, // Smallest max_players the host can choose
+    BOT_DIFFICULTY: {
+      easy: { SPEED_MULTIPLIER: 0.7, ATTACK_INTERVAL_MS: 1200 },
+      normal: { SPEED_MULTIPLIER: 1, ATTACK_INTERVAL_MS: 0 },
+      hard: { SPEED_MULTIPLIER: 1.3, ATTACK_INTERVAL_MS: 0 },
+    },
+    LOOT_DENSITY: { low: 0.5, normal: 1, high: 2 }, // Multiplier on GAME.INITIAL_LOOT_COUNT
+    ZONE_SPEED: { slow: 1.5, normal: 1, fast: 0.6 }, // Multiplier on ZONE.PHASES hold and shrink times
+  },
+
   // Bot Settings
   BOT: {
     STOPPING_DISTANCE: 40,
@@ -0,0 +1,41 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Builds the conflict zone for the start of a match: the full circle, holding for phase 0.
+ * @param {Array} [phases] - Zone schedule (see getZonePhases in MatchSettings.js)
+ * @returns {Object} - Zone state shared by host and clients.
+ */
+export function createInitialZone(phases = CONFIG.ZONE.PHASES) {
+  const firstPhase = phases[0];
+  const centerX = CONFIG.WORLD.WIDTH / 2;
+  const centerY = CONFIG.WORLD.HEIGHT / 2;
+
+  return {
+    centerX,
+    centerY,
+    radius: CONFIG.ZONE.INITIAL_RADIUS,
+    targetCenterX: centerX,
+    targetCenterY: centerY,
+    targetRadius: CONFIG.ZONE.INITIAL_RADIUS,
+    stage: 'hold', // 'hold' | 'shrink' | 'final'
+    stageRemaining: firstPhase.holdSeconds,
+    damagePerSecond: firstPhase.damagePerSecond,
+  };
+}
+
+/**
+ * Moves the circle toward its target over the remaining shrink time.
+ * Only animates the current stage; stage transitions are decided by the host.
+ * @param {Object} zone - Zone state (mutated in place).
+ * @param {number} deltaTime - Elapsed seconds.
+ */
+export function advanceZone(zone, deltaTime) {
+  if (zone.stage === 'shrink') {
+    const t = zone.stageRemaining > deltaTime ? deltaTime / zone.stageRemaining : 1;
+    zone.radius += (zone.targetRadius - zone.radius) * t;
+    zone.centerX += (zone.targetCenterX - zone.centerX) * t;
+    zone.centerY += (zone.targetCenterY - zone.centerY) * t;
+  }
+
+  zone.stageRemaining = Math.max(0, zone.stageRemaining - deltaTime);
+}
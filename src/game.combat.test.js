@@ -10,15 +10,19 @@ describe('Game Combat', () => {
   beforeEach(() => {
     mockNetwork = {
       playerId: 'player-1',
+      hostNow: () => Date.now(),
       send: jest.fn(),
       on: jest.fn(),
       emit: jest.fn(),
       broadcastPlayerStateUpdate: jest.fn(),
       writePlayerStateToDB: jest.fn().mockResolvedValue({}),
+      writeSessionStateToDB: jest.fn().mockResolvedValue(),
       isHost: true,
     };
 
     mockPlayersSnapshot = {
+      setMovementValidator: jest.fn(),
+      getInterpolationDelay: jest.fn().mockReturnValue(180),
       getPlayers: jest.fn().mockReturnValue(new Map([
         ['player-1', {
           player_id: 'player-1',
@@ -71,6 +75,16 @@ describe('Game Combat', () => {
       }));
     });
 
+    test('WhenAttacking_ShouldReportNearestOpponentsInterpolationDelay', () => {
+      game.handleInput({ attack: true, specialAbility: false });
+      game.update(0.016);
+
+      expect(mockPlayersSnapshot.getInterpolationDelay).toHaveBeenCalledWith('player-2');
+      expect(mockNetwork.send).toHaveBeenCalledWith('attack_request', expect.objectContaining({
+        interpolation_delay_ms: 180,
+      }));
+    });
+
     test('WhenSpecialAbilityInputPressed_ShouldSendSpecialAttackRequest', () => {
       const inputState = { 
         attack: false, 
@@ -8,27 +8,39 @@ import { LocalPlayerController } from './LocalPlayerController.js';
 import { HostCombatManager } from './HostCombatManager.js';
 import { HostLootManager } from './HostLootManager.js';
 import { HostBotManager } from './HostBotManager.js';
+import { HostZoneManager } from './HostZoneManager.js';
+import { HostConnectionManager } from './HostConnectionManager.js';
+import { HostMovementValidator } from './HostMovementValidator.js';
+import { createInitialZone, advanceZone } from './conflictZone.js';
+import { normalizeMatchSettings, getZonePhases, getLootCount } from './MatchSettings.js';
 import { DebugUI } from './DebugUI.js';
 
 export class Game {
-  constructor() {
+  /**
+   * @param {Object} [settings] - The session's match settings (see MatchSettings.js)
+   */
+  constructor(settings = {}) {
+    const matchSettings = normalizeMatchSettings(settings);
     this.state = {
-      conflictZone: {
-        centerX: CONFIG.WORLD.WIDTH / 2,
-        centerY: CONFIG.WORLD.HEIGHT / 2,
-        radius: CONFIG.ZONE.INITIAL_RADIUS,
-      },
+      settings: matchSettings, // Read by the host managers and bots
+      conflictZone: createInitialZone(getZonePhases(matchSettings)),
       loot: [],
       gameTime: 0,
       phase: 0,
       isRunning: false,
+      matchPhase: 'deployment', // Clients: last match_state's match_phase
+      aliveCount: null, // Clients: players still in the fight as of the last match_state
     };
     this.localPlayerController = null;
     this.hostCombatManager = null;
     this.hostLootManager = null;
     this.hostBotManager = null;
+    this.hostZoneManager = null;
+    this.hostConnectionManager = null;
+    this.hostMovementValidator = null;
     this.playersSnapshot = null;
     this.network = null;
+    this.networkHandlers = []; // [type, handler] pairs removed in destroy
     this.renderer = null;
     this.spectatingTargetId = null;
     this.debugMode = false;
@@ -37,7 +49,14 @@ export class Game {
     this.debugUI = typeof document !== 'undefined' ? new DebugUI(this) : null;
   }
 
-  init(playersSnapshot = null, network = null, renderer = null) {
+  /**
+   * @param {Object} [playersSnapshot]
+   * @param {Object} [network]
+   * @param {Object} [renderer]
+   * @param {Object} [matchState] - The host's match_state message when joining a match in progress
+   *   (see Network.requestMatchState); applied before the first frame
+   */
+  init(playersSnapshot = null, network = null, renderer = null, matchState = null) {
     this.playersSnapshot = playersSnapshot;
     this.network = network;
     this.renderer = renderer;
@@ -45,57 +64,38 @@ export class Game {
 
     // Initialize Host Managers
     if (network && network.isHost) {
-      this.hostCombatManager = new HostCombatManager(network, this.state);
-      this.hostLootManager = new HostLootManager(network, this.state);
-      this.hostBotManager = new HostBotManager(network, this.playersSnapshot, this);
-
-      network.on('attack_request', (msg) => {
-        if (!this.state.isRunning) return;
-        this.hostCombatManager.handleAttackRequest(msg, this.playersSnapshot);
-        // Also trigger animation for bots or self if needed (LocalPlayerController handles self)
-        this.handleAttackAnimation(msg);
-      });
-      network.on('pickup_request', (msg) => {
-        if (!this.state.isRunning) return;
-        this.hostLootManager.handlePickupRequest(msg, this.playersSnapshot);
-      });
-      network.on('request_loot_sync', (msg) => {
-        if (!this.state.isRunning) return;
-        this.hostLootManager.handleLootSyncRequest(msg);
-      });
+      this.#initHostManagers();
 
       // Initial loot spawn
       if (this.state.loot.length === 0) {
-        this.hostLootManager.spawnRandomLoot(CONFIG.GAME.INITIAL_LOOT_COUNT);
+        this.hostLootManager.spawnRandomLoot(getLootCount(this.state.settings));
       }
-
-      // Initialize existing bots
-      this.hostBotManager.initExistingBots();
+    } else if (!network) {
+      // Offline: nobody else runs the zone schedule
+      this.hostZoneManager = new HostZoneManager(null, this.state);
     }
 
     if (network) {
       // Listen for network events
-      network.on('loot_spawned', (msg) => this.handleLootSpawned(msg));
-      network.on('loot_picked_up', (msg) => this.handleLootPickedUp(msg));
-      network.on('loot_sync', (msg) => this.handleLootSync(msg));
-      network.on('player_death', (msg) => this.handlePlayerDeath(msg));
+      this.#listen('loot_spawned', (msg) => this.handleLootSpawned(msg));
+      this.#listen('loot_picked_up', (msg) => this.handleLootPickedUp(msg));
+      this.#listen('loot_sync', (msg) => this.handleLootSync(msg));
+      this.#listen('player_death', (msg) => this.handlePlayerDeath(msg));
+      this.#listen('zone_update', (msg) => this.handleZoneUpdate(msg));
+      this.#listen('player_state_update', (msg) => this.handleHostCorrection(msg));
+
+      // Anything the host decided while our channel was down may be lost for good; ask for the lot
+      this.#listen('reconnected', () => this.resyncMatchState());
     }
 
-    if (network && !network.isHost) {
-      // Periodically request loot sync until we receive it
-      // This handles cases where the initial request is lost or sent before the host is ready
-      const requestSync = () => {
-        if (!this.state.lootSynced) {
-          network.send('request_loot_sync', {});
-        } else {
-          clearInterval(syncInterval);
-        }
-      };
-      const syncInterval = setInterval(requestSync, 2000);
-      requestSync(); // Initial call
+    if (matchState) {
+      this.handleMatchState(matchState);
+    }
 
-      // Stop retrying after 30 seconds
-      setTimeout(() => clearInterval(syncInterval), 30000);
+    if (network && !network.isHost && !this.state.lootSynced) {
+      // The host's own loot_sync may have arrived before we were listening.
+      // Both messages are reliable (see ReliableChannel), so one request is enough.
+      network.send('request_loot_sync', {});
     }
 
     // Initialize Local Player Controller
@@ -105,7 +105,9 @@ export class Game {
       localPlayerData = snapshotPlayersMap.get(network.playerId);
     }
 
-    this.localPlayerController = new LocalPlayerController(network, localPlayerData);
+    this.localPlayerController = new LocalPlayerController(network, localPlayerData, {
+      getInterpolationDelay: () => this.#getAttackInterpolationDelay(),
+    });
 
     // If starting as a late joiner (dead), auto-select a spectator target
     if (this.localPlayerController.isDead()) {
@@ -122,6 +124,90 @@ export class Game {
     }
   }
 
+  /**
+   * Create the host-side managers and their request handlers.
+   * Used both when starting as host and when taking over after host migration.
+   */
+  #initHostManagers() {
+    const network = this.network;
+    this.hostCombatManager = new HostCombatManager(network, this.state);
+    this.hostLootManager = new HostLootManager(network, this.state);
+    this.hostBotManager = new HostBotManager(network, this.playersSnapshot, this);
+    this.hostZoneManager = new HostZoneManager(network, this.state);
+    this.hostConnectionManager = new HostConnectionManager(network, this.playersSnapshot, this.hostCombatManager);
+    this.hostMovementValidator = new HostMovementValidator(network, this.playersSnapshot);
+    if (this.playersSnapshot) {
+      this.playersSnapshot.setMovementValidator(this.hostMovementValidator);
+    }
+
+    this.#listen('attack_request', (msg) => {
+      if (!this.state.isRunning) return;
+      this.hostCombatManager.handleAttackRequest(msg, this.playersSnapshot);
+      // Also trigger animation for bots or self if needed (LocalPlayerController handles self)
+      this.handleAttackAnimation(msg);
+    });
+    this.#listen('pickup_request', (msg) => {
+      if (!this.state.isRunning) return;
+      this.hostLootManager.handlePickupRequest(msg, this.playersSnapshot);
+    });
+    this.#listen('request_loot_sync', (msg) => {
+      if (!this.state.isRunning) return;
+      this.hostLootManager.handleLootSyncRequest(msg);
+    });
+    this.#listen('request_match_state', (msg) => {
+      if (!this.state.isRunning) return;
+      this.handleMatchStateRequest(msg);
+    });
+
+    // Initialize existing bots
+    this.hostBotManager.initExistingBots();
+  }
+
+  /**
+   * Each remote player is drawn with their own adaptive delay (see
+   * SessionPlayersSnapshot.getInterpolationDelay); attacks report the one of the nearest
+   * opponent, the likeliest target
+   */
+  #getAttackInterpolationDelay() {
+    const localPlayer = this.getLocalPlayer();
+    if (!this.playersSnapshot || !localPlayer) return CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+
+    let nearestId = null;
+    let nearestDistance = Infinity;
+    for (const [playerId, player] of this.playersSnapshot.getPlayers()) {
+      if (playerId === localPlayer.id || player.health <= 0) continue;
+      const distance = Math.hypot(player.position_x - localPlayer.x, player.position_y - localPlayer.y);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestId = playerId;
+      }
+    }
+    return nearestId ? this.playersSnapshot.getInterpolationDelay(nearestId) : CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+  }
+
+  /**
+   * Register a network handler that destroy() removes again
+   */
+  #listen(type, handler) {
+    this.network.on(type, handler);
+    this.networkHandlers.push([type, handler]);
+  }
+
+  /**
+   * Take over host duties mid-match after the previous host left.
+   * Managers are rebuilt from the current snapshot and loot state; nothing is respawned.
+   */
+  promoteToHost() {
+    if (!this.network || this.hostCombatManager) return;
+
+    console.log('Promoted to host. Taking over host-authoritative simulation.');
+    this.state.lootSynced = true;
+    this.#initHostManagers();
+
+    // The departing host may have been the last opponent
+    this.hostCombatManager.checkForWinCondition(this.playersSnapshot);
+  }
+
   update(deltaTime) {
     if (!this.state.isRunning) return;
 
@@ -151,6 +237,11 @@ export class Game {
       this.hostCombatManager.update(deltaTime, this.playersSnapshot);
     }
 
+    // Detect players whose heartbeat went stale (Host only)
+    if (this.hostConnectionManager) {
+      this.hostConnectionManager.update();
+    }
+
     // Update Bots (Host only)
     if (this.hostBotManager) {
       this.hostBotManager.update(deltaTime);
@@ -158,13 +249,112 @@ export class Game {
   }
 
   updateConflictZone(deltaTime) {
-    // Start shrinking after initial delay
-    if (this.state.gameTime > CONFIG.GAME.INITIAL_ZONE_SHRINK_DELAY_SECONDS) {
-      const shrinkRate = CONFIG.ZONE.BASE_SHRINK_RATE * Math.pow(CONFIG.ZONE.SHRINK_RATE_MULTIPLIER, this.state.phase);
-      this.state.conflictZone.radius = Math.max(
-        CONFIG.ZONE.MIN_RADIUS,
-        this.state.conflictZone.radius - shrinkRate * deltaTime,
-      );
+    if (this.hostZoneManager) {
+      this.hostZoneManager.update(deltaTime);
+    } else {
+      // Client: keep animating the host's last zone_update until the next one arrives
+      advanceZone(this.state.conflictZone, deltaTime);
+    }
+  }
+
+  handleZoneUpdate(message) {
+    if (!this.state.isRunning) return;
+    // The host already owns this state (and hears its own broadcasts locally)
+    if (this.hostZoneManager) return;
+
+    this.#applyZoneState(message.data, message.timestamp);
+  }
+
+  #applyZoneState(data, timestamp) {
+    Object.assign(this.state.conflictZone, {
+      centerX: data.center_x,
+      centerY: data.center_y,
+      radius: data.radius,
+      targetCenterX: data.target_center_x,
+      targetCenterY: data.target_center_y,
+      targetRadius: data.target_radius,
+      stage: data.stage,
+      stageRemaining: data.stage_remaining,
+      damagePerSecond: data.damage_per_second,
+    });
+    this.state.phase = data.phase;
+
+    // Catch up on the time the message spent in flight
+    const latencySeconds = Math.max(0, this.network.hostNow() - timestamp) / 1000;
+    advanceZone(this.state.conflictZone, latencySeconds);
+  }
+
+  /**
+   * Client: ask the host for the whole match state, e.g. after our channel reconnected
+   */
+  async resyncMatchState() {
+    if (!this.state.isRunning || !this.network || this.network.isHost) return;
+
+    const message = await this.network.requestMatchState('reconnect');
+    if (message) {
+      this.handleMatchState(message);
+    }
+  }
+
+  /**
+   * Host: answer a request_match_state with everything a late joiner or reconnecting player
+   * cannot work out alone
+   */
+  handleMatchStateRequest(message) {
+    if (!this.network?.isHost || message.from === this.network.playerId) return;
+
+    const players = this.playersSnapshot ? Array.from(this.playersSnapshot.getPlayers().values()) : [];
+    this.network.send('match_state', {
+      target_player_id: message.from,
+      game_time: this.state.gameTime,
+      match_phase: this.hostCombatManager.isEnding ? 'ending' : this.hostZoneManager.getGamePhase(),
+      zone: this.hostZoneManager.getZoneState(),
+      loot: this.state.loot,
+      players: players.map(player => ({
+        player_id: player.player_id,
+        kills: player.kills || 0,
+        is_alive: player.is_alive !== false && (player.health ?? 100) > 0,
+      })),
+      alive_count: this.playersSnapshot ? this.hostCombatManager.getActivePlayers(this.playersSnapshot).length : 0,
+    });
+  }
+
+  /**
+   * Client: replace our copy of host-owned state with the host's match_state
+   */
+  handleMatchState(message) {
+    if (!this.state.isRunning || !this.network || this.network.isHost) return;
+    const data = message.data;
+    if (data.target_player_id !== this.network.playerId) return;
+
+    // Time the message spent in flight (or waiting for Game.init)
+    const latencySeconds = Math.max(0, this.network.hostNow() - message.timestamp) / 1000;
+
+    // Replace rather than merge: pickups we missed must disappear too
+    this.state.loot = data.loot;
+    this.state.lootSynced = true;
+    this.state.gameTime = data.game_time + latencySeconds;
+    this.state.matchPhase = data.match_phase;
+    this.state.aliveCount = data.alive_count;
+    this.#applyZoneState(data.zone, message.timestamp);
+
+    const players = this.playersSnapshot?.getPlayers();
+    data.players.forEach(({ player_id, kills, is_alive }) => {
+      const player = players?.get(player_id);
+      if (player) Object.assign(player, { kills, is_alive });
+    });
+  }
+
+  /**
+   * Apply the host's correction when it rejected one of our moves
+   */
+  handleHostCorrection(message) {
+    if (!this.state.isRunning || !this.network || this.network.isHost) return;
+    if (message.from !== this.network.hostId || !Array.isArray(message.data)) return;
+
+    const correction = message.data.find(update => update.player_id === this.network.playerId);
+    if (correction && correction.position_x !== undefined && correction.position_y !== undefined) {
+      this.localPlayerController?.applyPositionCorrection(correction.position_x, correction.position_y);
     }
   }
 
@@ -334,5 +524,19 @@ export class Game {
     if (this.debugUI) {
       this.debugUI.destroy();
     }
+    this.state.isRunning = false;
+
+    // The network outlives us: a rematch creates a new Game (and new host managers)
+    for (const [type, handler] of this.networkHandlers) {
+      this.network.off(type, handler);
+    }
+    this.networkHandlers = [];
+    this.hostLootManager?.destroy();
+    this.hostBotManager?.destroy();
+    this.hostConnectionManager?.destroy();
+    if (this.hostMovementValidator) {
+      this.hostMovementValidator.destroy();
+      this.playersSnapshot?.setMovementValidator(null);
+    }
   }
 }
\ No newline at end of file
@@ -77,7 +77,7 @@ describe('Game', () => {
           }],
         ])),
       };
-      const mockNetwork = { playerId: 'player-1', on: jest.fn(), send: jest.fn() };
+      const mockNetwork = { playerId: 'player-1', on: jest.fn(), off: jest.fn(), send: jest.fn() };
 
       game.init(mockSnapshot, mockNetwork);
 
@@ -132,20 +132,285 @@ describe('Game', () => {
       expect(game.state.conflictZone.radius).toBe(initialRadius);
     });
 
-    test('WhenAfterInitialDelay_ShouldShrinkZone', () => {
-      game.state.isRunning = true;
-      game.state.gameTime = CONFIG.GAME.INITIAL_ZONE_SHRINK_DELAY_SECONDS + 1;
+    test('WhenOfflineAndFirstHoldElapses_ShouldShrinkZone', () => {
+      game.init();
       const initialRadius = game.state.conflictZone.radius;
+      game.updateConflictZone(CONFIG.ZONE.PHASES[0].holdSeconds);
       game.updateConflictZone(1);
       expect(game.state.conflictZone.radius).toBeLessThan(initialRadius);
     });
 
-    test('WhenShrinking_ShouldNotGoBelowMinimum', () => {
-      game.state.isRunning = true;
-      game.state.gameTime = CONFIG.GAME.INITIAL_ZONE_SHRINK_DELAY_SECONDS + 1;
-      game.state.conflictZone.radius = CONFIG.ZONE.MIN_RADIUS;
+    test('WhenClientShrinking_ShouldNotGoBelowHostTarget', () => {
+      Object.assign(game.state.conflictZone, { stage: 'shrink', stageRemaining: 5, targetRadius: 450 });
       game.updateConflictZone(1000); // Large delta time
-      expect(game.state.conflictZone.radius).toBe(CONFIG.ZONE.MIN_RADIUS);
+      expect(game.state.conflictZone.radius).toBe(450);
+    });
+
+    test('WhenClient_ShouldNotAdvanceToNextStageOnItsOwn', () => {
+      game.updateConflictZone(CONFIG.ZONE.PHASES[0].holdSeconds + 10);
+      expect(game.state.conflictZone.stage).toBe('hold');
+      expect(game.state.conflictZone.radius).toBe(CONFIG.ZONE.INITIAL_RADIUS);
+    });
+  });
+
+  describe('zone_update', () => {
+    const zoneUpdate = {
+      timestamp: 1000,
+      data: {
+        phase: 2,
+        stage: 'shrink',
+        center_x: 1000,
+        center_y: 700,
+        radius: 280,
+        target_center_x: 1010,
+        target_center_y: 690,
+        target_radius: 175,
+        stage_remaining: 12,
+        damage_per_second: 13,
+      },
+    };
+
+    const createNetwork = (isHost) => ({
+      playerId: 'player-1',
+      hostNow: () => 1000,
+      on: jest.fn(),
+      off: jest.fn(),
+      send: jest.fn(),
+      writeSessionStateToDB: jest.fn().mockResolvedValue(),
+      isHost,
+    });
+
+    const getHandler = (network) => network.on.mock.calls.find(call => call[0] === 'zone_update')[1];
+
+    test('WhenClientReceivesZoneUpdate_ShouldAdoptHostCircle', () => {
+      const network = createNetwork(false);
+      game.init(null, network);
+
+      getHandler(network)(zoneUpdate);
+
+      expect(game.state.phase).toBe(2);
+      expect(game.state.conflictZone).toEqual({
+        centerX: 1000,
+        centerY: 700,
+        radius: 280,
+        targetCenterX: 1010,
+        targetCenterY: 690,
+        targetRadius: 175,
+        stage: 'shrink',
+        stageRemaining: 12,
+        damagePerSecond: 13,
+      });
+      game.destroy();
+    });
+
+    test('WhenZoneUpdateWasInFlight_ShouldCatchUpOnHostClock', () => {
+      const network = createNetwork(false);
+      network.hostNow = () => 1500; // Message is 500ms old
+      game.init(null, network);
+
+      getHandler(network)(zoneUpdate);
+
+      expect(game.state.conflictZone.stageRemaining).toBeCloseTo(11.5);
+      expect(game.state.conflictZone.radius).toBeLessThan(280);
+      game.destroy();
+    });
+
+    test('WhenHostReceivesOwnZoneUpdate_ShouldIgnoreIt', () => {
+      const network = createNetwork(true);
+      game.init(null, network);
+
+      getHandler(network)(zoneUpdate);
+
+      expect(game.state.phase).toBe(0);
+      expect(game.state.conflictZone.radius).toBe(CONFIG.ZONE.INITIAL_RADIUS);
+    });
+  });
+
+  describe('Match State', () => {
+    const createNetwork = (isHost) => ({
+      playerId: isHost ? 'host-1' : 'player-1',
+      hostNow: () => 1000,
+      on: jest.fn(),
+      off: jest.fn(),
+      send: jest.fn(),
+      requestMatchState: jest.fn().mockResolvedValue(null),
+      writeSessionStateToDB: jest.fn().mockResolvedValue(),
+      isHost,
+    });
+
+    const createSnapshot = () => {
+      const players = new Map([
+        ['host-1', { player_id: 'host-1', health: 100, kills: 2 }],
+        ['player-1', { player_id: 'player-1', health: 0, is_alive: false }],
+        ['player-2', { player_id: 'player-2', health: 0, is_alive: false, kills: 0 }],
+      ]);
+      return { getPlayers: () => players, setMovementValidator: jest.fn(), getInterpolatedPlayerState: jest.fn() };
+    };
+
+    const getHandler = (network, event) => network.on.mock.calls.find(call => call[0] === event)[1];
+
+    const matchState = {
+      from: 'host-1',
+      timestamp: 1000,
+      data: {
+        target_player_id: 'player-1',
+        game_time: 95,
+        match_phase: 'combat',
+        zone: {
+          phase: 1,
+          stage: 'hold',
+          center_x: 900,
+          center_y: 800,
+          radius: 400,
+          target_center_x: 900,
+          target_center_y: 800,
+          target_radius: 400,
+          stage_remaining: 20,
+          damage_per_second: 5,
+        },
+        loot: [{ id: 'loot-9', type: 'weapon', item_id: 'spear', x: 10, y: 20 }],
+        players: [
+          { player_id: 'host-1', kills: 3, is_alive: true },
+          { player_id: 'player-2', kills: 1, is_alive: false },
+        ],
+        alive_count: 1,
+      },
+    };
+
+    afterEach(() => {
+      game.destroy();
+    });
+
+    test('WhenInitializedWithMatchState_ShouldStartFromHostMatchInsteadOfZero', () => {
+      const network = createNetwork(false);
+      const snapshot = createSnapshot();
+
+      game.init(snapshot, network, null, matchState);
+
+      expect(game.state.gameTime).toBe(95);
+      expect(game.state.phase).toBe(1);
+      expect(game.state.matchPhase).toBe('combat');
+      expect(game.state.aliveCount).toBe(1);
+      expect(game.state.conflictZone.radius).toBe(400);
+      expect(game.state.loot).toEqual(matchState.data.loot);
+      expect(snapshot.getPlayers().get('host-1').kills).toBe(3);
+      expect(snapshot.getPlayers().get('player-2').kills).toBe(1);
+    });
+
+    test('WhenInitializedWithMatchState_ShouldNotRequestLootSync', () => {
+      const network = createNetwork(false);
+
+      game.init(createSnapshot(), network, null, matchState);
+
+      expect(network.send).not.toHaveBeenCalledWith('request_loot_sync', expect.anything());
+    });
+
+    test('WhenMatchStateWaitedBeforeInit_ShouldCatchUpGameClock', () => {
+      const network = createNetwork(false);
+      network.hostNow = () => 3000; // Message is 2s old
+
+      game.init(createSnapshot(), network, null, matchState);
+
+      expect(game.state.gameTime).toBeCloseTo(97);
+      expect(game.state.conflictZone.stageRemaining).toBeCloseTo(18);
+    });
+
+    test('WhenClientReconnects_ShouldRequestAndApplyMatchState', async () => {
+      const network = createNetwork(false);
+      network.requestMatchState.mockResolvedValue(matchState);
+      game.init(createSnapshot(), network);
+      game.state.loot = [{ id: 'loot-1', type: 'weapon', item_id: 'bo', x: 0, y: 0 }]; // Picked up while we were away
+
+      await getHandler(network, 'reconnected')({ attempts: 2 });
+
+      expect(network.requestMatchState).toHaveBeenCalledWith('reconnect');
+      expect(game.state.loot).toEqual(matchState.data.loot);
+      expect(game.state.gameTime).toBe(95);
+    });
+
+    test('WhenGameWasDestroyed_ShouldNotRequestMatchStateOnReconnect', async () => {
+      const network = createNetwork(false);
+      game.init(null, network);
+      game.destroy();
+
+      await getHandler(network, 'reconnected')({ attempts: 1 });
+
+      expect(network.requestMatchState).not.toHaveBeenCalled();
+    });
+
+    test('WhenHostReceivesMatchStateRequest_ShouldSendClockZoneLootAndKills', () => {
+      const network = createNetwork(true);
+      game.init(createSnapshot(), network);
+      game.state.gameTime = 42;
+
+      getHandler(network, 'request_match_state')({ from: 'player-1', data: { reason: 'join' } });
+
+      expect(network.send).toHaveBeenCalledWith('match_state', {
+        target_player_id: 'player-1',
+        game_time: 42,
+        match_phase: 'deployment',
+        zone: game.hostZoneManager.getZoneState(),
+        loot: game.state.loot,
+        players: [
+          { player_id: 'host-1', kills: 2, is_alive: true },
+          { player_id: 'player-1', kills: 0, is_alive: false },
+          { player_id: 'player-2', kills: 0, is_alive: false },
+        ],
+        alive_count: 1,
+      });
+    });
+
+    test('WhenMatchStateIsForAnotherPlayer_ShouldIgnoreIt', () => {
+      const network = createNetwork(false);
+
+      game.init(null, network, null, {
+        ...matchState,
+        data: { ...matchState.data, target_player_id: 'player-2' },
+      });
+
+      expect(game.state.gameTime).toBe(0);
+      expect(game.state.loot).toEqual([]);
+    });
+  });
+
+  describe('Host Position Correction', () => {
+    const createNetwork = () => ({
+      playerId: 'player-1',
+      hostId: 'host-1',
+      hostNow: () => Date.now(),
+      on: jest.fn(),
+      off: jest.fn(),
+      send: jest.fn(),
+      isHost: false,
+    });
+
+    const getHandler = (network) => network.on.mock.calls.find(call => call[0] === 'player_state_update')[1];
+
+    test('WhenHostCorrectsLocalPlayer_ShouldSnapBack', () => {
+      const network = createNetwork();
+      game.init(null, network);
+      const applySpy = jest.spyOn(game.localPlayerController, 'applyPositionCorrection');
+
+      getHandler(network)({
+        from: 'host-1',
+        data: [{ player_id: 'player-1', position_x: 300, position_y: 400, velocity_x: 0, velocity_y: 0 }],
+      });
+
+      expect(applySpy).toHaveBeenCalledWith(300, 400);
+      expect(game.getLocalPlayer().x).toBe(300);
+      game.destroy();
+    });
+
+    test('WhenBatchIsForOtherPlayersOrNotFromHost_ShouldIgnore', () => {
+      const network = createNetwork();
+      game.init(null, network);
+      const applySpy = jest.spyOn(game.localPlayerController, 'applyPositionCorrection');
+
+      getHandler(network)({ from: 'host-1', data: [{ player_id: 'bot-1', position_x: 300, position_y: 400 }] });
+      getHandler(network)({ from: 'player-2', data: [{ player_id: 'player-1', position_x: 300, position_y: 400 }] });
+
+      expect(applySpy).not.toHaveBeenCalled();
+      game.destroy();
     });
   });
 
@@ -228,7 +493,8 @@ describe('Game', () => {
     beforeEach(() => {
       mockNetwork = { 
         playerId: 'player-1', 
-        on: jest.fn(), 
+        on: jest.fn(),
+        off: jest.fn(),
         send: jest.fn(),
         isHost: false, 
       };
@@ -260,6 +526,86 @@ describe('Game', () => {
     });
   });
 
+  describe('Host Migration', () => {
+    let mockNetwork;
+    let mockSnapshot;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockNetwork = {
+        playerId: 'player-1',
+        on: jest.fn(),
+        off: jest.fn(),
+        send: jest.fn(),
+        broadcastPlayerStateUpdate: jest.fn(),
+        writeSessionStateToDB: jest.fn().mockResolvedValue(),
+        isHost: false,
+      };
+      mockSnapshot = {
+        setMovementValidator: jest.fn(),
+        getPlayers: jest.fn().mockReturnValue(new Map([
+          ['player-1', { player_id: 'player-1', health: 100 }],
+          ['player-2', { player_id: 'player-2', health: 100 }],
+        ])),
+      };
+      game.init(mockSnapshot, mockNetwork);
+      game.state.loot = [{ id: 'loot-4', type: 'weapon', item_id: 'spear', x: 100, y: 100 }];
+    });
+
+    afterEach(() => {
+      game.destroy();
+      jest.useRealTimers();
+    });
+
+    test('WhenDestroyedAfterHosting_ShouldRemoveEveryNetworkHandler', () => {
+      mockNetwork.isHost = true;
+      game.promoteToHost();
+
+      game.destroy();
+
+      // Each handler Game or its host managers registered is removed again (no stale loot_sync on a rematch)
+      const registered = mockNetwork.on.mock.calls.map(([type, handler]) => [type, handler]);
+      expect(registered.length).toBeGreaterThan(0);
+      expect(mockNetwork.off.mock.calls).toEqual(expect.arrayContaining(registered));
+      expect(mockNetwork.off).toHaveBeenCalledTimes(registered.length);
+      expect(mockSnapshot.setMovementValidator).toHaveBeenLastCalledWith(null);
+    });
+
+    test('WhenPromotedToHost_ShouldCreateHostManagersWithoutRespawningLoot', () => {
+      mockNetwork.isHost = true;
+
+      game.promoteToHost();
+
+      expect(game.hostCombatManager).not.toBeNull();
+      expect(game.hostLootManager).not.toBeNull();
+      expect(game.hostBotManager).not.toBeNull();
+      expect(game.state.loot).toHaveLength(1);
+      expect(mockNetwork.send).not.toHaveBeenCalledWith('loot_sync', expect.anything());
+      expect(mockNetwork.on).toHaveBeenCalledWith('attack_request', expect.any(Function));
+      expect(mockNetwork.on).toHaveBeenCalledWith('pickup_request', expect.any(Function));
+    });
+
+    test('WhenPromotedToHost_ShouldStopRequestingLootSync', () => {
+      mockNetwork.isHost = true;
+      game.promoteToHost();
+      mockNetwork.send.mockClear();
+
+      jest.advanceTimersByTime(5000);
+
+      expect(mockNetwork.send).not.toHaveBeenCalledWith('request_loot_sync', expect.anything());
+    });
+
+    test('WhenPromotedTwice_ShouldNotRecreateManagers', () => {
+      mockNetwork.isHost = true;
+      game.promoteToHost();
+      const combatManager = game.hostCombatManager;
+
+      game.promoteToHost();
+
+      expect(game.hostCombatManager).toBe(combatManager);
+    });
+  });
+
   describe('Spectator Mode', () => {
     let mockNetwork;
     let mockSnapshot;
@@ -267,7 +613,8 @@ describe('Game', () => {
     beforeEach(() => {
       mockNetwork = { 
         playerId: 'player-1', 
-        on: jest.fn(), 
+        on: jest.fn(),
+        off: jest.fn(),
         send: jest.fn(),
         isHost: false, 
       };
@@ -379,12 +726,15 @@ describe('Game', () => {
       beforeEach(() => {
         mockNetwork = { 
           playerId: 'player-1', 
-          on: jest.fn(), 
+          on: jest.fn(),
+          off: jest.fn(),
           send: jest.fn(),
+          writeSessionStateToDB: jest.fn().mockResolvedValue(),
           isHost: true, 
         };
       
         mockSnapshot = { 
+          setMovementValidator: jest.fn(),
           getPlayers: jest.fn().mockReturnValue(new Map([
             ['player-1', { player_id: 'player-1', health: 100 }],
           ])),
@@ -12,6 +12,7 @@ describe('Game Throttling', () => {
     game = new Game();
 
     mockPlayersSnapshot = {
+      setMovementValidator: jest.fn(),
       getPlayers: jest.fn().mockReturnValue(new Map([
         ['player-1', { player_id: 'player-1', player_name: 'Alice', position_x: 0, position_y: 0, health: 100 }],
         ['player-2', { player_id: 'player-2', player_name: 'Bob', position_x: 0, position_y: 0, health: 100 }],
@@ -20,10 +21,12 @@ describe('Game Throttling', () => {
 
     mockNetwork = {
       playerId: 'player-1',
+      hostNow: () => Date.now(),
       isHost: true,
       on: jest.fn(),
       broadcastPlayerStateUpdate: jest.fn(),
       send: jest.fn(),
+      writeSessionStateToDB: jest.fn().mockResolvedValue(),
     };
 
     game.init(mockPlayersSnapshot, mockNetwork);
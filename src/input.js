@@ -5,6 +5,10 @@
 
 import { CONFIG } from './config.js';
 
+function isTextField(target) {
+  return target?.tagName === 'INPUT' || target?.tagName === 'TEXTAREA';
+}
+
 export class Input {
   constructor() {
     this.events = {};
@@ -67,6 +71,8 @@ export class Input {
   }
 
   handleKeyDown(event) {
+    if (isTextField(event.target)) return; // Typing in chat must not move the player
+
     const key = event.code;
     this.keysPressed.add(key);
     this.updateMovement();
@@ -167,6 +173,8 @@ export class Input {
   }
 
   handleMouseDown(event) {
+    if (isTextField(event.target)) return;
+
     // Only ignore if it's a ghost click on the canvas (where touch logic handles attack)
     const isCanvas = event.target && event.target.tagName.toLowerCase() === 'canvas';
     if (isCanvas && (this.touchState.active || (Date.now() - this.lastTouchTime < 500))) return;
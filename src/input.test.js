@@ -128,6 +128,18 @@ describe('Input', () => {
       expect(input.keysPressed.has('KeyW')).toBe(true);
     });
 
+    test('WhenTypingInTextField_ShouldIgnoreKey', () => {
+      const chatInput = document.createElement('input');
+      document.body.appendChild(chatInput);
+      chatInput.addEventListener('keydown', (event) => input.handleKeyDown(event));
+
+      chatInput.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyW' }));
+
+      expect(input.inputState.moveY).toBe(0);
+      expect(input.keysPressed.has('KeyW')).toBe(false);
+      chatInput.remove();
+    });
+
     test('WhenKeyPressed_ShouldCallCallback', () => {
       const event = new KeyboardEvent('keydown', { code: 'KeyW' });
       input.handleKeyDown(event);
@@ -7,12 +7,16 @@ import { CONFIG } from './config.js';
 import { Game } from './game.js';
 import { Renderer } from './renderer.js';
 import { Input } from './input.js';
-import { UI } from './ui.js';
+import { UI, getLobbyReadiness } from './ui.js';
 import { Network } from './network.js';
 import { SessionPlayersSnapshot } from './SessionPlayersSnapshot.js';
+import { ChatManager } from './ChatManager.js';
+import { HostWatchdog } from './HostWatchdog.js';
+import { MatchSettings } from './MatchSettings.js';
 import { Camera } from './camera.js';
 import { createClient } from '@supabase/supabase-js';
 import { AssetManager } from './AssetManager.js';
+import { parseNetworkConditions } from './NetworkConditionSimulator.js';
 
 // Initialize Eruda for mobile debugging (console, network, elements inspector)
 // Only load in development/preview builds, or when ?debug=true query parameter is present
@@ -46,6 +50,10 @@ class App {
     this.network = null;
     this.supabase = null;
     this.playersSnapshot = null;
+    this.chatManager = null;
+    this.hostWatchdog = null;
+    this.matchSettings = null;
+    this.sessionNeedsLobbyReset = false; // end_game failed after the last match
     this.camera = null;
     this.lobbyUpdateInterval = null;
     this.running = false;
@@ -181,7 +189,9 @@ class App {
       this.network = new Network();
       // Use the authenticated user's ID as the player ID
       this.network.initialize(this.supabase, userId);
+      this.applyNetworkConditionsFromUrl();
       this.setupNetworkHandlers();
+      this.refreshSessionList();
 
       console.log('App initialization complete');
       document.body.classList.add('loaded');
@@ -191,6 +201,22 @@ class App {
     }
   }
 
+  /**
+   * Simulate a bad connection when ?netsim= is set (see NetworkConditionSimulator.js)
+   */
+  applyNetworkConditionsFromUrl(location = window.location) {
+    const urlParams = new URLSearchParams(location.search);
+    const conditions = parseNetworkConditions(urlParams.get(CONFIG.NETWORK.CONDITION_SIMULATOR.QUERY_PARAM));
+    if (!conditions) return;
+
+    try {
+      this.network.conditionSimulator.configure(conditions);
+      console.log('Simulating network conditions:', this.network.conditionSimulator.getConditions());
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+
   async loadAssets() {
     console.log('Starting asset loading...');
     const manifest = [];
@@ -266,7 +292,11 @@ class App {
   setupHandlers() {
     const hostBtn = document.getElementById('host-game-btn');
     const joinBtn = document.getElementById('join-game-btn');
+    const quickMatchBtn = document.getElementById('quick-match-btn');
+    const refreshSessionsBtn = document.getElementById('refresh-sessions-btn');
     const startBtn = document.getElementById('start-game-btn');
+    const forceStartBtn = document.getElementById('force-start-btn');
+    const readyBtn = document.getElementById('ready-btn');
     const leaveBtn = document.getElementById('leave-lobby-btn');
     const leaveSpectateBtn = document.getElementById('leave-spectate-btn');
     const nextSpectateBtn = document.getElementById('next-spectate-btn');
@@ -279,10 +309,26 @@ class App {
       joinBtn.addEventListener('click', () => this.joinGame());
     }
 
+    if (quickMatchBtn) {
+      quickMatchBtn.addEventListener('click', () => this.quickMatch());
+    }
+
+    if (refreshSessionsBtn) {
+      refreshSessionsBtn.addEventListener('click', () => this.refreshSessionList());
+    }
+
     if (startBtn) {
       startBtn.addEventListener('click', () => this.handleStartGame());
     }
 
+    if (forceStartBtn) {
+      forceStartBtn.addEventListener('click', () => this.handleStartGame({ force: true }));
+    }
+
+    if (readyBtn) {
+      readyBtn.addEventListener('click', () => this.toggleReady());
+    }
+
     if (leaveBtn) {
       leaveBtn.addEventListener('click', () => this.leaveGame());
     }
@@ -298,6 +344,107 @@ class App {
         }
       });
     }
+
+    const settingsForm = document.getElementById('match-settings-form');
+    if (settingsForm) {
+      settingsForm.addEventListener('submit', (event) => event.preventDefault());
+      settingsForm.addEventListener('change', () => this.updateMatchSettings());
+    }
+
+    this.setupChatForm('lobby-chat-form', 'lobby-chat-input');
+    this.setupChatForm('game-chat-form', 'game-chat-input', { blurAfterSend: true });
+
+    // Enter opens the in-game chat; sending (or Escape) hands the keyboard back to the game
+    window.addEventListener('keydown', (event) => {
+      const gameChatInput = document.getElementById('game-chat-input');
+      if (!gameChatInput || !this.game) return;
+      if (event.key === 'Enter' && document.activeElement !== gameChatInput) {
+        event.preventDefault();
+        gameChatInput.focus();
+      } else if (event.key === 'Escape' && document.activeElement === gameChatInput) {
+        gameChatInput.blur();
+      }
+    });
+  }
+
+  setupChatForm(formId, inputId, { blurAfterSend = false } = {}) {
+    const form = document.getElementById(formId);
+    const input = document.getElementById(inputId);
+    if (!form || !input) return;
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (this.chatManager && input.value.trim()) {
+        this.chatManager.send(input.value);
+      }
+      input.value = '';
+      if (blurAfterSend) input.blur();
+    });
+  }
+
+  startChat() {
+    this.chatManager = new ChatManager(this.network, this.playersSnapshot, {
+      onChange: (chat) => {
+        this.ui.renderChat(chat.getMessages());
+        this.updateLobbyUI(); // Mute buttons
+      },
+    });
+    this.ui.clearChat();
+  }
+
+  stopChat() {
+    if (this.chatManager) {
+      this.chatManager.destroy();
+      this.chatManager = null;
+    }
+    this.ui.clearChat();
+  }
+
+  /**
+   * Start a host migration when the host stops sending heartbeats without a host_left
+   * (crash, lost network, closed tab)
+   */
+  startHostWatchdog() {
+    this.hostWatchdog = new HostWatchdog(this.network, {
+      onHostLost: (hostId) => {
+        console.warn(`Host ${hostId} stopped sending heartbeats`);
+        this.handleHostMigration(hostId);
+      },
+    });
+  }
+
+  stopHostWatchdog() {
+    if (this.hostWatchdog) {
+      this.hostWatchdog.destroy();
+      this.hostWatchdog = null;
+    }
+  }
+
+  /**
+   * @param {Object} [settings] - game_sessions.settings of the session we hosted or joined
+   */
+  startMatchSettings(settings) {
+    this.matchSettings = new MatchSettings(this.network, settings, {
+      onChange: () => this.updateLobbyUI(),
+    });
+  }
+
+  stopMatchSettings() {
+    if (this.matchSettings) {
+      this.matchSettings.destroy();
+      this.matchSettings = null;
+    }
+  }
+
+  async updateMatchSettings() {
+    if (!this.matchSettings || !this.network.isHost) return;
+
+    try {
+      await this.matchSettings.update(this.ui.readMatchSettings());
+    } catch (error) {
+      console.error('Failed to save match settings:', error);
+      this.showError(`Could not save match settings: ${error.message}`);
+    }
   }
 
   setupNetworkHandlers() {
@@ -343,6 +490,10 @@ class App {
       summaryHtml += '</ul>';
 
       this.ui.showLobby('Match Ended', summaryHtml);
+
+      if (this.network.isHost) {
+        this.returnSessionToLobby();
+      }
       
       // Resume lobby polling
       this.stopLobbyPolling();
@@ -361,6 +512,91 @@ class App {
       // Clean up and return to intro
       this.handleHostLeft();
     });
+
+    // The host removed us (session full, incompatible build)
+    this.network.on('player_evicted', (payload) => {
+      if (payload.data.player_id !== this.network.playerId) return;
+      console.log('Evicted from session:', payload.data.reason);
+      this.handleHostLeft();
+      this.showError(payload.data.message || 'You were removed from the session.');
+    });
+
+    // The host kicked (or banned) us from the lobby
+    this.network.on('kicked', (payload) => {
+      if (payload.data.target_player_id !== this.network.playerId || payload.from !== this.network.hostId) return;
+      console.log('Kicked from session', payload.data.banned ? '(banned)' : '');
+      this.handleHostLeft();
+      this.showError(payload.data.message || 'You were removed from the session.');
+    });
+
+    // Realtime channel dropped: Network retries with backoff while the overlay is up
+    this.network.on('connection_lost', () => {
+      this.ui.showReconnecting(true);
+    });
+
+    this.network.on('reconnected', () => {
+      this.ui.showReconnecting(false);
+    });
+
+    this.network.on('reconnect_failed', () => {
+      this.ui.showReconnecting(false);
+      this.handleHostLeft();
+      this.showError('Lost connection to the game. Please check your network and join again.');
+    });
+
+    // Host migration: the host left but other humans remain
+    this.network.on('host_left', (payload) => {
+      if (payload.from === this.network.playerId) return;
+      this.handleHostMigration(payload.data.previous_host_id);
+    });
+
+    this.network.on('host_migrated', (payload) => {
+      console.log(`Host migrated to ${payload.data.new_host_id}`);
+      // Network has already updated isHost/hostId; take over the simulation if it is us
+      if (this.network.isHost && this.game) {
+        this.game.promoteToHost();
+      } else if (this.network.isHost) {
+        // The old host may have left before ending the last match
+        this.returnSessionToLobby();
+      }
+      this.updateLobbyUI();
+    });
+  }
+
+  /**
+   * Host only: reset the session after a match (end_game RPC) so new players join the lobby and
+   * start_game accepts a rematch. On failure Start Game retries it first.
+   */
+  async returnSessionToLobby() {
+    try {
+      await this.network.endGame();
+      this.sessionNeedsLobbyReset = false;
+    } catch (error) {
+      this.sessionNeedsLobbyReset = true;
+      console.error('Failed to return the session to the lobby:', error);
+      this.showError(`Could not reset the session for a rematch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run the host election after the host left or went silent; the elected client claims the session.
+   * @param {string} previousHostId - The host that left
+   */
+  async handleHostMigration(previousHostId) {
+    if (!this.playersSnapshot) return;
+
+    const players = Array.from(this.playersSnapshot.getPlayers().values());
+    try {
+      const newHostId = await this.network.migrateHost(previousHostId, players);
+      if (!newHostId) {
+        // Nobody can take over; treat like a terminated session
+        this.showError('The host has left the game. The session has ended.');
+        this.handleHostLeft();
+      }
+    } catch (error) {
+      console.error('Failed to migrate host:', error);
+      this.showError(`Error taking over as host: ${error.message}`);
+    }
   }
 
   showError(message) {
@@ -382,7 +618,11 @@ class App {
     }
   }
 
-  async hostGame() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.isPublic=false] - List the lobby in the public session browser
+   */
+  async hostGame({ isPublic = false } = {}) {
     console.log('Hosting game...');
     this.hideError();
 
@@ -399,6 +639,12 @@ class App {
       this.playersSnapshot = new SessionPlayersSnapshot(this.network, session.id);
       await this.playersSnapshot.ready();
       console.log('SessionPlayersSnapshot ready');
+      this.startChat();
+      this.startMatchSettings(session.settings);
+      // Heartbeats run in the lobby too, so peers notice a host that vanishes before the match
+      this.network.startHeartbeat();
+      this.startHostWatchdog();
+      if (isPublic) await this.matchSettings.update({ is_public: true });
 
       // Start polling for lobby updates
       this.startLobbyPolling();
@@ -414,26 +660,27 @@ class App {
     }
   }
 
-  async joinGame() {
-    const joinCodeInput = document.getElementById('join-code-input');
-    const joinCode = joinCodeInput?.value.trim().toUpperCase();
-
+  /**
+   * @param {string} [joinCode] - Defaults to the code typed into #join-code-input
+   * @returns {Promise<boolean>} Whether we joined
+   */
+  async joinGame(joinCode = document.getElementById('join-code-input')?.value.trim().toUpperCase()) {
     this.hideError();
 
     if (!joinCode) {
       this.showError('Please enter a join code');
-      return;
+      return false;
     }
 
     if (!this.network) {
       this.showError('Network not initialized. Please wait or refresh.');
-      return;
+      return false;
     }
 
     // Validate join code format (6 alphanumeric characters)
     if (!/^[A-Z0-9]{6}$/.test(joinCode)) {
       this.showError('Please enter a valid 6-character join code');
-      return;
+      return false;
     }
 
     console.log('Joining game with code:', joinCode);
@@ -445,13 +692,24 @@ class App {
       this.playersSnapshot = new SessionPlayersSnapshot(this.network, session.id);
       await this.playersSnapshot.ready();
       console.log('SessionPlayersSnapshot ready');
+      this.startChat();
+      this.startMatchSettings(session.settings);
+      // Heartbeats run in the lobby too, so peers notice a host that vanishes before the match
+      this.network.startHeartbeat();
+      this.startHostWatchdog();
 
       // Start polling for lobby updates
       this.startLobbyPolling();
 
       if (session.status === 'active') {
         console.log('Joining active session, starting game immediately...');
-        this.startGame();
+        // The match state is in host time: sync our clock before asking for it
+        const clockSynced = await this.network.syncClock();
+        if (!clockSynced) console.warn('No clock sync sample from host, using the local clock');
+        // Clock, zone, loot and kills so far; without it we would start from a fresh match
+        const matchState = await this.network.requestMatchState('join');
+        if (!matchState) console.warn('No match state from host, starting from defaults');
+        this.startGame(matchState);
       } else {
         this.ui.showJoinCode(joinCode);
         this.ui.showLobby('Game Lobby');
@@ -459,82 +717,86 @@ class App {
 
       // Initial UI update
       this.updateLobbyUI();
+      return true;
     } catch (error) {
       console.error('Failed to join game:', error);
       this.showError(`Error joining game: ${error.message}`);
+      return false;
     }
   }
 
-  async handleStartGame() {
-    if (!this.network.isHost) return;
+  /**
+   * Join the fullest public lobby, or host a new public one if none will have us
+   */
+  async quickMatch() {
+    this.hideError();
 
-    console.log('Host starting game...');
-    
+    if (!this.network) {
+      this.showError('Network not initialized. Please wait or refresh.');
+      return;
+    }
+
+    let sessions = [];
     try {
-      // Spawn bots and update session status in DB
-      await this.network.startGame();
+      sessions = await this.network.listPublicSessions();
+    } catch (error) {
+      console.error('Failed to list public sessions:', error);
+    }
 
-      // Reset player states in DB (now including bots)
-      await this.resetPlayerStates();
+    // list_public_sessions puts the fullest first; matches in progress are only joined from the list
+    for (const session of sessions.filter(s => s.status === 'lobby')) {
+      if (await this.joinGame(session.join_code)) return;
+    }
 
-      // Note: network.startGame() already broadcasts 'game_start' which triggers this.startGame()
-      // for all clients via the network listener in setupNetworkHandlers().
+    // hostGame clears any error left by a lobby that refused us
+    await this.hostGame({ isPublic: true });
+  }
+
+  /**
+   * Fill the intro screen's public session list
+   */
+  async refreshSessionList() {
+    if (!this.network) return;
+
+    try {
+      const sessions = await this.network.listPublicSessions();
+      this.ui.renderSessionList(sessions, (joinCode) => this.joinGame(joinCode));
     } catch (error) {
-      console.error('Failed to start game:', error);
-      this.showError(`Error starting game: ${error.message}`);
+      console.error('Failed to list public sessions:', error);
     }
   }
 
-  async resetPlayerStates() {
-    if (!this.playersSnapshot) return;
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Start even if some guests are not ready
+   */
+  async handleStartGame({ force = false } = {}) {
+    if (!this.network.isHost) return;
 
-    console.log('Resetting player states...');
-    const updates = [];
-    const players = this.playersSnapshot.getPlayers();
-    
-    const centerX = CONFIG.WORLD.WIDTH / 2;
-    const centerY = CONFIG.WORLD.HEIGHT / 2;
-    const spawnRadius = 200;
-
-    let i = 0;
-    const totalPlayers = players.size;
-    const angleStep = (Math.PI * 2) / (totalPlayers || 1);
-
-    for (const [playerId, _player] of players) {
-      const angle = i * angleStep;
-      const x = centerX + Math.cos(angle) * spawnRadius;
-      const y = centerY + Math.sin(angle) * spawnRadius;
-      
-      updates.push({
-        player_id: playerId,
-        health: 100,
-        kills: 0,
-        damage_dealt: 0,
-        position_x: x,
-        position_y: y,
-        velocity_x: 0,
-        velocity_y: 0,
-        rotation: 0,
-        equipped_weapon: 'fist',
-        equipped_armor: null,
-      });
-      i++;
+    const players = Array.from(this.playersSnapshot?.getPlayers().values() ?? []);
+    if (!force && !getLobbyReadiness(players).allReady) return;
+
+    if (this.sessionNeedsLobbyReset) {
+      await this.returnSessionToLobby();
+      if (this.sessionNeedsLobbyReset) return;
     }
 
-    if (updates.length > 0) {
-      // Write to DB (authoritative source)
-      await this.network.writePlayerStateToDB(updates);
-      // Also broadcast to ensure immediate client update
-      this.network.broadcastPlayerStateUpdate(updates);
+    console.log('Host starting game...');
+    
+    try {
+      // Bots, spawns, stat and ready resets and the status change, in one transaction
+      await this.network.startGame(this.matchSettings?.settings);
+
+      // Note: network.startGame() already broadcasts 'game_start' which triggers this.startGame()
+      // for all clients via the network listener in setupNetworkHandlers().
+    } catch (error) {
+      console.error('Failed to start game:', error);
+      this.showError(`Error starting game: ${error.message}`);
     }
   }
 
   async leaveGame() {
-    if (this.network?.isHost) {
-      const confirmed = window.confirm('Leaving as host will end the game for all players. Are you sure?');
-      if (!confirmed) return;
-    }
-
+    // No confirmation needed as host: the session is handed over to another player (host migration)
     // Stop lobby polling
     this.stopLobbyPolling();
 
@@ -543,6 +805,9 @@ class App {
       this.playersSnapshot.destroy();
       this.playersSnapshot = null;
     }
+    this.stopChat();
+    this.stopHostWatchdog();
+    this.stopMatchSettings();
 
     if (this.network) {
       await this.network.leaveGame();
@@ -558,6 +823,7 @@ class App {
 
     this.ui.showSpectatorControls(false);
     this.ui.showScreen('intro');
+    this.refreshSessionList();
   }
 
   /**
@@ -572,6 +838,9 @@ class App {
       this.playersSnapshot.destroy();
       this.playersSnapshot = null;
     }
+    this.stopChat();
+    this.stopHostWatchdog();
+    this.stopMatchSettings();
 
     if (this.network) {
       this.network.disconnect();
@@ -587,6 +856,40 @@ class App {
 
     this.ui.showSpectatorControls(false);
     this.ui.showScreen('intro');
+    this.refreshSessionList();
+  }
+
+  /**
+   * Player list actions for the host (see UI.renderPlayerList)
+   */
+  getLobbyModeration() {
+    if (!this.chatManager) return null;
+
+    const run = (action, description) => action().catch((error) => {
+      console.error(`Failed to ${description}:`, error);
+      this.showError(`Could not ${description}: ${error.message}`);
+    });
+
+    return {
+      isMuted: (playerId) => this.chatManager.isMuted(playerId),
+      setMuted: (playerId, muted) => this.chatManager.setMuted(playerId, muted),
+      kick: (playerId) => run(() => this.network.kickPlayer(playerId), 'kick player'),
+      ban: (playerId) => {
+        if (!window.confirm('Ban this player? They will not be able to rejoin this session.')) return;
+        run(() => this.network.kickPlayer(playerId, { ban: true }), 'ban player');
+      },
+      makeHost: (playerId) => {
+        if (!window.confirm('Make this player the host? You will lose host controls.')) return;
+        run(() => this.network.transferHost(playerId), 'transfer host');
+      },
+    };
+  }
+
+  async toggleReady() {
+    if (!this.playersSnapshot || this.network.isHost) return;
+
+    const localPlayer = this.playersSnapshot.getPlayers().get(this.network.playerId);
+    await this.network.setReady(!localPlayer?.is_ready);
   }
 
   /**
@@ -608,7 +911,12 @@ class App {
     if (!this.playersSnapshot) return;
 
     const players = Array.from(this.playersSnapshot.getPlayers().values());
-    this.ui.updatePlayerList(players, this.network.isHost);
+    const settings = this.matchSettings?.settings;
+    this.ui.updatePlayerList(players, this.network.isHost, this.getLobbyModeration(), settings?.bot_fill);
+    if (settings) this.ui.renderMatchSettings(settings, this.network.isHost);
+
+    const localPlayer = this.playersSnapshot.getPlayers().get(this.network.playerId);
+    this.ui.updateReadyButton(!this.network.isHost, Boolean(localPlayer?.is_ready));
   }
 
   /**
@@ -622,7 +930,10 @@ class App {
     }
   }
 
-  startGame() {
+  /**
+   * @param {Object} [matchState] - The host's match_state message when joining a match in progress
+   */
+  startGame(matchState = null) {
     console.log('Entering game screen...');
 
     // Stop any existing game loop and clean up
@@ -648,12 +959,12 @@ class App {
     }
 
     this.renderer = new Renderer(canvas, this.assetManager);
-    this.game = new Game();
+    this.game = new Game(this.matchSettings?.settings);
     this.input = new Input();
 
     // Initialize components
     this.renderer.init();
-    this.game.init(this.playersSnapshot, this.network, this.renderer);
+    this.game.init(this.playersSnapshot, this.network, this.renderer, matchState);
 
     // Initialize camera with actual canvas dimensions (after renderer.init)
     this.camera = new Camera(
@@ -695,6 +1006,14 @@ class App {
 
     // Start periodic player state DB writes if we have a session (for persistence)
     if (this.playersSnapshot && this.network) {
+      // Let the host know we are still connected (see HostConnectionManager); already
+      // running if we came through the lobby
+      this.network.startHeartbeat();
+      // Align with the host's clock before stuns and cooldowns start arriving
+      this.network.startClockSync();
+      // Movement of players nobody is near goes out at a lower rate
+      this.network.startInterestManagement(this.playersSnapshot);
+
       this.network.startPeriodicPlayerStateWrite(() => {
         const localPlayer = this.game.getLocalPlayer();
         if (!localPlayer) return { player_id: this.network.playerId };
@@ -839,6 +1158,9 @@ class App {
     }
     this.game = null;
     this.playersSnapshot = null;
+    this.stopChat();
+    this.stopHostWatchdog();
+    this.stopMatchSettings();
     this.lastWeaponId = null;
     this.lastArmorId = null;
   }
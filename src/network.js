@@ -5,6 +5,15 @@
 
 import { CONFIG } from './config.js';
 import { SessionManager } from './SessionManager.js';
+import { SupabaseTransport } from './SupabaseTransport.js';
+import { ClockSync } from './ClockSync.js';
+import { PlayerStateEncoder, decodePlayerStateUpdate } from './PlayerStateCodec.js';
+import { ReliableChannel, RELIABLE_MESSAGE_TYPES } from './ReliableChannel.js';
+import { NetworkConditionSimulator } from './NetworkConditionSimulator.js';
+import { validateMessage } from './MessageSchemas.js';
+import { RateLimiter } from './RateLimiter.js';
+import { InterestManager } from './InterestManager.js';
+import { NetworkStats } from './NetworkStats.js';
 
 class EventEmitter {
   constructor() {
@@ -33,6 +42,9 @@ class EventEmitter {
   }
 }
 
+// Realtime event the session_players trigger broadcasts row changes under (postgres_changes payload shape)
+export const SESSION_PLAYERS_CHANGE_EVENT = 'session_players_change';
+
 export class Network extends EventEmitter {
   constructor() {
     super();
@@ -43,14 +55,42 @@ export class Network extends EventEmitter {
     this.playerId = null;
     this.sessionId = null;
     this.hostId = null; // Track host ID for authorization checks
+    this.transport = null; // Realtime transport (Supabase Realtime or in-process loopback)
     this.channel = null;
+    this.channelName = null;
+    this.reconnectAttempts = 0; // Non-zero while recovering from a dropped channel
+    this.reconnectTimeout = null;
     this.playerStateWriteInterval = null; // Interval for generic periodic DB writes
+    this.heartbeatInterval = null;
+    this.lastHostHeartbeatWrite = 0; // Date.now() of the host's last record_heartbeat call
     this.sessionManager = null;
+    this.playerStateEncoder = new PlayerStateEncoder(); // Compact wire format for player_state_update
+    this.conditionSimulator = new NetworkConditionSimulator(); // Debug latency/loss injection, off by default
+    this.rateLimiter = new RateLimiter(CONFIG.NETWORK.RATE_LIMITS); // Host-side flood protection per sender
+    this.interestManager = new InterestManager(this); // Lower rate for movement nobody can see
+    this.rejectedMessages = { invalid: 0, rateLimited: 0 };
+    this.stats = new NetworkStats(); // Traffic counters for the DebugUI network tab
+    this.warnedSenders = new Set(); // Log each misbehaving sender once, not once per message
+
+    // Follow host changes announced by the elected successor (see SessionManager.migrateHost)
+    this.on('host_migrated', (message) => this._handleHostMigrated(message));
+
+    // Shared host clock for stuns, cooldowns and message timestamps
+    this.clockSync = new ClockSync(this);
+
+    // Sequenced, resendable delivery for events that must not be lost (see RELIABLE_MESSAGE_TYPES)
+    this.reliableChannel = new ReliableChannel(this);
   }
 
-  initialize(supabaseClient, playerId) {
+  /**
+   * @param {Object} supabaseClient - Supabase client used for database access
+   * @param {string} playerId - Local player ID
+   * @param {Object} [transport] - Realtime transport (defaults to Supabase Realtime, see SupabaseTransport.js)
+   */
+  initialize(supabaseClient, playerId, transport = null) {
     this.supabase = supabaseClient;
     this.playerId = playerId;
+    this.transport = transport || new SupabaseTransport(supabaseClient);
     this.sessionManager = new SessionManager(this.supabase, this);
   }
 
@@ -62,65 +102,308 @@ export class Network extends EventEmitter {
     return this.sessionManager.joinGame(joinCode, playerName);
   }
 
-  async startGame() {
+  async endGame() {
+    if (!this.isHost) throw new Error('Only the host can end the game.');
+    return this.sessionManager.endGame();
+  }
+
+  async listPublicSessions() {
+    return this.sessionManager.listPublicSessions();
+  }
+
+  async startGame(settings) {
     if (!this.isHost) throw new Error('Only the host can start the game.');
-    return this.sessionManager.startGame();
+    return this.sessionManager.startGame(settings);
   }
 
   _subscribeToChannel(channelName) {
-    if (this.channel) {
-      this.supabase.removeChannel(this.channel);
+    this.channelName = channelName; // Kept for reconnects
+    const previous = this.channel;
+    this.channel = null; // Its CLOSED status must not look like a dropped connection
+    if (previous) {
+      this.transport.removeChannel(previous);
     }
+    this.playerStateEncoder.reset(); // New audience, no shared baseline
 
-    this.channel = this.supabase.channel(channelName, {
+    const channel = this.transport.channel(channelName, {
       config: {
         broadcast: {
           ack: true,
         },
       },
     });
+    this.channel = channel;
 
     return new Promise((resolve, reject) => {
-      this.channel
+      let subscribed = false;
+      channel
         .on('broadcast', { event: 'message' }, ({ payload }) => {
-          this._handleRealtimeMessage(payload);
+          this.conditionSimulator.incoming(() => this._handleRealtimeMessage(payload));
         })
-        .on('postgres_changes', {
-          event: '*',
-          schema: 'public',
-          table: 'session_players',
-          // Don't use filter parameter - manually filter in handler to ensure DELETE events work
-          // See SessionPlayersSnapshot.js for detailed explanation
-        }, (payload) => {
-          // Manually filter events by session_id to ensure DELETE events are received
-          const sessionId = payload.new?.session_id || payload.old?.session_id;
-          if (sessionId && sessionId !== this.sessionId) {
-            return; // Ignore events for other sessions
-          }
+        // session_players row changes, broadcast on this session's channel by a database trigger
+        // (migration 13), so other sessions' churn never reaches us
+        .on('broadcast', { event: SESSION_PLAYERS_CHANGE_EVENT }, ({ payload }) => {
           this._handlePostgresChange(payload);
         })
         .subscribe((status, error) => {
+          if (channel !== this.channel) return; // Replaced or removed on purpose
+
           if (status === 'SUBSCRIBED') {
+            subscribed = true;
             this.connected = true;
             resolve();
           } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
-            reject(new Error(`Failed to subscribe to channel: ${status} ${error ? error.message : ''}`));
+            if (subscribed) {
+              this._handleConnectionLost(status);
+            } else {
+              reject(new Error(`Failed to subscribe to channel: ${status} ${error ? error.message : ''}`));
+            }
           }
         });
     });
   }
 
+  /**
+   * The channel dropped after we were subscribed: retry with backoff (see CONFIG.NETWORK.RECONNECT).
+   * Emits 'connection_lost' now, then 'reconnected' or 'reconnect_failed'.
+   */
+  _handleConnectionLost(status) {
+    if (this.reconnectAttempts > 0) return; // Already reconnecting
+
+    console.warn(`Network: Channel dropped (${status}), reconnecting...`);
+    this.connected = false;
+    this.emit('connection_lost', { status });
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    const { INITIAL_DELAY_MS, MAX_DELAY_MS, MULTIPLIER, MAX_ATTEMPTS } = CONFIG.NETWORK.RECONNECT;
+    if (this.reconnectAttempts >= MAX_ATTEMPTS) {
+      const attempts = this.reconnectAttempts;
+      this.reconnectAttempts = 0;
+      console.error(`Network: Giving up after ${attempts} reconnect attempts`);
+      this.emit('reconnect_failed', { attempts });
+      return;
+    }
+
+    const delay = Math.min(MAX_DELAY_MS, INITIAL_DELAY_MS * MULTIPLIER ** this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.reconnectTimeout = setTimeout(() => this._attemptReconnect(), delay);
+  }
+
+  async _attemptReconnect() {
+    this.reconnectTimeout = null;
+    try {
+      await this._subscribeToChannel(this.channelName);
+    } catch (error) {
+      console.warn(`Network: Reconnect attempt ${this.reconnectAttempts} failed: ${error.message}`);
+      this._scheduleReconnect();
+      return;
+    }
+
+    const attempts = this.reconnectAttempts;
+    this.reconnectAttempts = 0;
+    console.log(`Network: Reconnected after ${attempts} attempt(s)`);
+    this.emit('reconnected', { attempts });
+  }
+
+  _cancelReconnect() {
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = null;
+    this.reconnectAttempts = 0;
+  }
+
   _handleRealtimeMessage(payload) {
+    this.stats.recordIncoming(payload);
+
+    if (payload?.type === 'player_state_update') {
+      let data;
+      try {
+        data = decodePlayerStateUpdate(payload.data);
+      } catch {
+        this._rejectMessage(payload, 'invalid', 'undecodable player_state_update');
+        return;
+      }
+      if (data === null) return; // Unsupported codec version
+      payload = { ...payload, data };
+    }
+
+    const error = validateMessage(payload);
+    if (error) {
+      this._rejectMessage(payload, 'invalid', error);
+      return;
+    }
+
+    if (payload.seq !== undefined) {
+      // Hands them to _deliverMessage in order once any gap is filled
+      this.reliableChannel.receive(payload);
+      return;
+    }
+
+    if (!this._isWithinRateLimit(payload)) return;
+
+    if (payload.type === 'host_migrated') {
+      this._verifyHostMigrated(payload); // Emits once the database agrees
+      return;
+    }
+
     // Emit all messages for listeners (like SessionPlayersSnapshot)
     this.emit(payload.type, payload);
   }
 
+  /**
+   * Emit a reliable message that ReliableChannel has put in order. Rate limiting happens here,
+   * after duplicates are gone: a reliable message dropped on arrival would leave a gap that the
+   * sender fills by resending it, undoing the drop and spending more tokens.
+   * @param {Object} payload - The received message
+   */
+  _deliverMessage(payload) {
+    if (!this._isWithinRateLimit(payload)) return;
+    this.emit(payload.type, payload);
+  }
+
+  /**
+   * Host only: one bucket per sender and message type, so a flood of one kind can't starve the rest
+   * @param {Object} payload - The received message
+   * @returns {boolean} False if the message was dropped
+   */
+  _isWithinRateLimit(payload) {
+    if (!this.isHost || this.rateLimiter.allow(`${payload.from}:${payload.type}`, payload.type)) return true;
+    this._rejectMessage(payload, 'rateLimited', 'rate limit exceeded');
+    return false;
+  }
+
+  /**
+   * Count (and log once per sender) a message that was not delivered to listeners
+   * @param {Object} payload - The received message
+   * @param {'invalid'|'rateLimited'} reason
+   * @param {string} detail
+   */
+  _rejectMessage(payload, reason, detail) {
+    this.rejectedMessages[reason]++;
+
+    const sender = typeof payload?.from === 'string' ? payload.from : 'unknown';
+    const warnKey = `${sender}:${reason}`;
+    if (!this.warnedSenders.has(warnKey)) {
+      this.warnedSenders.add(warnKey);
+      console.warn(`Dropping ${payload?.type} from ${sender}: ${detail}`);
+    }
+  }
+
+  /**
+   * Deliver a received host_migrated only if the current host (handover) or the new host itself
+   * (claim after the host left) sent it, and game_sessions.host_id already names the new host.
+   * Otherwise any guest could declare itself host and gain every host-only check.
+   * @param {Object} payload - The received message
+   */
+  async _verifyHostMigrated(payload) {
+    const newHostId = payload.data.new_host_id;
+    if (payload.from !== this.hostId && payload.from !== newHostId) {
+      this._rejectMessage(payload, 'invalid', 'host_migrated from neither the current nor the new host');
+      return;
+    }
+
+    let hostId;
+    try {
+      hostId = await this.sessionManager.getHostId();
+    } catch (error) {
+      console.error('Failed to verify host migration:', error);
+      return;
+    }
+
+    if (hostId !== newHostId) {
+      this._rejectMessage(payload, 'invalid', 'host_migrated does not match the session host');
+      return;
+    }
+    this.emit('host_migrated', payload);
+  }
+
+  _handleHostMigrated(message) {
+    const newHostId = message.data?.new_host_id;
+    if (!newHostId) return;
+    this.hostId = newHostId;
+    this.isHost = newHostId === this.playerId;
+  }
+
   _handlePostgresChange(payload) {
+    if (this.isHost && payload.table === 'session_players' && payload.eventType === 'INSERT') {
+      this.sessionManager.handlePlayerJoined(payload.new)
+        .catch(error => console.error('Failed to check new player:', error));
+    }
+
     // Emit generic postgres_changes event for any table
     // Higher-level components (like SessionPlayersSnapshot) will filter and handle these
     this.emit('postgres_changes', payload);
   }
 
+  /**
+   * Current time on the host's clock. Use this instead of Date.now() for anything
+   * compared across machines (stuns, cooldowns, message timestamps).
+   * @returns {number} Milliseconds since epoch, host time
+   */
+  hostNow() {
+    return this.clockSync.now();
+  }
+
+  startClockSync() {
+    this.clockSync.start();
+  }
+
+  /**
+   * Start clock sync and wait for the first sample, e.g. before applying a match state whose
+   * game clock and zone timing are in host time
+   * @param {number} [timeoutMs]
+   * @returns {Promise<boolean>} False if the host did not answer in time
+   */
+  async syncClock(timeoutMs = CONFIG.NETWORK.CLOCK_SYNC.FIRST_SAMPLE_TIMEOUT_MS) {
+    this.startClockSync();
+    return this.clockSync.waitForSample(timeoutMs);
+  }
+
+  /**
+   * Send movement of players nobody can see at a lower rate (see InterestManager)
+   * @param {Object} playersSnapshot - SessionPlayersSnapshot of this session
+   */
+  startInterestManagement(playersSnapshot) {
+    this.interestManager.setPlayersSnapshot(playersSnapshot);
+  }
+
+  /**
+   * Ask the host for the full match state (game clock, zone, loot, kills, match phase)
+   * @param {'join'|'reconnect'} reason
+   * @param {number} [timeoutMs]
+   * @returns {Promise<Object|null>} The host's match_state message, or null if none arrived in time
+   */
+  requestMatchState(reason, timeoutMs = CONFIG.NETWORK.MATCH_STATE_TIMEOUT_MS) {
+    return new Promise((resolve) => {
+      let timeout = null;
+      const finish = (message) => {
+        clearTimeout(timeout);
+        this.off('match_state', onMatchState);
+        resolve(message);
+      };
+      const onMatchState = (message) => {
+        if (message.data.target_player_id === this.playerId) finish(message);
+      };
+
+      this.on('match_state', onMatchState);
+      timeout = setTimeout(() => finish(null), timeoutMs);
+      this.send('request_match_state', { reason });
+    });
+  }
+
+  async migrateHost(previousHostId, players) {
+    return this.sessionManager.migrateHost(previousHostId, players);
+  }
+
+  async kickPlayer(playerId, options) {
+    return this.sessionManager.kickPlayer(playerId, options);
+  }
+
+  async transferHost(newHostId) {
+    return this.sessionManager.transferHost(newHostId);
+  }
+
   async _enforceMaxPlayers() {
     return this.sessionManager.enforceMaxPlayers();
   }
@@ -132,26 +415,62 @@ export class Network extends EventEmitter {
 
   /**
    * Send a message as a specific player (host-only utility for bots)
+   * Our own messages of a type in RELIABLE_MESSAGE_TYPES go through the reliable channel.
    */
   sendFrom(fromId, type, data) {
-    if (!this.channel || !this.connected) {
-      console.warn('Cannot send message, channel not connected.');
+    if (RELIABLE_MESSAGE_TYPES.has(type) && fromId === this.playerId) {
+      this.reliableChannel.send(fromId, type, data);
       return;
     }
-    const message = {
+
+    this._broadcastMessage({
       type,
       from: fromId,
-      timestamp: Date.now(),
+      timestamp: this.hostNow(),
       data,
-    };
-    this.channel.send({
-      type: 'broadcast',
-      event: 'message',
-      payload: message,
     });
+  }
+
+  /**
+   * Put a fully built message on the channel
+   * @param {Object} message - { type, from, timestamp, data, ... }
+   * @param {Object} [options]
+   * @param {boolean} [options.emitLocally=true] - Also deliver to our own listeners
+   */
+  _broadcastMessage(message, { emitLocally = true } = {}) {
+    if (!this.channel || !this.connected) {
+      console.warn('Cannot send message, channel not connected.');
+      return;
+    }
+    this._sendToChannel(message);
 
     // Emit locally since Supabase Realtime doesn't echo messages back to sender
-    this.emit(type, message);
+    if (emitLocally) {
+      this.emit(message.type, message);
+    }
+  }
+
+  /**
+   * Broadcast a payload on the channel (through the condition simulator)
+   * @returns {*} The channel's send result
+   */
+  _sendToChannel(payload) {
+    const channel = this.channel;
+    this.stats.recordOutgoing(payload);
+    const sendResult = this.conditionSimulator.outgoing(() => channel.send({
+      type: 'broadcast',
+      event: 'message',
+      payload,
+    }));
+
+    // With acks on, Realtime settles every send with 'ok', 'timed out' or 'error'
+    Promise.resolve(sendResult).then(
+      (status) => {
+        if (typeof status === 'string' && status !== 'ok') this.stats.recordFailedSend();
+      },
+      () => this.stats.recordFailedSend(),
+    );
+    return sendResult;
   }
 
   /**
@@ -161,33 +480,53 @@ export class Network extends EventEmitter {
 
   /**
    * Broadcast player state update(s) to all clients
+   * Updates go over the wire in the compact format from PlayerStateCodec.js; local listeners
+   * and receivers (after decoding) see the long field names.
    * @param {Object|Array} updates - Single update object or array of updates
    *   Each update can contain any combination of:
    *   - Client-auth: player_id, position_x, position_y, rotation, velocity_x, velocity_y
    *   - Host-auth: health, equipped_weapon, equipped_armor
+   * @param {Object} [options]
+   * @param {boolean} [options.delta=false] - Continuous stream (own movement, bots): only send fields
+   *   that changed since the last acknowledged frame, and only at a low rate for players nobody
+   *   can see (see InterestManager). Leave off for one-off updates such as corrections or health,
+   *   which must arrive in full.
    */
-  broadcastPlayerStateUpdate(updates) {
+  broadcastPlayerStateUpdate(updates, { delta = false } = {}) {
     if (!this.channel || !this.connected) {
       console.warn('Cannot send message, channel not connected.');
       return;
     }
 
-    const message = {
+    const timestamp = this.hostNow();
+    const entries = (Array.isArray(updates) ? updates : [updates])
+      .map(update => ({ ...update, player_id: update.player_id || this.playerId }))
+      .filter(update => !delta || this.interestManager.shouldSend(update));
+    const encoded = this.playerStateEncoder.encode(entries, { delta });
+
+    // Broadcast to all other clients (nothing to send if a delta came out empty)
+    if (encoded) {
+      const sendResult = this._sendToChannel({
+        type: 'player_state_update',
+        from: this.playerId,
+        timestamp,
+        data: encoded.frame,
+      });
+
+      // Broadcast acks are enabled, so the send settles once the Realtime server has the frame
+      Promise.resolve(sendResult).then(
+        (status) => (status === 'ok' ? this.playerStateEncoder.ack(encoded.seq) : this.playerStateEncoder.drop(encoded.seq)),
+        () => this.playerStateEncoder.drop(encoded.seq),
+      );
+    }
+
+    // Emit locally since Supabase Realtime doesn't echo messages back to sender
+    this.emit('player_state_update', {
       type: 'player_state_update',
       from: this.playerId,
-      timestamp: Date.now(),
+      timestamp,
       data: updates,
-    };
-
-    // Broadcast to all other clients
-    this.channel.send({
-      type: 'broadcast',
-      event: 'message',
-      payload: message,
     });
-
-    // Emit locally since Supabase Realtime doesn't echo messages back to sender
-    this.emit('player_state_update', message);
   }
 
   /**
@@ -201,16 +540,14 @@ export class Network extends EventEmitter {
       return;
     }
 
-    // Handle batch updates
+    // Handle batch updates: one request and one transaction for the whole array
     if (Array.isArray(playerIdOrUpdates)) {
-      const batchUpdates = playerIdOrUpdates;
-      // Process each update in the batch
-      await Promise.all(
-        batchUpdates.map(update => {
-          const { player_id, ...updateData } = update;
-          return this.writePlayerStateToDB(player_id, updateData);
-        }),
-      );
+      if (playerIdOrUpdates.length === 0) return;
+
+      const { error } = await this.updatePlayersInDB(playerIdOrUpdates);
+      if (error) {
+        console.error('Failed to write player states to DB:', error.message);
+      }
       return;
     }
 
@@ -227,6 +564,49 @@ export class Network extends EventEmitter {
     }
   }
 
+  /**
+   * Mark the local player ready (or not) in the lobby. Everyone sees it through the
+   * session_players UPDATE broadcast.
+   * @param {boolean} isReady
+   */
+  async setReady(isReady) {
+    await this.writePlayerStateToDB(this.playerId, { is_ready: isReady });
+  }
+
+  /**
+   * Apply several session_players updates in one round trip (update_session_players RPC).
+   * Same rules as direct updates: the host may update anyone in the session, others only themselves.
+   * @param {Array<Object>} updates - Each with player_id plus the columns to set, one entry per player
+   * @returns {Promise<{ error: Object|null }>}
+   */
+  async updatePlayersInDB(updates) {
+    const { error } = await this.supabase.rpc('update_session_players', {
+      p_session_id: this.sessionId,
+      p_updates: updates,
+    });
+    return { error };
+  }
+
+  /**
+   * Write host-owned session state (e.g. conflict zone, game phase) to the game_sessions row
+   * @param {Object} stateData - Columns to update
+   */
+  async writeSessionStateToDB(stateData) {
+    if (!this.supabase || !this.sessionId) {
+      console.error('Cannot write session state to DB: missing supabase or sessionId');
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from('game_sessions')
+      .update(stateData)
+      .eq('id', this.sessionId);
+
+    if (error) {
+      console.error('Failed to write session state to DB:', error.message);
+    }
+  }
+
   /**
    * Start periodic player state writes to database
    * @param {Function|Object|Array} stateGetter - Function that returns state data, or state data itself
@@ -270,6 +650,44 @@ export class Network extends EventEmitter {
     }
   }
 
+  /**
+   * Start sending periodic heartbeats so the host can tell we are still here
+   * (see HostConnectionManager). The host's own heartbeat is also recorded in the database,
+   * where claim_session_host checks it.
+   * @param {number} intervalMs - Heartbeat interval in milliseconds
+   */
+  startHeartbeat(intervalMs = CONFIG.NETWORK.HEARTBEAT_INTERVAL_MS) {
+    if (this.heartbeatInterval) return; // Already running
+
+    // Heartbeats also tell peers our latest reliable seq, so a lost final message gets NACKed
+    const sendHeartbeat = () => {
+      this.send('heartbeat', this.reliableChannel.getHeartbeatInfo());
+      if (this.isHost) this._recordHostHeartbeat();
+    };
+    sendHeartbeat();
+    this.heartbeatInterval = setInterval(sendHeartbeat, intervalMs);
+  }
+
+  /**
+   * Stop sending heartbeats
+   */
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  _recordHostHeartbeat() {
+    if (!this.sessionManager) return;
+    const now = Date.now();
+    if (now - this.lastHostHeartbeatWrite < CONFIG.NETWORK.HOST_HEARTBEAT_WRITE_INTERVAL_MS) return;
+    this.lastHostHeartbeatWrite = now;
+
+    this.sessionManager.recordHeartbeat()
+      .catch(err => console.error('Failed to record host heartbeat:', err.message));
+  }
+
   /**
    * Leave the current game session and clean up database records
    */
@@ -279,10 +697,19 @@ export class Network extends EventEmitter {
 
   disconnect() {
     this.stopPeriodicPlayerStateWrite();
+    this.stopHeartbeat();
+    this.clockSync.stop();
+    this.reliableChannel.stop();
+    this.conditionSimulator.clear();
+    this.rateLimiter.clear();
+    this.interestManager.setPlayersSnapshot(null);
+    this._cancelReconnect();
     if (this.channel) {
-      this.supabase.removeChannel(this.channel);
-      this.channel = null;
+      const channel = this.channel;
+      this.channel = null; // Leaving on purpose, not a drop to recover from
+      this.transport.removeChannel(channel);
     }
+    this.channelName = null;
     this.connected = false;
   }
 }
\ No newline at end of file
@@ -1,5 +1,8 @@
 import { jest } from '@jest/globals';
-import { Network } from './network';
+import { Network, SESSION_PLAYERS_CHANGE_EVENT } from './network';
+import { PLAYER_STATE_CODEC_VERSION, decodePlayerStateUpdate } from './PlayerStateCodec.js';
+import { CONFIG } from './config.js';
+import { getLocalCompatibility } from './protocol.js';
 
 describe('Network', () => {
   let network;
@@ -146,6 +149,7 @@ describe('Network', () => {
         status: 'lobby',
         max_players: 12,
         realtime_channel_name: 'game_session:ABC123',
+        ...getLocalCompatibility(),
       };
 
       const mockExistingPlayer = {
@@ -197,7 +201,9 @@ describe('Network', () => {
       // Verify sequence of calls
       expect(mockSupabaseClient.rpc).toHaveBeenCalledWith('get_session_by_join_code', { p_join_code: MOCK_JOIN_CODE });
       expect(mockSupabaseClient.channel).toHaveBeenCalledWith(mockSession.realtime_channel_name, expect.any(Object));
-      expect(mockChannel.on).toHaveBeenCalledWith('postgres_changes', expect.any(Object), expect.any(Function));
+      // Row changes arrive as broadcasts on the session channel, not from the table-wide feed
+      expect(mockChannel.on).toHaveBeenCalledWith('broadcast', { event: SESSION_PLAYERS_CHANGE_EVENT }, expect.any(Function));
+      expect(mockChannel.on).not.toHaveBeenCalledWith('postgres_changes', expect.anything(), expect.anything());
       expect(mockSupabaseClient.from).toHaveBeenCalledWith('session_players');
       expect(mockSessionPlayersInsert).toHaveBeenCalledWith(expect.objectContaining({
         position_x: 1200,
@@ -223,6 +229,7 @@ describe('Network', () => {
         status: 'lobby',
         max_players: 12,
         realtime_channel_name: 'game_session:ABC123',
+        ...getLocalCompatibility(),
       };
 
       const mockExistingPlayer = {
@@ -318,6 +325,7 @@ describe('Network', () => {
         status: 'active',
         max_players: 12,
         realtime_channel_name: 'game_session:ABC123',
+        ...getLocalCompatibility(),
       };
 
       const mockNewPlayer = {
@@ -415,6 +423,19 @@ describe('Network', () => {
       expect(network.players).toBeUndefined();
     });
 
+    it('should have the host check every newly inserted player', () => {
+      network.isHost = true;
+      const check = jest.spyOn(network.sessionManager, 'handlePlayerJoined').mockResolvedValue();
+      const newPlayer = { player_id: 'player-2', protocol_version: 0 };
+
+      network._handlePostgresChange({ eventType: 'INSERT', new: newPlayer, old: null, table: 'session_players' });
+      network.isHost = false;
+      network._handlePostgresChange({ eventType: 'INSERT', new: newPlayer, old: null, table: 'session_players' });
+
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(check).toHaveBeenCalledWith(newPlayer);
+    });
+
     it('should emit generic postgres_changes event on DELETE', () => {
       const emitSpy = jest.spyOn(network, 'emit');
 
@@ -511,9 +532,11 @@ describe('Network', () => {
               type: 'player_state_update',
               from: MOCK_PLAYER_ID,
               timestamp: expect.any(Number),
-              data: stateUpdate,
+              data: expect.objectContaining({ v: PLAYER_STATE_CODEC_VERSION }),
             },
           });
+          const sentData = mockChannel.send.mock.calls[0][0].payload.data;
+          expect(decodePlayerStateUpdate(sentData)).toEqual([stateUpdate]);
         });
 
         it('should not send if channel is not connected', () => {
@@ -525,6 +548,89 @@ describe('Network', () => {
 
           expect(mockChannel.send).not.toHaveBeenCalled();
         });
+
+        it('should emit the long-form update locally', () => {
+          network.channel = { send: jest.fn().mockResolvedValue('ok') };
+          const handler = jest.fn();
+          network.on('player_state_update', handler);
+
+          network.broadcastPlayerStateUpdate({ position_x: 100 });
+
+          expect(handler).toHaveBeenCalledWith(expect.objectContaining({ data: { position_x: 100 } }));
+        });
+      });
+
+      describe('WhenStreamingWithDelta_ShouldOnlySendChangedFields', () => {
+        const sentEntries = (mockChannel) => mockChannel.send.mock.calls.map(call => call[0].payload.data.u);
+
+        it('should diff against the last acknowledged frame', async () => {
+          const mockChannel = { send: jest.fn().mockResolvedValue('ok') };
+          network.channel = mockChannel;
+
+          network.broadcastPlayerStateUpdate({ position_x: 100, position_y: 200 }, { delta: true });
+          await Promise.resolve(); // Let the ack settle
+          network.broadcastPlayerStateUpdate({ position_x: 110, position_y: 200 }, { delta: true });
+
+          expect(sentEntries(mockChannel)[1]).toEqual([{ i: MOCK_PLAYER_ID, x: 1100 }]);
+        });
+
+        it('should resend fields while the previous frame is unacknowledged', async () => {
+          const mockChannel = { send: jest.fn().mockResolvedValue('timed out') };
+          network.channel = mockChannel;
+
+          network.broadcastPlayerStateUpdate({ position_x: 100, position_y: 200 }, { delta: true });
+          await Promise.resolve();
+          network.broadcastPlayerStateUpdate({ position_x: 110, position_y: 200 }, { delta: true });
+
+          expect(decodePlayerStateUpdate(mockChannel.send.mock.calls[1][0].payload.data)).toEqual([
+            { player_id: MOCK_PLAYER_ID, position_x: 110, position_y: 200 },
+          ]);
+        });
+
+        it('should skip the broadcast when nothing changed', async () => {
+          const mockChannel = { send: jest.fn().mockResolvedValue('ok') };
+          network.channel = mockChannel;
+
+          network.broadcastPlayerStateUpdate({ position_x: 100 }, { delta: true });
+          await Promise.resolve();
+          network.broadcastPlayerStateUpdate({ position_x: 100.01 }, { delta: true }); // Below quantization
+
+          expect(mockChannel.send).toHaveBeenCalledTimes(1);
+        });
+      });
+
+      describe('WhenReceivingEncodedUpdate_ShouldDecodeBeforeEmitting', () => {
+        it('should emit long field names to listeners', () => {
+          const handler = jest.fn();
+          network.on('player_state_update', handler);
+
+          network._handleRealtimeMessage({
+            type: 'player_state_update',
+            from: 'other-player',
+            timestamp: 1,
+            data: { v: PLAYER_STATE_CODEC_VERSION, u: [{ i: 'other-player', x: 1005, r: 1570 }] },
+          });
+
+          expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+            from: 'other-player',
+            data: [{ player_id: 'other-player', position_x: 100.5, rotation: 1.57 }],
+          }));
+        });
+
+        it('should drop frames from an unsupported codec version', () => {
+          const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+          const handler = jest.fn();
+          network.on('player_state_update', handler);
+
+          network._handleRealtimeMessage({
+            type: 'player_state_update',
+            from: 'other-player',
+            data: { v: PLAYER_STATE_CODEC_VERSION + 1, u: [] },
+          });
+
+          expect(handler).not.toHaveBeenCalled();
+          warn.mockRestore();
+        });
       });
 
       describe('WhenHostBroadcastsHealth_ShouldUseGenericMethod', () => {
@@ -549,9 +655,11 @@ describe('Network', () => {
               type: 'player_state_update',
               from: MOCK_PLAYER_ID,
               timestamp: expect.any(Number),
-              data: stateUpdate,
+              data: expect.objectContaining({ v: PLAYER_STATE_CODEC_VERSION }),
             },
           });
+          const sentData = mockChannel.send.mock.calls[0][0].payload.data;
+          expect(decodePlayerStateUpdate(sentData)).toEqual([stateUpdate]);
         });
       });
 
@@ -578,9 +686,11 @@ describe('Network', () => {
               type: 'player_state_update',
               from: MOCK_PLAYER_ID,
               timestamp: expect.any(Number),
-              data: batchUpdates,
+              data: expect.objectContaining({ v: PLAYER_STATE_CODEC_VERSION }),
             },
           });
+          const sentData = mockChannel.send.mock.calls[0][0].payload.data;
+          expect(decodePlayerStateUpdate(sentData)).toEqual(batchUpdates);
         });
       });
     });
@@ -639,7 +749,7 @@ describe('Network', () => {
       });
 
       describe('WhenHostPersistsMultiplePlayers_ShouldBatchWrite', () => {
-        it('should write multiple player states in a batch', async () => {
+        it('should write multiple player states in one RPC call', async () => {
           network.isHost = true;
 
           const batchUpdates = [
@@ -647,22 +757,35 @@ describe('Network', () => {
             { player_id: 'player-2', health: 85 },
             { player_id: 'player-3', health: 95 },
           ];
+          mockSupabaseClient.from = jest.fn();
+          mockSupabaseClient.rpc = jest.fn().mockResolvedValue({ data: 3, error: null });
 
-          // Mock multiple update operations
-          const mockUpdatePromises = batchUpdates.map(() => ({ error: null }));
-          let callCount = 0;
+          await network.writePlayerStateToDB(batchUpdates);
 
-          mockSupabaseClient.from = jest.fn(() => ({
-            update: jest.fn().mockReturnValue({
-              eq: jest.fn().mockReturnValue({
-                eq: jest.fn(() => Promise.resolve(mockUpdatePromises[callCount++])),
-              }),
-            }),
-          }));
+          expect(mockSupabaseClient.rpc).toHaveBeenCalledTimes(1);
+          expect(mockSupabaseClient.rpc).toHaveBeenCalledWith('update_session_players', {
+            p_session_id: network.sessionId,
+            p_updates: batchUpdates,
+          });
+          expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+        });
 
-          await network.writePlayerStateToDB(batchUpdates);
+        it('should skip the call for an empty batch', async () => {
+          mockSupabaseClient.rpc = jest.fn();
 
-          expect(mockSupabaseClient.from).toHaveBeenCalledTimes(3);
+          await network.writePlayerStateToDB([]);
+
+          expect(mockSupabaseClient.rpc).not.toHaveBeenCalled();
+        });
+
+        it('should log error if the batch is rejected', async () => {
+          const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+          mockSupabaseClient.rpc = jest.fn().mockResolvedValue({ data: null, error: { message: 'Only the host can update other players' } });
+
+          await network.writePlayerStateToDB([{ player_id: 'player-1', health: 70 }]);
+
+          expect(consoleErrorSpy).toHaveBeenCalledWith('Failed to write player states to DB:', 'Only the host can update other players');
+          consoleErrorSpy.mockRestore();
         });
       });
 
@@ -689,6 +812,39 @@ describe('Network', () => {
       });
     });
 
+    describe('setReady', () => {
+      it('should write the local player\'s is_ready flag', async () => {
+        const mockEqPlayer = jest.fn().mockResolvedValue({ error: null });
+        const mockEqSession = jest.fn().mockReturnValue({ eq: mockEqPlayer });
+        const mockUpdate = jest.fn().mockReturnValue({ eq: mockEqSession });
+        mockSupabaseClient.from = jest.fn(() => ({ update: mockUpdate }));
+
+        await network.setReady(true);
+
+        expect(mockSupabaseClient.from).toHaveBeenCalledWith('session_players');
+        expect(mockUpdate).toHaveBeenCalledWith({ is_ready: true });
+        expect(mockEqPlayer).toHaveBeenCalledWith('player_id', network.playerId);
+      });
+    });
+
+    describe('writeSessionStateToDB', () => {
+      it('should update the current game_sessions row', async () => {
+        network.sessionId = 'session-123';
+        const mockEq = jest.fn().mockResolvedValue({ error: null });
+        const mockUpdate = jest.fn().mockReturnValue({ eq: mockEq });
+        mockSupabaseClient.from = jest.fn(() => ({
+          update: mockUpdate,
+        }));
+
+        const stateData = { conflict_zone_radius: 450, game_phase: 'combat' };
+        await network.writeSessionStateToDB(stateData);
+
+        expect(mockSupabaseClient.from).toHaveBeenCalledWith('game_sessions');
+        expect(mockUpdate).toHaveBeenCalledWith(stateData);
+        expect(mockEq).toHaveBeenCalledWith('id', 'session-123');
+      });
+    });
+
     describe('startPeriodicPlayerStateWrite', () => {
       beforeEach(() => {
         jest.useFakeTimers();
@@ -803,6 +959,81 @@ describe('Network', () => {
     });
   });
 
+  describe('heartbeat', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      network.initialize(mockSupabaseClient, 'test-player-id');
+      network.channel = { send: jest.fn() };
+      network.connected = true;
+    });
+
+    afterEach(() => {
+      network.disconnect();
+      jest.useRealTimers();
+    });
+
+    const heartbeatsSent = () => network.channel.send.mock.calls.filter(
+      ([msg]) => msg.payload.type === 'heartbeat',
+    ).length;
+
+    it('should send a heartbeat immediately and then every interval', () => {
+      network.startHeartbeat(1000);
+      expect(heartbeatsSent()).toBe(1);
+
+      jest.advanceTimersByTime(3000);
+      expect(heartbeatsSent()).toBe(4);
+    });
+
+    it('should stop sending heartbeats after stopHeartbeat', () => {
+      network.startHeartbeat(1000);
+      network.stopHeartbeat();
+
+      jest.advanceTimersByTime(3000);
+      expect(heartbeatsSent()).toBe(1);
+      expect(network.heartbeatInterval).toBeNull();
+    });
+
+    it('should carry the latest reliable sequence number', () => {
+      network.send('player_death', { victim_id: 'a' });
+      network.startHeartbeat(1000);
+
+      const [death, heartbeat] = network.channel.send.mock.calls.map(([msg]) => msg.payload);
+      expect(death).toEqual(expect.objectContaining({ seq: 1, epoch: network.reliableChannel.epoch }));
+      expect(heartbeat.data).toEqual({ reliable_epoch: network.reliableChannel.epoch, reliable_seq: 1 });
+    });
+
+    it('should record the host heartbeat in the database at most every write interval', () => {
+      const recordHeartbeat = jest.spyOn(network.sessionManager, 'recordHeartbeat').mockResolvedValue();
+      network.isHost = true;
+
+      network.startHeartbeat(1000);
+      expect(recordHeartbeat).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(CONFIG.NETWORK.HOST_HEARTBEAT_WRITE_INTERVAL_MS);
+      expect(heartbeatsSent()).toBeGreaterThan(2);
+      expect(recordHeartbeat).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not record heartbeats in the database as a client', () => {
+      const recordHeartbeat = jest.spyOn(network.sessionManager, 'recordHeartbeat').mockResolvedValue();
+      network.isHost = false;
+
+      network.startHeartbeat(1000);
+      jest.advanceTimersByTime(CONFIG.NETWORK.HOST_HEARTBEAT_WRITE_INTERVAL_MS);
+
+      expect(recordHeartbeat).not.toHaveBeenCalled();
+    });
+
+    it('should stop heartbeats on disconnect', () => {
+      network.startHeartbeat(1000);
+      const channel = network.channel;
+      network.disconnect();
+
+      jest.advanceTimersByTime(3000);
+      expect(channel.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('leaveGame', () => {
     const MOCK_PLAYER_ID = 'test-player-id';
     const MOCK_SESSION_ID = 'test-session-id';
@@ -837,12 +1068,25 @@ describe('Network', () => {
       expect(disconnectSpy).toHaveBeenCalled();
     });
 
-    it('should delete session record and broadcast session_terminated when the host leaves', async () => {
+    it('should delete session record and broadcast session_terminated when the host leaves alone', async () => {
       network.isHost = true;
       const deleteMock = jest.fn().mockReturnValue({
         eq: jest.fn().mockResolvedValue({ error: null }),
       });
       mockSupabaseClient.from = jest.fn((table) => {
+        if (table === 'session_players') {
+          return {
+            select: jest.fn().mockReturnValue({
+              eq: jest.fn().mockResolvedValue({
+                data: [
+                  { player_id: MOCK_PLAYER_ID, is_bot: false, is_connected: true },
+                  { player_id: 'bot-1', is_bot: true, is_connected: true },
+                ],
+                error: null,
+              }),
+            }),
+          };
+        }
         if (table === 'game_sessions') {
           return { delete: deleteMock };
         }
@@ -861,6 +1105,47 @@ describe('Network', () => {
       expect(disconnectSpy).toHaveBeenCalled();
     });
 
+    it('should hand over the session instead of terminating when other humans remain', async () => {
+      network.isHost = true;
+      const playerDeleteMock = jest.fn().mockReturnValue({
+        eq: jest.fn().mockReturnValue({
+          eq: jest.fn().mockResolvedValue({ error: null }),
+        }),
+      });
+      const sessionDeleteMock = jest.fn();
+      mockSupabaseClient.from = jest.fn((table) => {
+        if (table === 'session_players') {
+          return {
+            select: jest.fn().mockReturnValue({
+              eq: jest.fn().mockResolvedValue({
+                data: [
+                  { player_id: MOCK_PLAYER_ID, is_bot: false, is_connected: true, joined_at: '2024-01-01T00:00:00Z' },
+                  { player_id: 'guest-1', is_bot: false, is_connected: true, joined_at: '2024-01-01T00:01:00Z' },
+                ],
+                error: null,
+              }),
+            }),
+            delete: playerDeleteMock,
+          };
+        }
+        if (table === 'game_sessions') {
+          return { delete: sessionDeleteMock };
+        }
+      });
+
+      const sendSpy = jest.spyOn(network, 'send').mockImplementation();
+
+      await network.leaveGame();
+
+      expect(playerDeleteMock).toHaveBeenCalled();
+      expect(sessionDeleteMock).not.toHaveBeenCalled();
+      expect(sendSpy).toHaveBeenCalledWith('host_left', {
+        previous_host_id: MOCK_PLAYER_ID,
+        successor_id: 'guest-1',
+      });
+      expect(sendSpy).not.toHaveBeenCalledWith('session_terminated', expect.anything());
+    });
+
     it('should always call disconnect even if database delete fails', async () => {
       network.isHost = false;
       mockSupabaseClient.from = jest.fn(() => ({
@@ -882,4 +1167,468 @@ describe('Network', () => {
       consoleErrorSpy.mockRestore();
     });
   });
+
+  describe('incoming message checks', () => {
+    let warn;
+    let handler;
+
+    const attack = (from = 'guest-1') => network._handleRealtimeMessage({
+      type: 'attack_request',
+      from,
+      timestamp: 1,
+      data: { aim_x: 10, aim_y: 10 },
+    });
+
+    beforeEach(() => {
+      network = new Network();
+      network.initialize(mockSupabaseClient, 'test-player-id');
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      handler = jest.fn();
+      network.on('attack_request', handler);
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    it('should drop and count malformed messages', () => {
+      network._handleRealtimeMessage({ type: 'attack_request', from: 'guest-1', data: { aim_x: 'left' } });
+      network._handleRealtimeMessage({ type: 'attack_request', from: 'guest-1', data: null });
+      network._handleRealtimeMessage({ type: 'made_up', from: 'guest-1', data: {} });
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(network.rejectedMessages.invalid).toBe(3);
+      expect(warn).toHaveBeenCalledTimes(1); // Once per sender
+    });
+
+    it('should drop undecodable player state frames', () => {
+      const stateHandler = jest.fn();
+      network.on('player_state_update', stateHandler);
+
+      network._handleRealtimeMessage({
+        type: 'player_state_update',
+        from: 'guest-1',
+        data: { v: PLAYER_STATE_CODEC_VERSION, u: [null] },
+      });
+
+      expect(stateHandler).not.toHaveBeenCalled();
+      expect(network.rejectedMessages.invalid).toBe(1);
+    });
+
+    it('should rate limit each sender on the host', () => {
+      network.isHost = true;
+      const { BURST } = CONFIG.NETWORK.RATE_LIMITS.attack_request;
+
+      for (let i = 0; i < BURST + 5; i++) attack();
+      attack('guest-2');
+
+      expect(handler).toHaveBeenCalledTimes(BURST + 1);
+      expect(network.rejectedMessages.rateLimited).toBe(5);
+    });
+
+    it('should not rate limit on clients', () => {
+      const { BURST } = CONFIG.NETWORK.RATE_LIMITS.attack_request;
+
+      for (let i = 0; i < BURST + 5; i++) attack();
+
+      expect(handler).toHaveBeenCalledTimes(BURST + 5);
+    });
+  });
+
+  describe('rate limiting reliable messages', () => {
+    let handler;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      network.channel = { send: jest.fn() };
+      network.connected = true;
+      network.isHost = true;
+      handler = jest.fn();
+      network.on('request_match_state', handler);
+    });
+
+    afterEach(() => {
+      network.disconnect();
+      jest.useRealTimers();
+    });
+
+    const request = (seq) => network._handleRealtimeMessage({
+      type: 'request_match_state',
+      from: 'guest-1',
+      epoch: 'epoch-1',
+      seq,
+      data: { reason: 'join' },
+    });
+    const nacksSent = () => network.channel.send.mock.calls.filter(
+      ([msg]) => msg.payload.type === 'reliable_nack',
+    ).length;
+
+    it('should drop reliable messages over the limit without leaving a gap to NACK', () => {
+      const { BURST } = CONFIG.NETWORK.RATE_LIMITS.request_match_state;
+
+      for (let seq = 1; seq <= BURST + 2; seq++) request(seq);
+      request(BURST + 3);
+      jest.advanceTimersByTime(CONFIG.NETWORK.RELIABLE.GAP_TIMEOUT_MS);
+
+      expect(handler).toHaveBeenCalledTimes(BURST);
+      expect(network.rejectedMessages.rateLimited).toBe(3);
+      expect(nacksSent()).toBe(0);
+    });
+
+    it('should not spend tokens on resends of a message already delivered', () => {
+      const { BURST } = CONFIG.NETWORK.RATE_LIMITS.request_match_state;
+
+      for (let i = 0; i < BURST + 2; i++) request(1);
+      request(2);
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(network.rejectedMessages.rateLimited).toBe(0);
+    });
+  });
+
+  describe('host_migrated', () => {
+    let sessionHostId;
+
+    beforeEach(() => {
+      network = new Network();
+      network.initialize(mockSupabaseClient, 'test-player-id');
+      network.hostId = 'old-host';
+      sessionHostId = 'guest-1';
+      jest.spyOn(network.sessionManager, 'getHostId').mockImplementation(async () => sessionHostId);
+    });
+
+    const receive = async (from, newHostId) => {
+      network._handleRealtimeMessage({
+        type: 'host_migrated',
+        from,
+        data: { previous_host_id: 'old-host', new_host_id: newHostId },
+      });
+      await Promise.resolve(); // getHostId
+      await Promise.resolve();
+    };
+
+    it('should follow the new host announced by the successor', async () => {
+      await receive('guest-1', 'guest-1');
+
+      expect(network.hostId).toBe('guest-1');
+      expect(network.isHost).toBe(false);
+    });
+
+    it('should become host when it is the announced successor', async () => {
+      sessionHostId = 'test-player-id';
+
+      await receive('test-player-id', 'test-player-id');
+
+      expect(network.hostId).toBe('test-player-id');
+      expect(network.isHost).toBe(true);
+    });
+
+    it('should follow a handover announced by the current host', async () => {
+      await receive('old-host', 'guest-1');
+
+      expect(network.hostId).toBe('guest-1');
+    });
+
+    it('should ignore a guest naming itself host while the current host is still here', async () => {
+      const handler = jest.fn();
+      network.on('host_migrated', handler);
+      sessionHostId = 'old-host';
+
+      await receive('guest-1', 'guest-1');
+
+      expect(network.hostId).toBe('old-host');
+      expect(handler).not.toHaveBeenCalled();
+      expect(network.rejectedMessages.invalid).toBe(1);
+    });
+
+    it('should ignore a guest naming someone else host', async () => {
+      await receive('guest-2', 'guest-1');
+
+      expect(network.hostId).toBe('old-host');
+      expect(network.sessionManager.getHostId).not.toHaveBeenCalled();
+      expect(network.rejectedMessages.invalid).toBe(1);
+    });
+  });
+
+  describe('reconnection', () => {
+    const { INITIAL_DELAY_MS, MAX_DELAY_MS, MAX_ATTEMPTS } = CONFIG.NETWORK.RECONNECT;
+    let channels;
+    let transport;
+
+    // Each channel records its status callback; `answer` is what subscribe reports right away
+    const createTransport = (answer = () => 'SUBSCRIBED') => ({
+      channel: jest.fn((name) => {
+        const channel = {
+          name,
+          on: jest.fn().mockReturnThis(),
+          send: jest.fn().mockResolvedValue('ok'),
+          subscribe: jest.fn((callback) => {
+            channel.status = callback;
+            const status = answer(channels.length);
+            if (status) callback(status);
+            return channel;
+          }),
+        };
+        channels.push(channel);
+        return channel;
+      }),
+      removeChannel: jest.fn(),
+    });
+
+    beforeEach(async () => {
+      jest.useFakeTimers();
+      channels = [];
+      transport = createTransport();
+      network = new Network();
+      network.initialize(mockSupabaseClient, 'test-player-id', transport);
+      await network._subscribeToChannel('game_session:ABC123');
+    });
+
+    afterEach(() => {
+      network.disconnect();
+      jest.useRealTimers();
+    });
+
+    test('WhenChannelDropsAfterSubscribing_ShouldResubscribeAfterBackoff', async () => {
+      const lost = jest.fn();
+      const reconnected = jest.fn();
+      network.on('connection_lost', lost);
+      network.on('reconnected', reconnected);
+
+      channels[0].status('CHANNEL_ERROR');
+
+      expect(network.connected).toBe(false);
+      expect(lost).toHaveBeenCalledWith({ status: 'CHANNEL_ERROR' });
+      expect(channels).toHaveLength(1);
+
+      await jest.advanceTimersByTimeAsync(INITIAL_DELAY_MS);
+
+      expect(channels).toHaveLength(2);
+      expect(channels[1].name).toBe('game_session:ABC123');
+      expect(transport.removeChannel).toHaveBeenCalledWith(channels[0]);
+      expect(network.connected).toBe(true);
+      expect(reconnected).toHaveBeenCalledWith({ attempts: 1 });
+    });
+
+    test('WhenReconnectAttemptsFail_ShouldDoubleTheDelayBetweenAttempts', async () => {
+      network.transport = createTransport(() => 'TIMED_OUT');
+      channels[0].status('CLOSED');
+
+      await jest.advanceTimersByTimeAsync(INITIAL_DELAY_MS);
+      expect(channels).toHaveLength(2);
+
+      await jest.advanceTimersByTimeAsync(INITIAL_DELAY_MS * 2 - 1);
+      expect(channels).toHaveLength(2);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(channels).toHaveLength(3);
+    });
+
+    test('WhenEveryAttemptFails_ShouldGiveUpAndEmitReconnectFailed', async () => {
+      const failed = jest.fn();
+      network.on('reconnect_failed', failed);
+      network.transport = createTransport(() => 'CHANNEL_ERROR');
+      channels[0].status('TIMED_OUT');
+
+      await jest.advanceTimersByTimeAsync(MAX_DELAY_MS * MAX_ATTEMPTS);
+
+      expect(channels).toHaveLength(1 + MAX_ATTEMPTS);
+      expect(failed).toHaveBeenCalledWith({ attempts: MAX_ATTEMPTS });
+      expect(network.connected).toBe(false);
+    });
+
+    test('WhenDropRepeatsWhileReconnecting_ShouldNotStartSecondRetryLoop', async () => {
+      const lost = jest.fn();
+      network.on('connection_lost', lost);
+
+      channels[0].status('CHANNEL_ERROR');
+      channels[0].status('CLOSED');
+      await jest.advanceTimersByTimeAsync(INITIAL_DELAY_MS);
+
+      expect(lost).toHaveBeenCalledTimes(1);
+      expect(channels).toHaveLength(2);
+    });
+
+    test('WhenDisconnecting_ShouldNotTreatClosedChannelAsDrop', async () => {
+      const lost = jest.fn();
+      network.on('connection_lost', lost);
+      const channel = channels[0];
+
+      network.disconnect();
+      channel.status('CLOSED');
+      await jest.advanceTimersByTimeAsync(MAX_DELAY_MS);
+
+      expect(lost).not.toHaveBeenCalled();
+      expect(channels).toHaveLength(1);
+    });
+
+    test('WhenDisconnectingWhileReconnecting_ShouldCancelRetries', async () => {
+      channels[0].status('CHANNEL_ERROR');
+
+      network.disconnect();
+      await jest.advanceTimersByTimeAsync(MAX_DELAY_MS);
+
+      expect(channels).toHaveLength(1);
+    });
+
+    test('WhenInitialSubscribeFails_ShouldRejectWithoutRetrying', async () => {
+      network.disconnect();
+      network.transport = createTransport(() => 'CHANNEL_ERROR');
+
+      await expect(network._subscribeToChannel('game_session:XYZ789')).rejects.toThrow('CHANNEL_ERROR');
+      await jest.advanceTimersByTimeAsync(MAX_DELAY_MS);
+
+      expect(channels).toHaveLength(2);
+    });
+  });
+
+  describe('requestMatchState', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      network = new Network();
+      network.initialize(mockSupabaseClient, 'test-player-id');
+      network.channel = { send: jest.fn() };
+      network.connected = true;
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const matchState = (target) => ({ type: 'match_state', from: MOCK_HOST_ID, data: { target_player_id: target } });
+
+    it('should ask the host and resolve with the match_state addressed to us', async () => {
+      const pending = network.requestMatchState('join');
+
+      const [request] = network.channel.send.mock.calls.map(([msg]) => msg.payload);
+      expect(request).toEqual(expect.objectContaining({ type: 'request_match_state', data: { reason: 'join' } }));
+
+      network.emit('match_state', matchState('someone-else'));
+      network.emit('match_state', matchState('test-player-id'));
+
+      await expect(pending).resolves.toEqual(matchState('test-player-id'));
+      expect(network.events.match_state).toHaveLength(0);
+    });
+
+    it('should resolve with null when the host does not answer in time', async () => {
+      const pending = network.requestMatchState('reconnect', 1000);
+
+      jest.advanceTimersByTime(1000);
+
+      await expect(pending).resolves.toBeNull();
+      expect(network.events.match_state).toHaveLength(0);
+    });
+  });
+
+  describe('syncClock', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      network = new Network();
+      network.initialize(mockSupabaseClient, 'test-player-id');
+      network.channel = { send: jest.fn() };
+      network.connected = true;
+    });
+
+    afterEach(() => {
+      network.disconnect();
+      jest.useRealTimers();
+    });
+
+    it('should start pinging and resolve once the host has answered', async () => {
+      const synced = network.syncClock(1000);
+      jest.advanceTimersByTime(0); // First ping of the burst
+
+      const [ping] = network.channel.send.mock.calls.map(([msg]) => msg.payload);
+      expect(ping.type).toBe('time_sync_ping');
+
+      network.emit('time_sync_pong', {
+        from: MOCK_HOST_ID,
+        data: { target_player_id: 'test-player-id', client_time: Date.now(), host_time: Date.now() + 5000 },
+      });
+
+      await expect(synced).resolves.toBe(true);
+      expect(network.hostNow()).toBe(Date.now() + 5000);
+    });
+
+    it('should resolve false when the host does not answer in time', async () => {
+      const synced = network.syncClock(1000);
+
+      jest.advanceTimersByTime(1000);
+
+      await expect(synced).resolves.toBe(false);
+    });
+  });
+
+  describe('interest management', () => {
+    beforeEach(() => {
+      network = new Network();
+      network.initialize(mockSupabaseClient, 'test-player-id');
+      network.channel = { send: jest.fn().mockResolvedValue('ok') };
+      network.connected = true;
+
+      const players = new Map([
+        ['test-player-id', { player_id: 'test-player-id', position_x: 100, position_y: 100, health: 100 }],
+        ['bot-far', { player_id: 'bot-far', position_x: 2300, position_y: 1500, health: 100 }],
+      ]);
+      network.startInterestManagement({ getPlayers: () => players });
+    });
+
+    const bot = (id, x, y) => ({ player_id: id, position_x: x, position_y: y, velocity_x: 1, velocity_y: 0 });
+    const sentIds = () => network.channel.send.mock.calls
+      .map(([msg]) => decodePlayerStateUpdate(msg.payload.data).map(update => update.player_id));
+
+    it('should hold back delta updates of players nobody can see but still apply them locally', () => {
+      const local = jest.fn();
+      network.on('player_state_update', local);
+
+      network.broadcastPlayerStateUpdate([bot('bot-far', 2300, 1500)], { delta: true });
+      network.broadcastPlayerStateUpdate([bot('bot-far', 2301, 1500), bot('test-player-id', 2200, 1450)], { delta: true }); // Right next to the bot
+
+      expect(sentIds()).toEqual([['bot-far'], ['test-player-id']]);
+      expect(local).toHaveBeenCalledTimes(2);
+      expect(local.mock.calls[1][0].data).toHaveLength(2);
+    });
+
+    it('should always send one-off updates', () => {
+      network.broadcastPlayerStateUpdate([{ player_id: 'bot-far', health: 50 }]);
+      network.broadcastPlayerStateUpdate([{ player_id: 'bot-far', health: 40 }]);
+
+      expect(sentIds()).toEqual([['bot-far'], ['bot-far']]);
+    });
+
+    it('should stop tiering on disconnect', () => {
+      network.disconnect();
+
+      expect(network.interestManager.playersSnapshot).toBeNull();
+    });
+  });
+
+  describe('traffic stats', () => {
+    beforeEach(() => {
+      network = new Network();
+      network.initialize(mockSupabaseClient, 'test-player-id');
+      network.connected = true;
+    });
+
+    it('should count sent and received messages by type', () => {
+      network.channel = { send: jest.fn().mockResolvedValue('ok') };
+
+      network.send('heartbeat', {});
+      network._handleRealtimeMessage({ type: 'attack_request', from: 'guest-1', timestamp: 1, data: { aim_x: 1, aim_y: 1 } });
+
+      expect(network.stats.getRates('out').byType.heartbeat).toBeGreaterThan(0);
+      expect(network.stats.getRates('in').byType.attack_request).toBeGreaterThan(0);
+      expect(network.stats.getRates('in').bytesPerSecond).toBeGreaterThan(0);
+    });
+
+    it('should count sends the server did not acknowledge', async () => {
+      network.channel = { send: jest.fn().mockResolvedValueOnce('timed out').mockRejectedValueOnce(new Error('closed')) };
+
+      network.send('heartbeat', {});
+      network.send('heartbeat', {});
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(network.stats.failedSends).toBe(2);
+    });
+  });
 });
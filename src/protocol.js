@@ -0,0 +1,66 @@
+/**
+ * Protocol Compatibility
+ * Lets a host and its clients check that they run compatible builds before playing together.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Bump whenever a message format, the player state codec or the session tables change
+ * in a way older builds cannot handle.
+ */
+export const PROTOCOL_VERSION = 2; // 2: session_players changes arrive as session channel broadcasts
+
+export const INCOMPATIBLE_VERSION_MESSAGE =
+  'This game is running a different version. Please refresh the page to update.';
+
+/**
+ * JSON with object keys sorted, so equal content always serializes the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Short hash of the gameplay content both sides must agree on (weapon and armor IDs and stats)
+ * @returns {string} 8 hex characters (32-bit FNV-1a)
+ */
+export function computeContentHash(weapons = CONFIG.WEAPONS, armor = CONFIG.ARMOR) {
+  const text = stableStringify({ weapons, armor });
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Taken once at load: DebugUI tweaks to CONFIG.WEAPONS must not make this build incompatible with itself
+const CONTENT_HASH = computeContentHash();
+
+/**
+ * What this build writes to game_sessions / session_players
+ * @returns {{ protocol_version: number, content_hash: string }}
+ */
+export function getLocalCompatibility() {
+  return { protocol_version: PROTOCOL_VERSION, content_hash: CONTENT_HASH };
+}
+
+/**
+ * @param {Object} record - A game_sessions or session_players row
+ * @returns {string|null} Why the record's build can't play with ours, or null if compatible
+ */
+export function getIncompatibilityReason(record) {
+  if (record?.protocol_version !== PROTOCOL_VERSION) {
+    return `protocol version ${record?.protocol_version ?? 'unknown'} (expected ${PROTOCOL_VERSION})`;
+  }
+  if (record.content_hash !== CONTENT_HASH) {
+    return `content hash ${record.content_hash ?? 'unknown'} (expected ${CONTENT_HASH})`;
+  }
+  return null;
+}
@@ -0,0 +1,47 @@
+import { CONFIG } from './config.js';
+import {
+  PROTOCOL_VERSION,
+  computeContentHash,
+  getLocalCompatibility,
+  getIncompatibilityReason,
+} from './protocol.js';
+
+describe('protocol', () => {
+  test('WhenContentIsEqual_ShouldHashTheSameRegardlessOfKeyOrder', () => {
+    const weapons = { SPEAR: { id: 'spear', baseDamage: 10 } };
+    const reordered = { SPEAR: { baseDamage: 10, id: 'spear' } };
+
+    expect(computeContentHash(weapons, {})).toBe(computeContentHash(reordered, {}));
+    expect(computeContentHash(weapons, {})).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  test('WhenWeaponStatsChange_ShouldChangeHash', () => {
+    const changed = JSON.parse(JSON.stringify(CONFIG.WEAPONS));
+    const firstKey = Object.keys(changed)[0];
+    changed[firstKey].baseDamage += 1;
+
+    expect(computeContentHash(changed, CONFIG.ARMOR)).not.toBe(computeContentHash());
+  });
+
+  test('WhenRecordMatchesThisBuild_ShouldBeCompatible', () => {
+    expect(getIncompatibilityReason(getLocalCompatibility())).toBeNull();
+  });
+
+  test('WhenVersionOrHashDiffers_ShouldExplainWhy', () => {
+    const local = getLocalCompatibility();
+
+    expect(getIncompatibilityReason({ ...local, protocol_version: PROTOCOL_VERSION + 1 })).toMatch(/protocol version/);
+    expect(getIncompatibilityReason({ ...local, content_hash: '00000000' })).toMatch(/content hash/);
+    expect(getIncompatibilityReason({})).toMatch(/protocol version unknown/);
+  });
+
+  test('WhenConfigIsTweakedAtRuntime_ShouldKeepShippedHash', () => {
+    const firstKey = Object.keys(CONFIG.WEAPONS)[0];
+    const original = CONFIG.WEAPONS[firstKey].range;
+    CONFIG.WEAPONS[firstKey].range = original + 50; // e.g. DebugUI
+
+    expect(getIncompatibilityReason(getLocalCompatibility())).toBeNull();
+    expect(getLocalCompatibility().content_hash).not.toBe(computeContentHash());
+    CONFIG.WEAPONS[firstKey].range = original;
+  });
+});
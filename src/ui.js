@@ -5,6 +5,17 @@
 
 import { CONFIG } from './config.js';
 
+/**
+ * How many guests (humans other than the host) have readied up. The host is always ready.
+ * @param {Array} players
+ * @returns {{ readyCount: number, guestCount: number, allReady: boolean }}
+ */
+export function getLobbyReadiness(players) {
+  const guests = players.filter(player => !player.is_host && !player.is_bot);
+  const readyCount = guests.filter(player => player.is_ready).length;
+  return { readyCount, guestCount: guests.length, allReady: readyCount === guests.length };
+}
+
 export class UI {
   constructor() {
     this.screens = {
@@ -54,12 +65,19 @@ export class UI {
     }
   }
 
-  updatePlayerList(players, isHost) {
-    this.renderPlayerList(players);
-    this.updateStartButton(players, isHost);
+  /**
+   * @param {Array} players
+   * @param {boolean} isHost
+   * @param {Object} [moderation] - Host only: { isMuted(playerId), setMuted(playerId, muted),
+   *   kick(playerId), ban(playerId), makeHost(playerId) }
+   * @param {number} [botFill] - The bot_fill match setting
+   */
+  updatePlayerList(players, isHost, moderation = null, botFill = CONFIG.GAME.MIN_PLAYERS) {
+    this.renderPlayerList(players, isHost ? moderation : null);
+    this.updateStartButton(players, isHost, botFill);
   }
 
-  renderPlayerList(players) {
+  renderPlayerList(players, moderation = null) {
     const playerList = document.getElementById('player-list');
     if (!playerList) return;
 
@@ -67,12 +85,76 @@ export class UI {
     players.forEach(player => {
       const li = document.createElement('li');
       li.textContent = player.player_name + (player.is_host ? ' (Host)' : '');
+
+      if (!player.is_host && !player.is_bot) {
+        const readyBadge = document.createElement('span');
+        readyBadge.className = player.is_ready ? 'ready-badge ready' : 'ready-badge';
+        readyBadge.textContent = player.is_ready ? 'Ready' : 'Not Ready';
+        li.appendChild(readyBadge);
+      }
+
+      // The host manages the other humans; bots only live for a match
+      if (moderation && !player.is_host && !player.is_bot) {
+        const actions = document.createElement('span');
+        actions.className = 'player-actions';
+        const muted = moderation.isMuted(player.player_id);
+        this.appendPlayerAction(actions, 'mute-btn', muted ? 'Unmute' : 'Mute', () => moderation.setMuted(player.player_id, !muted));
+        this.appendPlayerAction(actions, 'kick-btn', 'Kick', () => moderation.kick(player.player_id));
+        this.appendPlayerAction(actions, 'ban-btn', 'Ban', () => moderation.ban(player.player_id));
+        this.appendPlayerAction(actions, 'make-host-btn', 'Make Host', () => moderation.makeHost(player.player_id));
+        li.appendChild(actions);
+      }
+
       playerList.appendChild(li);
     });
   }
 
-  updateStartButton(players, isHost) {
+  appendPlayerAction(parent, className, label, onClick) {
+    const button = document.createElement('button');
+    button.className = `player-action-btn ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    parent.appendChild(button);
+  }
+
+  /**
+   * Show chat in the lobby panel and, trimmed to the last CHAT.COMPACT_LINES, on the game screen
+   * @param {Array} messages - ChatManager messages, oldest first
+   */
+  renderChat(messages) {
+    this.renderChatLog(document.getElementById('lobby-chat-log'), messages);
+    this.renderChatLog(document.getElementById('game-chat-log'), messages.slice(-CONFIG.CHAT.COMPACT_LINES));
+  }
+
+  renderChatLog(log, messages) {
+    if (!log) return;
+
+    // Text only: chat comes from other players
+    log.innerHTML = '';
+    messages.forEach(message => {
+      const line = document.createElement('li');
+      if (message.system) {
+        line.className = 'chat-system';
+        line.textContent = message.text;
+      } else {
+        const name = document.createElement('span');
+        name.className = 'chat-name';
+        name.textContent = `${message.name}: `;
+        line.appendChild(name);
+        line.appendChild(document.createTextNode(message.text));
+      }
+      log.appendChild(line);
+    });
+    log.scrollTop = log.scrollHeight;
+  }
+
+  clearChat() {
+    this.renderChat([]);
+  }
+
+  updateStartButton(players, isHost, botFill = CONFIG.GAME.MIN_PLAYERS) {
     const startBtn = document.getElementById('start-game-btn');
+    const forceStartBtn = document.getElementById('force-start-btn');
     const waitingMsg = document.getElementById('waiting-msg');
     const botFillMsg = document.getElementById('bot-fill-msg');
 
@@ -81,24 +163,139 @@ export class UI {
     if (isHost) {
       startBtn.classList.remove('hidden');
       waitingMsg.classList.add('hidden');
-      
+
       // Update button text with bot count
-      const minPlayers = CONFIG.GAME.MIN_PLAYERS || 4;
-      if (players.length < minPlayers) {
-        const botsNeeded = minPlayers - players.length;
-        startBtn.textContent = `Start Game (+${botsNeeded} Bots)`;
-        if (botFillMsg) botFillMsg.classList.remove('hidden');
-      } else {
-        startBtn.textContent = 'Start Game';
-        if (botFillMsg) botFillMsg.classList.add('hidden');
+      const botsNeeded = Math.max(0, botFill - players.length);
+      const startLabel = botsNeeded > 0 ? `Start Game (+${botsNeeded} Bots)` : 'Start Game';
+      if (botFillMsg) {
+        botFillMsg.textContent = `Lobby auto-fills to ${botFill} players with bots.`;
+        botFillMsg.classList.toggle('hidden', botsNeeded === 0);
       }
+
+      // Start waits for every guest to ready up; Force Start doesn't
+      const { readyCount, guestCount, allReady } = getLobbyReadiness(players);
+      startBtn.disabled = !allReady;
+      startBtn.textContent = allReady ? startLabel : `Waiting for Ready (${readyCount}/${guestCount})`;
+      if (forceStartBtn) forceStartBtn.classList.toggle('hidden', allReady);
     } else {
       startBtn.classList.add('hidden');
+      if (forceStartBtn) forceStartBtn.classList.add('hidden');
       waitingMsg.classList.remove('hidden');
       if (botFillMsg) botFillMsg.classList.add('hidden');
     }
   }
 
+  /**
+   * Show the match settings; only the host can edit them. Updates the inputs in place (the lobby
+   * re-renders every second) and leaves the focused one alone.
+   * @param {Object} settings - Complete settings (see MatchSettings.js)
+   * @param {boolean} isHost
+   */
+  renderMatchSettings(settings, isHost) {
+    const form = document.getElementById('match-settings-form');
+    if (!form) return;
+
+    const weapons = document.getElementById('setting-weapons');
+    if (weapons && !weapons.querySelector('input')) {
+      Object.values(CONFIG.WEAPONS).filter(weapon => weapon.id !== 'fist').forEach(weapon => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = weapon.id;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${weapon.name}`));
+        weapons.appendChild(label);
+      });
+    }
+
+    const setValue = (id, value) => {
+      const input = document.getElementById(id);
+      if (input && input !== document.activeElement) input.value = String(value); // Host may be typing
+    };
+    setValue('setting-max-players', settings.max_players);
+    setValue('setting-bot-fill', settings.bot_fill);
+    setValue('setting-bot-difficulty', settings.bot_difficulty);
+    setValue('setting-loot-density', settings.loot_density);
+    setValue('setting-zone-speed', settings.zone_speed);
+    const isPublic = document.getElementById('setting-public');
+    if (isPublic) isPublic.checked = settings.is_public;
+    weapons?.querySelectorAll('input').forEach(checkbox => {
+      checkbox.checked = settings.allowed_weapons.includes(checkbox.value);
+    });
+
+    form.querySelectorAll('input, select').forEach(input => {
+      input.disabled = !isHost;
+    });
+  }
+
+  /**
+   * The host's edits from the settings form, for MatchSettings.update
+   * @returns {Object}
+   */
+  readMatchSettings() {
+    const value = (id) => document.getElementById(id)?.value;
+    return {
+      max_players: parseInt(value('setting-max-players'), 10),
+      bot_fill: parseInt(value('setting-bot-fill'), 10),
+      bot_difficulty: value('setting-bot-difficulty'),
+      loot_density: value('setting-loot-density'),
+      zone_speed: value('setting-zone-speed'),
+      allowed_weapons: Array.from(document.querySelectorAll('#setting-weapons input:checked'), checkbox => checkbox.value),
+      is_public: Boolean(document.getElementById('setting-public')?.checked),
+    };
+  }
+
+  /**
+   * Public sessions on the intro screen
+   * @param {Array} sessions - SessionManager.listPublicSessions rows
+   * @param {Function} onJoin - Called with the join code of the chosen session
+   */
+  renderSessionList(sessions, onJoin) {
+    const list = document.getElementById('session-list');
+    const emptyMsg = document.getElementById('session-list-empty');
+    if (!list) return;
+
+    // Text only: host names come from other players
+    list.innerHTML = '';
+    sessions.forEach(session => {
+      const li = document.createElement('li');
+
+      const name = document.createElement('span');
+      name.className = 'session-host';
+      name.textContent = session.host_name ? `${session.host_name}'s game` : 'Public game';
+      li.appendChild(name);
+
+      const details = document.createElement('span');
+      details.className = 'session-details';
+      const status = session.status === 'active' ? 'In progress' : 'In lobby';
+      details.textContent = `${session.player_count}/${session.max_players} · ${status}`;
+      li.appendChild(details);
+
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'small-btn session-join-btn';
+      joinBtn.textContent = 'Join';
+      joinBtn.addEventListener('click', () => onJoin(session.join_code));
+      li.appendChild(joinBtn);
+
+      list.appendChild(li);
+    });
+    if (emptyMsg) emptyMsg.classList.toggle('hidden', sessions.length > 0);
+  }
+
+  /**
+   * Guests toggle their ready flag with this button; the host has none
+   * @param {boolean} visible
+   * @param {boolean} isReady - The local player's current flag
+   */
+  updateReadyButton(visible, isReady) {
+    const readyBtn = document.getElementById('ready-btn');
+    if (!readyBtn) return;
+
+    readyBtn.classList.toggle('hidden', !visible);
+    readyBtn.classList.toggle('ready', isReady);
+    readyBtn.textContent = isReady ? 'Cancel Ready' : 'Ready';
+  }
+
   showLobby(title = 'Game Lobby', summary = null) {
     const titleElement = document.getElementById('lobby-title');
     const summaryContainer = document.getElementById('match-summary-container');
@@ -189,6 +386,17 @@ export class UI {
     }
   }
 
+  showReconnecting(show) {
+    const overlay = document.getElementById('reconnecting-overlay');
+    if (overlay) {
+      if (show) {
+        overlay.classList.remove('hidden');
+      } else {
+        overlay.classList.add('hidden');
+      }
+    }
+  }
+
   updateActionButtons(weapon) {
     const attackBtn = document.getElementById('attack-button');
     const abilityBtn = document.getElementById('ability-button');
@@ -5,6 +5,8 @@
 
 import { jest } from '@jest/globals';
 import { UI } from './ui.js';
+import { CONFIG } from './config.js';
+import { getDefaultMatchSettings } from './MatchSettings.js';
 
 describe('UI', () => {
   let ui;
@@ -21,11 +23,16 @@ describe('UI', () => {
       </div>
       <div id="join-code"></div>
       <ul id="player-list"></ul>
+      <ul id="lobby-chat-log"></ul>
+      <ul id="game-chat-log"></ul>
       <button id="start-game-btn" class="hidden"></button>
+      <button id="force-start-btn" class="hidden"></button>
+      <button id="ready-btn" class="hidden"></button>
       <p id="waiting-msg"></p>
       <div id="health-bar" style="width: 100%;"></div>
       <div id="equipment-display"></div>
       <div id="zone-warning" class="hidden"></div>
+      <div id="reconnecting-overlay" class="hidden"></div>
       <div id="spectator-controls" class="hidden">
         <span id="spectating-name"></span>
       </div>
@@ -134,6 +141,218 @@ describe('UI', () => {
       expect(startBtn.classList.contains('hidden')).toBe(true);
       expect(waitingMsg.classList.contains('hidden')).toBe(false);
     });
+
+    test('WhenGuestsAreListed_ShouldShowTheirReadyState', () => {
+      ui.updatePlayerList([
+        { player_name: 'Host', is_host: true },
+        { player_name: 'Player 1', is_ready: true },
+        { player_name: 'Player 2', is_ready: false },
+      ], false);
+
+      const items = document.getElementById('player-list').children;
+      expect(items[0].querySelector('.ready-badge')).toBeNull();
+      expect(items[1].textContent).toBe('Player 1Ready');
+      expect(items[2].textContent).toBe('Player 2Not Ready');
+    });
+
+    test('WhenGuestsAreNotAllReady_ShouldDisableStartAndOfferForceStart', () => {
+      ui.updatePlayerList([
+        { player_name: 'Host', is_host: true },
+        { player_name: 'Player 1', is_ready: true },
+        { player_name: 'Player 2', is_ready: false },
+      ], true);
+
+      const startBtn = document.getElementById('start-game-btn');
+      expect(startBtn.disabled).toBe(true);
+      expect(startBtn.textContent).toBe('Waiting for Ready (1/2)');
+      expect(document.getElementById('force-start-btn').classList.contains('hidden')).toBe(false);
+    });
+
+    test('WhenAllGuestsAreReady_ShouldEnableStartAndHideForceStart', () => {
+      ui.updatePlayerList([
+        { player_name: 'Host', is_host: true },
+        { player_name: 'Player 1', is_ready: true },
+      ], true);
+
+      const startBtn = document.getElementById('start-game-btn');
+      expect(startBtn.disabled).toBe(false);
+      expect(startBtn.textContent).toBe('Start Game (+2 Bots)');
+      expect(document.getElementById('force-start-btn').classList.contains('hidden')).toBe(true);
+    });
+
+    test('WhenBotFillIsSet_ShouldCountBotsFromIt', () => {
+      ui.updatePlayerList([{ player_name: 'Host', is_host: true }], true, null, 6);
+
+      expect(document.getElementById('start-game-btn').textContent).toBe('Start Game (+5 Bots)');
+    });
+
+    test('WhenHostModerates_ShouldOfferMuteForHumanNonHostPlayers', () => {
+      const moderation = { isMuted: jest.fn(id => id === 'p2'), setMuted: jest.fn(), kick: jest.fn(), ban: jest.fn(), makeHost: jest.fn() };
+      const players = [
+        { player_id: 'host', player_name: 'Host', is_host: true },
+        { player_id: 'p1', player_name: 'Player 1' },
+        { player_id: 'p2', player_name: 'Player 2' },
+        { player_id: 'bot', player_name: 'Bot-1', is_bot: true },
+      ];
+      ui.updatePlayerList(players, true, moderation);
+
+      const buttons = document.querySelectorAll('#player-list .mute-btn');
+      expect(Array.from(buttons).map(button => button.textContent)).toEqual(['Mute', 'Unmute']);
+
+      buttons[1].click();
+      expect(moderation.setMuted).toHaveBeenCalledWith('p2', false);
+    });
+
+    test('WhenHostModerates_ShouldOfferKickBanAndMakeHost', () => {
+      const moderation = { isMuted: jest.fn(() => false), setMuted: jest.fn(), kick: jest.fn(), ban: jest.fn(), makeHost: jest.fn() };
+      ui.updatePlayerList([{ player_id: 'host', player_name: 'Host', is_host: true }, { player_id: 'p1', player_name: 'Player 1' }], true, moderation);
+
+      document.querySelector('#player-list .kick-btn').click();
+      document.querySelector('#player-list .ban-btn').click();
+      document.querySelector('#player-list .make-host-btn').click();
+
+      expect(document.querySelectorAll('#player-list .kick-btn')).toHaveLength(1);
+      expect(moderation.kick).toHaveBeenCalledWith('p1');
+      expect(moderation.ban).toHaveBeenCalledWith('p1');
+      expect(moderation.makeHost).toHaveBeenCalledWith('p1');
+    });
+
+    test('WhenNotHost_ShouldNotOfferPlayerActions', () => {
+      const moderation = { isMuted: jest.fn(() => false), setMuted: jest.fn(), kick: jest.fn(), ban: jest.fn(), makeHost: jest.fn() };
+      ui.updatePlayerList([{ player_id: 'p1', player_name: 'Player 1' }], false, moderation);
+
+      expect(document.querySelectorAll('#player-list .player-action-btn')).toHaveLength(0);
+    });
+  });
+
+  describe('match settings', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', `
+        <form id="match-settings-form">
+          <input type="number" id="setting-max-players" />
+          <input type="number" id="setting-bot-fill" />
+          <select id="setting-bot-difficulty"><option value="easy"></option><option value="normal"></option><option value="hard"></option></select>
+          <select id="setting-loot-density"><option value="low"></option><option value="normal"></option><option value="high"></option></select>
+          <select id="setting-zone-speed"><option value="slow"></option><option value="normal"></option><option value="fast"></option></select>
+          <fieldset id="setting-weapons"></fieldset>
+          <input type="checkbox" id="setting-public" />
+        </form>
+      `);
+    });
+
+    test('WhenRendered_ShouldShowValuesAndOneCheckboxPerLootWeapon', () => {
+      const settings = { ...getDefaultMatchSettings(), max_players: 8, zone_speed: 'fast', allowed_weapons: ['spear'] };
+      ui.renderMatchSettings(settings, true);
+      ui.renderMatchSettings(settings, true);
+
+      expect(document.getElementById('setting-max-players').value).toBe('8');
+      expect(document.getElementById('setting-zone-speed').value).toBe('fast');
+      const checkboxes = document.querySelectorAll('#setting-weapons input');
+      expect(checkboxes).toHaveLength(Object.keys(CONFIG.WEAPONS).length - 1); // No fists
+      expect(Array.from(checkboxes).filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)).toEqual(['spear']);
+    });
+
+    test('WhenNotHost_ShouldDisableTheInputs', () => {
+      ui.renderMatchSettings(getDefaultMatchSettings(), false);
+
+      const inputs = document.querySelectorAll('#match-settings-form input, #match-settings-form select');
+      expect(Array.from(inputs).every(input => input.disabled)).toBe(true);
+    });
+
+    test('WhenHostIsEditingAField_ShouldNotOverwriteIt', () => {
+      const maxPlayers = document.getElementById('setting-max-players');
+      maxPlayers.focus();
+      maxPlayers.value = '1';
+
+      ui.renderMatchSettings(getDefaultMatchSettings(), true);
+
+      expect(maxPlayers.value).toBe('1');
+    });
+
+    test('WhenRead_ShouldReturnTheFormValues', () => {
+      const settings = { ...getDefaultMatchSettings(), bot_fill: 3, bot_difficulty: 'hard', loot_density: 'low', allowed_weapons: ['bo', 'spear'], is_public: true };
+      ui.renderMatchSettings(settings, true);
+
+      expect(ui.readMatchSettings()).toEqual({ ...settings, allowed_weapons: ['spear', 'bo'] });
+    });
+  });
+
+  describe('renderSessionList', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', '<ul id="session-list"></ul><p id="session-list-empty"></p>');
+    });
+
+    test('WhenSessionsProvided_ShouldListThemWithJoinButtons', () => {
+      const onJoin = jest.fn();
+      ui.renderSessionList([
+        { join_code: 'ABC123', host_name: '<b>Host-1</b>', status: 'lobby', player_count: 3, max_players: 8 },
+        { join_code: 'XYZ789', host_name: 'Host-2', status: 'active', player_count: 5, max_players: 12 },
+      ], onJoin);
+
+      const items = document.querySelectorAll('#session-list li');
+      expect(items).toHaveLength(2);
+      expect(items[0].querySelector('.session-host').textContent).toBe("<b>Host-1</b>'s game");
+      expect(items[0].querySelector('.session-details').textContent).toBe('3/8 · In lobby');
+      expect(items[1].querySelector('.session-details').textContent).toBe('5/12 · In progress');
+      expect(document.getElementById('session-list-empty').classList.contains('hidden')).toBe(true);
+
+      items[1].querySelector('.session-join-btn').click();
+      expect(onJoin).toHaveBeenCalledWith('XYZ789');
+    });
+
+    test('WhenNoSessions_ShouldShowTheEmptyMessage', () => {
+      ui.renderSessionList([], jest.fn());
+
+      expect(document.querySelectorAll('#session-list li')).toHaveLength(0);
+      expect(document.getElementById('session-list-empty').classList.contains('hidden')).toBe(false);
+    });
+  });
+
+  describe('updateReadyButton', () => {
+    test('WhenGuestIsReady_ShouldOfferToCancel', () => {
+      ui.updateReadyButton(true, true);
+
+      const readyBtn = document.getElementById('ready-btn');
+      expect(readyBtn.classList.contains('hidden')).toBe(false);
+      expect(readyBtn.textContent).toBe('Cancel Ready');
+    });
+
+    test('WhenHost_ShouldHideIt', () => {
+      ui.updateReadyButton(false, false);
+
+      expect(document.getElementById('ready-btn').classList.contains('hidden')).toBe(true);
+    });
+  });
+
+  describe('renderChat', () => {
+    test('WhenMessageContainsHTML_ShouldRenderItAsText', () => {
+      ui.renderChat([{ id: 1, name: '<b>Eve</b>', text: '<img src=x onerror=alert(1)>', system: false }]);
+
+      const log = document.getElementById('lobby-chat-log');
+      expect(log.querySelector('img')).toBeNull();
+      expect(log.querySelector('b')).toBeNull();
+      expect(log.textContent).toBe('<b>Eve</b>: <img src=x onerror=alert(1)>');
+    });
+
+    test('WhenManyMessages_ShouldShowOnlyTheLastFewInGame', () => {
+      const messages = Array.from({ length: CONFIG.CHAT.COMPACT_LINES + 3 }, (_, i) => (
+        { id: i, name: 'Player', text: `line ${i}`, system: false }
+      ));
+      ui.renderChat(messages);
+
+      expect(document.getElementById('lobby-chat-log').children).toHaveLength(messages.length);
+      const gameLog = document.getElementById('game-chat-log');
+      expect(gameLog.children).toHaveLength(CONFIG.CHAT.COMPACT_LINES);
+      expect(gameLog.lastChild.textContent).toBe(`Player: line ${messages.length - 1}`);
+    });
+
+    test('WhenSystemMessage_ShouldShowItWithoutName', () => {
+      ui.renderChat([{ id: 1, name: null, text: 'You are muted by the host.', system: true }]);
+
+      const line = document.getElementById('lobby-chat-log').firstChild;
+      expect(line.className).toBe('chat-system');
+      expect(line.textContent).toBe('You are muted by the host.');
+    });
   });
 
   describe('showLobby', () => {
@@ -303,6 +522,24 @@ describe('UI', () => {
     });
   });
 
+  describe('showReconnecting', () => {
+    test('WhenShowIsTrue_ShouldRevealOverlay', () => {
+      ui.showReconnecting(true);
+
+      const overlay = document.getElementById('reconnecting-overlay');
+      expect(overlay.classList.contains('hidden')).toBe(false);
+    });
+
+    test('WhenShowIsFalse_ShouldHideOverlay', () => {
+      const overlay = document.getElementById('reconnecting-overlay');
+      overlay.classList.remove('hidden');
+
+      ui.showReconnecting(false);
+
+      expect(overlay.classList.contains('hidden')).toBe(true);
+    });
+  });
+
   describe('updateActionButtons', () => {
     let attackBtn, abilityBtn;
 
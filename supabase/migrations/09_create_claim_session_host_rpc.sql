@@ -0,0 +1,69 @@
+-- Host migration: lets a remaining player take over a session after the host leaves.
+--
+-- The caller may claim the session only if:
+--   1. The current host is gone (no session_players row) or marked disconnected, and
+--   2. The caller is the elected successor: the earliest-joined connected human in the session.
+-- The same election rule runs client-side (SessionManager.electHost) so every client agrees
+-- on who should call this function.
+
+CREATE OR REPLACE FUNCTION public.claim_session_host(p_session_id UUID)
+RETURNS SETOF public.game_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needed to update game_sessions.host_id, which RLS only allows for the current host
+AS $$
+DECLARE
+  v_current_host UUID;
+  v_successor UUID;
+BEGIN
+  SELECT host_id INTO v_current_host
+  FROM public.game_sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF v_current_host IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  -- Already the host (e.g. a retried claim): nothing to do
+  IF v_current_host = auth.uid() THEN
+    RETURN QUERY SELECT * FROM public.game_sessions WHERE id = p_session_id;
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.session_players
+    WHERE session_id = p_session_id
+      AND player_id = v_current_host
+      AND is_connected = TRUE
+  ) THEN
+    RAISE EXCEPTION 'Host is still connected';
+  END IF;
+
+  SELECT player_id INTO v_successor
+  FROM public.session_players
+  WHERE session_id = p_session_id
+    AND player_id <> v_current_host
+    AND is_bot = FALSE
+    AND is_connected = TRUE
+  ORDER BY joined_at ASC, player_id ASC
+  LIMIT 1;
+
+  IF v_successor IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Caller is not the elected successor';
+  END IF;
+
+  UPDATE public.game_sessions
+  SET host_id = auth.uid()
+  WHERE id = p_session_id;
+
+  UPDATE public.session_players
+  SET is_host = (player_id = auth.uid())
+  WHERE session_id = p_session_id;
+
+  RETURN QUERY SELECT * FROM public.game_sessions WHERE id = p_session_id;
+END;
+$$;
+
+-- Grant execution privileges to authenticated users
+-- Note: This includes anonymous sign-ins (which get 'authenticated' role)
+GRANT EXECUTE ON FUNCTION public.claim_session_host(UUID) TO authenticated;
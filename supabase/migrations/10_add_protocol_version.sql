@@ -0,0 +1,40 @@
+-- Protocol compatibility: every session and player row records the build it was created by,
+-- so clients can refuse incompatible sessions and hosts can evict incompatible clients.
+-- Values come from src/protocol.js (PROTOCOL_VERSION and a hash of CONFIG.WEAPONS/ARMOR).
+-- Rows written by older builds keep NULL and are treated as incompatible.
+
+ALTER TABLE game_sessions ADD COLUMN protocol_version INTEGER;
+ALTER TABLE game_sessions ADD COLUMN content_hash VARCHAR(16);
+
+ALTER TABLE session_players ADD COLUMN protocol_version INTEGER;
+ALTER TABLE session_players ADD COLUMN content_hash VARCHAR(16);
+
+-- The join lookup must return the new columns so the client can check them before joining
+CREATE OR REPLACE FUNCTION public.get_session_by_join_code(p_join_code VARCHAR(6))
+RETURNS SETOF public.game_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER -- Runs with the privileges of the function creator (admin), bypassing RLS
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    id,
+    join_code,
+    host_id,
+    status,
+    created_at,
+    started_at,
+    ended_at,
+    max_players,
+    game_phase,
+    conflict_zone_radius,
+    conflict_zone_center_x,
+    conflict_zone_center_y,
+    expires_at,
+    realtime_channel_name,
+    protocol_version,
+    content_hash
+  FROM public.game_sessions
+  WHERE join_code = p_join_code;
+END;
+$$;
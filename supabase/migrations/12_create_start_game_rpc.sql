@@ -0,0 +1,87 @@
+-- Starting a match in one transaction: fill with bots, spawn everyone, reset stats and mark the
+-- session active. Before this, SessionManager.startGame made these changes one request at a time
+-- and a failure halfway left a lobby with bots in it.
+--
+-- The bot fill is the host's bot_fill match setting (16) and the spawn layout comes from the
+-- client's CONFIG (WORLD, PLAYER.SPAWN_RADIUS) so it stays defined in one place. Players are
+-- spread evenly on a circle around the center, in join order. Returns the final roster for the game_start broadcast.
+
+CREATE OR REPLACE FUNCTION public.start_game(
+  p_session_id UUID,
+  p_min_players INTEGER,
+  p_center_x REAL,
+  p_center_y REAL,
+  p_spawn_radius REAL
+)
+RETURNS SETOF public.session_players
+LANGUAGE plpgsql
+SECURITY INVOKER -- The host already may insert bots and update players in their session (06, 08)
+AS $$
+DECLARE
+  v_host_id UUID;
+  v_status VARCHAR(20);
+  v_player_count INTEGER;
+BEGIN
+  SELECT host_id, status INTO v_host_id, v_status
+  FROM public.game_sessions
+  WHERE id = p_session_id
+  FOR UPDATE; -- Serializes concurrent starts of the same session
+
+  IF v_host_id IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF v_host_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Only the host can start the game';
+  END IF;
+
+  IF v_status <> 'lobby' THEN
+    RAISE EXCEPTION 'Game already started';
+  END IF;
+
+  -- 1. Fill up with bots
+  SELECT COUNT(*) INTO v_player_count
+  FROM public.session_players
+  WHERE session_id = p_session_id;
+
+  INSERT INTO public.session_players (session_id, player_id, player_name, is_host, is_bot)
+  SELECT p_session_id, gen_random_uuid(), 'Bot-' || n, FALSE, TRUE
+  FROM generate_series(1, p_min_players - v_player_count) AS n;
+
+  -- 2. Spawn everyone on a circle and reset stats
+  WITH roster AS (
+    SELECT
+      player_id,
+      ROW_NUMBER() OVER (ORDER BY joined_at ASC, player_id ASC) - 1 AS slot,
+      COUNT(*) OVER () AS total
+    FROM public.session_players
+    WHERE session_id = p_session_id
+  )
+  UPDATE public.session_players AS sp
+  SET
+    health = 100,
+    is_alive = TRUE,
+    kills = 0,
+    damage_dealt = 0,
+    position_x = p_center_x + COS(roster.slot * 2 * PI() / roster.total) * p_spawn_radius,
+    position_y = p_center_y + SIN(roster.slot * 2 * PI() / roster.total) * p_spawn_radius,
+    equipped_weapon = 'fist'
+  FROM roster
+  WHERE sp.session_id = p_session_id
+    AND sp.player_id = roster.player_id;
+
+  -- 3. Mark the session started
+  UPDATE public.game_sessions
+  SET status = 'active', started_at = NOW(), game_phase = 'deployment'
+  WHERE id = p_session_id;
+
+  RETURN QUERY
+  SELECT * FROM public.session_players
+  WHERE session_id = p_session_id
+  ORDER BY joined_at ASC, player_id ASC;
+END;
+$$;
+
+-- Grant execution privileges to authenticated users
+-- Note: This includes anonymous sign-ins (which get 'authenticated' role)
+GRANT EXECUTE ON FUNCTION public.start_game(UUID, INTEGER, REAL, REAL, REAL) TO authenticated;
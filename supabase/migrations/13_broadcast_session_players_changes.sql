@@ -0,0 +1,58 @@
+-- Per-session delivery of session_players changes.
+--
+-- Clients used to subscribe to postgres_changes on the whole table without a filter, because
+-- DELETE events only carry the primary key and a session_id filter would drop them. Every
+-- client then received every session's row churn and threw most of it away.
+--
+-- Instead, a trigger broadcasts each change on the session's own Realtime channel
+-- (game_sessions.realtime_channel_name) as event 'session_players_change'. The payload has the
+-- postgres_changes shape ({ eventType, schema, table, new, old }) with full rows, including
+-- the old row of a DELETE. Session channels are public, like the game's own broadcasts.
+
+CREATE OR REPLACE FUNCTION public.broadcast_session_players_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needs the channel name whether or not the writer may read the session
+AS $$
+DECLARE
+  v_topic VARCHAR(255);
+BEGIN
+  SELECT realtime_channel_name INTO v_topic
+  FROM public.game_sessions
+  WHERE id = COALESCE(NEW.session_id, OLD.session_id);
+
+  -- The session itself is being deleted (cascade): nobody is left to tell
+  IF v_topic IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  PERFORM realtime.send(
+    jsonb_build_object(
+      'eventType', TG_OP,
+      'schema', TG_TABLE_SCHEMA,
+      'table', TG_TABLE_NAME,
+      'commit_timestamp', NOW(),
+      'new', CASE WHEN TG_OP = 'DELETE' THEN '{}'::JSONB ELSE to_jsonb(NEW) END,
+      'old', CASE WHEN TG_OP = 'INSERT' THEN '{}'::JSONB ELSE to_jsonb(OLD) END
+    ),
+    'session_players_change',
+    v_topic,
+    FALSE -- Public channel
+  );
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER session_players_broadcast_insert_delete
+  AFTER INSERT OR DELETE ON public.session_players
+  FOR EACH ROW EXECUTE FUNCTION public.broadcast_session_players_change();
+
+-- Periodic writes often store values that are already there; skip those
+CREATE TRIGGER session_players_broadcast_update
+  AFTER UPDATE ON public.session_players
+  FOR EACH ROW
+  WHEN (OLD.* IS DISTINCT FROM NEW.*)
+  EXECUTE FUNCTION public.broadcast_session_players_change();
+
+-- Nothing subscribes to the table-wide feed any more
+ALTER PUBLICATION supabase_realtime DROP TABLE session_players;
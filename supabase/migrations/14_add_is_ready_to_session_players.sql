@@ -0,0 +1,59 @@
+-- Lobby ready-up: guests mark themselves ready, and the host's Start Game button waits for
+-- everyone (Force Start skips the wait). Guests set their own flag with a direct UPDATE, which
+-- the existing policy (04) allows; the host clears everyone's flag when a match starts
+-- (resetPlayerStates), so each match needs a fresh ready-up.
+
+ALTER TABLE session_players ADD COLUMN is_ready BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Same function as 11, plus is_ready
+CREATE OR REPLACE FUNCTION public.update_session_players(p_session_id UUID, p_updates JSONB)
+RETURNS INTEGER -- Number of rows updated
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_host_id UUID;
+  v_updated INTEGER;
+BEGIN
+  IF jsonb_typeof(p_updates) IS DISTINCT FROM 'array' THEN
+    RAISE EXCEPTION 'Updates must be a JSON array';
+  END IF;
+
+  SELECT host_id INTO v_host_id
+  FROM public.game_sessions
+  WHERE id = p_session_id;
+
+  IF v_host_id IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF v_host_id <> auth.uid() AND EXISTS (
+    SELECT 1 FROM jsonb_array_elements(p_updates) AS u(value)
+    WHERE (u.value->>'player_id')::UUID IS DISTINCT FROM auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Only the host can update other players';
+  END IF;
+
+  UPDATE public.session_players AS sp
+  SET
+    position_x = CASE WHEN u.value ? 'position_x' THEN (u.value->>'position_x')::REAL ELSE sp.position_x END,
+    position_y = CASE WHEN u.value ? 'position_y' THEN (u.value->>'position_y')::REAL ELSE sp.position_y END,
+    velocity_x = CASE WHEN u.value ? 'velocity_x' THEN (u.value->>'velocity_x')::REAL ELSE sp.velocity_x END,
+    velocity_y = CASE WHEN u.value ? 'velocity_y' THEN (u.value->>'velocity_y')::REAL ELSE sp.velocity_y END,
+    rotation = CASE WHEN u.value ? 'rotation' THEN (u.value->>'rotation')::REAL ELSE sp.rotation END,
+    health = CASE WHEN u.value ? 'health' THEN (u.value->>'health')::REAL ELSE sp.health END,
+    is_alive = CASE WHEN u.value ? 'is_alive' THEN (u.value->>'is_alive')::BOOLEAN ELSE sp.is_alive END,
+    is_connected = CASE WHEN u.value ? 'is_connected' THEN (u.value->>'is_connected')::BOOLEAN ELSE sp.is_connected END,
+    equipped_weapon = CASE WHEN u.value ? 'equipped_weapon' THEN u.value->>'equipped_weapon' ELSE sp.equipped_weapon END,
+    equipped_armor = CASE WHEN u.value ? 'equipped_armor' THEN u.value->>'equipped_armor' ELSE sp.equipped_armor END,
+    kills = CASE WHEN u.value ? 'kills' THEN (u.value->>'kills')::INTEGER ELSE sp.kills END,
+    damage_dealt = CASE WHEN u.value ? 'damage_dealt' THEN (u.value->>'damage_dealt')::REAL ELSE sp.damage_dealt END,
+    is_ready = CASE WHEN u.value ? 'is_ready' THEN (u.value->>'is_ready')::BOOLEAN ELSE sp.is_ready END
+  FROM jsonb_array_elements(p_updates) AS u(value)
+  WHERE sp.session_id = p_session_id
+    AND sp.player_id = (u.value->>'player_id')::UUID;
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  RETURN v_updated;
+END;
+$$;
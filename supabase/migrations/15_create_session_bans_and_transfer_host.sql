@@ -0,0 +1,114 @@
+-- Host lobby management: kick, ban and hand over the host role.
+--
+-- Kicking needs no schema change: the host already may delete rows in their session (04).
+-- A ban is a kick plus a session_bans row, which stops the player from inserting themselves
+-- into that session again. Bans end with the session (ON DELETE CASCADE).
+
+CREATE TABLE session_bans (
+  session_id UUID NOT NULL REFERENCES game_sessions(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL,
+  banned_by UUID NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (session_id, player_id)
+);
+
+ALTER TABLE public.session_bans ENABLE ROW LEVEL SECURITY;
+
+-- Only the session's host sees and manages its bans
+CREATE POLICY "Allow host to manage bans in their session"
+  ON public.session_bans
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.game_sessions
+      WHERE id = session_bans.session_id AND host_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    banned_by = auth.uid() AND EXISTS (
+      SELECT 1 FROM public.game_sessions
+      WHERE id = session_bans.session_id AND host_id = auth.uid()
+    )
+  );
+
+-- Banned players can't read session_bans, so the join policy asks through a SECURITY DEFINER
+-- helper (like is_session_member in 04)
+CREATE OR REPLACE FUNCTION is_banned_from_session(p_session_id UUID, p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN EXISTS (
+    SELECT 1 FROM public.session_bans
+    WHERE session_id = p_session_id AND player_id = p_user_id
+  );
+END;
+$$;
+
+-- Replaces policy 2 from 04. A refused insert surfaces as error 42501 in SessionManager.joinGame.
+DROP POLICY "Allow players to insert themselves" ON public.session_players;
+
+CREATE POLICY "Allow players to insert themselves"
+  ON public.session_players
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = player_id AND NOT is_banned_from_session(session_id, auth.uid()));
+
+-- Hand the host role to another connected human in the lobby. Unlike claim_session_host the
+-- current host is still here and chooses the successor. Lobby only: a running match would also
+-- need the host simulation handed over, which only the migration path does.
+CREATE OR REPLACE FUNCTION public.transfer_session_host(p_session_id UUID, p_new_host_id UUID)
+RETURNS SETOF public.game_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER -- The old host loses its update rights halfway through
+AS $$
+DECLARE
+  v_current_host UUID;
+  v_status VARCHAR(20);
+BEGIN
+  SELECT host_id, status INTO v_current_host, v_status
+  FROM public.game_sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF v_current_host IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF v_current_host <> auth.uid() THEN
+    RAISE EXCEPTION 'Only the host can transfer the session';
+  END IF;
+
+  IF v_status <> 'lobby' THEN
+    RAISE EXCEPTION 'The host can only be transferred in the lobby';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.session_players
+    WHERE session_id = p_session_id
+      AND player_id = p_new_host_id
+      AND player_id <> v_current_host
+      AND is_bot = FALSE
+      AND is_connected = TRUE
+  ) THEN
+    RAISE EXCEPTION 'New host must be another connected player in the session';
+  END IF;
+
+  UPDATE public.game_sessions
+  SET host_id = p_new_host_id
+  WHERE id = p_session_id;
+
+  UPDATE public.session_players
+  SET is_host = (player_id = p_new_host_id)
+  WHERE session_id = p_session_id;
+
+  RETURN QUERY SELECT * FROM public.game_sessions WHERE id = p_session_id;
+END;
+$$;
+
+-- Grant execution privileges to authenticated users
+-- Note: This includes anonymous sign-ins (which get 'authenticated' role)
+GRANT EXECUTE ON FUNCTION public.transfer_session_host(UUID, UUID) TO authenticated;
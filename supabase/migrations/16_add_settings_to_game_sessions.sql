@@ -0,0 +1,37 @@
+-- Per-session match rules chosen by the host in the lobby (src/MatchSettings.js): bot fill and
+-- difficulty, loot density, zone speed and allowed weapons. max_players keeps its own column,
+-- which enforceMaxPlayers reads, and is mirrored into settings. An empty object means defaults.
+-- The host writes the column with a direct UPDATE, which the existing policy (02) allows.
+
+ALTER TABLE game_sessions ADD COLUMN settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Same function as 10, plus settings, so guests see the rules before the host re-broadcasts them
+CREATE OR REPLACE FUNCTION public.get_session_by_join_code(p_join_code VARCHAR(6))
+RETURNS SETOF public.game_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER -- Runs with the privileges of the function creator (admin), bypassing RLS
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    id,
+    join_code,
+    host_id,
+    status,
+    created_at,
+    started_at,
+    ended_at,
+    max_players,
+    game_phase,
+    conflict_zone_radius,
+    conflict_zone_center_x,
+    conflict_zone_center_y,
+    expires_at,
+    realtime_channel_name,
+    protocol_version,
+    content_hash,
+    settings
+  FROM public.game_sessions
+  WHERE join_code = p_join_code;
+END;
+$$;
@@ -0,0 +1,84 @@
+-- Public session browser and quick match. The host marks a lobby public from the match settings
+-- panel (is_public is mirrored into settings, like max_players); anyone signed in can then find
+-- it through list_public_sessions instead of typing its join code.
+
+ALTER TABLE game_sessions ADD COLUMN is_public BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX idx_public_sessions ON game_sessions(created_at) WHERE is_public;
+
+-- Same function as 16, plus is_public
+CREATE OR REPLACE FUNCTION public.get_session_by_join_code(p_join_code VARCHAR(6))
+RETURNS SETOF public.game_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER -- Runs with the privileges of the function creator (admin), bypassing RLS
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    id,
+    join_code,
+    host_id,
+    status,
+    created_at,
+    started_at,
+    ended_at,
+    max_players,
+    game_phase,
+    conflict_zone_radius,
+    conflict_zone_center_x,
+    conflict_zone_center_y,
+    expires_at,
+    realtime_channel_name,
+    protocol_version,
+    content_hash,
+    settings,
+    is_public
+  FROM public.game_sessions
+  WHERE join_code = p_join_code;
+END;
+$$;
+
+-- Open public sessions, fullest first. Full, ended and expired sessions are left out. Bots count
+-- toward player_count, as in SessionManager.enforceMaxPlayers. The client hides sessions of
+-- incompatible builds using protocol_version and content_hash.
+CREATE OR REPLACE FUNCTION public.list_public_sessions()
+RETURNS TABLE (
+  id UUID,
+  join_code VARCHAR(6),
+  host_name VARCHAR(50),
+  status VARCHAR(20),
+  player_count INTEGER,
+  max_players INTEGER,
+  protocol_version INTEGER,
+  content_hash VARCHAR(16),
+  created_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER -- Browsing players are not members, so session_players RLS would hide the counts
+AS $$
+  SELECT
+    gs.id,
+    gs.join_code,
+    host.player_name,
+    gs.status,
+    COUNT(sp.player_id)::INTEGER,
+    gs.max_players,
+    gs.protocol_version,
+    gs.content_hash,
+    gs.created_at
+  FROM public.game_sessions gs
+  LEFT JOIN public.session_players sp ON sp.session_id = gs.id
+  LEFT JOIN public.session_players host ON host.session_id = gs.id AND host.player_id = gs.host_id
+  WHERE gs.is_public
+    AND gs.status IN ('lobby', 'active')
+    AND gs.expires_at > NOW()
+  GROUP BY gs.id, host.player_name
+  HAVING COUNT(sp.player_id) < COALESCE(gs.max_players, 12)
+  ORDER BY COUNT(sp.player_id) DESC, gs.created_at ASC
+  LIMIT 50;
+$$;
+
+-- Grant execution privileges to authenticated users
+-- Note: This includes anonymous sign-ins (which get 'authenticated' role)
+GRANT EXECUTE ON FUNCTION public.list_public_sessions() TO authenticated;
@@ -0,0 +1,51 @@
+-- Returning a finished match to the lobby in one transaction. start_game only starts sessions in
+-- the lobby, so without this a session could never host a rematch. The host calls it when the
+-- match ends; a host that takes over in the lobby calls it again in case the old host didn't
+-- get to (see App.returnSessionToLobby). Calling it on a session already in the lobby does nothing.
+
+CREATE OR REPLACE FUNCTION public.end_game(p_session_id UUID)
+RETURNS SETOF public.game_sessions
+LANGUAGE plpgsql
+SECURITY INVOKER -- The host already may update the session and delete players in it (02, 04)
+AS $$
+DECLARE
+  v_host_id UUID;
+  v_status VARCHAR(20);
+BEGIN
+  SELECT host_id, status INTO v_host_id, v_status
+  FROM public.game_sessions
+  WHERE id = p_session_id
+  FOR UPDATE; -- Serializes with start_game
+
+  IF v_host_id IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF v_host_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Only the host can end the game';
+  END IF;
+
+  IF v_status = 'active' THEN
+    -- Bots only live for one match; start_game adds new ones
+    DELETE FROM public.session_players
+    WHERE session_id = p_session_id AND is_bot = TRUE;
+
+    UPDATE public.game_sessions
+    SET
+      status = 'lobby',
+      game_phase = 'lobby',
+      started_at = NULL,
+      ended_at = NOW(),
+      conflict_zone_radius = NULL,
+      conflict_zone_center_x = NULL,
+      conflict_zone_center_y = NULL
+    WHERE id = p_session_id;
+  END IF;
+
+  RETURN QUERY SELECT * FROM public.game_sessions WHERE id = p_session_id;
+END;
+$$;
+
+-- Grant execution privileges to authenticated users
+-- Note: This includes anonymous sign-ins (which get 'authenticated' role)
+GRANT EXECUTE ON FUNCTION public.end_game(UUID) TO authenticated;
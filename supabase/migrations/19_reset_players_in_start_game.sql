@@ -0,0 +1,85 @@
+-- Same function as 12, now also resetting velocity, rotation, armor and is_ready (14). The host
+-- used to do this from the browser after the RPC (App.resetPlayerStates), one write per player
+-- and with its own spawn layout, which overwrote the positions start_game had just set.
+
+CREATE OR REPLACE FUNCTION public.start_game(
+  p_session_id UUID,
+  p_min_players INTEGER,
+  p_center_x REAL,
+  p_center_y REAL,
+  p_spawn_radius REAL
+)
+RETURNS SETOF public.session_players
+LANGUAGE plpgsql
+SECURITY INVOKER -- The host already may insert bots and update players in their session (06, 08)
+AS $$
+DECLARE
+  v_host_id UUID;
+  v_status VARCHAR(20);
+  v_player_count INTEGER;
+BEGIN
+  SELECT host_id, status INTO v_host_id, v_status
+  FROM public.game_sessions
+  WHERE id = p_session_id
+  FOR UPDATE; -- Serializes concurrent starts of the same session
+
+  IF v_host_id IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF v_host_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Only the host can start the game';
+  END IF;
+
+  IF v_status <> 'lobby' THEN
+    RAISE EXCEPTION 'Game already started';
+  END IF;
+
+  -- 1. Fill up with bots
+  SELECT COUNT(*) INTO v_player_count
+  FROM public.session_players
+  WHERE session_id = p_session_id;
+
+  INSERT INTO public.session_players (session_id, player_id, player_name, is_host, is_bot)
+  SELECT p_session_id, gen_random_uuid(), 'Bot-' || n, FALSE, TRUE
+  FROM generate_series(1, p_min_players - v_player_count) AS n;
+
+  -- 2. Spawn everyone on a circle and reset stats, equipment and ready flags
+  WITH roster AS (
+    SELECT
+      player_id,
+      ROW_NUMBER() OVER (ORDER BY joined_at ASC, player_id ASC) - 1 AS slot,
+      COUNT(*) OVER () AS total
+    FROM public.session_players
+    WHERE session_id = p_session_id
+  )
+  UPDATE public.session_players AS sp
+  SET
+    health = 100,
+    is_alive = TRUE,
+    kills = 0,
+    damage_dealt = 0,
+    position_x = p_center_x + COS(roster.slot * 2 * PI() / roster.total) * p_spawn_radius,
+    position_y = p_center_y + SIN(roster.slot * 2 * PI() / roster.total) * p_spawn_radius,
+    velocity_x = 0,
+    velocity_y = 0,
+    rotation = 0,
+    equipped_weapon = 'fist',
+    equipped_armor = NULL,
+    is_ready = FALSE -- Guests ready up again for the next match
+  FROM roster
+  WHERE sp.session_id = p_session_id
+    AND sp.player_id = roster.player_id;
+
+  -- 3. Mark the session started
+  UPDATE public.game_sessions
+  SET status = 'active', started_at = NOW(), game_phase = 'deployment'
+  WHERE id = p_session_id;
+
+  RETURN QUERY
+  SELECT * FROM public.session_players
+  WHERE session_id = p_session_id
+  ORDER BY joined_at ASC, player_id ASC;
+END;
+$$;
+
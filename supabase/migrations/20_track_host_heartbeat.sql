@@ -0,0 +1,91 @@
+-- Host liveness on the server. Peers watch the host's heartbeat broadcasts, but only the host
+-- itself maintains is_connected for everyone else, so a host that crashed or lost its network
+-- stayed "connected" and claim_session_host refused every successor.
+--
+-- The host now refreshes its own last_heartbeat through record_heartbeat (server clock), and
+-- claim_session_host treats a host whose heartbeat is older than CONFIG.NETWORK.HEARTBEAT_TIMEOUT_MS
+-- (10 s) as disconnected, marking it so in the same transaction.
+
+CREATE OR REPLACE FUNCTION public.record_heartbeat(p_session_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER -- Players may already update their own row (04)
+AS $$
+BEGIN
+  UPDATE public.session_players
+  SET last_heartbeat = NOW(), is_connected = TRUE
+  WHERE session_id = p_session_id
+    AND player_id = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.record_heartbeat(UUID) TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.claim_session_host(p_session_id UUID)
+RETURNS SETOF public.game_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needed to update game_sessions.host_id, which RLS only allows for the current host
+AS $$
+DECLARE
+  v_current_host UUID;
+  v_successor UUID;
+BEGIN
+  SELECT host_id INTO v_current_host
+  FROM public.game_sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF v_current_host IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  -- Already the host (e.g. a retried claim): nothing to do
+  IF v_current_host = auth.uid() THEN
+    RETURN QUERY SELECT * FROM public.game_sessions WHERE id = p_session_id;
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.session_players
+    WHERE session_id = p_session_id
+      AND player_id = v_current_host
+      AND is_connected = TRUE
+      AND last_heartbeat > NOW() - INTERVAL '10 seconds' -- CONFIG.NETWORK.HEARTBEAT_TIMEOUT_MS; change both together
+  ) THEN
+    RAISE EXCEPTION 'Host is still connected';
+  END IF;
+
+  -- Nobody else keeps the host's flag up to date
+  UPDATE public.session_players
+  SET is_connected = FALSE
+  WHERE session_id = p_session_id
+    AND player_id = v_current_host;
+
+  SELECT player_id INTO v_successor
+  FROM public.session_players
+  WHERE session_id = p_session_id
+    AND player_id <> v_current_host
+    AND is_bot = FALSE
+    AND is_connected = TRUE
+  ORDER BY joined_at ASC, player_id ASC
+  LIMIT 1;
+
+  IF v_successor IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Caller is not the elected successor';
+  END IF;
+
+  UPDATE public.game_sessions
+  SET host_id = auth.uid()
+  WHERE id = p_session_id;
+
+  UPDATE public.session_players
+  SET is_host = (player_id = auth.uid())
+  WHERE session_id = p_session_id;
+
+  RETURN QUERY SELECT * FROM public.game_sessions WHERE id = p_session_id;
+END;
+$$;
+
+-- Grant execution privileges to authenticated users
+-- Note: This includes anonymous sign-ins (which get 'authenticated' role)
+GRANT EXECUTE ON FUNCTION public.claim_session_host(UUID) TO authenticated;
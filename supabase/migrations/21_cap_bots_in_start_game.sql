@@ -0,0 +1,90 @@
+-- Same function as 19, now checking p_min_players (the host's bot_fill setting, 16) on the server.
+-- It came straight from the client, so a modified client could fill a lobby with any number of
+-- bots. Negative values are rejected and the fill stops at the session's max_players.
+
+CREATE OR REPLACE FUNCTION public.start_game(
+  p_session_id UUID,
+  p_min_players INTEGER,
+  p_center_x REAL,
+  p_center_y REAL,
+  p_spawn_radius REAL
+)
+RETURNS SETOF public.session_players
+LANGUAGE plpgsql
+SECURITY INVOKER -- The host already may insert bots and update players in their session (06, 08)
+AS $$
+DECLARE
+  v_host_id UUID;
+  v_status VARCHAR(20);
+  v_max_players INTEGER;
+  v_player_count INTEGER;
+BEGIN
+  SELECT host_id, status, COALESCE(max_players, 12) INTO v_host_id, v_status, v_max_players
+  FROM public.game_sessions
+  WHERE id = p_session_id
+  FOR UPDATE; -- Serializes concurrent starts of the same session
+
+  IF v_host_id IS NULL THEN
+    RAISE EXCEPTION 'Session not found';
+  END IF;
+
+  IF v_host_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Only the host can start the game';
+  END IF;
+
+  IF v_status <> 'lobby' THEN
+    RAISE EXCEPTION 'Game already started';
+  END IF;
+
+  IF p_min_players IS NULL OR p_min_players < 0 THEN
+    RAISE EXCEPTION 'Invalid bot fill: %', p_min_players;
+  END IF;
+
+  -- 1. Fill up with bots
+  SELECT COUNT(*) INTO v_player_count
+  FROM public.session_players
+  WHERE session_id = p_session_id;
+
+  INSERT INTO public.session_players (session_id, player_id, player_name, is_host, is_bot)
+  SELECT p_session_id, gen_random_uuid(), 'Bot-' || n, FALSE, TRUE
+  FROM generate_series(1, LEAST(p_min_players, v_max_players) - v_player_count) AS n;
+
+  -- 2. Spawn everyone on a circle and reset stats, equipment and ready flags
+  WITH roster AS (
+    SELECT
+      player_id,
+      ROW_NUMBER() OVER (ORDER BY joined_at ASC, player_id ASC) - 1 AS slot,
+      COUNT(*) OVER () AS total
+    FROM public.session_players
+    WHERE session_id = p_session_id
+  )
+  UPDATE public.session_players AS sp
+  SET
+    health = 100,
+    is_alive = TRUE,
+    kills = 0,
+    damage_dealt = 0,
+    position_x = p_center_x + COS(roster.slot * 2 * PI() / roster.total) * p_spawn_radius,
+    position_y = p_center_y + SIN(roster.slot * 2 * PI() / roster.total) * p_spawn_radius,
+    velocity_x = 0,
+    velocity_y = 0,
+    rotation = 0,
+    equipped_weapon = 'fist',
+    equipped_armor = NULL,
+    is_ready = FALSE -- Guests ready up again for the next match
+  FROM roster
+  WHERE sp.session_id = p_session_id
+    AND sp.player_id = roster.player_id;
+
+  -- 3. Mark the session started
+  UPDATE public.game_sessions
+  SET status = 'active', started_at = NOW(), game_phase = 'deployment'
+  WHERE id = p_session_id;
+
+  RETURN QUERY
+  SELECT * FROM public.session_players
+  WHERE session_id = p_session_id
+  ORDER BY joined_at ASC, player_id ASC;
+END;
+$$;
+
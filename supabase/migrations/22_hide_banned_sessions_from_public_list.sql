@@ -0,0 +1,42 @@
+-- Same function as 17, now leaving out sessions the caller is banned from (15). They showed up in
+-- the browser and quick match picked them, but the join then failed on the session_players insert
+-- policy.
+
+CREATE OR REPLACE FUNCTION public.list_public_sessions()
+RETURNS TABLE (
+  id UUID,
+  join_code VARCHAR(6),
+  host_name VARCHAR(50),
+  status VARCHAR(20),
+  player_count INTEGER,
+  max_players INTEGER,
+  protocol_version INTEGER,
+  content_hash VARCHAR(16),
+  created_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER -- Browsing players are not members, so session_players RLS would hide the counts
+AS $$
+  SELECT
+    gs.id,
+    gs.join_code,
+    host.player_name,
+    gs.status,
+    COUNT(sp.player_id)::INTEGER,
+    gs.max_players,
+    gs.protocol_version,
+    gs.content_hash,
+    gs.created_at
+  FROM public.game_sessions gs
+  LEFT JOIN public.session_players sp ON sp.session_id = gs.id
+  LEFT JOIN public.session_players host ON host.session_id = gs.id AND host.player_id = gs.host_id
+  WHERE gs.is_public
+    AND gs.status IN ('lobby', 'active')
+    AND gs.expires_at > NOW()
+    AND NOT public.is_banned_from_session(gs.id, auth.uid())
+  GROUP BY gs.id, host.player_name
+  HAVING COUNT(sp.player_id) < COALESCE(gs.max_players, 12)
+  ORDER BY COUNT(sp.player_id) DESC, gs.created_at ASC
+  LIMIT 50;
+$$;
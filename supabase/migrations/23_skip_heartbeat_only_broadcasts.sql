@@ -0,0 +1,12 @@
+-- record_heartbeat (20) rewrites the host's last_heartbeat every HOST_HEARTBEAT_WRITE_INTERVAL_MS,
+-- and the update trigger from 13 broadcast each of those writes to the whole session. No client
+-- reads last_heartbeat from these events, so an update that changes nothing else is not sent.
+-- Writes that also flip is_connected (HostConnectionManager, claim_session_host) still are.
+
+DROP TRIGGER session_players_broadcast_update ON public.session_players;
+
+CREATE TRIGGER session_players_broadcast_update
+  AFTER UPDATE ON public.session_players
+  FOR EACH ROW
+  WHEN ((to_jsonb(OLD) - 'last_heartbeat') IS DISTINCT FROM (to_jsonb(NEW) - 'last_heartbeat'))
+  EXECUTE FUNCTION public.broadcast_session_players_change();